@@ -1,327 +1,2240 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useRef, useEffect } from 'react';
 import { 
-  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine, AreaChart, Area,
-  ScatterChart, Scatter, ZAxis
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine, ReferenceArea, AreaChart, Area,
+  ScatterChart, Scatter, ZAxis, ComposedChart, Bar
 } from 'recharts';
 import { 
   Settings, Activity, Zap, Sliders, RefreshCw, Info, Cpu, ArrowRight,
-  CheckCircle, AlertTriangle, TrendingDown, BrainCircuit, Grid, Crosshair, Divide
+  CheckCircle, AlertTriangle, TrendingDown, BrainCircuit, Grid, Crosshair, Divide,
+  Headphones, Play, Square, Upload, Download, Library, Layers, Save, Copy, Edit2, Trash2, FolderOpen,
+  Link, FileDown, FileUp, X, Workflow, ArrowDownUp, Waves, ZoomIn, ZoomOut, ChevronLeft, ChevronRight, Maximize2,
+  Radar, Pause, StepForward, RotateCcw
 } from 'lucide-react';
+import {
+  ADAPTIVE_ALGOS, ADAPTIVE_SCENARIOS, CIRCUITS, CIRCUIT_TOPOLOGIES, FIR_ZEROS_MAX_TAPS, KALMAN_MEASUREMENTS,
+  KALMAN_MODELS, KALMAN_VARIANTS, MAX_SPEC_ORDER, PI, PLANTS, RATE_FILTER_METHODS, SIGNAL_TYPES, STRUCTURES,
+  WINDOW_LABELS, WINDOW_PARAMS, activeResponse, adaptiveComplexity, aliasFolding, analogImpulse, analyzeWindow,
+  bandEdges, bilinearZPK, cArg, cMag, cScale, cicCompensator, cicFilter, cicResponse, complex, compressRoots,
+  createAdaptiveStream, designAnalog, designFIR, designIIR, designRemez, expandRoots, fft, fftSpectrum,
+  filterFromTaps, firGroupDelay, firMagnitude, firZeros, fixedShift, freqsZPK, freqzSOS, generateSignal,
+  groupDelayZPK, harmonicAnalysis, iirOrder, kaiserord, kalmanConsistency, kalmanModelError, ladderResponse,
+  ladderSensitivity, lfilter, log10, minMaxDecimate, normalizedGain, planMultistage, polyFromRoots, polyphase,
+  quantizationReport, quantizeValue, rateChangeFilter, realizationError, realizationResponse, realizeStructure,
+  remezReport, responseData, runKalman, runLearningCurve, simulateKalmanModel, simulateStructure, sosfilt,
+  specMargins, spectrogram, stabilityReport, structureCost, synthesizeActive, synthesizeLadder, toDeg, unwrapPhase,
+  welchPSD, windowSamples, windows, zpk2sos, zpk2tf, zpkPhase
+} from './dsp/index.js';
 
-// --- MATH & DSP UTILS ---
+// Labels and colors for stabilityReport().status
+const STABILITY_STYLES = {
+  stable: { label: 'Stable', color: 'text-green-400' },
+  marginal: { label: 'Marginal', color: 'text-amber-400' },
+  unstable: { label: 'Unstable', color: 'text-rose-400' },
+};
 
-const PI = Math.PI;
-const log10 = (x) => Math.log(x) / Math.LN10;
-const toDeg = (rad) => (rad * 180) / Math.PI;
+// --- EXPORT ---
 
-// Complex Number Helper
-const complex = (re, im) => ({ re, im });
-const cAdd = (a, b) => complex(a.re + b.re, a.im + b.im);
-const cMul = (a, b) => complex(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
-const cMag = (z) => Math.sqrt(z.re * z.re + z.im * z.im);
+// Signed fixed-point word of `bits` bits (1 sign bit, bits - 1 fraction bits), saturating; the
+// integer form of the engine's quantizeValue so exports match the quantization analysis
+const quantize = (v, bits) => quantizeValue(v, bits, bits - 1, 'round').value * Math.pow(2, bits - 1);
 
-// --- FIR WINDOW FUNCTIONS ---
-const windows = {
-  rectangular: (n, N) => 1,
-  hamming: (n, N) => 0.54 - 0.46 * Math.cos((2 * PI * n) / (N - 1)),
-  hanning: (n, N) => 0.5 * (1 - Math.cos((2 * PI * n) / (N - 1))),
-  blackman: (n, N) => 0.42 - 0.5 * Math.cos((2 * PI * n) / (N - 1)) + 0.08 * Math.cos((4 * PI * n) / (N - 1)),
+const EXPORT_FORMATS = {
+  c: { label: 'C Header', ext: 'h', mime: 'text/x-c' },
+  python: { label: 'Python', ext: 'py', mime: 'text/x-python' },
+  matlab: { label: 'MATLAB', ext: 'm', mime: 'text/plain' },
+  json: { label: 'JSON', ext: 'json', mime: 'application/json' },
+  csv: { label: 'CSV', ext: 'csv', mime: 'text/csv' },
 };
 
-// --- FILTER ALGORITHMS ---
+const describeDesign = (d) => `${d.method} ${d.type}, order ${d.order}, ${d.domain === 'analog' ? 'analog' : `fs = ${d.fs} Hz`}, edges ${d.edges.map(f => `${f} Hz`).join(' / ')}`;
 
-// 1. Digital FIR Design (Windowed Sinc)
-const designFIR = (taps, cutoffFreq, sampleRate, windowType, type) => {
-  const h = [];
-  const N = taps;
-  const fc = cutoffFreq / sampleRate; // Normalized cutoff
-  const center = (N - 1) / 2;
-  const winFunc = windows[windowType] || windows.hamming;
+// C header: float arrays plus Q15/Q31 words with the shift that restores their scale
+const exportC = (d) => {
+  const num = (v) => `${v.toExponential(9)}f`;
+  const list = (arr, fmt) => arr.map(fmt).join(', ');
+  const lines = [
+    `/* FilterLab Pro export: ${describeDesign(d)} */`,
+    '#ifndef FILTERLAB_FILTER_H',
+    '#define FILTERLAB_FILTER_H',
+    '',
+    '#include <stdint.h>',
+    '',
+  ];
+  if (d.domain === 'analog') {
+    lines.push(
+      '/* Analog H(s) = B(s) / A(s), coefficients in descending powers of s */',
+      `#define FILTER_NUM_LEN ${d.b.length}`,
+      `#define FILTER_DEN_LEN ${d.a.length}`,
+      `static const float filter_b[FILTER_NUM_LEN] = { ${list(d.b, num)} };`,
+      `static const float filter_a[FILTER_DEN_LEN] = { ${list(d.a, num)} };`,
+    );
+  } else {
+    lines.push(
+      `#define FILTER_FS ${d.fs}`,
+      `#define FILTER_NUM_LEN ${d.b.length}`,
+      `#define FILTER_DEN_LEN ${d.a.length}`,
+      '',
+      '/* Direct form: a[0] y[n] = sum b[k] x[n-k] - sum_{k>0} a[k] y[n-k] */',
+      `static const float filter_b[FILTER_NUM_LEN] = { ${list(d.b, num)} };`,
+      `static const float filter_a[FILTER_DEN_LEN] = { ${list(d.a, num)} };`,
+    );
+    // a[0] stays out of the fixed-point tables so it cannot force a shift (it is 1 for FIR designs)
+    const aTail = d.a.slice(1);
+    lines.push(
+      '',
+      '/* Fixed point: a[0] is kept apart as FILTER_A0 and the a tables hold a[1..] */',
+      `#define FILTER_A0 ${num(d.a[0])}`,
+    );
+    [[16, 'q15', 'int16_t'], [32, 'q31', 'int32_t']].forEach(([bits, tag, ctype]) => {
+      const shift = fixedShift([...d.b, ...aTail]);
+      const q = (v) => String(quantize(v / Math.pow(2, shift), bits));
+      lines.push(
+        '',
+        `/* ${tag.toUpperCase()}: value = word * 2^FILTER_${tag.toUpperCase()}_SHIFT / 2^${bits - 1} */`,
+        `#define FILTER_${tag.toUpperCase()}_SHIFT ${shift}`,
+        `static const ${ctype} filter_b_${tag}[FILTER_NUM_LEN] = { ${list(d.b, q)} };`,
+        ...(aTail.length ? [`static const ${ctype} filter_a_${tag}[FILTER_DEN_LEN - 1] = { ${list(aTail, q)} };`] : []),
+      );
+    });
+    if (d.sos) {
+      const rows = d.sos.map(([b0, b1, b2, , a1, a2]) => [b0, b1, b2, a1, a2]);
+      lines.push(
+        '',
+        '/* Second-order sections, one row per biquad: { b0, b1, b2, a1, a2 } with a0 = 1 */',
+        `#define FILTER_NUM_SECTIONS ${rows.length}`,
+        `static const float filter_sos[FILTER_NUM_SECTIONS][5] = {`,
+        ...rows.map(r => `  { ${list(r, num)} },`),
+        '};',
+      );
+      [[16, 'q15', 'int16_t'], [32, 'q31', 'int32_t']].forEach(([bits, tag, ctype]) => {
+        const shift = fixedShift(rows.flat());
+        const q = (v) => String(quantize(v / Math.pow(2, shift), bits));
+        lines.push(
+          `#define FILTER_SOS_${tag.toUpperCase()}_SHIFT ${shift}`,
+          `static const ${ctype} filter_sos_${tag}[FILTER_NUM_SECTIONS][5] = {`,
+          ...rows.map(r => `  { ${list(r, q)} },`),
+          '};',
+        );
+      });
+    }
+  }
+  lines.push('', '#endif /* FILTERLAB_FILTER_H */', '');
+  return lines.join('\n');
+};
 
-  for (let n = 0; n < N; n++) {
-    let val = 0;
-    if (n === center) {
-      val = 2 * fc;
+// NumPy / SciPy snippet that rebuilds the design and its response
+const exportPython = (d) => {
+  const arr = (a) => `np.array([${a.map(String).join(', ')}])`;
+  const lines = [
+    `# FilterLab Pro export: ${describeDesign(d)}`,
+    'import numpy as np',
+    'from scipy import signal',
+    '',
+    `b = ${arr(d.b)}`,
+    `a = ${arr(d.a)}`,
+  ];
+  if (d.domain === 'analog') {
+    lines.push('', '# Analog response on a log grid (rad/s)', 'w, h = signal.freqs(b, a, worN=np.logspace(1, 6, 2048))');
+  } else {
+    lines.push('', `fs = ${d.fs}`);
+    if (d.sos) {
+      lines.push(
+        'sos = np.array([',
+        ...d.sos.map(r => `    [${r.map(String).join(', ')}],`),
+        '])',
+        'w, h = signal.sosfreqz(sos, worN=2048, fs=fs)',
+        '# y = signal.sosfilt(sos, x)',
+      );
     } else {
-      val = Math.sin(2 * PI * fc * (n - center)) / (PI * (n - center));
+      lines.push('w, h = signal.freqz(b, a, worN=2048, fs=fs)', '# y = signal.lfilter(b, a, x)');
     }
-    
-    // Windowing
-    val *= winFunc(n, N);
-
-    // Spectral Inversion for High Pass / Band Stop
-    if (type === 'highpass') {
-      if (n === center) val = 1 - val;
-      else val = -val;
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+// MATLAB / Octave script
+const exportMatlab = (d) => {
+  const row = (a) => `[${a.map(String).join(' ')}]`;
+  const lines = [
+    `% FilterLab Pro export: ${describeDesign(d)}`,
+    `b = ${row(d.b)};`,
+    `a = ${row(d.a)};`,
+  ];
+  if (d.domain === 'analog') {
+    lines.push('w = logspace(1, 6, 2048);', 'h = freqs(b, a, w);');
+  } else {
+    lines.push(`fs = ${d.fs};`);
+    if (d.sos) {
+      lines.push('sos = [', ...d.sos.map(r => `  ${r.map(String).join(' ')}`), '];', '[h, f] = freqz(sos, 2048, fs);', '% y = sosfilt(sos, x);');
+    } else {
+      lines.push('[h, f] = freqz(b, a, 2048, fs);', '% y = filter(b, a, x);');
     }
-    
-    h.push(val);
   }
-  return h;
+  return `${lines.join('\n')}\n`;
 };
 
-// 2. Analog/IIR Magnitude Response (Approximations for Visualization)
-const calculateIIRMag = (f, fc, n, type, topo, ripple) => {
-  let mag = 0;
-  let w = f / fc; // Normalized freq ratio
-  
-  // Frequency transformation for types
-  if (type === 'highpass') w = 1/w;
-  if (type === 'bandpass') w = Math.abs(w - 1/w); // Simple Q transform approx
-  if (type === 'notch') w = Math.abs(1 / (w - 1/w)); // Inverse BP
-
-  switch (topo) {
-    case 'butterworth':
-      mag = 1 / Math.sqrt(1 + Math.pow(w, 2 * n));
-      break;
-    case 'chebyshev1':
-      const eps = Math.sqrt(Math.pow(10, ripple/10) - 1);
-      const cn = w <= 1 ? Math.cos(n * Math.acos(w)) : Math.cosh(n * Math.acosh(w));
-      mag = 1 / Math.sqrt(1 + Math.pow(eps * cn, 2));
-      break;
-    case 'chebyshev2': // Inverse Chebyshev (ripple in stopband)
-      const eps2 = 0.1; // simplified stopband ripple factor
-      const Tn = w <= 1 ? Math.cos(n * Math.acos(1/w)) : Math.cosh(n * Math.acosh(1/w));
-      mag = 1 / Math.sqrt(1 + 1 / (Math.pow(eps2 * Tn, 2)));
-      break;
-    case 'bessel': // Group delay optimized
-      mag = 1 / Math.sqrt(1 + Math.pow(w, 2 * n) * 0.3 + Math.pow(w, 2)); // Heuristic
-      break;
-    case 'elliptic': // Ripple in both
-       const epsE = Math.sqrt(Math.pow(10, ripple/10) - 1);
-       const oscillation = Math.cos(n * w * 3); 
-       mag = w < 1 
-        ? 1 / Math.sqrt(1 + Math.pow(epsE * Math.cos(n * Math.acos(w)), 2))
-        : (1 / (Math.pow(w, 2*n) * epsE)) * (1 + 0.1 * oscillation);
-       break;
-    default: mag = 0;
+const exportJSON = (d) => `${JSON.stringify({ format: 'filterlab-design', version: 1, ...d }, null, 2)}\n`;
+
+// CSV from an array of row objects with the given columns ([key, header] pairs)
+const exportCSV = (rows, columns) => [
+  columns.map(([, header]) => header).join(','),
+  ...rows.map(r => columns.map(([key]) => r[key]).join(',')),
+].join('\n') + '\n';
+
+const CSV_TABLES = {
+  freq: { label: 'Frequency', columns: [['f', 'freq_hz'], ['mag', 'mag_db'], ['phase', 'phase_deg'], ['groupDelay', 'group_delay'], ['phaseDelay', 'phase_delay']] },
+  impulse: { label: 'Impulse', columns: [['n', 'n'], ['val', 'h']] },
+  step: { label: 'Step', columns: [['n', 'n'], ['val', 's']] },
+};
+
+// Save a blob through a temporary object URL
+const downloadBlob = (filename, blob) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const downloadText = (filename, text, mime) => downloadBlob(filename, new Blob([text], { type: mime }));
+
+// --- AUDIO ---
+
+// Parse a RIFF/WAVE file: PCM 8/16/24/32-bit integer or 32/64-bit float (incl. extensible).
+// Returns { sampleRate, channels: Float32Array[] } or throws on unsupported input.
+const decodeWav = (buffer) => {
+  const view = new DataView(buffer);
+  const tag = (off) => String.fromCharCode(...new Uint8Array(buffer, off, 4));
+  if (buffer.byteLength < 12 || tag(0) !== 'RIFF' || tag(8) !== 'WAVE') throw new Error('Not a RIFF/WAVE file');
+  let fmt = null, data = null;
+  for (let off = 12; off + 8 <= buffer.byteLength;) {
+    const id = tag(off);
+    const size = view.getUint32(off + 4, true);
+    if (id === 'fmt ') {
+      let format = view.getUint16(off + 8, true);
+      if (format === 0xFFFE) format = view.getUint16(off + 32, true); // extensible: sub-format GUID
+      fmt = { format, channels: view.getUint16(off + 10, true), sampleRate: view.getUint32(off + 12, true), bits: view.getUint16(off + 22, true) };
+    } else if (id === 'data') {
+      data = { offset: off + 8, size: Math.min(size, buffer.byteLength - off - 8) };
+    }
+    off += 8 + size + (size % 2);
+  }
+  if (!fmt || !data) throw new Error('Missing fmt or data chunk');
+  const { format, channels, bits } = fmt;
+  const bytes = bits / 8;
+  const read = {
+    '1:8': (o) => (view.getUint8(o) - 128) / 128,
+    '1:16': (o) => view.getInt16(o, true) / 32768,
+    '1:24': (o) => ((view.getUint8(o) | (view.getUint8(o + 1) << 8) | (view.getInt8(o + 2) << 16))) / 8388608,
+    '1:32': (o) => view.getInt32(o, true) / 2147483648,
+    '3:32': (o) => view.getFloat32(o, true),
+    '3:64': (o) => view.getFloat64(o, true),
+  }[`${format}:${bits}`];
+  if (!read) throw new Error(`Unsupported WAV encoding (format ${format}, ${bits}-bit)`);
+  const frames = Math.floor(data.size / (bytes * channels));
+  const out = Array.from({ length: channels }, () => new Float32Array(frames));
+  for (let n = 0; n < frames; n++) {
+    for (let c = 0; c < channels; c++) out[c][n] = read(data.offset + (n * channels + c) * bytes);
   }
-  return mag;
+  return { sampleRate: fmt.sampleRate, channels: out };
 };
 
-// 3. Pole-Zero Generator (Visual approximation of z-plane/s-plane roots)
-const calculatePolesZeros = (topo, n, type, domain) => {
-  const poles = [];
-  const zeros = [];
-  
-  // Zeros
-  if (type === 'highpass' || type === 'bandpass') {
-     // Highpass often has zeros at 0 (z-plane) or origin (s-plane)
-     for(let i=0; i<n; i++) zeros.push({x: 0, y: 0});
+// 16-bit PCM WAV from float channels; samples beyond full scale are clipped
+const encodeWav = (channels, sampleRate) => {
+  const frames = channels[0].length;
+  const blockAlign = 2 * channels.length;
+  const buffer = new ArrayBuffer(44 + frames * blockAlign);
+  const view = new DataView(buffer);
+  const writeTag = (off, s) => [...s].forEach((ch, i) => view.setUint8(off + i, ch.charCodeAt(0)));
+  writeTag(0, 'RIFF'); view.setUint32(4, 36 + frames * blockAlign, true); writeTag(8, 'WAVE');
+  writeTag(12, 'fmt '); view.setUint32(16, 16, true); view.setUint16(20, 1, true);
+  view.setUint16(22, channels.length, true); view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true); view.setUint16(32, blockAlign, true); view.setUint16(34, 16, true);
+  writeTag(36, 'data'); view.setUint32(40, frames * blockAlign, true);
+  for (let n = 0; n < frames; n++) {
+    channels.forEach((ch, c) => {
+      const v = Math.max(-1, Math.min(1, ch[n]));
+      view.setInt16(44 + n * blockAlign + 2 * c, Math.round(v < 0 ? v * 32768 : v * 32767), true);
+    });
   }
+  return buffer;
+};
 
-  // Poles
-  for (let k = 0; k < n; k++) {
-    const angle = (PI * (2 * k + n + 1)) / (2 * n);
-    
-    if (domain === 'digital_fir') {
-       // FIR: All poles at origin (stable)
-       poles.push({x:0, y:0});
-    } else if (domain === 'analog') {
-      // S-Plane: Left Half Plane
-      let radius = 1; // Normalized
-      if (topo === 'chebyshev1') {
-        // Ellipse
-        poles.push({
-           x: 0.5 * Math.cos(angle), // Squashed circle
-           y: 1.0 * Math.sin(angle)
+const TEST_SIGNALS = {
+  white: 'White Noise',
+  pink: 'Pink Noise',
+  sweep: 'Log Sweep',
+  tones: 'Multi-Tone',
+  impulses: 'Impulse Train',
+};
+
+// Bench signal settings for generateSignal(), scaled to stay below full scale
+const TEST_SIGNAL_SETTINGS = {
+  white: ['white', { amplitude: 0.15 }],
+  pink: ['pink', { amplitude: 0.05 }],
+  sweep: ['chirp', { amplitude: 0.5 }],
+  tones: ['multitone', { amplitude: 0.5, f0: 62.5 }],
+  impulses: ['impulses', { amplitude: 0.5, f0: 4 }],
+};
+
+// Seeded test signal, `seconds` long at rate fs
+const generateTestSignal = (kind, fs, seconds = 3, seed = 1) => {
+  const [type, settings] = TEST_SIGNAL_SETTINGS[kind] || TEST_SIGNAL_SETTINGS.white;
+  return Float32Array.from(generateSignal(type, { fs, length: Math.round(fs * seconds), seed, ...settings }));
+};
+
+// Averaged Hann-windowed magnitude spectrum (dB) of up to maxFrames evenly spaced frames
+const averageSpectrum = (x, fs, size = 4096, maxFrames = 32) => {
+  const frames = Math.max(1, Math.min(maxFrames, Math.floor(x.length / size)));
+  const hop = frames > 1 ? Math.floor((x.length - size) / (frames - 1)) : 0;
+  const power = new Float64Array(size / 2 + 1);
+  const win = Array.from({ length: size }, (_, n) => windows.hanning(n, size));
+  const wss = win.reduce((acc, v) => acc + v * v, 0);
+  for (let f = 0; f < frames; f++) {
+    const re = new Float64Array(size), im = new Float64Array(size);
+    for (let n = 0; n < size; n++) re[n] = (x[f * hop + n] || 0) * win[n];
+    fft(re, im);
+    for (let k = 0; k <= size / 2; k++) power[k] += (re[k] * re[k] + im[k] * im[k]) / (wss * frames);
+  }
+  return Array.from(power, (p, k) => ({ f: (k * fs) / size, db: 10 * log10(p + 1e-20) }));
+};
+
+// Run a signal through a realization: SOS cascade or the b/a difference equation
+const filterSignal = (tf, x) => (tf.sos ? sosfilt(tf.sos, x) : lfilter(tf.b, tf.a, x));
+
+// Realization of the active design at rate fs: digital designs run as designed, analog designs
+// are digitized (bilinear)
+const designTF = (analysisData, domain, fs) => (domain === 'digital_iir' ? { sos: analysisData.iir.sos }
+  : domain === 'digital_fir' ? { b: analysisData.coeffs, a: [1] }
+  : { sos: zpk2sos(bilinearZPK(analysisData.zpk, fs)) });
+
+// Peak envelope for plotting: the largest-magnitude sample in each of `points` buckets
+const envelope = (x, points = 600) => {
+  const stride = Math.max(1, Math.floor(x.length / points));
+  const out = [];
+  for (let i = 0; i < x.length; i += stride) {
+    let peak = 0;
+    for (let j = i; j < Math.min(i + stride, x.length); j++) if (Math.abs(x[j]) > Math.abs(peak)) peak = x[j];
+    out.push(peak);
+  }
+  return out;
+};
+
+// Largest value of each of `points` buckets of a dense spectrum, as chart rows
+// { f, [key]: db } merged over the given series (same frequency grid)
+const peakHold = (f, series, points = 800, fMin = 0) => {
+  const start = Math.max(0, f.findIndex(v => v >= fMin));
+  const stride = Math.max(1, Math.floor((f.length - start) / points));
+  const rows = [];
+  for (let i = start; i < f.length; i += stride) {
+    const row = { f: f[i] };
+    Object.entries(series).forEach(([key, db]) => {
+      let peak = -Infinity;
+      for (let j = i; j < Math.min(i + stride, f.length); j++) peak = Math.max(peak, db[j]);
+      row[key] = peak;
+    });
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Spectrogram colormap: t in [0, 1] from background slate through indigo, rose and amber to white
+const HEAT_STOPS = [[15, 23, 42], [67, 56, 202], [225, 29, 72], [245, 158, 11], [255, 255, 255]];
+const heatColor = (t) => {
+  const x = Math.min(1, Math.max(0, t)) * (HEAT_STOPS.length - 1);
+  const i = Math.min(HEAT_STOPS.length - 2, Math.floor(x)), u = x - i;
+  return HEAT_STOPS[i].map((c, k) => Math.round(c + (HEAT_STOPS[i + 1][k] - c) * u));
+};
+
+// --- KALMAN MODEL EDITOR ---
+
+// Matrices as editable text: rows separated by ';' or new lines, entries by spaces or commas
+const KALMAN_FIELDS = ['F', 'H', 'Q', 'R', 'x0', 'P0'];
+const formatMatrix = (A) => A.map(row => row.map(v => +v.toPrecision(6)).join(' ')).join('; ');
+const parseMatrix = (text) => {
+  const rows = text.split(/[;\n]/).map(row => row.trim()).filter(Boolean).map(row => row.split(/[\s,]+/).map(Number));
+  return rows.length && rows.every(row => row.every(Number.isFinite)) ? rows : null;
+};
+const kalmanTexts = (model) => Object.fromEntries(KALMAN_FIELDS.map(key => [key,
+  key === 'x0' ? formatMatrix([model.x0]) : model[key] ? formatMatrix(model[key]) : '']));
+
+// Preset labels when the edited model keeps the preset's dimensions, x1.. / z1.. otherwise
+const channelNames = (names, count, prefix) => (names.length === count ? names : Array.from({ length: count }, (_, i) => `${prefix}${i + 1}`));
+
+// --- STRUCTURE DIAGRAMS ---
+
+// Block diagram of a realization as drawing primitives (wire, sum, gain, delay, text, dot) on
+// a width x height canvas. Chains longer than three stages keep the first ones and the last,
+// with the skipped delays merged into one dashed z^-k block.
+const SUPERSCRIPT = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+const delayLabel = (k) => (k === 1 ? 'z⁻¹' : `z⁻${String(k).split('').map(d => SUPERSCRIPT[d]).join('')}`);
+const chainRows = (n) => (n <= 3 ? Array.from({ length: n + 1 }, (_, i) => i) : [0, 1, 2, n]);
+const DIAGRAM_ROW = 52;
+const SUM_R = 9;
+const GAIN_W = 17;
+const DELAY_H = 9;
+
+const structureDiagram = (r) => {
+  const el = [];
+  const wire = (pts, arrow = true) => el.push({ type: 'wire', pts, arrow });
+  const sum = (x, y) => el.push({ type: 'sum', x, y });
+  const gain = (x, y, label) => el.push({ type: 'gain', x, y, label });
+  const delay = (x, y, k = 1) => el.push({ type: 'delay', x, y, label: delayLabel(k), dashed: k > 1 });
+  const text = (x, y, label, anchor = 'middle') => el.push({ type: 'text', x, y, label, anchor });
+  const dot = (x, y) => el.push({ type: 'dot', x, y });
+  let note = null;
+
+  // Vertical delay line from row to row; rows are chainRows() indices
+  const delayChain = (x, rowY, rows) => rows.slice(1).forEach((row, j) => {
+    const y0 = rowY(j), y1 = rowY(j + 1), mid = (y0 + y1) / 2;
+    wire([[x, y0], [x, mid - DELAY_H]], false);
+    delay(x, mid, row - rows[j]);
+    wire([[x, mid + DELAY_H], [x, y1]], false);
+    dot(x, y1);
+  });
+  // Adder column fed from the side at the rows in `inputs` (row 0 is the main adder);
+  // each adder hands its sum up to the next one with an input
+  const adderColumn = (x, rowY, inputs) => {
+    const rows = [0, ...inputs.filter(j => j > 0)];
+    const last = rows[rows.length - 1];
+    rows.forEach((j, i) => {
+      if (j === last && j > 0) return;
+      sum(x, rowY(j));
+      const below = rows[i + 1];
+      if (below !== undefined) wire([[x, rowY(below) - (below === last ? 0 : SUM_R)], [x, rowY(j) + SUM_R]]);
+    });
+    // Side inputs end on the adder edge, or on the corner of the last row
+    return (j, fromLeft) => (j === last && j > 0 ? x : x + (fromLeft ? -SUM_R : SUM_R));
+  };
+  const omitted = (n) => (n > 3 ? `Orders 3 to ${n - 1} continue the same pattern.` : null);
+
+  // Direct forms: b and a taps around one or two delay lines
+  const directForm = (kind, b, a, ox, oy) => {
+    const nb = b.length - 1, na = a.length - 1;
+    const rowY = (j) => oy + j * DIAGRAM_ROW;
+    const y0 = rowY(0);
+    if (kind === 'df1') {
+      const rowsB = chainRows(nb), rowsA = chainRows(na);
+      const [xn, gb, sx, ga, yn] = [ox + 35, ox + 85, ox + 135, ox + 185, ox + 235];
+      const edge = adderColumn(sx, rowY, [...rowsB.keys(), ...(na > 0 ? [...rowsA.keys()] : [])]);
+      text(ox, y0 - 8, 'x(n)', 'start');
+      wire([[ox, y0], [gb - GAIN_W, y0]]);
+      gain(gb, y0, 'b0');
+      wire([[gb + GAIN_W, y0], [sx - SUM_R, y0]]);
+      wire([[sx + SUM_R, y0], [yn + 45, y0]]);
+      text(yn + 45, y0 - 8, 'y(n)', 'end');
+      if (nb > 0) { dot(xn, y0); delayChain(xn, rowY, rowsB); }
+      rowsB.slice(1).forEach((i, j) => {
+        wire([[xn, rowY(j + 1)], [gb - GAIN_W, rowY(j + 1)]]);
+        gain(gb, rowY(j + 1), `b${i}`);
+        wire([[gb + GAIN_W, rowY(j + 1)], [edge(j + 1, true), rowY(j + 1)]], edge(j + 1, true) !== sx);
+      });
+      if (na > 0) { dot(yn, y0); delayChain(yn, rowY, rowsA); }
+      rowsA.slice(1).forEach((i, j) => {
+        wire([[yn, rowY(j + 1)], [ga + GAIN_W, rowY(j + 1)]]);
+        gain(ga, rowY(j + 1), `−a${i}`);
+        wire([[ga - GAIN_W, rowY(j + 1)], [edge(j + 1, false), rowY(j + 1)]], edge(j + 1, false) !== sx);
+      });
+      note = omitted(Math.max(nb, na));
+      return { width: yn + 55 - ox, height: rowY(Math.max(rowsB.length, rowsA.length) - 1) + 20 };
+    }
+    const n = Math.max(nb, na);
+    const rows = chainRows(n);
+    const hasB = [...rows.keys()].filter(j => rows[j] <= nb);
+    const hasA = [...rows.keys()].filter(j => j > 0 && rows[j] <= na);
+    if (kind === 'df2') {
+      const [sl, ga, wn, gb, sr] = [ox + 35, ox + 85, ox + 135, ox + 185, ox + 235];
+      const edgeL = adderColumn(sl, rowY, hasA);
+      const edgeR = adderColumn(sr, rowY, hasB);
+      text(ox, y0 - 8, 'x(n)', 'start');
+      wire([[ox, y0], [sl - SUM_R, y0]]);
+      wire([[sl + SUM_R, y0], [gb - GAIN_W, y0]]);
+      text(wn, y0 - 8, 'w(n)');
+      gain(gb, y0, 'b0');
+      wire([[gb + GAIN_W, y0], [sr - SUM_R, y0]]);
+      wire([[sr + SUM_R, y0], [sr + 45, y0]]);
+      text(sr + 45, y0 - 8, 'y(n)', 'end');
+      if (n > 0) { dot(wn, y0); delayChain(wn, rowY, rows); }
+      hasA.forEach(j => {
+        wire([[wn, rowY(j)], [ga + GAIN_W, rowY(j)]]);
+        gain(ga, rowY(j), `−a${rows[j]}`);
+        wire([[ga - GAIN_W, rowY(j)], [edgeL(j, false), rowY(j)]], edgeL(j, false) !== sl);
+      });
+      hasB.filter(j => j > 0).forEach(j => {
+        wire([[wn, rowY(j)], [gb - GAIN_W, rowY(j)]]);
+        gain(gb, rowY(j), `b${rows[j]}`);
+        wire([[gb + GAIN_W, rowY(j)], [edgeR(j, true), rowY(j)]], edgeR(j, true) !== sr);
+      });
+      note = omitted(n);
+      return { width: sr + 55 - ox, height: rowY(rows.length - 1) + 20 };
+    }
+    // Transposed DF-II: one adder per row, the delays sit between the adders
+    const [xb, gb, sx, ga, yb] = [ox + 25, ox + 75, ox + 135, ox + 195, ox + 245];
+    text(ox, y0 - 8, 'x(n)', 'start');
+    wire([[ox, y0], [gb - GAIN_W, y0]]);
+    gain(gb, y0, 'b0');
+    wire([[gb + GAIN_W, y0], [sx - SUM_R, y0]]);
+    sum(sx, y0);
+    wire([[sx + SUM_R, y0], [yb + 40, y0]]);
+    text(yb + 40, y0 - 8, 'y(n)', 'end');
+    if (n > 0) {
+      dot(xb, y0); dot(yb, y0);
+      wire([[xb, y0], [xb, rowY(rows.length - 1)]], false);
+      wire([[yb, y0], [yb, rowY(rows.length - 1)]], false);
+      rows.slice(1, -1).forEach((i, j) => { if (i <= nb) dot(xb, rowY(j + 1)); if (i <= na) dot(yb, rowY(j + 1)); });
+    }
+    rows.slice(1).forEach((i, k) => {
+      const j = k + 1, y = rowY(j), mid = (rowY(j - 1) + y) / 2;
+      const last = j === rows.length - 1;
+      if (!last) sum(sx, y);
+      wire([[sx, y - (last ? 0 : SUM_R)], [sx, mid + DELAY_H]], false);
+      delay(sx, mid, i - rows[j - 1]);
+      wire([[sx, mid - DELAY_H], [sx, rowY(j - 1) + SUM_R]]);
+      const into = (side) => (last ? sx : sx + side * SUM_R);
+      if (i <= nb) {
+        wire([[xb, y], [gb - GAIN_W, y]]);
+        gain(gb, y, `b${i}`);
+        wire([[gb + GAIN_W, y], [into(-1), y]], !last);
+      }
+      if (i <= na) {
+        wire([[yb, y], [ga + GAIN_W, y]]);
+        gain(ga, y, `−a${i}`);
+        wire([[ga - GAIN_W, y], [into(1), y]], !last);
+      }
+    });
+    note = omitted(n);
+    return { width: yb + 50 - ox, height: rowY(rows.length - 1) + 20 };
+  };
+
+  // Sections as boxes in a chain (cascade) or side by side between a split and an adder (parallel),
+  // with one second-order section drawn out below
+  const sectionBoxes = (labels, parallel) => {
+    const shown = labels.length <= 4 ? labels : [...labels.slice(0, 3), '⋯', labels[labels.length - 1]];
+    if (!parallel) {
+      text(0, 22, 'x(n)', 'start');
+      let x = 30;
+      wire([[0, 30], [x, 30]]);
+      shown.forEach((label, i) => {
+        if (label === '⋯') text(x + 15, 34, '⋯'); else el.push({ type: 'box', x: x + 30, y: 30, label });
+        const next = x + 60 + (label === '⋯' ? -30 : 0);
+        if (i < shown.length - 1) wire([[next, 30], [next + 20, 30]], label !== '⋯');
+        x = next + 20;
+      });
+      wire([[x - 20, 30], [x + 10, 30]]);
+      text(x + 10, 22, 'y(n)', 'end');
+      return { width: x + 15, top: 70 };
+    }
+    const rowY = (j) => 30 + j * 40;
+    const rows = shown.map((label, j) => ({ label, y: rowY(j) }));
+    text(0, 22, 'x(n)', 'start');
+    wire([[0, 30], [40, 30]], false);
+    wire([[40, 30], [40, rowY(shown.length - 1)]], false);
+    const sx = 190;
+    rows.forEach(({ label, y }, j) => {
+      if (label === '⋯') { text(115, y + 4, '⋮'); return; }
+      dot(40, y);
+      el.push({ type: 'box', x: 115, y, label });
+      wire([[40, y], [85, y]]);
+      if (j === 0) wire([[145, y], [sx - SUM_R, y]]);
+      else {
+        const last = j === rows.length - 1;
+        wire([[145, y], [last ? sx : sx - SUM_R, y]], !last);
+        if (!last) sum(sx, y);
+      }
+    });
+    sum(sx, rowY(0));
+    rows.slice(1).filter(({ label }) => label !== '⋯').forEach(({ y }, k, list) => {
+      const prev = k === 0 ? rowY(0) : list[k - 1].y;
+      wire([[sx, y - (k === list.length - 1 ? 0 : SUM_R)], [sx, prev + SUM_R]]);
+    });
+    wire([[sx + SUM_R, rowY(0)], [sx + 45, rowY(0)]]);
+    text(sx + 45, 22, 'y(n)', 'end');
+    return { width: sx + 50, top: rowY(shown.length - 1) + 40 };
+  };
+  const sectionDetail = (top, count) => {
+    text(0, top, `Each of the ${count} sections (transposed DF-II):`, 'start');
+    return directForm('tdf2', [0, 0, 0], [1, 0, 0], 0, top + 30);
+  };
+
+  switch (r.structure) {
+    case 'df1':
+    case 'df2':
+    case 'tdf2':
+      return { ...directForm(r.structure, r.b, r.a, 0, 30), elements: el, note };
+    case 'sos':
+    case 'parallel': {
+      const sections = r.structure === 'sos' ? r.sos : r.sections;
+      const labels = sections.map((s, i) => `H${i + 1}(z)`);
+      if (r.structure === 'parallel') labels.unshift(r.direct.length > 1 ? 'FIR part' : 'c0');
+      const boxes = sectionBoxes(labels, r.structure === 'parallel');
+      if (!sections.length) return { width: boxes.width, height: boxes.top, elements: el, note };
+      const detail = sectionDetail(boxes.top, sections.length);
+      return { width: Math.max(boxes.width, detail.width), height: detail.height, elements: el, note };
+    }
+    default: {
+      const M = r.K.length - 1;
+      const shown = M <= 3 ? Array.from({ length: M }, (_, i) => i + 1) : [1, 2, null, M]; // null: skipped stages
+      const [yT, yB, yL] = [30, 100, 165];
+      const SW = 110;
+      const xAt = (s) => 40 + s * SW;
+      if (!r.v) {
+        // All-zero lattice, input on the left splitting into f0 = g0
+        text(0, yT - 8, 'x(n)', 'start');
+        wire([[0, yT], [xAt(0), yT]], false);
+        dot(20, yT);
+        wire([[20, yT], [20, yB], [xAt(0), yB]], false);
+        shown.forEach((m, s) => {
+          const X = xAt(s);
+          if (m === null) { text(X + SW / 2, (yT + yB) / 2, '⋯'); wire([[X, yT], [X + SW, yT]], false); wire([[X, yB], [X + SW, yB]], false); return; }
+          wire([[X, yT], [X + 90 - SUM_R, yT]]);
+          dot(X + 50, yT);
+          wire([[X, yB], [X + 25 - 14, yB]], false);
+          delay(X + 25, yB);
+          wire([[X + 25 + 14, yB], [X + 90 - SUM_R, yB]]);
+          dot(X + 50, yB);
+          sum(X + 90, yT); sum(X + 90, yB);
+          wire([[X + 50, yT], [X + 90 - SUM_R * 0.7, yB - SUM_R * 0.7]]);
+          wire([[X + 50, yB], [X + 90 - SUM_R * 0.7, yT + SUM_R * 0.7]]);
+          text(X + 45, yT + 26, `K${m}`, 'end');
+          text(X + 45, yB - 18, `K${m}`, 'end');
+          wire([[X + 90 + SUM_R, yT], [X + SW, yT]], false);
+          if (m < M) wire([[X + 90 + SUM_R, yB], [X + SW, yB]], false);
         });
-      } else {
-        // Butterworth: Circle
-        poles.push({ x: Math.cos(angle), y: Math.sin(angle) });
+        const end = xAt(shown.length);
+        wire([[end, yT], [end + 20 - GAIN_W + 20, yT]]);
+        gain(end + 40, yT, 'g');
+        wire([[end + 40 + GAIN_W, yT], [end + 90, yT]]);
+        text(end + 90, yT - 8, 'y(n)', 'end');
+        note = M > 3 ? `Stages 3 to ${M - 1} repeat the same cell.` : null;
+        return { width: end + 95, height: yB + 25, elements: el, note };
       }
-    } else {
-      // Z-Plane: Inside Unit Circle
-      // Map s-plane to z-plane via bilinear transform approx s = (z-1)/(z+1)
-      // Or just place them geometrically for visualization
-      const r = topo === 'butterworth' ? 0.7 : 0.85; 
-      poles.push({
-        x: r * Math.cos(angle),
-        y: r * Math.sin(angle)
+      // Lattice-ladder: stages M..1 left to right; f runs right on top, g runs left below,
+      // and the ladder taps v_m g_m are summed onto the bus underneath
+      text(0, yT - 8, 'x(n)', 'start');
+      wire([[0, yT], [xAt(0), yT]], false);
+      const tap = (x, m, corner) => {
+        dot(x, yB);
+        wire([[x, yB], [x, yL - 40 - 8]]);
+        gain(x, yL - 40, `v${m}`);
+        wire([[x, yL - 40 + 8], [x, yL - (corner ? 0 : SUM_R)]], !corner);
+        if (!corner) sum(x, yL);
+      };
+      const stages = shown.map(s => (s === null ? null : M + 1 - s)); // stage m = M..1
+      stages.forEach((m, s) => {
+        const X = xAt(s);
+        if (m === null) { text(X + SW / 2, (yT + yB) / 2, '⋯'); wire([[X, yT], [X + SW, yT]], false); wire([[X + SW, yB], [X, yB]], false); return; }
+        sum(X + 30, yT); sum(X + 30, yB);
+        wire([[X, yT], [X + 30 - SUM_R, yT]]);
+        wire([[X + 30 + SUM_R, yT], [X + SW, yT]], false);
+        dot(X + 75, yT);
+        wire([[X + SW, yB], [X + 95 + 14, yB]], false);
+        delay(X + 95, yB);
+        wire([[X + 95 - 14, yB], [X + 30 + SUM_R, yB]]);
+        dot(X + 75, yB);
+        wire([[X + 75, yT], [X + 30 + SUM_R * 0.7, yB - SUM_R * 0.7]]);
+        wire([[X + 75, yB], [X + 30 + SUM_R * 0.7, yT + SUM_R * 0.7]]);
+        text(X + 66, yT + 26, `K${m}`, 'start');
+        text(X + 66, yB - 18, `−K${m}`, 'start');
+        wire([[X + 30 - SUM_R, yB], [X, yB]], false);
+        tap(X + 12, m, false);
       });
+      const end = xAt(stages.length);
+      wire([[end, yT], [end + 25, yT], [end + 25, yB], [end, yB]], false);
+      tap(end + 25, 0, true);
+      // Bus runs right to left into y(n)
+      const taps = [...stages.map((m, s) => (m === null ? null : xAt(s) + 12)).filter(x => x !== null), end + 25];
+      taps.slice(1).forEach((x, i) => wire([[x - (i === taps.length - 2 ? 0 : SUM_R), yL], [taps[i] + SUM_R, yL]]));
+      wire([[taps[0] - SUM_R, yL], [0, yL]]);
+      text(0, yL + 18, 'y(n)', 'start');
+      note = M > 3 ? `Stages ${M - 2} to 2 repeat the same cell.` : null;
+      return { width: end + 40, height: yL + 25, elements: el, note };
     }
   }
+};
+
+// --- DESIGN LIBRARY ---
+
+// Every parameter that defines a design; a snapshot of these is what the library stores
+const DESIGN_KEYS = [
+  'domain', 'filterType', 'topology', 'windowType', 'firMethod', 'windowParams',
+  'cutoff', 'bandLow', 'bandHigh', 'notchWidth', 'order', 'ripple', 'stopbandAtten', 'sampleRate', 'taps',
+  'remezBands', 'remezAntisymmetric', 'firSpecMode', 'firAtten', 'firTransition', 'iirSpecMode', 'iirSpecs',
+  'pzEditMode', 'customPZ', 'pzGainMode', 'specMask',
+];
+
+// Frequency & time domain analysis of a design snapshot (live design and saved designs alike)
+const analyzeDesign = (params) => {
+  const {
+    domain, filterType, topology, windowType, firMethod, windowParams, cutoff, bandLow, bandHigh, notchWidth,
+    order, ripple, stopbandAtten, sampleRate, taps, remezBands, remezAntisymmetric, firSpecMode, firAtten,
+    firTransition, iirSpecMode, iirSpecs, pzEditMode, customPZ, pzGainMode,
+  } = params;
+  const isRemez = domain === 'digital_fir' && firMethod === 'remez';
+  const isFirSpec = domain === 'digital_fir' && firMethod === 'window' && firSpecMode;
+  const specType = filterType === 'notch' ? 'bandstop' : filterType;
+  const isIirSpec = domain !== 'digital_fir' && iirSpecMode && topology !== 'bessel';
+
+  const freqData = [];
+  const impulseData = [];
+  const stepData = [];
+  const numPoints = 128;
   
-  // FIR Zeros spread around unit circle
+  // 1. Calculate Coefficients / Impulse Response (h[n])
+  let h = [];
+  let edges = bandEdges(filterType, cutoff, bandLow, bandHigh, notchWidth);
+  let designOrder = order, designRipple = ripple, designAtten = stopbandAtten;
+  let iirSpec = null; // Minimum-order estimate + margins against the spec
+  if (isIirSpec) {
+    const spec = iirSpecs[specType];
+    iirSpec = iirOrder(topology, specType, spec, domain === 'analog', sampleRate);
+    if (!iirSpec.error) {
+      iirSpec.capped = iirSpec.order > MAX_SPEC_ORDER;
+      designOrder = Math.min(iirSpec.order, MAX_SPEC_ORDER);
+      edges = iirSpec.wn;
+      designRipple = spec.ap;
+      designAtten = spec.as;
+    }
+  }
+  let zpk = null;
+  let iir = null; // Digital IIR design: zpk + b/a + sos
+  let remez = null; // Parks-McClellan design + per-band report
+  let kaiserSpec = null; // { taps, beta } estimated from the attenuation/transition spec
+  if (isRemez) {
+    remez = designRemez(taps, remezBands, sampleRate, remezAntisymmetric);
+    h = remez ? remez.h : new Array(taps).fill(0);
+    if (remez) remez.report = remezReport(h, remezBands, sampleRate);
+  } else if (isFirSpec) {
+    kaiserSpec = kaiserord(firAtten, firTransition, sampleRate);
+    // Responses that pass Nyquist need an odd (type I) length
+    if (filterType !== 'lowpass' && filterType !== 'bandpass' && kaiserSpec.taps % 2 === 0) kaiserSpec.taps += 1;
+    h = designFIR(kaiserSpec.taps, edges, sampleRate, 'kaiser', filterType, kaiserSpec.beta);
+  } else if (domain === 'digital_fir') {
+    h = designFIR(taps, edges, sampleRate, windowType, filterType, windowParams[windowType]);
+  } else if (domain === 'digital_iir') {
+    iir = designIIR(topology, designOrder, filterType, edges, sampleRate, designRipple, designAtten);
+    zpk = iir;
+    const delta = Array.from({ length: 64 }, (_, i) => (i === 0 ? 1 : 0));
+    h = sosfilt(iir.sos, delta);
+  } else {
+    zpk = designAnalog(topology, designOrder, filterType, edges.map(f => 2 * PI * f), designRipple, designAtten);
+  }
+
+  // Pole-zero editor: edited roots replace the design (zeros only for FIR).
+  // Analog roots are edited in units of the band center wc.
+  const design = { h, zpk };
+  const wc = 2 * PI * Math.sqrt(edges[0] * edges[edges.length - 1]);
+  const pzEdited = pzEditMode && customPZ && customPZ.domain === domain;
+  if (pzEdited) {
+    const scale = domain === 'analog' ? wc : 1;
+    const z = expandRoots(customPZ.zeros).map(r => cScale(r, scale));
+    if (domain === 'digital_fir') {
+      // h[n] = k prod(1 - z_i z^-1); the FIR poles all sit at the origin
+      const k = normalizedGain({ z, p: z.map(() => complex(0, 0)), k: 1 }, false, pzGainMode);
+      h = polyFromRoots(z).map(c => c * k);
+    } else {
+      zpk = { z, p: expandRoots(customPZ.poles).map(r => cScale(r, scale)), k: 1 };
+      zpk.k = normalizedGain(zpk, domain === 'analog', pzGainMode, wc);
+      if (domain === 'digital_iir') {
+        iir = { ...zpk, ...zpk2tf(zpk), sos: zpk2sos(zpk) };
+        h = sosfilt(iir.sos, Array.from({ length: 64 }, (_, i) => (i === 0 ? 1 : 0)));
+      }
+    }
+  }
+  // Analog impulse response sampled at the design rate (T h(nT))
+  if (domain === 'analog') h = analogImpulse(zpk, 1 / sampleRate, 64) || new Array(64).fill(0);
+
+  // 2. Frequency Domain (log grid for the Bode plots)
+  const maxFreq = domain === 'analog' ? Math.max(...edges) * 10 : sampleRate / 2;
+  const minFreq = 10;
+  const grid = Array.from({ length: numPoints }, (_, i) => minFreq * Math.pow(maxFreq / minFreq, i / (numPoints - 1)));
+  const rawPhase = [];
+  const delays = [];
+
+  grid.forEach(f => {
+    // Normalized frequency (rad/sample); analog responses are evaluated at 2 pi f rad/s
+    const w = 2 * PI * f / sampleRate;
+    let H;
+    let groupDelay; // samples at the design rate
+
+    if (domain === 'digital_fir') {
+      // DFT for FIR
+      let re = 0, im = 0;
+      for (let n = 0; n < h.length; n++) {
+        re += h[n] * Math.cos(n * w);
+        im -= h[n] * Math.sin(n * w);
+      }
+      H = complex(re, im);
+      groupDelay = firGroupDelay(h, w);
+    } else {
+      // Analog H(s) on the jw axis, digital IIR cascade on the unit circle; delay from the roots
+      H = domain === 'analog' ? freqsZPK(zpk, 2 * PI * f) : freqzSOS(iir.sos, w);
+      groupDelay = domain === 'analog'
+        ? groupDelayZPK(zpk, 2 * PI * f, true) * sampleRate
+        : groupDelayZPK(zpk, w, false);
+    }
+
+    freqData.push({ f: Math.round(f), mag: Math.max(-120, 20 * log10(cMag(H) + 1e-9)), groupDelay });
+    rawPhase.push(cArg(H));
+    delays.push(groupDelay);
+  });
+
+  // Unwrap the phase, anchored at the lowest frequency by the root angles (FIR: principal value)
+  if (zpk) {
+    const anchor = zpkPhase(zpk, domain === 'analog' ? 2 * PI * grid[0] : 2 * PI * grid[0] / sampleRate, domain === 'analog');
+    rawPhase[0] += 2 * PI * Math.round((anchor - rawPhase[0]) / (2 * PI));
+  }
+  const increments = grid.map((f, i) => (i === 0 ? 0 : -PI * (delays[i - 1] + delays[i]) * (f - grid[i - 1]) / sampleRate));
+  unwrapPhase(rawPhase, increments).forEach((ph, i) => {
+    freqData[i].phase = toDeg(ph);
+    // Phase delay -phi / w in samples
+    freqData[i].phaseDelay = -ph / (2 * PI * grid[i] / sampleRate);
+  });
+
+  // 3. Time Domain (Impulse & Step)
+  let stepAccumulator = 0;
+  for(let i=0; i<Math.min(h.length, 60); i++) {
+     stepAccumulator += h[i];
+     impulseData.push({ n: i, val: h[i] });
+     stepData.push({ n: i, val: stepAccumulator });
+  }
+
+  // 4. Margins of the minimum-order design against its spec
+  if (iirSpec && !iirSpec.error) {
+    const responseDB = (f) => 20 * log10(cMag(domain === 'analog'
+      ? freqsZPK(zpk, 2 * PI * f)
+      : freqzSOS(iir.sos, 2 * PI * f / sampleRate)) + 1e-12);
+    const fMax = domain === 'analog' ? 100 * Math.max(...edges) : 0.4999 * sampleRate;
+    iirSpec.margins = specMargins(specType, iirSpecs[specType], responseDB, fMax);
+  }
+
+  return {
+    freqData, impulseData, stepData, coeffs: h, zpk, iir, remez, kaiserSpec, iirSpec, edges,
+    order: designOrder, rp: designRipple, rs: designAtten, design, wc, pzEdited,
+  };
+};
+
+// Magnitude (dB) and group delay (samples) of an analyzed design at f Hz
+const designResponse = (analysis, { domain, sampleRate }) => {
+  const { coeffs: h, zpk, iir } = analysis;
   if (domain === 'digital_fir') {
-    for(let i=0; i<n; i++) zeros.push({ 
-       x: Math.cos(2*PI*i/n), 
-       y: Math.sin(2*PI*i/n) 
+    return (f) => {
+      const w = 2 * PI * f / sampleRate;
+      let re = 0, im = 0;
+      for (let n = 0; n < h.length; n++) {
+        re += h[n] * Math.cos(n * w);
+        im -= h[n] * Math.sin(n * w);
+      }
+      return { db: 10 * log10(re * re + im * im + 1e-24), delay: firGroupDelay(h, w) };
+    };
+  }
+  if (domain === 'analog') {
+    return (f) => ({
+      db: 20 * log10(cMag(freqsZPK(zpk, 2 * PI * f)) + 1e-12),
+      delay: groupDelayZPK(zpk, 2 * PI * f, true) * sampleRate,
     });
   }
+  return (f) => ({
+    db: 20 * log10(cMag(freqzSOS(iir.sos, 2 * PI * f / sampleRate)) + 1e-12),
+    delay: groupDelayZPK(zpk, 2 * PI * f / sampleRate, false),
+  });
+};
+
+// Passband and stopband frequency ranges ([lo, hi] in Hz) of an analyzed design. Stopbands
+// start one octave past the edges (bandstop: the middle log-half; notch: the center only);
+// Parks-McClellan designs use their own bands.
+const responseBands = (analysis, { domain, filterType, sampleRate, firMethod, remezBands }) => {
+  const [e0, e1 = e0] = analysis.edges;
+  const fMin = e0 / 100;
+  const fMax = domain === 'analog' ? 100 * e1 : 0.4999 * sampleRate;
+  if (domain === 'digital_fir' && firMethod === 'remez') {
+    const clip = (b) => [Math.max(b.start, fMin), Math.min(b.end, fMax)];
+    return {
+      pass: remezBands.filter(b => b.gain > 0).map(clip),
+      stop: remezBands.filter(b => b.gain === 0).map(clip),
+    };
+  }
+  const center = Math.sqrt(e0 * e1), quarter = Math.pow(e1 / e0, 0.25);
+  return {
+    lowpass: { pass: [[fMin, e0]], stop: [[2 * e0, fMax]] },
+    highpass: { pass: [[e0, fMax]], stop: [[fMin, e0 / 2]] },
+    bandpass: { pass: [[e0, e1]], stop: [[fMin, e0 / 2], [2 * e1, fMax]] },
+    bandstop: { pass: [[fMin, e0], [e1, fMax]], stop: [[e0 * quarter, e1 / quarter]] },
+    notch: { pass: [[fMin, e0], [e1, fMax]], stop: [[center, center]] },
+  }[filterType];
+};
+
+// Key comparison metrics: order, passband ripple, stopband attenuation (relative to the
+// passband peak), mean passband delay and its max - min variation, and per-sample operation count
+const responseMetrics = (analysis, params) => {
+  const { domain, sampleRate } = params;
+  const { coeffs: h, zpk, iir } = analysis;
+  const response = designResponse(analysis, params);
+  const sweep = ([lo, hi], points = 256) => (lo < hi
+    ? Array.from({ length: points + 1 }, (_, i) => response(lo * Math.pow(hi / lo, i / points)))
+    : lo === hi ? [response(lo)] : []);
+  const bands = responseBands(analysis, params);
+  const pass = bands.pass.flatMap(range => sweep(range));
+  const stop = bands.stop.flatMap(range => sweep(range));
+  const passDB = pass.map(r => r.db);
+  const peak = passDB.length ? Math.max(...passDB) : 0;
+  const passDelay = pass.map(r => r.delay);
+  const delay = passDelay.reduce((acc, d) => acc + d, 0) / Math.max(1, pass.length);
+  const delayVariation = pass.length ? Math.max(...passDelay) - Math.min(...passDelay) : null;
+  const sections = iir ? iir.sos.length : 0;
+  return {
+    order: domain === 'digital_fir' ? h.length - 1 : zpk.p.length,
+    ripple: passDB.length ? peak - Math.min(...passDB) : null,
+    atten: stop.length ? peak - Math.max(...stop.map(r => r.db)) : null,
+    delay,
+    delayMs: (1000 * delay) / sampleRate,
+    delayVariation,
+    delayVariationSec: delayVariation === null ? null : delayVariation / sampleRate,
+    mults: domain === 'digital_fir' ? h.length : domain === 'digital_iir' ? 5 * sections : null,
+    adds: domain === 'digital_fir' ? h.length - 1 : domain === 'digital_iir' ? 4 * sections : null,
+  };
+};
+
+const NO_SPEC_MASK = { enabled: false, regions: [] };
+
+// Specification mask: regions { kind: 'mag' | 'delay', lo, hi, min, max } with Hz ranges and
+// dB or sample limits (null = unbounded). A region's margin is the worst distance inside its
+// limits over a dense log sweep, negative where the response violates them (designs made to the
+// same spec touch the limits, hence the small tolerance).
+const MASK_TOLERANCE = 1e-3;
+const checkSpecMask = (analysis, params, regions) => {
+  const response = designResponse(analysis, params);
+  const nyquist = params.domain === 'analog' ? Infinity : params.sampleRate / 2;
+  const results = regions.map(region => {
+    const hi = Math.min(Math.max(region.lo, region.hi), nyquist), lo = Math.min(region.lo, region.hi, hi);
+    const key = region.kind === 'mag' ? 'db' : 'delay';
+    let margin = Infinity, worstF = lo;
+    for (let i = 0; i <= 256; i++) {
+      const f = lo * Math.pow(hi / lo, i / 256);
+      const v = response(f)[key];
+      const m = Math.min(region.min === null ? Infinity : v - region.min, region.max === null ? Infinity : region.max - v);
+      if (m < margin) { margin = m; worstF = f; }
+    }
+    return { ...region, margin, worstF, pass: margin >= -MASK_TOLERANCE };
+  });
+  return { regions: results, pass: results.every(r => r.pass) };
+};
+
+// Starting mask from the design: passbands within the ripple (0.5 dB above), stopbands
+// below the attenuation target
+const defaultSpecMask = (analysis, params) => {
+  const { domain, filterType, topology, firMethod, firSpecMode, firAtten, iirSpecMode, iirSpecs } = params;
+  const spec = iirSpecs[filterType === 'notch' ? 'bandstop' : filterType];
+  const isIirSpec = domain !== 'digital_fir' && iirSpecMode && topology !== 'bessel';
+  const passLoss = domain === 'digital_fir' ? 1
+    : isIirSpec ? spec.ap
+      : topology === 'butterworth' || topology === 'bessel' ? 3.01 : params.ripple;
+  const atten = domain === 'digital_fir' ? (firMethod === 'window' && firSpecMode ? firAtten : 40)
+    : isIirSpec ? spec.as : params.stopbandAtten;
+  const round = (f) => Number(f.toPrecision(3));
+  const bands = responseBands(analysis, params);
+  const region = ([lo, hi], min, max) => ({ kind: 'mag', lo: round(lo), hi: round(hi), min, max });
+  return [
+    ...bands.pass.filter(([lo, hi]) => lo < hi).map(range => region(range, -passLoss, 0.5)),
+    ...bands.stop.filter(([lo, hi]) => lo <= hi).map(range => region(range, null, -atten)),
+  ];
+};
+
+// Flag plotted points that break a mask region (magFail / delayFail hold the offending value)
+const flagSpecMask = (data, regions) => data.map(pt => {
+  const fails = (kind, v) => regions.some(r => r.kind === kind
+    && pt.f >= Math.min(r.lo, r.hi) && pt.f <= Math.max(r.lo, r.hi)
+    && ((r.min !== null && v < r.min) || (r.max !== null && v > r.max)));
+  return { ...pt, magFail: fails('mag', pt.mag) ? pt.mag : null, delayFail: fails('delay', pt.groupDelay) ? pt.groupDelay : null };
+});
+
+// Duration with a readable unit
+const formatSeconds = (t) => {
+  const a = Math.abs(t);
+  if (a >= 1) return `${t.toFixed(3)} s`;
+  if (a >= 1e-3) return `${(t * 1e3).toFixed(3)} ms`;
+  return `${(t * 1e6).toFixed(2)} µs`;
+};
+
+// Frequency labels for the response plots: 12.5 Hz, 3.2 kHz
+const formatHz = (f) => (f >= 1000 ? `${+(f / 1000).toPrecision(4)} kHz` : `${+f.toPrecision(4)} Hz`);
+const formatHzTick = (f) => (f >= 1000 ? `${+(f / 1000).toPrecision(3)}k` : +f.toPrecision(3));
+
+// Frequency range of the Bode and delay plots: from 10 Hz (log) or DC (linear) to Nyquist,
+// or a decade past the highest edge for analog designs
+const responseRange = (analysis, { domain, sampleRate }, spacing) => [
+  spacing === 'log' ? 10 : 0,
+  domain === 'analog' ? Math.max(...analysis.edges) * 10 : sampleRate / 2,
+];
+
+// Plot range after zooming by `factor` (< 1 zooms in) about the center and panning by `shift`
+// widths, in log or linear frequency, kept inside `full`
+const zoomRange = ([lo, hi], [fullLo, fullHi], { factor = 1, shift = 0, log }) => {
+  const to = log ? Math.log : (v) => v, from = log ? Math.exp : (v) => v;
+  const a = to(lo), b = to(hi), A = to(fullLo), B = to(fullHi);
+  const width = Math.min(B - A, (b - a) * factor);
+  const center = Math.min(B - width / 2, Math.max(A + width / 2, (a + b) / 2 + shift * (b - a)));
+  return [from(center - width / 2), from(center + width / 2)];
+};
+
+// Component value with an engineering prefix, e.g. 4.7 nF
+const ENG_PREFIXES = [[1e9, 'G'], [1e6, 'M'], [1e3, 'k'], [1, ''], [1e-3, 'm'], [1e-6, 'µ'], [1e-9, 'n'], [1e-12, 'p']];
+const formatEng = (v, unit, digits = 3) => {
+  const [scale, prefix] = ENG_PREFIXES.find(([sc]) => Math.abs(v) >= sc * 0.9995) || ENG_PREFIXES[ENG_PREFIXES.length - 1];
+  return `${Number((v / scale).toPrecision(digits))} ${prefix}${unit}`;
+};
+
+// Saved designs persist in localStorage as [{ id, name, savedAt, params }]
+const LIBRARY_KEY = 'filterlab.designs.v1';
+
+const loadLibrary = () => {
+  try {
+    const list = JSON.parse(localStorage.getItem(LIBRARY_KEY) || '[]');
+    return Array.isArray(list) ? list.filter(d => d && d.id && d.params) : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+const saveLibrary = (designs) => {
+  try {
+    localStorage.setItem(LIBRARY_KEY, JSON.stringify(designs));
+  } catch (err) {
+    // Storage unavailable or full: the library still works for this session
+  }
+};
+
+const snapshotDesign = (params) => Object.fromEntries(DESIGN_KEYS.map(key => [key, params[key]]));
+
+// One-line description of a saved snapshot for the library list
+const designSummary = (p) => {
+  const domain = { analog: 'Analog', digital_iir: 'IIR', digital_fir: 'FIR' }[p.domain];
+  const method = p.domain !== 'digital_fir' ? p.topology : p.firMethod === 'remez' ? 'remez' : p.firSpecMode ? 'kaiser' : p.windowType;
+  const fromSpec = p.domain === 'digital_fir' ? method === 'kaiser' : p.iirSpecMode && p.topology !== 'bessel';
+  const size = fromSpec ? 'from spec' : p.domain === 'digital_fir' ? `${p.taps} taps` : `order ${p.order}`;
+  const rate = p.domain === 'analog' ? '' : ` · ${p.sampleRate / 1000} kHz`;
+  return `${domain} ${method} ${p.filterType} · ${size}${rate}${p.pzEditMode && p.customPZ ? ' · edited roots' : ''}`;
+};
+
+const libraryId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Overlay colors for compared designs
+const COMPARE_COLORS = ['#0ea5e9', '#f43f5e', '#10b981', '#f59e0b', '#a78bfa', '#ec4899', '#14b8a6', '#eab308'];
+
+// Window spectra and the comparison table are evaluated at no more than this length; the metrics
+// are in DFT bins, so longer (spec-mode Kaiser) filters change them only marginally
+const WINDOW_ANALYSIS_TAPS = 255;
+
+// Live adaptive stream: samples kept on screen and taps drawn as weight trajectories
+const STREAM_WINDOW = 400;
+const STREAM_TAPS = 16;
+const STREAM_PUBLISH_MS = 50; // the running stream re-renders at most ~20 times a second
+
+// --- PROJECT FILES ---
+
+// Project files and share links carry the design snapshot plus the adaptive settings:
+// { format: 'filterlab-project', version, design: {...}, adaptive: {...} }
+const PROJECT_FORMAT = 'filterlab-project';
+const PROJECT_VERSION = 1;
+
+const ADAPTIVE_KEYS = [
+  'adaptiveAlgo', 'mu', 'filterLength', 'leakage', 'forgetting', 'rlsDelta', 'apaOrder', 'epsilon',
+  'kalmanQ', 'kalmanR', 'scenario', 'plant', 'noiseLevel', 'mcTrials', 'mcSamples', 'mcSeed',
+];
+
+// Ranges shared by the design controls and the project validator, so a loaded project can never
+// ask for more work than the controls allow (bands and roots are list lengths)
+const DESIGN_LIMITS = {
+  taps: { min: 5, max: 127 },
+  order: { min: 1, max: 10 },
+  sampleRate: { min: 1000, max: 384000 },
+  remezBands: { max: 8 },
+  pzRoots: { max: 256 },
+};
+
+// Integer ranges shared by the adaptive sliders and the project validator, so a loaded project
+// can never ask for more work than the controls allow
+const ADAPTIVE_LIMITS = {
+  filterLength: { min: 1, max: 64 },
+  apaOrder: { min: 1, max: 16 },
+  mcTrials: { min: 1, max: 200 },
+  mcSamples: { min: 100, max: 5000 },
+};
+
+// Field validators take (value, path) and return an error message naming the path, or null
+const expect = (ok, path, what) => (ok ? null : `${path}: expected ${what}`);
+const isNumber = (min = -Infinity, max = Infinity) => (v, path) => expect(Number.isFinite(v) && v >= min && v <= max, path, `a number in [${min}, ${max}]`);
+const isInteger = (min, max) => (v, path) => expect(Number.isInteger(v) && v >= min && v <= max, path, `an integer in [${min}, ${max}]`);
+const isPositive = (v, path) => expect(Number.isFinite(v) && v > 0, path, 'a positive number');
+const isBoolean = (v, path) => expect(typeof v === 'boolean', path, 'true or false');
+const oneOf = (...values) => (v, path) => expect(values.includes(v), path, `one of ${values.join(', ')}`);
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// First failing field of an object checked against { key: validator }; missing keys are
+// skipped unless `required`
+const checkFields = (fields, required = false) => (obj, path) => {
+  if (!isPlainObject(obj)) return `${path}: expected an object`;
+  for (const [key, check] of Object.entries(fields)) {
+    if (!(key in obj)) {
+      if (required) return `${path}.${key}: missing`;
+      continue;
+    }
+    const err = check(obj[key], `${path}.${key}`);
+    if (err) return err;
+  }
+  return null;
+};
+
+const isRoot = (r) => isPlainObject(r) && Number.isFinite(r.re) && Number.isFinite(r.im) && typeof r.pair === 'boolean';
+const isBand = (b) => isPlainObject(b) && ['start', 'end', 'gain', 'weight'].every(key => Number.isFinite(b[key]))
+  && b.start >= 0 && b.start <= b.end && b.weight > 0;
+const isRootList = (max) => (v, path) => expect(Array.isArray(v) && v.length <= max && v.every(isRoot), path, `a list of at most ${max} { re, im, pair } roots`);
+const isLimit = (v) => v === null || Number.isFinite(v);
+const isMaskRegion = (r) => isPlainObject(r) && ['mag', 'delay'].includes(r.kind)
+  && Number.isFinite(r.lo) && Number.isFinite(r.hi) && r.lo > 0 && r.hi > 0 && isLimit(r.min) && isLimit(r.max);
+const isEdgePair = (v, path) => expect(Array.isArray(v) && v.length === 2 && v.every(f => Number.isFinite(f) && f >= 0), path, 'two edge frequencies');
 
-  return { poles, zeros };
+const PROJECT_SCHEMA = {
+  design: {
+    domain: oneOf('analog', 'digital_iir', 'digital_fir'),
+    filterType: oneOf('lowpass', 'highpass', 'bandpass', 'bandstop', 'notch'),
+    topology: oneOf('butterworth', 'chebyshev1', 'chebyshev2', 'elliptic', 'bessel'),
+    windowType: oneOf(...Object.keys(WINDOW_LABELS)),
+    firMethod: oneOf('window', 'remez'),
+    windowParams: checkFields(Object.fromEntries(Object.entries(WINDOW_PARAMS)
+      .map(([type, meta]) => [type, isNumber(meta.min, meta.max)])), true),
+    cutoff: isPositive,
+    bandLow: isPositive,
+    bandHigh: isPositive,
+    notchWidth: isPositive,
+    order: isInteger(DESIGN_LIMITS.order.min, DESIGN_LIMITS.order.max),
+    ripple: isPositive,
+    stopbandAtten: isPositive,
+    sampleRate: isNumber(DESIGN_LIMITS.sampleRate.min, DESIGN_LIMITS.sampleRate.max),
+    taps: isInteger(DESIGN_LIMITS.taps.min, DESIGN_LIMITS.taps.max),
+    remezBands: (v, path) => expect(Array.isArray(v) && v.length > 0 && v.length <= DESIGN_LIMITS.remezBands.max && v.every(isBand), path,
+      `1 to ${DESIGN_LIMITS.remezBands.max} { start, end, gain, weight } bands`),
+    remezAntisymmetric: isBoolean,
+    firSpecMode: isBoolean,
+    firAtten: isPositive,
+    firTransition: isPositive,
+    iirSpecMode: isBoolean,
+    iirSpecs: checkFields(Object.fromEntries(['lowpass', 'highpass', 'bandpass', 'bandstop'].map(type => [type,
+      checkFields({ pass: isEdgePair, stop: isEdgePair, ap: isPositive, as: isPositive }, true)])), true),
+    pzEditMode: isBoolean,
+    customPZ: (v, path) => (v === null ? null : checkFields({
+      domain: oneOf('analog', 'digital_iir', 'digital_fir'), poles: isRootList(DESIGN_LIMITS.pzRoots.max),
+      zeros: isRootList(DESIGN_LIMITS.pzRoots.max), extent: isPositive,
+    }, true)(v, path)),
+    pzGainMode: oneOf('peak', 'dc', 'none'),
+    specMask: checkFields({
+      enabled: isBoolean,
+      regions: (v, path) => expect(Array.isArray(v) && v.every(isMaskRegion), path, 'a list of { kind, lo, hi, min, max } regions'),
+    }, true),
+  },
+  adaptive: {
+    adaptiveAlgo: oneOf(...Object.keys(ADAPTIVE_ALGOS)),
+    mu: isNumber(0),
+    filterLength: isInteger(ADAPTIVE_LIMITS.filterLength.min, ADAPTIVE_LIMITS.filterLength.max),
+    leakage: isNumber(0, 1),
+    forgetting: isNumber(0, 1),
+    rlsDelta: isPositive,
+    apaOrder: isInteger(ADAPTIVE_LIMITS.apaOrder.min, ADAPTIVE_LIMITS.apaOrder.max),
+    epsilon: isNumber(0),
+    kalmanQ: isNumber(0),
+    kalmanR: isPositive,
+    scenario: oneOf(...Object.keys(ADAPTIVE_SCENARIOS)),
+    plant: oneOf(...Object.keys(PLANTS)),
+    noiseLevel: isNumber(0),
+    mcTrials: isInteger(ADAPTIVE_LIMITS.mcTrials.min, ADAPTIVE_LIMITS.mcTrials.max),
+    mcSamples: isInteger(ADAPTIVE_LIMITS.mcSamples.min, ADAPTIVE_LIMITS.mcSamples.max),
+    mcSeed: isInteger(0, 2 ** 32 - 1),
+  },
+};
+
+// Check a parsed project against the schema; throws with a readable message, returns { design, adaptive }
+const validateProject = (project) => {
+  if (!isPlainObject(project) || project.format !== PROJECT_FORMAT) {
+    throw new Error('Not a FilterLab Pro project (missing "format": "filterlab-project")');
+  }
+  if (!Number.isInteger(project.version)) throw new Error('Project has no version number');
+  if (project.version > PROJECT_VERSION) {
+    throw new Error(`Project version ${project.version} is newer than this app supports (v${PROJECT_VERSION}); update FilterLab Pro`);
+  }
+  if (project.version < PROJECT_VERSION) {
+    throw new Error(`Project version ${project.version} is outdated and can no longer be read (this build reads v${PROJECT_VERSION})`);
+  }
+  const sections = {};
+  for (const [section, fields] of Object.entries(PROJECT_SCHEMA)) {
+    const values = project[section] === undefined ? {} : project[section];
+    const err = checkFields(fields)(values, section);
+    if (err) throw new Error(`Invalid project field ${err}`);
+    sections[section] = Object.fromEntries(Object.keys(fields).filter(key => key in values).map(key => [key, values[key]]));
+  }
+  return sections;
+};
+
+const parseProject = (text) => {
+  let project;
+  try {
+    project = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Project file is not valid JSON: ${err.message}`);
+  }
+  return validateProject(project);
+};
+
+const serializeProject = ({ design, adaptive }) => JSON.stringify({ format: PROJECT_FORMAT, version: PROJECT_VERSION, design, adaptive }, null, 2);
+
+// Share links: '#p=' + base64url(JSON) holding only the settings that differ from the defaults
+const HASH_PREFIX = '#p=';
+
+const encodeProjectHash = ({ design, adaptive }, defaults) => {
+  const changed = (values, base) => Object.fromEntries(Object.entries(values)
+    .filter(([key, v]) => JSON.stringify(v) !== JSON.stringify(base[key])));
+  const diff = { design: changed(design, defaults.design), adaptive: changed(adaptive, defaults.adaptive) };
+  const project = { version: PROJECT_VERSION }; // format is implied by the prefix
+  if (Object.keys(diff.design).length) project.design = diff.design;
+  if (Object.keys(diff.adaptive).length) project.adaptive = diff.adaptive;
+  if (!project.design && !project.adaptive) return '';
+  const b64 = btoa(JSON.stringify(project));
+  return HASH_PREFIX + b64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+// Returns null when the hash holds no project
+const decodeProjectHash = (hash) => {
+  if (!hash.startsWith(HASH_PREFIX)) return null;
+  let project;
+  try {
+    project = JSON.parse(atob(hash.slice(HASH_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/')));
+  } catch (err) {
+    throw new Error('Share link is corrupted (cannot decode the project)');
+  }
+  return validateProject(isPlainObject(project) ? { format: PROJECT_FORMAT, ...project } : project);
 };
 
 export default function FilterLabPro() {
   // --- STATE MANAGEMENT ---
-  const [activeTab, setActiveTab] = useState('design'); // design, analysis, adaptive
+  const [activeTab, setActiveTab] = useState('design'); // design, analysis, signals, structures, multirate, adaptive, library
   
   // Core Specs
   const [domain, setDomain] = useState('analog'); // analog, digital_iir, digital_fir
   const [filterType, setFilterType] = useState('lowpass');
   const [topology, setTopology] = useState('butterworth');
   const [windowType, setWindowType] = useState('hamming');
+  const [firMethod, setFirMethod] = useState('window'); // window, remez
+  const [windowParams, setWindowParams] = useState(
+    Object.fromEntries(Object.entries(WINDOW_PARAMS).map(([type, meta]) => [type, meta.init]))
+  );
   
   // Parameters
-  const [cutoff, setCutoff] = useState(1000);
+  const [cutoff, setCutoff] = useState(1000); // LP/HP edge, notch center
+  const [bandLow, setBandLow] = useState(500); // BP/BS lower edge
+  const [bandHigh, setBandHigh] = useState(2000); // BP/BS upper edge
+  const [notchWidth, setNotchWidth] = useState(100); // Notch -3 dB bandwidth
   const [order, setOrder] = useState(4);
   const [ripple, setRipple] = useState(1);
+  const [stopbandAtten, setStopbandAtten] = useState(40); // Chebyshev II / Elliptic
   const [sampleRate, setSampleRate] = useState(48000);
   const [taps, setTaps] = useState(31); // For FIR
 
+  // Parks-McClellan bands (Hz)
+  const [remezBands, setRemezBands] = useState([
+    { start: 0, end: 4000, gain: 1, weight: 1 },
+    { start: 6000, end: 24000, gain: 0, weight: 10 },
+  ]);
+  const [remezAntisymmetric, setRemezAntisymmetric] = useState(false);
+  const isRemez = domain === 'digital_fir' && firMethod === 'remez';
+
+  // Kaiser design from spec (windowed FIR)
+  const [firSpecMode, setFirSpecMode] = useState(false);
+  const [firAtten, setFirAtten] = useState(60); // dB
+  const [firTransition, setFirTransition] = useState(500); // Hz
+  const isFirSpec = domain === 'digital_fir' && firMethod === 'window' && firSpecMode;
+
+  // Minimum-order IIR design from passband/stopband spec (one spec per response family)
+  const [iirSpecMode, setIirSpecMode] = useState(false);
+  const [iirSpecs, setIirSpecs] = useState({
+    lowpass: { pass: [1000, 0], stop: [2000, 0], ap: 1, as: 40 },
+    highpass: { pass: [2000, 0], stop: [1000, 0], ap: 1, as: 40 },
+    bandpass: { pass: [800, 1500], stop: [500, 2500], ap: 1, as: 40 },
+    bandstop: { pass: [500, 2500], stop: [800, 1500], ap: 1, as: 40 },
+  });
+  const specType = filterType === 'notch' ? 'bandstop' : filterType;
+  const isIirSpec = domain !== 'digital_fir' && iirSpecMode && topology !== 'bessel';
+  const manualEdges = !isRemez && !isIirSpec;
+
+  const updateIirSpec = (key, index, value) => {
+    setIirSpecs(specs => {
+      const spec = specs[specType];
+      const next = index === null ? value : spec[key].map((v, i) => (i === index ? value : v));
+      return { ...specs, [specType]: { ...spec, [key]: next } };
+    });
+  };
+
   // Adaptive
-  const [adaptiveAlgo, setAdaptiveAlgo] = useState('lms'); // lms, nlms, rls, kalman
+  const [adaptiveAlgo, setAdaptiveAlgo] = useState('lms'); // key of ADAPTIVE_ALGOS
   const [mu, setMu] = useState(0.01);
-  const [isRunning, setIsRunning] = useState(true);
+  const [filterLength, setFilterLength] = useState(8);
+  const [leakage, setLeakage] = useState(0.01); // Leaky LMS gamma
+  const [forgetting, setForgetting] = useState(0.99); // RLS lambda
+  const [rlsDelta, setRlsDelta] = useState(0.01); // RLS P(0) = I / delta
+  const [apaOrder, setApaOrder] = useState(4); // APA projection order K
+  const [epsilon, setEpsilon] = useState(1e-3); // NLMS / APA regularization
+  const [kalmanQ, setKalmanQ] = useState(0.1);
+  const [kalmanR, setKalmanR] = useState(0.5);
+  const [scenario, setScenario] = useState('noise_cancel'); // key of ADAPTIVE_SCENARIOS
+  const [plant, setPlant] = useState('fir_lp'); // key of PLANTS (system identification)
+  const [noiseLevel, setNoiseLevel] = useState(0.1); // additive noise std
+  const [mcTrials, setMcTrials] = useState(20);
+  const [mcSamples, setMcSamples] = useState(500);
+  const [mcSeed, setMcSeed] = useState(1);
+  const [mcSettings, setMcSettings] = useState(null); // adaptive settings of the last learning-curve run
+  const [isRunning, setIsRunning] = useState(true); // live stream playing
+  const [streamSpeed, setStreamSpeed] = useState(2); // samples per animation frame
+  const [streamResets, setStreamResets] = useState(0); // bumped by Reset to start a new run
+  const [streamRows, setStreamRows] = useState([]); // last STREAM_WINDOW samples of the live run
+  const streamRef = useRef(null); // { stream, recovered, rows, changes, power, diverged }
+
+  // Kalman Filter State
+  const [kfPreset, setKfPreset] = useState('constant_velocity'); // key of KALMAN_MODELS
+  const [kfTexts, setKfTexts] = useState(() => kalmanTexts(KALMAN_MODELS.constant_velocity)); // { F, H, Q, R, x0, P0 } as edited
+  const [kfVariant, setKfVariant] = useState('kf'); // key of KALMAN_VARIANTS
+  const [kfSteps, setKfSteps] = useState(200);
+  const [kfSeed, setKfSeed] = useState(1);
+  const [kfQScale, setKfQScale] = useState(1); // filter Q relative to the simulated model
+  const [kfRScale, setKfRScale] = useState(1); // filter R relative to the simulated model
+
+  // Quantization State
+  const [quantMode, setQuantMode] = useState(false);
+  const [quantWord, setQuantWord] = useState(16); // word length W
+  const [quantFrac, setQuantFrac] = useState(14); // fraction bits F
+  const [quantRounding, setQuantRounding] = useState('round'); // round, truncate
+  const [quantStructure, setQuantStructure] = useState('sos'); // df, sos (IIR only)
+  const [quantWideAcc, setQuantWideAcc] = useState(true);
+
+  // Response Plot State (dense response from a Web Worker; zoom = null shows the full range)
+  const [respPoints, setRespPoints] = useState(4096);
+  const [respSpacing, setRespSpacing] = useState('log'); // log, linear
+  const [respZoom, setRespZoom] = useState(null); // [fLo, fHi] Hz
+  const [zoomDrag, setZoomDrag] = useState(null); // [f0, f1] while a zoom box is dragged
+  const [hiRes, setHiRes] = useState(null); // responseData() of the latest finished job
+  const [respBusy, setRespBusy] = useState(false);
+  const [respError, setRespError] = useState(null); // message of the last failed job or worker crash
+  const responseWorkerRef = useRef(null);
+  const responseJobsRef = useRef({ seq: 0, latest: null, running: null, queued: null });
+
+  // Realization Structures State (word length and arithmetic shared with quantization)
+  const [structureView, setStructureView] = useState('sos'); // key of STRUCTURES
+  const [sosPairing, setSosPairing] = useState('nearest'); // nearest, sequential
+  const [sosOrdering, setSosOrdering] = useState('up'); // up, down
+
+  // Multirate State (input rate is the design sample rate)
+  const [rateL, setRateL] = useState(1); // interpolation factor
+  const [rateM, setRateM] = useState(4); // decimation factor
+  const [ratePass, setRatePass] = useState(0.8); // protected fraction of the low-rate Nyquist
+  const [rateAtten, setRateAtten] = useState(80); // dB
+  const [rateMethod, setRateMethod] = useState('nyquist'); // key of RATE_FILTER_METHODS
+  const [cicStages, setCicStages] = useState(4); // N
+  const [cicDelay, setCicDelay] = useState(1); // differential delay D
+  const [cicCompTaps, setCicCompTaps] = useState(31);
+  const [maxStages, setMaxStages] = useState(3);
+
+  // Signal Analyzer State (signals at the design sample rate)
+  const [sigKind, setSigKind] = useState('sine'); // key of SIGNAL_TYPES
+  const [sigFreq, setSigFreq] = useState(1000); // Hz: tone, square, lowest multitone, impulse rate
+  const [sigLevel, setSigLevel] = useState(-6); // dBFS peak (noise kinds: rms of the white source)
+  const [sigNoise, setSigNoise] = useState(-100); // dBFS rms of added white noise, -140 = off
+  const [sigSweep, setSigSweep] = useState('log'); // chirp: log, linear
+  const [sigLength, setSigLength] = useState(16384); // analyzed samples
+  const [specWindow, setSpecWindow] = useState('hanning'); // key of WINDOW_LABELS
+  const [specZeroPad, setSpecZeroPad] = useState(1);
+  const [specLogF, setSpecLogF] = useState(false);
+  const [welchSegment, setWelchSegment] = useState(1024);
+  const [sgSegment, setSgSegment] = useState(256);
+  const [sgSide, setSgSide] = useState('output'); // input, output
+  const spectrogramRef = useRef(null);
+
+  // Analog Circuit Synthesis State
+  const [circuitTopology, setCircuitTopology] = useState('sallen_key'); // key of CIRCUIT_TOPOLOGIES
+  const [resistorSeries, setResistorSeries] = useState('E96'); // E12, E24, E96, exact
+  const [capacitorSeries, setCapacitorSeries] = useState('E12'); // also used for ladder inductors
+  const [baseCap, setBaseCap] = useState(10e-9); // F, starting capacitor of every stage
+  const [ladderR0, setLadderR0] = useState(600); // ohms, source termination
+
+  // Audio Test Bench State
+  const [audioSource, setAudioSource] = useState('test'); // test, file
+  const [testSignal, setTestSignal] = useState('sweep'); // key of TEST_SIGNALS
+  const [audioFile, setAudioFile] = useState(null); // { name, sampleRate, channels }
+  const [audioError, setAudioError] = useState(null);
+  const [abSide, setAbSide] = useState('A'); // A = original, B = filtered
+  const [isPlaying, setIsPlaying] = useState(false);
+  const audioCtxRef = useRef(null);
+  const sourceRef = useRef(null);
+  const playStartRef = useRef(0);
+
+  // Pole-Zero Editor State
+  const [pzEditMode, setPzEditMode] = useState(false);
+  const [customPZ, setCustomPZ] = useState(null); // { domain, poles, zeros, extent } (upper half-plane entries)
+  const [pzTool, setPzTool] = useState('move'); // move, pole, zero, delete
+  const [pzSelected, setPzSelected] = useState(null); // { kind, index }
+  const [pzGainMode, setPzGainMode] = useState('peak'); // peak, dc, none
+  const [specMask, setSpecMask] = useState(NO_SPEC_MASK);
+  const pzSvgRef = useRef(null);
+  const pzDragRef = useRef(null);
+
+  // Export State
+  const [exportFormat, setExportFormat] = useState('c'); // key of EXPORT_FORMATS
+  const [csvTable, setCsvTable] = useState('freq'); // key of CSV_TABLES
+
+  // Design Library State
+  const [library, setLibrary] = useState(loadLibrary); // [{ id, name, savedAt, params }]
+  const [libraryName, setLibraryName] = useState('');
+  const [renaming, setRenaming] = useState(null); // { id, name } while a rename is being typed
+  const [compareIds, setCompareIds] = useState([]);
+  const [compareCurrent, setCompareCurrent] = useState(true); // overlay the live design too
+
+  // Project Files & Share Links State
+  const [projectStatus, setProjectStatus] = useState(null); // { kind: 'info' | 'error', text }
+  const projectInputRef = useRef(null);
 
   // --- ENGINE: FREQUENCY & TIME DOMAIN CALCULATION ---
-  const analysisData = useMemo(() => {
-    const freqData = [];
-    const impulseData = [];
-    const stepData = [];
-    const numPoints = 128;
-    
-    // 1. Calculate Coefficients / Impulse Response (h[n])
-    let h = [];
-    if (domain === 'digital_fir') {
-      h = designFIR(taps, cutoff, sampleRate, windowType, filterType);
-    } else {
-      // For IIR/Analog, we simulate an Impulse Response for visualization
-      // Simple decay sinusoid based on order
-      for(let i=0; i<64; i++) {
-        const decay = Math.exp(-i/(order*2));
-        const osc = Math.sin(2*PI*i * (cutoff/sampleRate));
-        h.push(decay * osc);
+  const designParams = { domain, filterType, topology, windowType, firMethod, windowParams, cutoff, bandLow, bandHigh, notchWidth, order, ripple, stopbandAtten, sampleRate, taps, remezBands, remezAntisymmetric, firSpecMode, firAtten, firTransition, iirSpecMode, iirSpecs, pzEditMode, customPZ, pzGainMode, specMask };
+  const analysisData = useMemo(() => analyzeDesign(designParams), [pzEditMode, customPZ, pzGainMode, domain, filterType, topology, cutoff, bandLow, bandHigh, notchWidth, order, ripple, stopbandAtten, sampleRate, taps, windowType, windowParams, firMethod, remezBands, remezAntisymmetric, firSpecMode, firAtten, firTransition, iirSpecMode, iirSpecs]);
+  const designMetrics = useMemo(() => responseMetrics(analysisData, designParams), [analysisData]);
+  const stability = useMemo(() => stabilityReport(analysisData, designParams), [analysisData]);
+  // Delay plot range from the group delay (with headroom), so the phase delay cannot swamp it
+  const delayDomain = useMemo(() => {
+    const gd = analysisData.freqData.map(pt => pt.groupDelay);
+    const lo = Math.min(0, ...gd), hi = Math.max(1, ...gd);
+    return [Math.floor(lo), Math.ceil(hi + 0.1 * (hi - lo))];
+  }, [analysisData]);
+
+  // --- ENGINE: HIGH-RESOLUTION RESPONSE ---
+  // One job runs in the worker at a time; requests made meanwhile collapse into the latest,
+  // which is sent when the running job returns
+  const fullRange = responseRange(analysisData, designParams, respSpacing);
+  const zoomed = respZoom && [Math.max(respZoom[0], fullRange[0]), Math.min(respZoom[1], fullRange[1])];
+  const viewRange = zoomed && zoomed[0] < zoomed[1] ? zoomed : fullRange;
+  const respondInThread = (job) => {
+    try {
+      setHiRes(responseData(job.filter, job.options));
+      setRespError(null);
+    } catch (err) {
+      setRespError(err.message);
+    }
+  };
+  useEffect(() => {
+    if (typeof Worker === 'undefined') return undefined;
+    const worker = new Worker(new URL('./responseWorker.js', import.meta.url), { type: 'module' });
+    const jobs = responseJobsRef.current;
+    // A dead worker cannot be trusted with later jobs: drop it and compute in the main thread from now on
+    const fail = (message) => {
+      worker.terminate();
+      responseWorkerRef.current = null;
+      jobs.running = null;
+      jobs.queued = null;
+      if (jobs.latest) respondInThread(jobs.latest);
+      setRespError(`Response worker failed (${message}); computing in the main thread`);
+      setRespBusy(false);
+    };
+    worker.onerror = (e) => { e.preventDefault(); fail(e.message || 'script error'); };
+    worker.onmessageerror = () => fail('unreadable message');
+    worker.onmessage = ({ data }) => {
+      jobs.running = null;
+      if (jobs.latest && data.id === jobs.latest.id) {
+        setHiRes(data.response || null);
+        setRespError(data.error || null);
       }
+      if (jobs.queued) {
+        worker.postMessage(jobs.queued);
+        jobs.running = jobs.queued.id;
+        jobs.queued = null;
+      }
+      setRespBusy(jobs.running !== null);
+    };
+    responseWorkerRef.current = worker;
+    return () => {
+      worker.terminate();
+      responseWorkerRef.current = null;
+      jobs.running = null;
+      jobs.queued = null;
+    };
+  }, []);
+  useEffect(() => {
+    const { zpk, iir, coeffs } = analysisData;
+    const filter = domain === 'digital_fir' ? { kind: 'fir', zpk: null, ba: { b: coeffs, a: [1] }, sos: null, fs: sampleRate }
+      : domain === 'digital_iir' ? { kind: 'iir', zpk: { z: zpk.z, p: zpk.p, k: zpk.k }, ba: { b: iir.b, a: iir.a }, sos: iir.sos, fs: sampleRate }
+      : { kind: 'analog', zpk: { z: zpk.z, p: zpk.p, k: zpk.k }, ba: null, sos: null, fs: null };
+    const jobs = responseJobsRef.current;
+    const job = { id: ++jobs.seq, filter, options: { points: respPoints, fMin: viewRange[0], fMax: viewRange[1], spacing: respSpacing, fs: sampleRate } };
+    jobs.latest = job;
+    const worker = responseWorkerRef.current;
+    if (!worker) { respondInThread(job); return; }
+    // The previous curve belongs to another filter or range; show the coarse grid until this job returns
+    setHiRes(null);
+    if (jobs.running === null) {
+      worker.postMessage(job);
+      jobs.running = job.id;
+    } else {
+      jobs.queued = job;
     }
+    setRespBusy(true);
+  }, [analysisData, domain, sampleRate, respPoints, respSpacing, viewRange[0], viewRange[1]]);
+  // Min / max per pixel column; the coarse design grid stands in while a job is running
+  const responseRows = useMemo(() => (hiRes
+    ? minMaxDecimate(hiRes.f, {
+      mag: hiRes.mag.map(v => Math.max(-120, v)), phase: hiRes.phase, groupDelay: hiRes.groupDelay, phaseDelay: hiRes.phaseDelay,
+    }, 800)
+    : analysisData.freqData), [hiRes, analysisData]);
+  const zoomTo = (range) => {
+    const log = respSpacing === 'log';
+    const full = (log ? Math.log(fullRange[1] / fullRange[0]) : fullRange[1] - fullRange[0]);
+    const width = log ? Math.log(range[1] / range[0]) : range[1] - range[0];
+    setRespZoom(width >= full * 0.999 ? null : range);
+  };
+  const zoomBy = (factor, shift = 0) => zoomTo(zoomRange(viewRange, fullRange, { factor, shift, log: respSpacing === 'log' }));
+  // Drag across either plot to zoom onto the selected band
+  const zoomHandlers = {
+    onMouseDown: (e) => e && e.activeLabel !== undefined && setZoomDrag([e.activeLabel, e.activeLabel]),
+    onMouseMove: (e) => zoomDrag && e && e.activeLabel !== undefined && setZoomDrag([zoomDrag[0], e.activeLabel]),
+    onMouseUp: () => {
+      if (zoomDrag && zoomDrag[0] !== zoomDrag[1]) zoomTo([Math.min(...zoomDrag), Math.max(...zoomDrag)]);
+      setZoomDrag(null);
+    },
+  };
 
-    // 2. Frequency Domain (FFT approximation or Analytical)
-    const maxFreq = domain === 'analog' ? cutoff * 10 : sampleRate / 2;
-    const minFreq = 10;
-    
-    for (let i = 0; i < numPoints; i++) {
-      // Log distribution for Bode
-      const f = minFreq * Math.pow(maxFreq / minFreq, i / (numPoints - 1));
-      let magDB = -100;
-      let phase = 0;
-      let groupDelay = 0;
-
-      if (domain === 'digital_fir') {
-        // DFT for FIR
-        let re = 0, im = 0;
-        const w = 2 * PI * f / sampleRate;
-        for(let n=0; n<h.length; n++) {
-          re += h[n] * Math.cos(n * w);
-          im -= h[n] * Math.sin(n * w);
-        }
-        const mag = Math.sqrt(re*re + im*im);
-        magDB = 20 * log10(mag + 1e-9);
-        phase = toDeg(Math.atan2(im, re));
-        // Group delay for linear phase FIR = (N-1)/2
-        groupDelay = (taps - 1) / 2; 
-      } else {
-        // Analytical IIR/Analog
-        const mag = calculateIIRMag(f, cutoff, order, filterType, topology, ripple);
-        magDB = 20 * log10(mag + 1e-9);
-        
-        // Phase Model
-        const phi = -Math.atan(Math.pow(f/cutoff, order));
-        if (topology === 'bessel') {
-            phase = toDeg(-f/cutoff * PI/2 * order); // Linear Phase
-            groupDelay = order; // Constant
-        } else {
-            phase = toDeg(phi * order);
-            // Derivative of atan(x^n) approx for Group Delay spike at fc
-            const ratio = f/cutoff;
-            groupDelay = order / (1 + Math.pow(ratio, 2*order)); 
-        }
-      }
+  // --- ENGINE: WINDOW ANALYSIS ---
+  const windowAnalysis = useMemo(() => {
+    if (domain !== 'digital_fir' || firMethod !== 'window') return null;
+    const N = Math.min(analysisData.coeffs.length, WINDOW_ANALYSIS_TAPS);
+    const active = isFirSpec ? 'kaiser' : windowType;
+    const paramOf = (type) => (type === active && isFirSpec ? analysisData.kaiserSpec.beta : windowParams[type]);
+    const results = Object.keys(WINDOW_LABELS).map(type => ({ type, ...analyzeWindow(windowSamples(type, N, paramOf(type))) }));
+    const selected = results.find(r => r.type === active);
+    const step = Math.max(1, Math.floor(selected.spectrum.length / 256));
+    return {
+      active, N,
+      spectrum: selected.spectrum.filter((_, i) => i % step === 0).map(pt => ({ bin: +pt.bin.toFixed(2), db: pt.db })),
+      metrics: results.map(({ spectrum, ...metrics }) => metrics),
+    };
+  }, [domain, firMethod, isFirSpec, windowType, windowParams, analysisData]);
 
-      freqData.push({
-        f: Math.round(f),
-        mag: Math.max(-120, magDB),
-        phase: phase % 180,
-        groupDelay: groupDelay
-      });
+  const updateRemezBand = (index, key, value) => {
+    setRemezBands(bands => bands.map((b, i) => (i === index ? { ...b, [key]: value } : b)));
+  };
+
+  // --- ENGINE: POLE-ZERO ---
+  // --- POLE-ZERO EDITOR ---
+  // Seed the editor from the current design (FIR: the zeros of h, which are not found above
+  // FIR_ZEROS_MAX_TAPS, so zero editing is off for longer filters)
+  const pzFirTooLong = domain === 'digital_fir' && analysisData.design.h.length > FIR_ZEROS_MAX_TAPS;
+  const seedPZ = () => {
+    const { design, wc } = analysisData;
+    const scale = domain === 'analog' ? 1 / wc : 1;
+    const toList = (roots) => compressRoots(roots.map(r => cScale(r, scale)));
+    let zeros = [], poles = [];
+    if (domain === 'digital_fir') {
+      const roots = firZeros(design.h);
+      if (!roots) return;
+      zeros = toList(roots);
+    } else {
+      zeros = toList(design.zpk.z);
+      poles = toList(design.zpk.p);
     }
+    const reach = [...zeros, ...poles].map(r => Math.max(Math.abs(r.re), Math.abs(r.im)));
+    setCustomPZ({ domain, zeros, poles, extent: Math.max(1.5, 1.1 * Math.max(0, ...reach)) });
+    setPzSelected(null);
+  };
+
+  const togglePzEdit = () => {
+    if (!pzEditMode && pzFirTooLong) return;
+    if (!pzEditMode) seedPZ();
+    setPzEditMode(!pzEditMode);
+  };
+
+  // Client coordinates -> plane coordinates (y up), clamped to the plot
+  const toPlane = (e) => {
+    const svg = pzSvgRef.current;
+    const pt = svg.createSVGPoint();
+    pt.x = e.clientX;
+    pt.y = e.clientY;
+    const { x, y } = pt.matrixTransform(svg.getScreenCTM().inverse());
+    const E = customPZ.extent;
+    return { x: Math.max(-E, Math.min(E, x)), y: Math.max(-E, Math.min(E, -y)) };
+  };
+
+  const removeRoot = (kind, index) => {
+    setCustomPZ(pz => ({ ...pz, [kind]: pz[kind].filter((_, i) => i !== index) }));
+    setPzSelected(null);
+  };
+
+  const onRootDown = (e, kind, index) => {
+    e.stopPropagation();
+    if (pzTool === 'delete') { removeRoot(kind, index); return; }
+    setPzSelected({ kind, index });
+    pzDragRef.current = { kind, index };
+    pzSvgRef.current.setPointerCapture(e.pointerId);
+  };
+
+  // Clicks away from the real axis add a conjugate pair, clicks on it a real root
+  const onPlaneDown = (e) => {
+    if (pzTool !== 'pole' && pzTool !== 'zero') { setPzSelected(null); return; }
+    const { x, y } = toPlane(e);
+    const kind = pzTool === 'pole' ? 'poles' : 'zeros';
+    if (customPZ[kind].length >= DESIGN_LIMITS.pzRoots.max) return;
+    const pair = Math.abs(y) > 0.03 * customPZ.extent;
+    setCustomPZ(pz => ({ ...pz, [kind]: [...pz[kind], { re: x, im: pair ? Math.abs(y) : 0, pair }] }));
+    setPzSelected({ kind, index: customPZ[kind].length });
+  };
+
+  // Pairs follow the pointer in either half-plane; real roots slide along the real axis
+  const onPlaneMove = (e) => {
+    const drag = pzDragRef.current;
+    if (!drag) return;
+    const { x, y } = toPlane(e);
+    setCustomPZ(pz => ({
+      ...pz,
+      [drag.kind]: pz[drag.kind].map((r, i) => (i === drag.index ? { ...r, re: x, im: r.pair ? Math.abs(y) : 0 } : r)),
+    }));
+  };
+
+  const onPlaneUp = () => { pzDragRef.current = null; };
+
+  const pzIssues = analysisData.pzEdited && domain !== 'digital_fir' ? {
+    unstable: analysisData.zpk.p.some(r => (domain === 'analog' ? r.re >= 0 : cMag(r) >= 1)),
+    improper: domain === 'analog' && analysisData.zpk.z.length > analysisData.zpk.p.length,
+  } : null;
+  const selectedRoot = pzEditMode && customPZ && pzSelected ? customPZ[pzSelected.kind][pzSelected.index] : null;
+
+  // --- ENGINE: FIXED-POINT QUANTIZATION ---
+  const quantDesign = domain === 'digital_iir' ? analysisData.iir : { b: analysisData.coeffs, a: [1], sos: null };
+  const quantStruct = domain === 'digital_iir' ? quantStructure : 'df';
+  // Only run while the quantization panel is switched on and on screen (Design and Analysis tabs)
+  const quantAnalysis = useMemo(() => {
+    if (domain === 'analog' || !quantMode || !['design', 'analysis'].includes(activeTab)) return null;
+    const report = quantizationReport(quantDesign, quantStruct, quantWord, Math.min(quantFrac, quantWord - 1), quantRounding, quantWideAcc);
+    const freqData = analysisData.freqData.map(pt => ({
+      ...pt,
+      magQ: Math.max(-120, 20 * log10(cMag(realizationResponse(report.quant, 2 * PI * pt.f / sampleRate)) + 1e-9)),
+    }));
+    return { ...report, freqData };
+  }, [activeTab, analysisData, domain, quantMode, quantStruct, quantWord, quantFrac, quantRounding, quantWideAcc, sampleRate]);
+
+  // --- ENGINE: REALIZATION STRUCTURES ---
+  // Every structure is realized, costed and simulated so the table can compare them
+  const structureAnalysis = useMemo(() => {
+    if (activeTab !== 'structures' || domain === 'analog') return null;
+    const fir = domain === 'digital_fir' && filterFromTaps(analysisData.coeffs, sampleRate);
+    const design = fir ? { ...fir.ba, ...fir.zpk } : analysisData.iir;
+    const rows = Object.keys(STRUCTURES).map(key => {
+      const real = realizeStructure(design, key, { pairing: sosPairing, order: sosOrdering });
+      if (real.error) return { key, real };
+      return {
+        key, real, cost: structureCost(real),
+        sim: simulateStructure(real, { wordBits: quantWord, mode: quantRounding, wideAcc: quantWideAcc }),
+      };
+    });
+    const selected = rows.find(row => row.key === structureView);
+    return { rows, selected, diagram: selected.real.error ? null : structureDiagram(selected.real) };
+  }, [activeTab, analysisData, domain, sampleRate, structureView, sosPairing, sosOrdering, quantWord, quantRounding, quantWideAcc]);
+
+  // --- ENGINE: MULTIRATE ---
+  // Rate-change filter with its folding, polyphase branches, and (for integer factors) the
+  // CIC alternative and multistage plans
+  const multirateAnalysis = useMemo(() => {
+    if (activeTab !== 'multirate') return null;
+    const filter = rateChangeFilter({ L: rateL, M: rateM, fs: sampleRate, passFraction: ratePass, atten: rateAtten, method: rateMethod });
+    if (filter.error) return { error: filter.error };
+    const F = filter.fs, low = Math.min(sampleRate, F / rateM);
+    const mag = firMagnitude(filter.h, F);
+    const db = (v) => Math.max(-160, 20 * log10(v + 1e-12));
+    const response = Array.from({ length: 401 }, (_, i) => ({ f: F / 2 * i / 400, mag: db(mag(F / 2 * i / 400) / rateL) }));
+    // Bands of the high rate that land on [0, fp] of the low rate
+    const aliasBands = [];
+    for (let k = 1; k * low - filter.fp < F / 2; k++) aliasBands.push([k * low - filter.fp, Math.min(F / 2, k * low + filter.fp)]);
+    const result = {
+      filter, low, response, aliasBands,
+      folded: aliasFolding(mag, F, low, { ref: rateL }),
+      branches: polyphase(filter.h, rateL > 1 ? rateL : rateM),
+    };
+    if (rateL > 1 && rateM > 1) return result;
+    // Integer factor K: CIC with compensator and multistage plans
+    const K = Math.max(rateL, rateM), mode = rateM > 1 ? 'decimate' : 'interpolate';
+    const high = sampleRate * rateL;
+    const cic = cicFilter({ R: K, N: cicStages, D: cicDelay, mode });
+    const comp = cicCompensator(cic, { taps: cicCompTaps, passFraction: ratePass, stopFraction: Math.min(1, ratePass + 0.2) });
+    const compMag = firMagnitude(comp, low);
+    const cicMag = (f) => cicResponse(cic, f / high);
+    const cicFold = aliasFolding(cicMag, high, low);
+    const cicData = cicFold.map(pt => {
+      const c = db(compMag(pt.f));
+      return { f: pt.f, cic: pt.signal, comp: c, total: pt.signal + c, alias: pt.alias + c };
+    });
+    const plans = planMultistage({ K, fs: high, fp: filter.fp, atten: rateAtten, maxStages });
+    return { ...result, K, mode, cic, cicData, plans };
+  }, [activeTab, sampleRate, rateL, rateM, ratePass, rateAtten, rateMethod, cicStages, cicDelay, cicCompTaps, maxStages]);
+
+  // --- ENGINE: SIGNAL ANALYZER ---
+  // Test signal through the active design at the design rate. Stationary signals get a lead-in
+  // of half the record so the filter settles; spectra and measurements use the record after it.
+  const signalAnalysis = useMemo(() => {
+    if (activeTab !== 'signals') return null;
+    const fs = sampleRate, lead = sigKind === 'chirp' ? 0 : sigLength / 2;
+    const x = generateSignal(sigKind, {
+      fs, length: lead + sigLength, amplitude: Math.pow(10, sigLevel / 20), f0: Math.min(sigFreq, 0.45 * fs),
+      sweep: sigSweep, noise: sigNoise <= -140 ? 0 : Math.pow(10, sigNoise / 20),
+    });
+    const signals = { input: x.slice(lead), output: Array.from(filterSignal(designTF(analysisData, domain, fs), x)).slice(lead) };
+
+    const traceLength = Math.min(sigLength, 1024);
+    const trace = Array.from({ length: traceLength }, (_, n) => ({ t: (1000 * n) / fs, input: signals.input[n], output: signals.output[n] }));
+
+    const param = WINDOW_PARAMS[specWindow]?.init;
+    const fftIn = fftSpectrum(signals.input, fs, { window: specWindow, param, zeroPad: specZeroPad });
+    const fftOut = fftSpectrum(signals.output, fs, { window: specWindow, param, zeroPad: specZeroPad });
+    const welchOf = (sig) => welchPSD(sig, fs, { segment: welchSegment, window: specWindow, param });
+    const welchIn = welchOf(signals.input), welchOut = welchOf(signals.output);
+    const toDb = (psd) => psd.map(p => 10 * log10(p + 1e-20));
+    const fMin = specLogF ? 1 : 0;
+
+    const sg = spectrogram(signals[sgSide], fs, { segment: sgSegment, window: specWindow, param });
+    const measure = (sig) => ({
+      rms: 10 * log10(sig.reduce((acc, v) => acc + v * v, 0) / sig.length + 1e-20),
+      peak: 20 * log10(sig.reduce((acc, v) => Math.max(acc, Math.abs(v)), 0) + 1e-12),
+      tone: sigKind === 'sine' || sigKind === 'square' ? harmonicAnalysis(sig, fs) : null,
+    });
+    return {
+      trace,
+      fft: peakHold(fftIn.f, { input: fftIn.db, output: fftOut.db }, 800, fMin),
+      enbw: fftIn.enbw,
+      binWidth: fftIn.f[1],
+      welch: peakHold(welchIn.f, { input: toDb(welchIn.psd), output: toDb(welchOut.psd) }, 800, fMin),
+      welchSegments: welchIn.segments,
+      spectrogram: { ...sg, top: Math.max(...sg.db.map(frame => Math.max(...frame))) },
+      input: measure(signals.input),
+      output: measure(signals.output),
+    };
+  }, [activeTab, analysisData, domain, sampleRate, sigKind, sigFreq, sigLevel, sigNoise, sigSweep, sigLength,
+    specWindow, specZeroPad, specLogF, welchSegment, sgSegment, sgSide]);
+
+  // Spectrogram heatmap: one pixel per frame and bin over the top 100 dB, stretched by CSS
+  useEffect(() => {
+    const canvas = spectrogramRef.current;
+    if (!canvas || !signalAnalysis) return;
+    const { db, f, top } = signalAnalysis.spectrogram;
+    canvas.width = db.length;
+    canvas.height = f.length;
+    const ctx = canvas.getContext('2d');
+    const img = ctx.createImageData(db.length, f.length);
+    db.forEach((frame, i) => frame.forEach((v, k) => {
+      img.data.set([...heatColor((v - top + 100) / 100), 255], ((f.length - 1 - k) * db.length + i) * 4);
+    }));
+    ctx.putImageData(img, 0, 0);
+  }, [signalAnalysis]);
+
+  // --- ENGINE: KALMAN FILTER ---
+  // The edited model simulates its own truth (x(0) drawn from x0, P0) and measurements; the
+  // filter runs on the same model with Q and R scaled by the mistuning factors
+  const kalmanAnalysis = useMemo(() => {
+    if (activeTab !== 'kalman') return null;
+    const preset = KALMAN_MODELS[kfPreset];
+    const linear = preset.measurement === 'linear';
+    const parsed = Object.fromEntries(KALMAN_FIELDS.map(key => [key, parseMatrix(kfTexts[key])]));
+    const bad = KALMAN_FIELDS.find(key => !parsed[key] && (key !== 'H' || linear));
+    if (bad) return { error: `${bad}: enter numbers, rows separated by ';'` };
+    const model = { ...preset, ...parsed, x0: parsed.x0.flat(), H: linear ? parsed.H : null };
+    const error = kalmanModelError(model);
+    if (error) return { error };
+
+    const { truth, z } = simulateKalmanModel(model, { steps: kfSteps, seed: kfSeed });
+    const variant = !linear && kfVariant === 'kf' ? 'ekf' : kfVariant;
+    const run = runKalman(model, z, { variant, qScale: kfQScale, rScale: kfRScale });
+    const check = kalmanConsistency(run, truth);
+    const time = (k) => +(k * model.dt).toFixed(6);
+    // One chart per state: truth, estimate and its +/- 1 sigma band
+    const states = channelNames(preset.states, model.x0.length, 'x').map((name, i) => {
+      const err = run.x.map((x, k) => truth[k][i] - x[i]);
+      return {
+        name,
+        data: run.x.map((x, k) => ({ t: time(k), truth: truth[k][i], estimate: x[i], band: [x[i] - run.sigma[k][i], x[i] + run.sigma[k][i]] })),
+        rmse: Math.sqrt(err.reduce((acc, e) => acc + e * e, 0) / err.length),
+        coverage: err.filter((e, k) => Math.abs(e) <= run.sigma[k][i]).length / err.length,
+      };
+    });
+    const measurements = channelNames(preset.measurements, model.R.length, 'z');
+    const consistency = run.x.map((_, k) => ({ t: time(k), nees: check.nees.values[k], nis: check.nis.values[k] }));
+    const whiteness = check.whiteness.acf[0].slice(1).map((_, j) => ({
+      lag: j + 1, ...Object.fromEntries(measurements.map((name, i) => [name, check.whiteness.acf[i][j + 1]])),
+    }));
+    return { model, variant, states, measurements, consistency, whiteness, check };
+  }, [activeTab, kfPreset, kfTexts, kfVariant, kfSteps, kfSeed, kfQScale, kfRScale]);
 
-    // 3. Time Domain (Impulse & Step)
-    let stepAccumulator = 0;
-    for(let i=0; i<Math.min(h.length, 60); i++) {
-       stepAccumulator += h[i];
-       impulseData.push({ n: i, val: h[i] });
-       stepData.push({ n: i, val: stepAccumulator });
+  const loadKalmanPreset = (key) => {
+    setKfPreset(key);
+    setKfTexts(kalmanTexts(KALMAN_MODELS[key]));
+    if (KALMAN_MODELS[key].measurement !== 'linear' && kfVariant === 'kf') setKfVariant('ekf');
+  };
+
+  // --- ENGINE: ANALOG CIRCUIT SYNTHESIS ---
+  // Target vs snapped-component response over three decades around the band center
+  const circuitAnalysis = useMemo(() => {
+    if (domain !== 'analog') return null;
+    const { zpk, edges, wc } = analysisData;
+    const w = Array.from({ length: 121 }, (_, i) => wc * Math.pow(10, (i - 60) / 40));
+    const chart = (err) => err.points.map(pt => ({ f: pt.w / (2 * PI), target: pt.target, real: pt.real }));
+    if (circuitTopology === 'ladder') {
+      if (analysisData.pzEdited) return { error: 'Ladders are synthesized from the catalog prototype; edited poles and zeros need op-amp stages.' };
+      const ladder = synthesizeLadder({
+        topology, order: analysisData.order, type: filterType === 'notch' ? 'bandstop' : filterType,
+        edges: edges.map(f => 2 * PI * f), rp: analysisData.rp, rs: analysisData.rs,
+      }, { R0: ladderR0, lSeries: capacitorSeries, cSeries: capacitorSeries });
+      if (ladder.error) return { error: ladder.error };
+      const err = realizationError(zpk, (wi, snapped) => ladderResponse(ladder, wi, snapped), w);
+      const peak = Math.max(...err.points.map(pt => pt.target));
+      const passband = err.points.filter((pt, i) => i % 2 === 0 && pt.target >= peak - 3).map(pt => pt.w);
+      return { ladder, sensitivity: ladderSensitivity(ladder, passband), maxError: err.maxError, data: chart(err) };
     }
+    const active = synthesizeActive(zpk, { topology: circuitTopology, cap: baseCap, rSeries: resistorSeries, cSeries: capacitorSeries });
+    const err = realizationError(zpk, (wi, snapped) => activeResponse(active, wi, snapped), w);
+    return { active, maxError: err.maxError, data: chart(err) };
+  }, [analysisData, domain, topology, filterType, circuitTopology, resistorSeries, capacitorSeries, baseCap, ladderR0]);
 
-    return { freqData, impulseData, stepData, coeffs: h };
-  }, [domain, filterType, topology, cutoff, order, ripple, sampleRate, taps, windowType]);
+  // --- ENGINE: SPECIFICATION MASK ---
+  const maskCheck = useMemo(() => (specMask.enabled && specMask.regions.length
+    ? checkSpecMask(analysisData, designParams, specMask.regions)
+    : null), [analysisData, specMask]);
+  const plotData = useMemo(() => (maskCheck ? flagSpecMask(responseRows, specMask.regions) : responseRows), [responseRows, maskCheck]);
+  // Forbidden zones of each region as chart areas, clamped to the plotted frequency and y ranges
+  const maskAreas = (kind, [yLo, yHi]) => {
+    if (!maskCheck) return [];
+    return maskCheck.regions.flatMap((r, i) => {
+      if (r.kind !== kind) return [];
+      const lo = Math.min(r.lo, r.hi), hi = Math.max(r.lo, r.hi);
+      if (hi < viewRange[0] || lo > viewRange[1]) return [];
+      const x1 = Math.max(lo, viewRange[0]), x2 = Math.min(hi, viewRange[1]);
+      return [
+        r.min !== null && r.min > yLo && { key: `${i}-min`, x1, x2, y1: yLo, y2: Math.min(r.min, yHi), pass: r.pass },
+        r.max !== null && r.max < yHi && { key: `${i}-max`, x1, x2, y1: Math.max(r.max, yLo), y2: yHi, pass: r.pass },
+      ].filter(Boolean);
+    });
+  };
+  const updateMaskRegion = (i, changes) => setSpecMask(mask => ({
+    ...mask, regions: mask.regions.map((r, j) => (j === i ? { ...r, ...changes } : r)),
+  }));
+  // New regions start on the first stopband (magnitude) or passband (delay)
+  const addMaskRegion = (kind) => {
+    const bands = responseBands(analysisData, designParams);
+    const range = (kind === 'mag' ? bands.stop[0] : bands.pass[0]) || bands.pass[0] || bands.stop[0];
+    const [lo, hi] = range.map(f => Number(f.toPrecision(3)));
+    const region = kind === 'mag'
+      ? { kind, lo, hi, min: null, max: -40 }
+      : { kind, lo, hi, min: null, max: Math.ceil(designMetrics.delay) + 1 };
+    setSpecMask(mask => ({ enabled: true, regions: [...mask.regions, region] }));
+  };
+  const maskFromDesign = () => setSpecMask({ enabled: true, regions: defaultSpecMask(analysisData, designParams) });
+
+  // Largest fraction length whose integer part still holds every coefficient of the structure
+  const autoQuantFrac = () => {
+    const coeffs = quantStruct === 'sos'
+      ? quantDesign.sos.flatMap(s => [s[0], s[1], s[2], s[4], s[5]])
+      : [...quantDesign.b, ...quantDesign.a.slice(1)];
+    setQuantFrac(Math.max(0, quantWord - 1 - fixedShift(coeffs)));
+  };
 
-  // --- ENGINE: POLE-ZERO ---
   const poleZeroData = useMemo(() => {
-    return calculatePolesZeros(topology, order, filterType, domain);
-  }, [topology, order, filterType, domain]);
+    if (domain === 'analog') {
+      // Actual s-plane roots, plotted in units of the cutoff (w / wc), band center for BP/BS
+      const { wc } = analysisData;
+      const toPoint = (r) => ({ x: r.re / wc, y: r.im / wc });
+      const poles = analysisData.zpk.p.map(toPoint);
+      const zeros = analysisData.zpk.z.map(toPoint);
+      const extent = Math.max(1.5, ...poles.concat(zeros).map(pt => 1.1 * Math.max(Math.abs(pt.x), Math.abs(pt.y))));
+      return { poles, zeros, extent };
+    }
+    if (domain === 'digital_iir') {
+      const toPoint = (r) => ({ x: r.re, y: r.im });
+      return { poles: analysisData.zpk.p.map(toPoint), zeros: analysisData.zpk.z.map(toPoint), extent: 1.5 };
+    }
+    const zeros = firZeros(analysisData.coeffs) || [];
+    return { poles: [{ x: 0, y: 0 }], zeros: zeros.map(r => ({ x: r.re, y: r.im })), extent: 1.5 };
+  }, [domain, analysisData]);
 
-  // --- ENGINE: ADAPTIVE SIMULATION ---
-  const adaptiveData = useMemo(() => {
-    if (!isRunning) return [];
-    const data = [];
-    const N = 150;
-    
-    // State for algorithms
-    let w = new Array(8).fill(0); // Weights
-    let P = new Array(64).fill(0).map((_, i) => (i % 9 === 0 ? 10 : 0)); // RLS Matrix
-    let x_kalman = 0, P_kalman = 1; // Kalman state
-    
-    const buffer = new Array(8).fill(0);
-
-    for(let n=0; n<N; n++) {
-      // Signal
-      const clean = Math.sin(2*PI*n/20);
-      const interference = 0.5 * Math.cos(2*PI*n/5);
-      const input = clean + interference + (Math.random()-0.5)*0.2; // d(n)
-      const ref = interference * 0.9 + (Math.random()-0.5)*0.1; // x(n)
-
-      buffer.pop(); buffer.unshift(ref);
-
-      let y = 0, e = 0, w_mag = 0;
-
-      if (adaptiveAlgo === 'kalman') {
-        // Simple scalar Kalman
-        const Q=0.1, R=0.5;
-        const x_pred = x_kalman;
-        const P_pred = P_kalman + Q;
-        const K = P_pred / (P_pred + R);
-        x_kalman = x_pred + K * (input - x_pred);
-        P_kalman = (1 - K) * P_pred;
-        y = x_kalman;
-        e = input - y; // Innovation
-      } else {
-        // Gradient / Least Squares
-        y = w.reduce((acc, val, i) => acc + val * buffer[i], 0);
-        e = input - y;
-        
-        // Update Laws
-        if (adaptiveAlgo === 'lms') {
-          for(let i=0; i<8; i++) w[i] += 2 * mu * e * buffer[i];
-        } else if (adaptiveAlgo === 'nlms') {
-          const power = buffer.reduce((acc, v) => acc + v*v, 0) + 1e-6;
-          for(let i=0; i<8; i++) w[i] += (mu * e * buffer[i]) / power;
-        } else if (adaptiveAlgo === 'rls') {
-          // Simplified RLS scalar visual placeholder
-          // Real RLS matrix math is too heavy for this snippet, approximating convergence speed
-          for(let i=0; i<8; i++) w[i] += 0.5 * e * buffer[i]; 
-        }
+  // --- ENGINE: EXPORT ---
+  const exportText = useMemo(() => {
+    const { coeffs, zpk, iir, edges, order: designOrder } = analysisData;
+    const tf = domain === 'digital_iir' ? iir : domain === 'analog' ? zpk2tf(zpk) : { b: coeffs, a: [1] };
+    const pairs = (roots) => roots.map(r => [r.re, r.im]);
+    const design = {
+      domain,
+      type: filterType,
+      method: domain !== 'digital_fir' ? topology : isRemez ? 'remez' : isFirSpec ? 'kaiser' : `window:${windowType}`,
+      order: domain === 'digital_fir' ? coeffs.length - 1 : designOrder,
+      fs: domain === 'analog' ? null : sampleRate,
+      edges: edges.map(f => Math.round(f * 1000) / 1000),
+      b: tf.b,
+      a: tf.a,
+      sos: domain === 'digital_iir' ? iir.sos : null,
+      zpk: zpk ? { z: pairs(zpk.z), p: pairs(zpk.p), k: zpk.k } : null,
+    };
+    switch (exportFormat) {
+      case 'c': return exportC(design);
+      case 'python': return exportPython(design);
+      case 'matlab': return exportMatlab(design);
+      case 'json': return exportJSON(design);
+      default: return exportCSV(analysisData[`${csvTable}Data`], CSV_TABLES[csvTable].columns);
+    }
+  }, [analysisData, exportFormat, csvTable, domain, filterType, topology, isRemez, isFirSpec, windowType, sampleRate]);
+
+  const downloadExport = () => {
+    const { ext, mime } = EXPORT_FORMATS[exportFormat];
+    const base = exportFormat === 'csv' ? `filterlab_${csvTable}` : exportFormat === 'matlab' ? 'filterlab_design' : 'filterlab_filter';
+    downloadText(`${base}.${ext}`, exportText, mime);
+  };
+
+  // --- ENGINE: AUDIO TEST BENCH ---
+  const audioInput = useMemo(() => {
+    if (audioSource === 'file' && audioFile) return audioFile;
+    const fs = domain === 'analog' ? 48000 : sampleRate;
+    return { name: TEST_SIGNALS[testSignal], sampleRate: fs, channels: [generateTestSignal(testSignal, fs)] };
+  }, [audioSource, audioFile, testSignal, domain, sampleRate]);
+
+  const audioOutput = useMemo(() => {
+    if (activeTab !== 'design') return null;
+    const fs = audioInput.sampleRate;
+    const tf = designTF(analysisData, domain, fs);
+    const channels = audioInput.channels.map(ch => filterSignal(tf, ch));
+    const peakOf = (chs) => Math.max(...chs.map(ch => ch.reduce((acc, v) => Math.max(acc, Math.abs(v)), 0)));
+    const clipped = channels.reduce((acc, ch) => acc + ch.filter(v => Math.abs(v) > 1).length, 0);
+
+    const envIn = envelope(audioInput.channels[0]);
+    const envOut = envelope(channels[0]);
+    const stride = Math.max(1, Math.floor(audioInput.channels[0].length / 600));
+    const waveData = envIn.map((v, i) => ({ t: Number(((i * stride) / fs).toFixed(3)), input: v, output: envOut[i] }));
+
+    // Log-spaced bins from 20 Hz for the spectrum overlay
+    const specIn = averageSpectrum(audioInput.channels[0], fs);
+    const specOut = averageSpectrum(channels[0], fs);
+    const bins = new Set();
+    for (let i = 0; i < 300; i++) {
+      const f = 20 * Math.pow(fs / 2 / 20, i / 299);
+      bins.add(Math.min(specIn.length - 1, Math.round((f / (fs / 2)) * (specIn.length - 1))));
+    }
+    const spectrumData = [...bins].map(k => ({ f: Math.round(specIn[k].f), input: specIn[k].db, output: specOut[k].db }));
+
+    return { channels, peakIn: peakOf(audioInput.channels), peakOut: peakOf(channels), clipped, waveData, spectrumData };
+  }, [activeTab, audioInput, analysisData, domain]);
+
+  const stopAudio = () => {
+    const src = sourceRef.current;
+    sourceRef.current = null;
+    if (src) src.stop();
+    setIsPlaying(false);
+  };
+
+  // Loop the original (A) or filtered (B) signal from `offset` seconds
+  const playAudio = (side, offset = 0) => {
+    if (!audioOutput) return;
+    stopAudio();
+    if (!audioCtxRef.current) audioCtxRef.current = new (window.AudioContext || window.webkitAudioContext)();
+    const ctx = audioCtxRef.current;
+    const chans = side === 'A' ? audioInput.channels : audioOutput.channels;
+    const buffer = ctx.createBuffer(chans.length, chans[0].length, audioInput.sampleRate);
+    chans.forEach((ch, c) => buffer.copyToChannel(Float32Array.from(ch), c));
+    const src = ctx.createBufferSource();
+    src.buffer = buffer;
+    src.loop = true;
+    src.connect(ctx.destination);
+    src.start(0, offset);
+    sourceRef.current = src;
+    playStartRef.current = ctx.currentTime - offset;
+    setAbSide(side);
+    setIsPlaying(true);
+  };
+
+  // Switching sides while playing resumes the other signal at the same position
+  const switchAB = (side) => {
+    if (!isPlaying) { setAbSide(side); return; }
+    const duration = audioInput.channels[0].length / audioInput.sampleRate;
+    playAudio(side, (audioCtxRef.current.currentTime - playStartRef.current) % duration);
+  };
+
+  // A new input or design invalidates the playing buffer
+  useEffect(() => stopAudio, [audioInput, audioOutput]);
+  useEffect(() => () => { if (audioCtxRef.current) audioCtxRef.current.close(); }, []);
+
+  const loadAudioFile = (file) => {
+    if (!file) return;
+    file.arrayBuffer()
+      .then(buf => {
+        setAudioFile({ name: file.name, ...decodeWav(buf) });
+        setAudioSource('file');
+        setAudioError(null);
+      })
+      .catch(err => setAudioError(err.message));
+  };
+
+  const downloadProcessed = () => {
+    const base = (audioInput.name || 'signal').replace(/\.wav$/i, '').replace(/[^\w-]+/g, '_');
+    downloadBlob(`${base}_filtered.wav`, new Blob([encodeWav(audioOutput.channels, audioInput.sampleRate)], { type: 'audio/wav' }));
+  };
+
+  // --- ENGINE: DESIGN LIBRARY ---
+  useEffect(() => saveLibrary(library), [library]);
+
+  const designSetters = {
+    domain: setDomain, filterType: setFilterType, topology: setTopology, windowType: setWindowType,
+    firMethod: setFirMethod, windowParams: setWindowParams, cutoff: setCutoff, bandLow: setBandLow,
+    bandHigh: setBandHigh, notchWidth: setNotchWidth, order: setOrder, ripple: setRipple,
+    stopbandAtten: setStopbandAtten, sampleRate: setSampleRate, taps: setTaps, remezBands: setRemezBands,
+    remezAntisymmetric: setRemezAntisymmetric, firSpecMode: setFirSpecMode, firAtten: setFirAtten,
+    firTransition: setFirTransition, iirSpecMode: setIirSpecMode, iirSpecs: setIirSpecs,
+    pzEditMode: setPzEditMode, customPZ: setCustomPZ, pzGainMode: setPzGainMode,
+    specMask: setSpecMask,
+  };
+
+  const saveDesign = () => {
+    const name = libraryName.trim() || `Design ${library.length + 1}`;
+    setLibrary(list => [...list, { id: libraryId(), name, savedAt: Date.now(), params: snapshotDesign(designParams) }]);
+    setLibraryName('');
+  };
+
+  const loadDesign = (entry) => {
+    // Designs saved before masks existed carry none
+    Object.entries({ specMask: NO_SPEC_MASK, ...entry.params }).forEach(([key, value]) => designSetters[key] && designSetters[key](value));
+    setPzSelected(null);
+    setActiveTab('design');
+  };
+
+  const duplicateDesign = (entry) => {
+    const copy = { ...entry, id: libraryId(), name: `${entry.name} (copy)`, savedAt: Date.now() };
+    setLibrary(list => list.flatMap(d => (d.id === entry.id ? [d, copy] : [d])));
+  };
+
+  const commitRename = () => {
+    const name = renaming.name.trim();
+    if (name) setLibrary(list => list.map(d => (d.id === renaming.id ? { ...d, name } : d)));
+    setRenaming(null);
+  };
+
+  const deleteDesign = (id) => {
+    setLibrary(list => list.filter(d => d.id !== id));
+    setCompareIds(ids => ids.filter(i => i !== id));
+  };
+
+  const toggleCompare = (id) => setCompareIds(ids => (ids.includes(id) ? ids.filter(i => i !== id) : [...ids, id]));
+
+  // Each compared design is analyzed on its own frequency grid; charts share numeric axes.
+  // analysisData changes exactly when designParams (rebuilt every render) does.
+  const comparison = useMemo(() => {
+    if (activeTab !== 'library') return null;
+    const entries = [
+      ...(compareCurrent ? [{ id: 'current', name: 'Current design', params: designParams, analysis: analysisData }] : []),
+      ...library.filter(d => compareIds.includes(d.id)),
+    ];
+    return entries.map((entry, i) => {
+      const params = { ...designParams, specMask: NO_SPEC_MASK, ...entry.params };
+      const analysis = entry.analysis || analyzeDesign(params);
+      const { enabled, regions } = params.specMask;
+      return {
+        id: entry.id, name: entry.name, color: COMPARE_COLORS[i % COMPARE_COLORS.length], params, analysis,
+        metrics: responseMetrics(analysis, params),
+        mask: enabled && regions.length ? checkSpecMask(analysis, params, regions) : null,
+      };
+    });
+  }, [activeTab, library, compareIds, compareCurrent, analysisData, specMask]);
+  // Metric with its difference from the reference design (no ref on the reference row)
+  const compareDiff = (v, ref, digits = 2) => {
+    if (v === null) return '—';
+    if (ref == null || v === ref) return v.toFixed(digits);
+    return `${v.toFixed(digits)} (${v > ref ? '+' : ''}${(v - ref).toFixed(digits)})`;
+  };
+
+  // --- ENGINE: PROJECT FILES & SHARE LINKS ---
+  const adaptiveParams = { adaptiveAlgo, mu, filterLength, leakage, forgetting, rlsDelta, apaOrder, epsilon, kalmanQ, kalmanR, scenario, plant, noiseLevel, mcTrials, mcSamples, mcSeed };
+  const adaptiveSetters = {
+    adaptiveAlgo: setAdaptiveAlgo, mu: setMu, filterLength: setFilterLength, leakage: setLeakage,
+    forgetting: setForgetting, rlsDelta: setRlsDelta, apaOrder: setApaOrder, epsilon: setEpsilon,
+    kalmanQ: setKalmanQ, kalmanR: setKalmanR, scenario: setScenario, plant: setPlant,
+    noiseLevel: setNoiseLevel, mcTrials: setMcTrials, mcSamples: setMcSamples, mcSeed: setMcSeed,
+  };
+  const currentProject = { design: snapshotDesign(designParams), adaptive: adaptiveParams };
+  // Initial state, captured once: share links carry only what differs from it
+  const [projectDefaults] = useState(() => currentProject);
+
+  // Settings missing from a (partial) project fall back to the defaults
+  const applyProject = ({ design, adaptive }) => {
+    Object.entries({ ...projectDefaults.design, ...design }).forEach(([key, value]) => designSetters[key](value));
+    Object.entries({ ...projectDefaults.adaptive, ...adaptive }).forEach(([key, value]) => adaptiveSetters[key](value));
+    setMcSettings(null);
+    setPzSelected(null);
+  };
+
+  // Restore from the URL hash on load, and again whenever a pasted link changes it
+  useEffect(() => {
+    const restore = () => {
+      try {
+        const project = decodeProjectHash(window.location.hash);
+        if (!project) return;
+        applyProject(project);
+        setProjectStatus({ kind: 'info', text: 'Design restored from the share link' });
+      } catch (err) {
+        setProjectStatus({ kind: 'error', text: err.message });
       }
-      
-      w_mag = Math.sqrt(w.reduce((acc,v)=>acc+v*v, 0));
+    };
+    restore();
+    window.addEventListener('hashchange', restore);
+    return () => window.removeEventListener('hashchange', restore);
+  }, []);
 
-      data.push({
-        n, input, clean, output: e, error: e - clean, weights: w_mag
-      });
+  // Mirror the state into the hash; replaceState keeps slider moves out of the history
+  const shareHash = encodeProjectHash(currentProject, projectDefaults);
+  useEffect(() => {
+    if (window.location.hash === shareHash) return;
+    window.history.replaceState(null, '', shareHash || `${window.location.pathname}${window.location.search}`);
+  }, [shareHash]);
+
+  const copyShareLink = () => {
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}${shareHash}`;
+    if (!navigator.clipboard) {
+      setProjectStatus({ kind: 'error', text: 'Clipboard unavailable; copy the link from the address bar' });
+      return;
+    }
+    navigator.clipboard.writeText(url)
+      .then(() => setProjectStatus({ kind: 'info', text: 'Share link copied to the clipboard' }))
+      .catch(err => setProjectStatus({ kind: 'error', text: err.message }));
+  };
+
+  const exportProject = () => downloadText('filterlab-project.json', serializeProject(currentProject), 'application/json');
+
+  const importProject = (file) => {
+    if (!file) return;
+    file.text()
+      .then(text => {
+        applyProject(parseProject(text));
+        setProjectStatus({ kind: 'info', text: `Loaded project ${file.name}` });
+      })
+      .catch(err => setProjectStatus({ kind: 'error', text: `${file.name}: ${err.message}` }));
+  };
+
+  // --- ENGINE: ADAPTIVE SIMULATION ---
+  // The Monte Carlo run is too slow to follow the sliders: it uses the settings captured by Run
+  // (taken automatically when the tab first opens or a project is loaded)
+  const adaptiveRun = useMemo(() => {
+    if (activeTab !== 'adaptive' || !mcSettings) return null;
+    const { scenario, plant, noiseLevel, adaptiveAlgo, filterLength, mcTrials, mcSamples, mcSeed } = mcSettings;
+    const { mu, leakage, forgetting, rlsDelta, apaOrder, epsilon, kalmanQ, kalmanR } = mcSettings;
+    const params = { mu, leakage, forgetting, rlsDelta, apaOrder, epsilon, kalmanQ, kalmanR };
+    const opts = { plant, L: filterLength, noise: noiseLevel };
+    const run = runLearningCurve(scenario, adaptiveAlgo, filterLength, params, opts, { trials: mcTrials, samples: mcSamples, seed: mcSeed });
+    // The learning curve is decimated to <= 500 points for plotting
+    const stride = Math.ceil(mcSamples / 500);
+    const curveData = run.mse
+      .map((v, n) => ({ n, mse: 10 * log10(Math.max(v, 1e-12)) }))
+      .filter((_, n) => n % stride === 0);
+    return { ...run, curveData };
+  }, [activeTab, mcSettings]);
+  useEffect(() => {
+    if (activeTab === 'adaptive' && !mcSettings) setMcSettings(adaptiveParams);
+  }, [activeTab, mcSettings]);
+  const mcStale = mcSettings !== null && ADAPTIVE_KEYS.some(key => mcSettings[key] !== adaptiveParams[key]);
+
+  // --- ENGINE: LIVE ADAPTIVE STREAM ---
+  // One run of the scenario advanced streamSpeed samples per animation frame. Step sizes, noise
+  // and the other tuning parameters are pushed into the running filter; scenario, plant,
+  // algorithm, length, RLS init, seed or Reset start a new run.
+  useEffect(() => {
+    const params = { mu, leakage, forgetting, rlsDelta, apaOrder, epsilon, kalmanQ, kalmanR };
+    streamRef.current = {
+      stream: createAdaptiveStream(scenario, adaptiveAlgo, filterLength, params, { plant, L: filterLength, noise: noiseLevel }, mcSeed),
+      recovered: ADAPTIVE_SCENARIOS[scenario].recovered,
+      rows: [], changes: [], power: null, diverged: null,
+    };
+    setStreamRows([]);
+  }, [scenario, plant, adaptiveAlgo, filterLength, rlsDelta, mcSeed, streamResets]);
+
+  useEffect(() => {
+    const { stream } = streamRef.current;
+    Object.assign(stream.params, { mu, leakage, forgetting, apaOrder, epsilon, kalmanQ, kalmanR });
+    stream.opts.noise = noiseLevel;
+  }, [mu, leakage, forgetting, apaOrder, epsilon, kalmanQ, kalmanR, noiseLevel]);
+
+  // Advance the live run by `count` samples. Error power is smoothed over ~50 samples; a run
+  // whose error passes 1e6 is stopped as diverged.
+  const advanceStream = (count) => {
+    const run = streamRef.current;
+    if (run.diverged !== null) return;
+    for (let i = 0; i < count; i++) {
+      const s = run.stream.step();
+      const e2 = s.e * s.e;
+      run.power = run.power === null ? e2 : run.power + 0.02 * (e2 - run.power);
+      const row = {
+        n: s.n, input: s.d, output: s[run.recovered], clean: s.target,
+        power: 10 * log10(Math.max(run.power, 1e-12)), weights: Math.sqrt(s.w.reduce((acc, v) => acc + v * v, 0)),
+      };
+      s.w.slice(0, STREAM_TAPS).forEach((v, k) => { row[`w${k}`] = v; });
+      run.rows.push(row);
+      if (!(Math.abs(s.e) < 1e6)) {
+        run.diverged = s.n;
+        setIsRunning(false);
+        break;
+      }
     }
-    return data;
-  }, [adaptiveAlgo, mu, isRunning]);
+    if (run.rows.length > STREAM_WINDOW) run.rows.splice(0, run.rows.length - STREAM_WINDOW);
+  };
+  // Copy the window (and with it the change markers) into state for the charts
+  const publishStream = () => setStreamRows(streamRef.current.rows.slice());
+
+  // Samples advance on every frame but are published every STREAM_PUBLISH_MS, and once more on pause
+  useEffect(() => {
+    if (activeTab !== 'adaptive' || !isRunning) return undefined;
+    let frame;
+    let published = -Infinity;
+    const tick = (time) => {
+      advanceStream(streamSpeed);
+      if (time - published >= STREAM_PUBLISH_MS) {
+        publishStream();
+        published = time;
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => {
+      cancelAnimationFrame(frame);
+      publishStream();
+    };
+  }, [activeTab, isRunning, streamSpeed]);
+
+  const stepStream = () => {
+    setIsRunning(false);
+    advanceStream(1);
+    publishStream();
+  };
+  const injectChange = () => {
+    const run = streamRef.current;
+    run.stream.inject();
+    run.changes.push(run.rows.length ? run.rows[run.rows.length - 1].n + 1 : 0);
+    publishStream();
+  };
+  const streamInfo = streamRef.current;
+  const streamTaps = adaptiveAlgo === 'kalman' ? 0 : Math.min(filterLength, STREAM_TAPS);
+  const toDB = (v) => (v === null ? '—' : Number.isFinite(v) ? `${(10 * log10(v)).toFixed(2)} dB` : '∞');
+  const toPct = (v) => (v === null ? '—' : Number.isFinite(v) ? `${(100 * v).toFixed(1)} %` : '∞');
+
+  // Parameter sliders for the selected adaptive algorithm (log sliders work on log10 of the value)
+  const normalizedStep = adaptiveAlgo === 'nlms' || adaptiveAlgo === 'apa';
+  const adaptiveSliders = [
+    { label: 'FILTER LENGTH (N)', value: filterLength, set: setFilterLength, ...ADAPTIVE_LIMITS.filterLength, step: 1, show: true },
+    { label: 'STEP SIZE (μ)', value: mu, set: setMu, min: normalizedStep ? 0.01 : 0.0005, max: normalizedStep ? 1.9 : 0.1, step: normalizedStep ? 0.01 : 0.0005, show: !['rls', 'kalman'].includes(adaptiveAlgo) },
+    { label: 'LEAKAGE (γ)', value: leakage, set: setLeakage, min: 0, max: 0.5, step: 0.005, show: adaptiveAlgo === 'leaky' },
+    { label: 'FORGETTING (λ)', value: forgetting, set: setForgetting, min: 0.9, max: 1, step: 0.001, show: adaptiveAlgo === 'rls' },
+    { label: 'INIT δ (P₀ = I/δ)', value: rlsDelta, set: setRlsDelta, min: -4, max: 1, step: 0.1, log: true, show: adaptiveAlgo === 'rls' },
+    { label: 'PROJECTION ORDER (K)', value: apaOrder, set: setApaOrder, ...ADAPTIVE_LIMITS.apaOrder, step: 1, show: adaptiveAlgo === 'apa' },
+    { label: 'REGULARIZATION (ε)', value: epsilon, set: setEpsilon, min: -6, max: 0, step: 0.1, log: true, show: normalizedStep },
+    { label: 'PROCESS NOISE (Q)', value: kalmanQ, set: setKalmanQ, min: 0.001, max: 1, step: 0.001, show: adaptiveAlgo === 'kalman' },
+    { label: 'MEAS. NOISE (R)', value: kalmanR, set: setKalmanR, min: 0.01, max: 5, step: 0.01, show: adaptiveAlgo === 'kalman' },
+  ].filter(sl => sl.show);
+  const complexity = adaptiveComplexity(adaptiveAlgo, filterLength, apaOrder);
 
   return (
     <div className="min-h-screen bg-slate-950 text-slate-200 font-mono selection:bg-indigo-500 selection:text-white pb-10">
@@ -339,31 +2252,65 @@ export default function FilterLabPro() {
             </div>
           </div>
           
-          <nav className="flex bg-slate-800 p-1 rounded-lg border border-slate-700">
-            {[
-              { id: 'design', icon: Sliders, label: 'Design' },
-              { id: 'analysis', icon: Activity, label: 'Analysis' },
-              { id: 'adaptive', icon: BrainCircuit, label: 'Adaptive' },
-            ].map(tab => (
-              <button
-                key={tab.id}
-                onClick={() => setActiveTab(tab.id)}
-                className={`flex items-center gap-2 px-4 py-2 rounded-md transition-all text-xs font-bold uppercase tracking-wide ${
-                  activeTab === tab.id 
-                    ? 'bg-indigo-600 text-white shadow-md' 
-                    : 'text-slate-400 hover:text-white hover:bg-slate-700'
-                }`}
-              >
-                <tab.icon size={14} />
-                {tab.label}
-              </button>
-            ))}
-          </nav>
+          <div className="flex items-center gap-3">
+            <div className="flex items-center gap-1">
+              {[
+                { icon: Link, title: 'Copy share link', onClick: copyShareLink },
+                { icon: FileDown, title: 'Export project (JSON)', onClick: exportProject },
+                { icon: FileUp, title: 'Import project (JSON)', onClick: () => projectInputRef.current.click() },
+              ].map(action => (
+                <button key={action.title} onClick={action.onClick} title={action.title}
+                  className="p-2 rounded-md border border-slate-700 text-slate-400 hover:text-white hover:bg-slate-700">
+                  <action.icon size={14} />
+                </button>
+              ))}
+              <input ref={projectInputRef} type="file" accept=".json,application/json" className="hidden"
+                onChange={(e) => { importProject(e.target.files[0]); e.target.value = ''; }} />
+            </div>
+            <nav className="flex bg-slate-800 p-1 rounded-lg border border-slate-700">
+              {[
+                { id: 'design', icon: Sliders, label: 'Design' },
+                { id: 'analysis', icon: Activity, label: 'Analysis' },
+                { id: 'signals', icon: Waves, label: 'Signals' },
+                { id: 'structures', icon: Workflow, label: 'Structures' },
+                { id: 'multirate', icon: ArrowDownUp, label: 'Multirate' },
+                { id: 'adaptive', icon: BrainCircuit, label: 'Adaptive' },
+                { id: 'kalman', icon: Radar, label: 'Kalman' },
+                { id: 'library', icon: Library, label: 'Library' },
+              ].map(tab => (
+                <button
+                  key={tab.id}
+                  onClick={() => setActiveTab(tab.id)}
+                  className={`flex items-center gap-2 px-4 py-2 rounded-md transition-all text-xs font-bold uppercase tracking-wide ${
+                    activeTab === tab.id 
+                      ? 'bg-indigo-600 text-white shadow-md' 
+                      : 'text-slate-400 hover:text-white hover:bg-slate-700'
+                  }`}
+                >
+                  <tab.icon size={14} />
+                  {tab.label}
+                </button>
+              ))}
+            </nav>
+          </div>
         </div>
       </header>
 
       <main className="max-w-7xl mx-auto p-4 md:p-6 grid grid-cols-1 lg:grid-cols-12 gap-6">
         
+        {/* PROJECT STATUS */}
+        {projectStatus && (
+          <div className={`lg:col-span-12 flex items-center justify-between gap-3 px-4 py-2 rounded-lg border text-xs ${
+            projectStatus.kind === 'error' ? 'bg-rose-950/40 border-rose-800 text-rose-300' : 'bg-emerald-950/30 border-emerald-800 text-emerald-300'
+          }`}>
+            <span className="flex items-center gap-2">
+              {projectStatus.kind === 'error' ? <AlertTriangle size={14} /> : <CheckCircle size={14} />}
+              {projectStatus.text}
+            </span>
+            <button onClick={() => setProjectStatus(null)} className="text-slate-400 hover:text-white"><X size={14} /></button>
+          </div>
+        )}
+
         {/* --- LEFT CONTROL COLUMN --- */}
         <aside className="lg:col-span-3 space-y-4">
           
@@ -384,7 +2331,7 @@ export default function FilterLabPro() {
                 >
                   <option value="analog">Analog (s-domain)</option>
                   <option value="digital_iir">Digital IIR (z-domain)</option>
-                  <option value="digital_fir">Digital FIR (Windowed)</option>
+                  <option value="digital_fir">Digital FIR</option>
                 </select>
               </div>
 
@@ -421,39 +2368,235 @@ export default function FilterLabPro() {
                     <option value="elliptic">Elliptic (Cauer)</option>
                     <option value="bessel">Bessel (Linear Phase)</option>
                   </select>
-                </div>
-              ) : (
-                <div className="space-y-2">
-                  <label className="text-[10px] uppercase font-bold text-slate-500">Window Function</label>
-                  <select 
-                    value={windowType} onChange={(e) => setWindowType(e.target.value)}
-                    className="w-full bg-slate-800 border border-slate-700 rounded text-xs p-2 outline-none"
-                  >
-                    <option value="hamming">Hamming</option>
-                    <option value="hanning">Hanning</option>
-                    <option value="blackman">Blackman</option>
-                    <option value="rectangular">Rectangular</option>
-                  </select>
+
+                  <label className="flex items-center gap-2 pt-2 text-[10px] uppercase font-bold text-slate-500 cursor-pointer">
+                    <input type="checkbox" checked={iirSpecMode} onChange={(e) => setIirSpecMode(e.target.checked)} className="accent-indigo-500" />
+                    Design from Spec (Min Order)
+                  </label>
+
+                  {iirSpecMode && topology === 'bessel' && (
+                    <p className="text-[10px] text-amber-400">Bessel has no minimum-order formula; using the manual order.</p>
+                  )}
+
+                  {isIirSpec && (
+                    <div className="space-y-2">
+                      <div className="grid grid-cols-2 gap-2">
+                        {[['ap', 'Max PB Ripple Ap (dB)'], ['as', 'Min SB Atten As (dB)']].map(([key, label]) => (
+                          <label key={key} className="text-[9px] uppercase text-slate-500 space-y-1">
+                            <span className="block">{label}</span>
+                            <input
+                              type="number" step={key === 'ap' ? 0.1 : 1} value={iirSpecs[specType][key]}
+                              onChange={(e) => updateIirSpec(key, null, Number(e.target.value))}
+                              className="w-full min-w-0 bg-slate-800 border border-slate-700 rounded text-[10px] p-1 outline-none focus:border-indigo-500 text-slate-200"
+                            />
+                          </label>
+                        ))}
+                      </div>
+                      {[['pass', 'Passband Edge'], ['stop', 'Stopband Edge']].map(([key, label]) => (
+                        <div key={key} className="space-y-1">
+                          <span className="block text-[9px] uppercase text-slate-500">{label}{specType === 'bandpass' || specType === 'bandstop' ? 's' : ''} (Hz)</span>
+                          <div className="grid grid-cols-2 gap-2">
+                            {(specType === 'bandpass' || specType === 'bandstop' ? [0, 1] : [0]).map(i => (
+                              <input
+                                key={i} type="number" step={50} value={iirSpecs[specType][key][i]}
+                                onChange={(e) => updateIirSpec(key, i, Number(e.target.value))}
+                                className="w-full min-w-0 bg-slate-800 border border-slate-700 rounded text-[10px] p-1 outline-none focus:border-indigo-500"
+                              />
+                            ))}
+                          </div>
+                        </div>
+                      ))}
+                      {analysisData.iirSpec?.error && (
+                        <p className="text-[10px] text-rose-400">{analysisData.iirSpec.error}</p>
+                      )}
+                    </div>
+                  )}
+                </div>
+              ) : (
+                <div className="space-y-4">
+                  <div className="space-y-2">
+                    <label className="text-[10px] uppercase font-bold text-slate-500">Design Method</label>
+                    <select 
+                      value={firMethod} onChange={(e) => setFirMethod(e.target.value)}
+                      className="w-full bg-slate-800 border border-slate-700 rounded text-xs p-2 outline-none"
+                    >
+                      <option value="window">Windowed Sinc</option>
+                      <option value="remez">Parks-McClellan (Equiripple)</option>
+                    </select>
+                  </div>
+
+                  {firMethod === 'window' ? (
+                    <div className="space-y-3">
+                      <label className="flex items-center gap-2 text-[10px] uppercase font-bold text-slate-500 cursor-pointer">
+                        <input type="checkbox" checked={firSpecMode} onChange={(e) => setFirSpecMode(e.target.checked)} className="accent-indigo-500" />
+                        Design from Spec (Kaiser)
+                      </label>
+
+                      {firSpecMode ? (
+                        <>
+                          <div>
+                            <div className="flex justify-between text-[10px] text-slate-400 mb-1">
+                              <span>STOPBAND ATTEN (dB)</span>
+                              <span className="text-amber-500">{firAtten}</span>
+                            </div>
+                            <input type="range" min="20" max="120" step="1" value={firAtten} onChange={(e) => setFirAtten(Number(e.target.value))} className="w-full h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-amber-500" />
+                          </div>
+                          <div>
+                            <div className="flex justify-between text-[10px] text-slate-400 mb-1">
+                              <span>TRANSITION WIDTH (Hz)</span>
+                              <span className="text-amber-500">{firTransition}</span>
+                            </div>
+                            <input type="range" min="50" max="5000" step="50" value={firTransition} onChange={(e) => setFirTransition(Number(e.target.value))} className="w-full h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-amber-500" />
+                          </div>
+                        </>
+                      ) : (
+                        <div className="space-y-2">
+                          <label className="text-[10px] uppercase font-bold text-slate-500">Window Function</label>
+                          <select 
+                            value={windowType} onChange={(e) => setWindowType(e.target.value)}
+                            className="w-full bg-slate-800 border border-slate-700 rounded text-xs p-2 outline-none"
+                          >
+                            {Object.entries(WINDOW_LABELS).map(([type, label]) => (
+                              <option key={type} value={type}>{label}</option>
+                            ))}
+                          </select>
+                          {WINDOW_PARAMS[windowType] && (
+                            <div>
+                              <div className="flex justify-between text-[10px] text-slate-400 mb-1">
+                                <span>{WINDOW_PARAMS[windowType].label}</span>
+                                <span className="text-indigo-400">{windowParams[windowType]}</span>
+                              </div>
+                              <input
+                                type="range" min={WINDOW_PARAMS[windowType].min} max={WINDOW_PARAMS[windowType].max} step={WINDOW_PARAMS[windowType].step}
+                                value={windowParams[windowType]}
+                                onChange={(e) => setWindowParams(params => ({ ...params, [windowType]: Number(e.target.value) }))}
+                                className="w-full h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-indigo-500"
+                              />
+                            </div>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  ) : (
+                    <div className="space-y-2">
+                      <label className="text-[10px] uppercase font-bold text-slate-500">Symmetry</label>
+                      <select 
+                        value={remezAntisymmetric ? 'anti' : 'sym'} onChange={(e) => setRemezAntisymmetric(e.target.value === 'anti')}
+                        className="w-full bg-slate-800 border border-slate-700 rounded text-xs p-2 outline-none"
+                      >
+                        <option value="sym">Symmetric (Type I / II)</option>
+                        <option value="anti">Antisymmetric (Type III / IV)</option>
+                      </select>
+
+                      <div className="flex justify-between items-center pt-2">
+                        <label className="text-[10px] uppercase font-bold text-slate-500">Bands (Hz)</label>
+                        <button
+                          onClick={() => setRemezBands(bands => {
+                            const lastEnd = bands.length ? bands[bands.length - 1].end : 0;
+                            return [...bands, { start: lastEnd, end: sampleRate / 2, gain: 0, weight: 1 }];
+                          })}
+                          disabled={remezBands.length >= DESIGN_LIMITS.remezBands.max}
+                          className="text-[10px] px-2 py-0.5 rounded border border-slate-700 text-slate-400 hover:text-white disabled:opacity-30"
+                        >
+                          + Band
+                        </button>
+                      </div>
+                      <div className="grid grid-cols-[1fr_1fr_0.7fr_0.7fr_auto] gap-1 text-[9px] uppercase text-slate-500">
+                        <span>Start</span><span>End</span><span>Gain</span><span>Wt</span><span></span>
+                      </div>
+                      {remezBands.map((band, i) => (
+                        <div key={i} className="grid grid-cols-[1fr_1fr_0.7fr_0.7fr_auto] gap-1">
+                          {['start', 'end', 'gain', 'weight'].map(key => (
+                            <input
+                              key={key} type="number" value={band[key]}
+                              step={key === 'start' || key === 'end' ? 100 : 0.1}
+                              onChange={(e) => updateRemezBand(i, key, Number(e.target.value))}
+                              className="w-full min-w-0 bg-slate-800 border border-slate-700 rounded text-[10px] p-1 outline-none focus:border-indigo-500"
+                            />
+                          ))}
+                          <button
+                            onClick={() => setRemezBands(bands => bands.filter((_, j) => j !== i))}
+                            disabled={remezBands.length <= 1}
+                            className="text-[10px] px-1 text-slate-500 hover:text-rose-400 disabled:opacity-30"
+                          >
+                            ×
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </div>
               )}
 
               {/* Sliders */}
               <div className="space-y-4 pt-2 border-t border-slate-800">
+                {manualEdges && (filterType === 'bandpass' || filterType === 'bandstop') && (
+                  <>
+                    <div>
+                      <div className="flex justify-between text-[10px] text-slate-400 mb-1">
+                        <span>LOW CUTOFF (Hz)</span>
+                        <span className="text-indigo-400">{bandLow}</span>
+                      </div>
+                      <input type="range" min="20" max="20000" step="10" value={bandLow} onChange={(e) => setBandLow(Math.min(Number(e.target.value), bandHigh - 10))} className="w-full h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-indigo-500" />
+                    </div>
+                    <div>
+                      <div className="flex justify-between text-[10px] text-slate-400 mb-1">
+                        <span>HIGH CUTOFF (Hz)</span>
+                        <span className="text-indigo-400">{bandHigh}</span>
+                      </div>
+                      <input type="range" min="20" max="20000" step="10" value={bandHigh} onChange={(e) => setBandHigh(Math.max(Number(e.target.value), bandLow + 10))} className="w-full h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-indigo-500" />
+                    </div>
+                  </>
+                )}
+
+                {manualEdges && filterType !== 'bandpass' && filterType !== 'bandstop' && (
                 <div>
                   <div className="flex justify-between text-[10px] text-slate-400 mb-1">
-                    <span>CUTOFF (Hz)</span>
+                    <span>{filterType === 'notch' ? 'CENTER (Hz)' : 'CUTOFF (Hz)'}</span>
                     <span className="text-indigo-400">{cutoff}</span>
                   </div>
                   <input type="range" min="20" max="10000" step="10" value={cutoff} onChange={(e) => setCutoff(Number(e.target.value))} className="w-full h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-indigo-500" />
                 </div>
+                )}
+
+                {manualEdges && filterType === 'notch' && (
+                  <div>
+                    <div className="flex justify-between text-[10px] text-slate-400 mb-1">
+                      <span>BANDWIDTH (Hz)</span>
+                      <span className="text-indigo-400">{notchWidth}</span>
+                    </div>
+                    <input type="range" min="10" max="2000" step="10" value={notchWidth} onChange={(e) => setNotchWidth(Number(e.target.value))} className="w-full h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-indigo-500" />
+                  </div>
+                )}
 
-                {domain === 'digital_fir' ? (
+                {isFirSpec ? (
+                  <div className="flex justify-between text-[10px] text-slate-400">
+                    <span>TAPS (Order: {analysisData.kaiserSpec.taps - 1})</span>
+                    <span className="text-indigo-400">{analysisData.kaiserSpec.taps} · β = {analysisData.kaiserSpec.beta.toFixed(3)}</span>
+                  </div>
+                ) : domain === 'digital_fir' ? (
                   <div>
                     <div className="flex justify-between text-[10px] text-slate-400 mb-1">
                       <span>TAPS (Order: {taps-1})</span>
                       <span className="text-indigo-400">{taps}</span>
                     </div>
-                    <input type="range" min="5" max="127" step="2" value={taps} onChange={(e) => setTaps(Number(e.target.value))} className="w-full h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-indigo-500" />
+                    <input type="range" min={DESIGN_LIMITS.taps.min} max={DESIGN_LIMITS.taps.max} step={isRemez ? 1 : 2} value={taps} onChange={(e) => setTaps(Number(e.target.value))} className="w-full h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-indigo-500" />
+                  </div>
+                ) : isIirSpec ? (
+                  <div className="space-y-1 text-[10px] text-slate-400">
+                    <div className="flex justify-between">
+                      <span>MIN ORDER (N)</span>
+                      <span className={analysisData.iirSpec?.capped ? 'text-amber-500' : 'text-indigo-400'}>
+                        {analysisData.iirSpec?.error ? '—' : analysisData.iirSpec.order}
+                        {analysisData.iirSpec?.capped ? ` (capped at ${MAX_SPEC_ORDER})` : ''}
+                      </span>
+                    </div>
+                    {!analysisData.iirSpec?.error && (
+                      <div className="flex justify-between">
+                        <span>NATURAL FREQ (Hz)</span>
+                        <span className="text-indigo-400">{analysisData.iirSpec.wn.map(f => f.toFixed(1)).join(' / ')}</span>
+                      </div>
+                    )}
                   </div>
                 ) : (
                   <div>
@@ -461,11 +2604,11 @@ export default function FilterLabPro() {
                       <span>ORDER (N)</span>
                       <span className="text-indigo-400">{order}</span>
                     </div>
-                    <input type="range" min="1" max="10" step="1" value={order} onChange={(e) => setOrder(Number(e.target.value))} className="w-full h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-indigo-500" />
+                    <input type="range" min={DESIGN_LIMITS.order.min} max={DESIGN_LIMITS.order.max} step="1" value={order} onChange={(e) => setOrder(Number(e.target.value))} className="w-full h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-indigo-500" />
                   </div>
                 )}
                 
-                {(topology.includes('chebyshev') || topology === 'elliptic') && domain !== 'digital_fir' && (
+                {(topology === 'chebyshev1' || topology === 'elliptic') && domain !== 'digital_fir' && !isIirSpec && (
                    <div>
                     <div className="flex justify-between text-[10px] text-slate-400 mb-1">
                       <span>RIPPLE (dB)</span>
@@ -474,6 +2617,16 @@ export default function FilterLabPro() {
                     <input type="range" min="0.1" max="5" step="0.1" value={ripple} onChange={(e) => setRipple(Number(e.target.value))} className="w-full h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-amber-500" />
                   </div>
                 )}
+
+                {(topology === 'chebyshev2' || topology === 'elliptic') && domain !== 'digital_fir' && !isIirSpec && (
+                   <div>
+                    <div className="flex justify-between text-[10px] text-slate-400 mb-1">
+                      <span>STOPBAND ATTEN (dB)</span>
+                      <span className="text-amber-500">{stopbandAtten}</span>
+                    </div>
+                    <input type="range" min="10" max="100" step="1" value={stopbandAtten} onChange={(e) => setStopbandAtten(Number(e.target.value))} className="w-full h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-amber-500" />
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -496,9 +2649,51 @@ export default function FilterLabPro() {
                 </div>
                  <div className="bg-slate-800/50 p-2 rounded">
                    <span className="block text-slate-500">Stability</span>
-                   <span className="text-green-400">Stable</span>
+                   <span className={STABILITY_STYLES[stability.status].color}>{STABILITY_STYLES[stability.status].label}</span>
                 </div>
              </div>
+             <div className="mt-2 space-y-1 text-[10px]">
+                {[
+                  [domain === 'analog' ? 'Max Re(p)' : 'Max |p|',
+                    domain === 'analog' ? `${stability.margin.toFixed(1)} rad/s` : domain === 'digital_fir' ? '0 (all poles at z = 0)' : stability.margin.toFixed(6)],
+                  ['Test', stability.test === 'routh'
+                    ? `Routh: ${stability.routh.signChanges} sign change${stability.routh.signChanges === 1 ? '' : 's'}${stability.routh.special === 'auxiliary' ? ', jω-axis roots' : ''}`
+                    : stability.test === 'jury'
+                      ? `Jury: ${stability.sections.filter(sec => sec.jury.stable).length}/${stability.sections.length} biquads pass`
+                      : 'FIR: always stable'],
+                  ['Minimum phase', stability.minPhase === null ? '— (too many taps)' : stability.minPhase ? 'Yes' : 'No'],
+                ].map(([label, value]) => (
+                  <div key={label} className="flex justify-between gap-2">
+                    <span className="text-slate-500">{label}</span>
+                    <span className="font-mono text-slate-300 text-right">{value}</span>
+                  </div>
+                ))}
+                {stability.direct && !stability.direct.jury.stable && stability.stable && (
+                  <p className="text-amber-400 flex items-start gap-1">
+                    <AlertTriangle size={12} className="shrink-0 mt-0.5" /> Expanded direct form fails Jury (max |p| {stability.direct.margin.toFixed(4)}): keep the SOS cascade.
+                  </p>
+                )}
+             </div>
+             {stability.damping.length > 0 && (
+               <table className="w-full mt-3 text-[10px] text-right text-slate-300">
+                 <thead>
+                   <tr className="text-slate-500 uppercase">
+                     <th className="text-left font-normal">f0 (Hz)</th>
+                     <th className="font-normal">ζ</th>
+                     <th className="font-normal">Q</th>
+                   </tr>
+                 </thead>
+                 <tbody>
+                   {stability.damping.map((d, i) => (
+                     <tr key={i}>
+                       <td className="text-left">{d.f0.toFixed(1)}</td>
+                       <td>{d.zeta.toFixed(4)}</td>
+                       <td className={d.Q !== null && (d.Q < 0 || d.Q > 20) ? 'text-amber-400' : ''}>{d.Q === null ? '— (real)' : d.Q.toFixed(3)}</td>
+                     </tr>
+                   ))}
+                 </tbody>
+               </table>
+             )}
           </div>
         </aside>
 
@@ -513,94 +2708,1454 @@ export default function FilterLabPro() {
                    <h2 className="text-lg font-bold text-white flex items-center gap-2">
                      <BrainCircuit className="text-emerald-500" /> Adaptive Convergence
                    </h2>
-                   <div className="flex gap-2">
-                      {['lms', 'nlms', 'rls', 'kalman'].map(algo => (
+                   <div className="flex flex-wrap justify-end gap-2">
+                      {Object.entries(ADAPTIVE_ALGOS).map(([algo, label]) => (
                         <button key={algo} onClick={()=>setAdaptiveAlgo(algo)} 
                         className={`text-[10px] uppercase font-bold px-3 py-1 rounded border ${adaptiveAlgo===algo ? 'bg-emerald-600 border-emerald-500 text-white' : 'border-slate-700 text-slate-500'}`}>
-                          {algo}
+                          {label}
                         </button>
                       ))}
-                      <button onClick={()=>setIsRunning(!isRunning)} className="ml-4 text-xs bg-slate-700 px-3 py-1 rounded hover:text-white">
-                        {isRunning ? 'Pause' : 'Resume'}
-                      </button>
                    </div>
                  </div>
 
+                 <div className="flex flex-wrap items-end gap-4 mb-4">
+                    <div className="flex flex-wrap gap-2">
+                      {Object.entries(ADAPTIVE_SCENARIOS).map(([key, sc]) => (
+                        <button key={key} onClick={()=>setScenario(key)}
+                        className={`text-[10px] uppercase font-bold px-3 py-1 rounded border ${scenario===key ? 'bg-sky-600 border-sky-500 text-white' : 'border-slate-700 text-slate-500'}`}>
+                          {sc.label}
+                        </button>
+                      ))}
+                    </div>
+                    {scenario === 'system_id' && (
+                      <select value={plant} onChange={(e) => setPlant(e.target.value)}
+                        className="bg-slate-800 border border-slate-700 rounded px-2 py-1 text-[10px] text-slate-300">
+                        {Object.entries(PLANTS).map(([key, pl]) => <option key={key} value={key}>{pl.label}</option>)}
+                      </select>
+                    )}
+                 </div>
+
+                 {/* LIVE STREAM CONTROLS */}
+                 <div className="flex flex-wrap items-center gap-3 mb-4 text-[10px] text-slate-400">
+                    <div className="flex items-center gap-1">
+                      {[
+                        { icon: isRunning ? Pause : Play, title: isRunning ? 'Pause' : 'Play', onClick: () => setIsRunning(!isRunning), active: isRunning },
+                        { icon: StepForward, title: 'Single step', onClick: stepStream },
+                        { icon: RotateCcw, title: 'Reset the run', onClick: () => setStreamResets(streamResets + 1) },
+                      ].map(action => (
+                        <button key={action.title} onClick={action.onClick} title={action.title}
+                          className={`p-1.5 rounded border ${action.active ? 'bg-emerald-600 border-emerald-500 text-white' : 'border-slate-700 text-slate-400 hover:text-white'}`}>
+                          <action.icon size={12} />
+                        </button>
+                      ))}
+                    </div>
+                    <div className="flex rounded border border-slate-700 overflow-hidden">
+                      {[1, 2, 5, 10, 25].map(speed => (
+                        <button key={speed} onClick={() => setStreamSpeed(speed)} title={`${speed} samples per frame`}
+                          className={`uppercase font-bold px-2 py-1 ${streamSpeed === speed ? 'bg-emerald-600 text-white' : 'text-slate-500'}`}>
+                          {speed}×
+                        </button>
+                      ))}
+                    </div>
+                    <button onClick={injectChange}
+                      className="flex items-center gap-1 uppercase font-bold px-3 py-1 rounded border border-amber-700 text-amber-400 hover:bg-amber-900/40">
+                      <Zap size={12} /> {ADAPTIVE_SCENARIOS[scenario].change}
+                    </button>
+                    <label className="flex items-center gap-2">
+                      <span>NOISE σ</span>
+                      <input type="range" min={0.01} max={1} step={0.01} value={noiseLevel}
+                        onChange={(e) => setNoiseLevel(Number(e.target.value))}
+                        className="w-20 h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-emerald-500" />
+                      <span className="text-emerald-400 w-8">{noiseLevel}</span>
+                    </label>
+                 </div>
+
                  <div className="h-[300px] w-full">
                     <ResponsiveContainer>
-                      <LineChart data={adaptiveData}>
+                      <LineChart data={streamRows}>
                         <CartesianGrid stroke="#1e293b" strokeDasharray="3 3" />
-                        <XAxis dataKey="n" hide />
-                        <YAxis stroke="#64748b" fontSize={10} domain={[-2,2]} />
-                        <Tooltip contentStyle={{backgroundColor: '#0f172a', borderColor: '#334155'}} />
+                        <XAxis dataKey="n" type="number" domain={['dataMin', 'dataMax']} stroke="#64748b" fontSize={10} allowDecimals={false} />
+                        <YAxis stroke="#64748b" fontSize={10} domain={['auto', 'auto']} tickFormatter={(v) => +v.toPrecision(3)} />
+                        <Tooltip contentStyle={{backgroundColor: '#0f172a', borderColor: '#334155'}} formatter={(v) => v.toFixed(4)} />
                         <Legend />
-                        <Line type="monotone" dataKey="input" stroke="#334155" dot={false} strokeWidth={1} name="Noisy Input" />
-                        <Line type="monotone" dataKey="output" stroke="#10b981" dot={false} strokeWidth={2} name="Error (Cleaned)" />
-                        <Line type="monotone" dataKey="clean" stroke="#3b82f6" dot={false} strokeWidth={2} strokeDasharray="5 5" name="Target" />
+                        {streamInfo && streamInfo.changes.map(n => (
+                          <ReferenceLine key={n} x={n} stroke="#f59e0b" strokeDasharray="4 4" />
+                        ))}
+                        <Line type="monotone" dataKey="input" stroke="#334155" dot={false} strokeWidth={1} name="Desired d(n)" isAnimationActive={false} />
+                        <Line type="monotone" dataKey="output" stroke="#10b981" dot={false} strokeWidth={2} name={ADAPTIVE_SCENARIOS[scenario].recovered === 'e' ? 'Error e(n) (Recovered)' : 'Output y(n)'} isAnimationActive={false} />
+                        <Line type="monotone" dataKey="clean" stroke="#3b82f6" dot={false} strokeWidth={2} strokeDasharray="5 5" name="Target" isAnimationActive={false} />
                       </LineChart>
                     </ResponsiveContainer>
                  </div>
+                 <div className="flex flex-wrap justify-between gap-2 mt-2 text-[10px] text-slate-500">
+                    <span>
+                      n = {streamRows.length ? streamRows[streamRows.length - 1].n : 0}
+                      {' · '}error power {streamRows.length ? `${streamRows[streamRows.length - 1].power.toFixed(1)} dB` : '—'}
+                      {' · '}{streamInfo ? streamInfo.changes.length : 0} change(s) injected
+                    </span>
+                    {streamInfo && streamInfo.diverged !== null ? (
+                      <span className="text-rose-400 flex items-center gap-1"><AlertTriangle size={12} /> Diverged at n = {streamInfo.diverged}: lower μ and reset</span>
+                    ) : (
+                      <span>Last {STREAM_WINDOW} samples · sliders act on the running filter</span>
+                    )}
+                 </div>
+               </div>
+
+               {/* MONTE CARLO LEARNING CURVE */}
+               <div className="bg-slate-900 rounded-lg border border-slate-800 p-4">
+                 <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+                   <h3 className="text-xs font-bold uppercase text-slate-400 flex items-center gap-2">
+                     <TrendingDown size={14} className="text-emerald-500" /> Learning Curve (Ensemble MSE)
+                   </h3>
+                   <div className="flex flex-wrap items-center gap-4 text-[10px] text-slate-400">
+                     {[
+                       { label: 'TRIALS', value: mcTrials, set: setMcTrials, ...ADAPTIVE_LIMITS.mcTrials, step: 1 },
+                       { label: 'SAMPLES', value: mcSamples, set: setMcSamples, ...ADAPTIVE_LIMITS.mcSamples, step: 100 },
+                     ].map(sl => (
+                       <label key={sl.label} className="flex items-center gap-2">
+                         <span>{sl.label}</span>
+                         <input type="range" min={sl.min} max={sl.max} step={sl.step} value={sl.value}
+                           onChange={(e) => sl.set(Number(e.target.value))}
+                           className="w-20 h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-emerald-500" />
+                         <span className="text-emerald-400 w-8">{sl.value}</span>
+                       </label>
+                     ))}
+                     <label className="flex items-center gap-2">
+                       <span>SEED</span>
+                       <input type="number" min={0} value={mcSeed}
+                         onChange={(e) => setMcSeed(Math.max(0, Math.floor(Number(e.target.value) || 0)))}
+                         className="w-16 bg-slate-800 border border-slate-700 rounded px-1 py-0.5 text-emerald-400" />
+                     </label>
+                     {mcStale && <span className="text-amber-400">Settings changed since this run</span>}
+                     <button onClick={() => setMcSettings(adaptiveParams)} title="Rerun the ensemble with the current settings"
+                       className={`flex items-center gap-1 text-[10px] uppercase font-bold px-3 py-1 rounded border ${mcStale ? 'bg-emerald-600 border-emerald-500 text-white' : 'border-slate-700 text-slate-400 hover:text-white'}`}>
+                       <Play size={10} /> Run
+                     </button>
+                   </div>
+                 </div>
+                 <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                   <div className="md:col-span-2 h-[220px]">
+                     <ResponsiveContainer>
+                       <LineChart data={adaptiveRun ? adaptiveRun.curveData : []}>
+                         <CartesianGrid stroke="#1e293b" strokeDasharray="3 3" />
+                         <XAxis dataKey="n" stroke="#64748b" fontSize={10} />
+                         <YAxis stroke="#64748b" fontSize={10} domain={['auto', 'auto']} unit=" dB" />
+                         <Tooltip contentStyle={{backgroundColor: '#0f172a', borderColor: '#334155'}} formatter={(v) => `${v.toFixed(2)} dB`} />
+                         {adaptiveRun && (
+                           <ReferenceLine y={10 * log10(adaptiveRun.Jmin)} stroke="#3b82f6" strokeDasharray="4 4" label={{ value: 'Jmin', fill: '#3b82f6', fontSize: 10, position: 'insideTopRight' }} />
+                         )}
+                         {adaptiveRun && adaptiveRun.JssTheory !== null && Number.isFinite(adaptiveRun.JssTheory) && (
+                           <ReferenceLine y={10 * log10(adaptiveRun.JssTheory)} stroke="#eab308" strokeDasharray="4 4" label={{ value: 'Theory', fill: '#eab308', fontSize: 10, position: 'insideBottomRight' }} />
+                         )}
+                         <Line type="monotone" dataKey="mse" stroke="#10b981" dot={false} strokeWidth={2} name="MSE" isAnimationActive={false} />
+                       </LineChart>
+                     </ResponsiveContainer>
+                   </div>
+                   <div className="text-xs text-slate-400 space-y-2">
+                     {adaptiveRun && [
+                       ['Jmin (Wiener)', toDB(adaptiveRun.Jmin)],
+                       ['Steady-state MSE', toDB(adaptiveRun.Jss)],
+                       ['Theory MSE', toDB(adaptiveRun.JssTheory)],
+                       ['Misadjustment', toPct(adaptiveRun.misadjustment)],
+                       ['Theory M', toPct(adaptiveRun.Mtheory)],
+                     ].map(([label, value]) => (
+                       <div key={label} className="flex justify-between"><span>{label}:</span> <span className="text-emerald-400">{value}</span></div>
+                     ))}
+                     <p className="text-[10px] text-slate-500 pt-2 border-t border-slate-800">
+                       Steady state is the mean over the last 20% of samples. Jmin comes from the Wiener solution of a separate long realization.
+                     </p>
+                   </div>
+                 </div>
                </div>
                
                <div className="grid grid-cols-2 gap-6">
                  <div className="bg-slate-900 p-4 rounded-lg border border-slate-800">
-                    <h3 className="text-xs font-bold uppercase text-slate-400 mb-2">Weight Magnitude</h3>
-                    <div className="h-[150px]">
+                    <h3 className="text-xs font-bold uppercase text-slate-400 mb-2">
+                      Weight Trajectories{filterLength > STREAM_TAPS && adaptiveAlgo !== 'kalman' ? ` (first ${STREAM_TAPS} taps)` : ''}
+                    </h3>
+                    <div className="h-[220px]">
                       <ResponsiveContainer>
-                         <AreaChart data={adaptiveData}>
-                            <Area type="monotone" dataKey="weights" stroke="#8b5cf6" fill="#8b5cf6" fillOpacity={0.2} />
+                         <ComposedChart data={streamRows}>
                             <CartesianGrid stroke="#1e293b" vertical={false} />
-                         </AreaChart>
+                            <XAxis dataKey="n" type="number" domain={['dataMin', 'dataMax']} stroke="#64748b" fontSize={10} allowDecimals={false} />
+                            <YAxis stroke="#64748b" fontSize={10} domain={['auto', 'auto']} tickFormatter={(v) => +v.toPrecision(3)} />
+                            <Tooltip contentStyle={{backgroundColor: '#0f172a', borderColor: '#334155'}} itemStyle={{ fontSize: '11px' }} formatter={(v) => v.toFixed(4)} />
+                            {streamInfo && streamInfo.changes.map(n => (
+                              <ReferenceLine key={n} x={n} stroke="#f59e0b" strokeDasharray="4 4" />
+                            ))}
+                            <Area type="monotone" dataKey="weights" stroke="#8b5cf6" fill="#8b5cf6" fillOpacity={0.2} name="‖w‖" isAnimationActive={false} />
+                            {Array.from({ length: streamTaps }, (_, k) => (
+                              <Line key={k} type="monotone" dataKey={`w${k}`} stroke={COMPARE_COLORS[k % COMPARE_COLORS.length]} dot={false} strokeWidth={1} name={`w${k}`} isAnimationActive={false} />
+                            ))}
+                         </ComposedChart>
                       </ResponsiveContainer>
                     </div>
                  </div>
                  <div className="bg-slate-900 p-4 rounded-lg border border-slate-800">
-                    <h3 className="text-xs font-bold uppercase text-slate-400 mb-2">Algorithm Specs</h3>
+                    <h3 className="text-xs font-bold uppercase text-slate-400 mb-2">Algorithm Parameters</h3>
+                    <div className="space-y-3 mb-4">
+                       {adaptiveSliders.map(sl => (
+                         <div key={sl.label}>
+                           <div className="flex justify-between text-[10px] text-slate-400 mb-1">
+                             <span>{sl.label}</span>
+                             <span className="text-emerald-400">{sl.log ? sl.value.toExponential(1) : sl.value}</span>
+                           </div>
+                           <input
+                             type="range" min={sl.min} max={sl.max} step={sl.step}
+                             value={sl.log ? log10(sl.value) : sl.value}
+                             onChange={(e) => sl.set(sl.log ? Math.pow(10, Number(e.target.value)) : Number(e.target.value))}
+                             className="w-full h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-emerald-500"
+                           />
+                         </div>
+                       ))}
+                    </div>
                     <div className="space-y-2 text-xs text-slate-400">
-                       <div className="flex justify-between"><span>Step Size (μ):</span> <span className="text-emerald-400">{mu}</span></div>
-                       <div className="flex justify-between"><span>Complexity:</span> <span className="text-emerald-400">{adaptiveAlgo==='rls' ? 'O(N²)' : 'O(N)'}</span></div>
-                       <div className="flex justify-between"><span>Application:</span> <span className="text-white">Noise Cancellation / System ID</span></div>
+                       <div className="flex justify-between"><span>Complexity:</span> <span className="text-emerald-400">{complexity.big} · {complexity.mults} mult/sample</span></div>
+                       <div className="flex justify-between"><span>Application:</span> <span className="text-white">{ADAPTIVE_SCENARIOS[scenario].label}</span></div>
+                       {adaptiveAlgo === 'kalman' && (
+                         <button onClick={() => setActiveTab('kalman')} className="flex items-center gap-1 text-[10px] text-sky-400 hover:text-sky-300">
+                           <Radar size={12} /> Scalar random-walk model · state-space models in the Kalman tab
+                         </button>
+                       )}
                     </div>
                  </div>
                </div>
              </div>
+           ) : activeTab === 'kalman' ? (
+             /* KALMAN FILTER VIEW */
+             <div className="space-y-6">
+               {/* MODEL */}
+               <div className="bg-slate-900 rounded-lg border border-slate-800 p-4 shadow-xl">
+                 <div className="flex flex-wrap justify-between items-center gap-3 mb-4 border-b border-slate-800 pb-3">
+                   <h2 className="text-sm font-bold text-white flex items-center gap-2">
+                     <Radar size={16} className="text-sky-400" /> State-Space Kalman Filter
+                   </h2>
+                   <div className="flex flex-wrap gap-2">
+                     {Object.entries(KALMAN_MODELS).map(([key, model]) => (
+                       <button key={key} onClick={() => loadKalmanPreset(key)}
+                         className={`text-[10px] uppercase font-bold px-3 py-1 rounded border ${kfPreset === key ? 'bg-sky-600 border-sky-500 text-white' : 'border-slate-700 text-slate-500'}`}>
+                         {model.label}
+                       </button>
+                     ))}
+                   </div>
+                 </div>
+                 <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mb-4">
+                   {[
+                     { key: 'F', label: 'F · transition' },
+                     { key: 'H', label: 'H · measurement' },
+                     { key: 'Q', label: 'Q · process noise' },
+                     { key: 'R', label: 'R · measurement noise' },
+                     { key: 'x0', label: 'x₀ · initial state' },
+                     { key: 'P0', label: 'P₀ · initial covariance' },
+                   ].map(field => (
+                     <label key={field.key} className="text-[10px] text-slate-400">
+                       <span className="block uppercase font-bold text-slate-500 mb-1">{field.label}</span>
+                       {field.key === 'H' && KALMAN_MODELS[kfPreset].measurement !== 'linear' ? (
+                         <div className="h-14 bg-slate-950 border border-slate-800 rounded px-2 py-1 text-slate-400">
+                           {KALMAN_MEASUREMENTS[KALMAN_MODELS[kfPreset].measurement]}: h(x) = [√(x₁² + d²), atan2(x₁, d)], d = {KALMAN_MODELS[kfPreset].sensor}
+                         </div>
+                       ) : (
+                         <textarea value={kfTexts[field.key]} rows={2} spellCheck={false}
+                           onChange={(e) => setKfTexts({ ...kfTexts, [field.key]: e.target.value })}
+                           className="w-full h-14 bg-slate-800 border border-slate-700 rounded px-2 py-1 text-sky-300 font-mono resize-none focus:border-sky-500 outline-none" />
+                       )}
+                     </label>
+                   ))}
+                 </div>
+                 <div className="flex flex-wrap items-center gap-4 text-[10px] text-slate-400">
+                   <div className="flex rounded border border-slate-700 overflow-hidden">
+                     {Object.entries(KALMAN_VARIANTS).map(([key, label]) => {
+                       const disabled = key === 'kf' && KALMAN_MODELS[kfPreset].measurement !== 'linear';
+                       return (
+                         <button key={key} onClick={() => setKfVariant(key)} disabled={disabled}
+                           title={disabled ? 'Nonlinear measurements need the EKF or UKF' : undefined}
+                           className={`uppercase font-bold px-3 py-1 ${kalmanAnalysis && kalmanAnalysis.variant === key ? 'bg-sky-600 text-white' : disabled ? 'text-slate-700' : 'text-slate-500'}`}>
+                           {label}
+                         </button>
+                       );
+                     })}
+                   </div>
+                   {[
+                     { label: 'STEPS', value: kfSteps, set: setKfSteps, min: 50, max: 1000, step: 50, text: kfSteps },
+                     { label: 'FILTER Q ×', value: log10(kfQScale), set: (v) => setKfQScale(Math.pow(10, v)), min: -3, max: 3, step: 0.1, text: kfQScale.toPrecision(2) },
+                     { label: 'FILTER R ×', value: log10(kfRScale), set: (v) => setKfRScale(Math.pow(10, v)), min: -3, max: 3, step: 0.1, text: kfRScale.toPrecision(2) },
+                   ].map(sl => (
+                     <label key={sl.label} className="flex items-center gap-2">
+                       <span>{sl.label}</span>
+                       <input type="range" min={sl.min} max={sl.max} step={sl.step} value={sl.value}
+                         onChange={(e) => sl.set(Number(e.target.value))}
+                         className="w-20 h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-sky-500" />
+                       <span className="text-sky-400 w-8">{sl.text}</span>
+                     </label>
+                   ))}
+                   <label className="flex items-center gap-2">
+                     <span>SEED</span>
+                     <input type="number" min={0} value={kfSeed}
+                       onChange={(e) => setKfSeed(Math.max(0, Math.floor(Number(e.target.value) || 0)))}
+                       className="w-16 bg-slate-800 border border-slate-700 rounded px-1 py-0.5 text-sky-400" />
+                   </label>
+                   <button onClick={() => { setKfQScale(1); setKfRScale(1); loadKalmanPreset(kfPreset); }}
+                     className="flex items-center gap-1 uppercase font-bold px-3 py-1 rounded border border-slate-700 text-slate-500 hover:text-white">
+                     <RefreshCw size={12} /> Reset Model
+                   </button>
+                 </div>
+                 {kalmanAnalysis && kalmanAnalysis.error && (
+                   <div className="mt-3 flex items-center gap-2 text-[10px] text-rose-400">
+                     <AlertTriangle size={12} /> {kalmanAnalysis.error}
+                   </div>
+                 )}
+               </div>
+
+               {kalmanAnalysis && !kalmanAnalysis.error && (
+                 <>
+                   {/* STATE ESTIMATES */}
+                   <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                     {kalmanAnalysis.states.map(state => (
+                       <div key={state.name} className="bg-slate-900 rounded-lg border border-slate-800 p-4">
+                         <div className="flex justify-between items-center mb-2 text-[10px]">
+                           <h3 className="text-xs font-bold uppercase text-slate-400">{state.name}</h3>
+                           <span className="text-slate-500">RMSE <span className="text-sky-400">{state.rmse.toPrecision(3)}</span> · within ±σ <span className="text-sky-400">{(100 * state.coverage).toFixed(0)}%</span></span>
+                         </div>
+                         <div className="h-[200px]">
+                           <ResponsiveContainer>
+                             <ComposedChart data={state.data} margin={{top: 5, right: 10, left: -20, bottom: 0}}>
+                               <CartesianGrid stroke="#1e293b" strokeDasharray="3 3" />
+                               <XAxis dataKey="t" type="number" domain={[0, 'dataMax']} stroke="#64748b" fontSize={10} />
+                               <YAxis stroke="#64748b" fontSize={10} domain={['auto', 'auto']} tickFormatter={(v) => +v.toPrecision(3)} />
+                               <Tooltip contentStyle={{backgroundColor: '#0f172a', borderColor: '#334155'}} itemStyle={{ fontSize: '11px' }}
+                                 formatter={(v) => (Array.isArray(v) ? v.map(b => b.toPrecision(4)).join(' … ') : v.toPrecision(4))} />
+                               <Area type="monotone" dataKey="band" stroke="none" fill="#0ea5e9" fillOpacity={0.2} name="±σ" isAnimationActive={false} />
+                               <Line type="monotone" dataKey="truth" stroke="#64748b" dot={false} strokeWidth={1} strokeDasharray="4 3" name="Truth" isAnimationActive={false} />
+                               <Line type="monotone" dataKey="estimate" stroke="#0ea5e9" dot={false} strokeWidth={1.5} name="Estimate" isAnimationActive={false} />
+                             </ComposedChart>
+                           </ResponsiveContainer>
+                         </div>
+                       </div>
+                     ))}
+                   </div>
+
+                   {/* CONSISTENCY */}
+                   <div className="bg-slate-900 rounded-lg border border-slate-800 p-4">
+                     <h3 className="text-xs font-bold uppercase text-slate-400 flex items-center gap-2 mb-4">
+                       <CheckCircle size={14} className="text-sky-500" /> Consistency · {KALMAN_VARIANTS[kalmanAnalysis.variant]}
+                     </h3>
+                     <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                       {[
+                         { key: 'nees', title: `NEES · χ²(${kalmanAnalysis.check.nees.dof})`, stat: kalmanAnalysis.check.nees, color: '#0ea5e9' },
+                         { key: 'nis', title: `NIS · χ²(${kalmanAnalysis.check.nis.dof})`, stat: kalmanAnalysis.check.nis, color: '#10b981' },
+                       ].map(chart => (
+                         <div key={chart.key}>
+                           <span className="block text-[10px] uppercase font-bold text-slate-500 mb-1">{chart.title} · 95% bounds</span>
+                           <div className="h-[180px]">
+                             <ResponsiveContainer>
+                               <LineChart data={kalmanAnalysis.consistency} margin={{top: 5, right: 10, left: -20, bottom: 0}}>
+                                 <CartesianGrid stroke="#1e293b" strokeDasharray="3 3" />
+                                 <XAxis dataKey="t" type="number" domain={[0, 'dataMax']} stroke="#64748b" fontSize={10} />
+                                 <YAxis stroke="#64748b" fontSize={10} domain={[0, (max) => Math.min(max, 4 * chart.stat.bounds[1])]} allowDataOverflow
+                                   tickFormatter={(v) => +v.toPrecision(3)} />
+                                 <Tooltip contentStyle={{backgroundColor: '#0f172a', borderColor: '#334155'}} itemStyle={{ fontSize: '11px' }} formatter={(v) => v.toPrecision(4)} />
+                                 {chart.stat.bounds.map(b => <ReferenceLine key={b} y={b} stroke="#eab308" strokeDasharray="4 4" />)}
+                                 <Line type="monotone" dataKey={chart.key} stroke={chart.color} dot={false} strokeWidth={1} name={chart.key.toUpperCase()} isAnimationActive={false} />
+                               </LineChart>
+                             </ResponsiveContainer>
+                           </div>
+                         </div>
+                       ))}
+                       <div>
+                         <span className="block text-[10px] uppercase font-bold text-slate-500 mb-1">Innovation whiteness · autocorrelation</span>
+                         <div className="h-[180px]">
+                           <ResponsiveContainer>
+                             <ComposedChart data={kalmanAnalysis.whiteness} margin={{top: 5, right: 10, left: -20, bottom: 0}}>
+                               <CartesianGrid stroke="#1e293b" strokeDasharray="3 3" />
+                               <XAxis dataKey="lag" stroke="#64748b" fontSize={10} />
+                               <YAxis stroke="#64748b" fontSize={10} domain={[(min) => Math.min(min, -2 * kalmanAnalysis.check.whiteness.band), (max) => Math.max(max, 2 * kalmanAnalysis.check.whiteness.band)]}
+                                 tickFormatter={(v) => +v.toFixed(2)} />
+                               <Tooltip contentStyle={{backgroundColor: '#0f172a', borderColor: '#334155'}} itemStyle={{ fontSize: '11px' }} formatter={(v) => v.toFixed(3)} />
+                               <ReferenceLine y={kalmanAnalysis.check.whiteness.band} stroke="#eab308" strokeDasharray="4 4" />
+                               <ReferenceLine y={-kalmanAnalysis.check.whiteness.band} stroke="#eab308" strokeDasharray="4 4" />
+                               {kalmanAnalysis.measurements.map((name, i) => (
+                                 <Bar key={name} dataKey={name} fill={COMPARE_COLORS[i % COMPARE_COLORS.length]} isAnimationActive={false} />
+                               ))}
+                             </ComposedChart>
+                           </ResponsiveContainer>
+                         </div>
+                       </div>
+                     </div>
+                     <table className="w-full mt-4 text-[10px] text-right text-slate-300">
+                       <thead>
+                         <tr className="text-slate-500 uppercase">
+                           <th className="text-left font-normal py-1">Test</th>
+                           <th className="font-normal">Time average</th>
+                           <th className="font-normal">95% interval</th>
+                           <th className="font-normal">Steps inside per-step bounds</th>
+                         </tr>
+                       </thead>
+                       <tbody>
+                         {[['NEES', kalmanAnalysis.check.nees], ['NIS', kalmanAnalysis.check.nis]].map(([label, stat]) => {
+                           const ok = stat.mean >= stat.meanBounds[0] && stat.mean <= stat.meanBounds[1];
+                           return (
+                             <tr key={label} className="border-t border-slate-800">
+                               <td className="text-left py-1 text-slate-500">{label} (expected {stat.dof})</td>
+                               <td className={ok ? 'text-emerald-400' : 'text-amber-400'}>{stat.mean.toFixed(3)}</td>
+                               <td>{stat.meanBounds.map(b => b.toFixed(3)).join(' – ')}</td>
+                               <td>{(100 * stat.inside).toFixed(1)}%</td>
+                             </tr>
+                           );
+                         })}
+                         {kalmanAnalysis.measurements.map((name, i) => (
+                           <tr key={name} className="border-t border-slate-800">
+                             <td className="text-left py-1 text-slate-500">Whiteness · {name}</td>
+                             <td colSpan={2}>|r| ≤ {kalmanAnalysis.check.whiteness.band.toFixed(3)}</td>
+                             <td className={kalmanAnalysis.check.whiteness.white[i] >= 0.9 ? 'text-emerald-400' : 'text-amber-400'}>
+                               {(100 * kalmanAnalysis.check.whiteness.white[i]).toFixed(0)}% of lags
+                             </td>
+                           </tr>
+                         ))}
+                       </tbody>
+                     </table>
+                     <p className="mt-3 text-[10px] text-slate-500">
+                       A consistent filter keeps NEES and NIS near their degrees of freedom and white, normalized innovations.
+                       Raise or lower the filter's Q and R to see over- and under-confidence. One run's steps are correlated, so the time-average interval is only a guide.
+                     </p>
+                   </div>
+                 </>
+               )}
+             </div>
+           ) : activeTab === 'structures' ? (
+             /* REALIZATION STRUCTURES VIEW */
+             <div className="space-y-6">
+               {!structureAnalysis ? (
+                 <div className="bg-slate-900 rounded-lg border border-slate-800 p-6 text-xs text-slate-400 flex items-center gap-2">
+                   <Info size={14} /> Realization structures apply to digital designs: switch the domain to IIR or FIR.
+                 </div>
+               ) : (
+                 <>
+                   {/* BLOCK DIAGRAM */}
+                   <div className="bg-slate-900 rounded-lg border border-slate-800 p-4 shadow-xl">
+                     <div className="flex flex-wrap justify-between items-center gap-3 mb-4 border-b border-slate-800 pb-3">
+                       <h2 className="text-sm font-bold text-white flex items-center gap-2">
+                         <Workflow size={16} className="text-indigo-400" /> {STRUCTURES[structureView]}
+                       </h2>
+                       <div className="flex flex-wrap gap-2">
+                         {Object.entries(STRUCTURES).map(([key, label]) => (
+                           <button key={key} onClick={() => setStructureView(key)}
+                             className={`text-[10px] uppercase font-bold px-3 py-1 rounded border ${structureView === key ? 'bg-indigo-600 border-indigo-500 text-white' : 'border-slate-700 text-slate-500'}`}>
+                             {label}
+                           </button>
+                         ))}
+                       </div>
+                     </div>
+                     {structureView === 'sos' && (
+                       <div className="flex flex-wrap gap-4 mb-3 text-[10px]">
+                         {[
+                           ['Pairing', sosPairing, setSosPairing, [['nearest', 'Nearest Zeros'], ['sequential', 'Sequential']]],
+                           ['Ordering', sosOrdering, setSosOrdering, [['up', 'Sharpest Last'], ['down', 'Sharpest First']]],
+                         ].map(([label, value, set, options]) => (
+                           <div key={label} className="flex items-center gap-2">
+                             <span className="uppercase text-slate-500">{label}</span>
+                             {options.map(([key, text]) => (
+                               <button key={key} onClick={() => set(key)}
+                                 className={`uppercase font-bold px-2 py-0.5 rounded border ${value === key ? 'bg-indigo-600 border-indigo-500 text-white' : 'border-slate-700 text-slate-500'}`}>
+                                 {text}
+                               </button>
+                             ))}
+                           </div>
+                         ))}
+                       </div>
+                     )}
+                     {structureAnalysis.diagram ? (
+                       <>
+                         <div className="bg-slate-950 rounded border border-slate-800 p-2 overflow-x-auto">
+                           <svg viewBox={`-10 0 ${structureAnalysis.diagram.width + 20} ${structureAnalysis.diagram.height}`}
+                             className="w-full" style={{ maxHeight: 420, minWidth: 420 }} fontSize={10} fontFamily="monospace">
+                             <defs>
+                               <marker id="structure-arrow" viewBox="0 0 6 6" refX={6} refY={3} markerWidth={6} markerHeight={6} orient="auto">
+                                 <path d="M0 0L6 3L0 6z" fill="#94a3b8" />
+                               </marker>
+                             </defs>
+                             {structureAnalysis.diagram.elements.map((e, i) => {
+                               switch (e.type) {
+                                 case 'wire':
+                                   return <polyline key={i} points={e.pts.map(pt => pt.join(',')).join(' ')} fill="none" stroke="#64748b"
+                                     markerEnd={e.arrow ? 'url(#structure-arrow)' : undefined} />;
+                                 case 'sum':
+                                   return (
+                                     <g key={i}>
+                                       <circle cx={e.x} cy={e.y} r={SUM_R} fill="#0f172a" stroke="#6366f1" />
+                                       <path d={`M${e.x - 5} ${e.y}H${e.x + 5}M${e.x} ${e.y - 5}V${e.y + 5}`} stroke="#a5b4fc" />
+                                     </g>
+                                   );
+                                 case 'gain':
+                                   return (
+                                     <g key={i}>
+                                       <rect x={e.x - GAIN_W} y={e.y - 8} width={2 * GAIN_W} height={16} rx={3} fill="#0f172a" stroke="#f59e0b" />
+                                       <text x={e.x} y={e.y + 3.5} textAnchor="middle" fill="#fcd34d">{e.label}</text>
+                                     </g>
+                                   );
+                                 case 'delay':
+                                   return (
+                                     <g key={i}>
+                                       <rect x={e.x - 14} y={e.y - DELAY_H} width={28} height={2 * DELAY_H} fill="#0f172a" stroke="#0ea5e9"
+                                         strokeDasharray={e.dashed ? '3 2' : undefined} />
+                                       <text x={e.x} y={e.y + 3.5} textAnchor="middle" fill="#7dd3fc">{e.label}</text>
+                                     </g>
+                                   );
+                                 case 'box':
+                                   return (
+                                     <g key={i}>
+                                       <rect x={e.x - 30} y={e.y - 14} width={60} height={28} rx={4} fill="#1e293b" stroke="#6366f1" />
+                                       <text x={e.x} y={e.y + 3.5} textAnchor="middle" fill="#e2e8f0">{e.label}</text>
+                                     </g>
+                                   );
+                                 case 'dot':
+                                   return <circle key={i} cx={e.x} cy={e.y} r={2} fill="#94a3b8" />;
+                                 default:
+                                   return <text key={i} x={e.x} y={e.y} textAnchor={e.anchor} fill="#94a3b8">{e.label}</text>;
+                               }
+                             })}
+                           </svg>
+                         </div>
+                         {structureAnalysis.diagram.note && <p className="mt-2 text-[10px] text-slate-500">{structureAnalysis.diagram.note}</p>}
+                       </>
+                     ) : (
+                       <div className="flex items-center gap-2 text-xs text-amber-400">
+                         <AlertTriangle size={12} /> No {STRUCTURES[structureView].toLowerCase()} form: {structureAnalysis.selected.real.error}
+                       </div>
+                     )}
+                   </div>
+
+                   {/* COST & FINITE PRECISION */}
+                   <div className="bg-slate-900 rounded-lg border border-slate-800 p-4">
+                     <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+                       <h3 className="text-xs font-bold uppercase text-slate-300 flex items-center gap-2">
+                         <Cpu size={14} /> Cost & Finite-Precision Simulation
+                       </h3>
+                       <div className="flex flex-wrap items-center gap-4 text-[10px]">
+                         <label className="flex items-center gap-2 text-slate-400">
+                           <span className="uppercase">Word Length</span>
+                           <input type="range" min={4} max={32} step={1} value={quantWord} onChange={(e) => setQuantWord(Number(e.target.value))}
+                             className="w-24 h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-amber-500" />
+                           <span className="text-amber-400 w-10">{quantWord} bit</span>
+                         </label>
+                         {[
+                           [quantRounding, setQuantRounding, [['round', 'Round'], ['truncate', 'Truncate']]],
+                           [quantWideAcc, setQuantWideAcc, [[true, 'Wide Acc'], [false, 'Per Product']]],
+                         ].map(([value, set, options], j) => (
+                           <div key={j} className="flex gap-1">
+                             {options.map(([key, text]) => (
+                               <button key={text} onClick={() => set(key)}
+                                 className={`uppercase font-bold px-2 py-0.5 rounded border ${value === key ? 'bg-amber-600 border-amber-500 text-white' : 'border-slate-700 text-slate-500'}`}>
+                                 {text}
+                               </button>
+                             ))}
+                           </div>
+                         ))}
+                       </div>
+                     </div>
+                     <div className="overflow-x-auto">
+                       <table className="w-full text-[10px] text-right text-slate-300">
+                         <thead>
+                           <tr className="text-slate-500 uppercase">
+                             <th className="text-left font-normal py-1">Structure</th>
+                             <th className="font-normal">Mults</th>
+                             <th className="font-normal">Adds</th>
+                             <th className="font-normal">Delays</th>
+                             <th className="font-normal">Coeffs</th>
+                             <th className="font-normal">Signals</th>
+                             <th className="font-normal">Saturated</th>
+                             <th className="font-normal">Overflows</th>
+                             <th className="font-normal">Stable</th>
+                             <th className="font-normal">SNR</th>
+                           </tr>
+                         </thead>
+                         <tbody>
+                           {structureAnalysis.rows.map(({ key, real, cost, sim }) => (
+                             <tr key={key} onClick={() => setStructureView(key)}
+                               className={`border-t border-slate-800 cursor-pointer hover:bg-slate-800/50 ${structureView === key ? 'bg-indigo-500/10' : ''}`}>
+                               <td className={`text-left py-1 ${structureView === key ? 'text-indigo-300 font-bold' : ''}`}>{STRUCTURES[key]}</td>
+                               {real.error ? (
+                                 <td colSpan={9} className="text-left pl-4 text-slate-500">{real.error}</td>
+                               ) : (
+                                 <>
+                                   <td>{cost.mults}</td>
+                                   <td>{cost.adds}</td>
+                                   <td>{cost.delays}</td>
+                                   <td className="pl-2">Q{quantWord - 1 - sim.fracBits}.{sim.fracBits}</td>
+                                   <td className="pl-2">Q{quantWord - 1 - sim.signalBits}.{sim.signalBits}</td>
+                                   <td className={sim.saturated ? 'text-rose-400' : 'text-emerald-400'}>{sim.saturated}</td>
+                                   <td className={sim.overflows ? 'text-rose-400' : 'text-emerald-400'}>{sim.overflows}</td>
+                                   <td className={sim.stable ? 'text-emerald-400' : 'text-rose-400'}>{sim.stable ? 'yes' : 'NO'}</td>
+                                   <td className="text-amber-400">{Number.isFinite(sim.snr) ? `${sim.snr.toFixed(1)} dB` : '∞'}</td>
+                                 </>
+                               )}
+                             </tr>
+                           ))}
+                         </tbody>
+                       </table>
+                     </div>
+                     <p className="mt-2 text-[10px] text-slate-500">
+                       Operations are per output sample; multiplies by 0 and ±1 are free. Each structure runs {quantWord}-bit fixed point on the same
+                       white-noise input (peak output at half scale) against its exact output, with coefficient and signal formats chosen for its own
+                       largest coefficient and internal node. Signals saturate; stability is read from the quantized poles (lattice: |K| &lt; 1).
+                     </p>
+                   </div>
+                 </>
+               )}
+             </div>
+           ) : activeTab === 'multirate' ? (
+             /* MULTIRATE VIEW */
+             <div className="space-y-6">
+               {/* RATE CHANGE FILTER */}
+               <div className="bg-slate-900 rounded-lg border border-slate-800 p-4 shadow-xl">
+                 <div className="flex flex-wrap justify-between items-center gap-3 mb-4 border-b border-slate-800 pb-3">
+                   <h2 className="text-sm font-bold text-white flex items-center gap-2">
+                     <ArrowDownUp size={16} className="text-indigo-400" /> Rate Change {rateL}/{rateM}: {sampleRate} Hz → {+(sampleRate * rateL / rateM).toFixed(2)} Hz
+                   </h2>
+                   <div className="flex flex-wrap gap-2">
+                     {Object.entries(RATE_FILTER_METHODS).map(([key, label]) => (
+                       <button key={key} onClick={() => setRateMethod(key)}
+                         className={`text-[10px] uppercase font-bold px-3 py-1 rounded border ${rateMethod === key ? 'bg-indigo-600 border-indigo-500 text-white' : 'border-slate-700 text-slate-500'}`}>
+                         {label}
+                       </button>
+                     ))}
+                   </div>
+                 </div>
+                 <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4 text-[10px]">
+                   {[
+                     { label: 'INTERPOLATE (L)', value: rateL, set: setRateL, min: 1, max: 16, step: 1, text: rateL },
+                     { label: 'DECIMATE (M)', value: rateM, set: setRateM, min: 1, max: 64, step: 1, text: rateM },
+                     { label: 'PASSBAND', value: ratePass, set: setRatePass, min: 0.5, max: 0.95, step: 0.05, text: `${Math.round(ratePass * 100)}% of Nyquist` },
+                     { label: 'STOPBAND', value: rateAtten, set: setRateAtten, min: 40, max: 120, step: 5, text: `${rateAtten} dB` },
+                   ].map(sl => (
+                     <div key={sl.label}>
+                       <div className="flex justify-between text-slate-400 mb-1">
+                         <span>{sl.label}</span>
+                         <span className="text-amber-400">{sl.text}</span>
+                       </div>
+                       <input type="range" min={sl.min} max={sl.max} step={sl.step} value={sl.value}
+                         onChange={(e) => sl.set(Number(e.target.value))}
+                         className="w-full h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-indigo-500" />
+                     </div>
+                   ))}
+                 </div>
+                 {multirateAnalysis.error ? (
+                   <p className="text-[10px] text-amber-400">{multirateAnalysis.error}</p>
+                 ) : (
+                   <>
+                     <div className="flex flex-wrap gap-x-6 gap-y-1 mb-3 text-[10px] text-slate-400">
+                       <span>Filter rate <span className="text-white">{+multirateAnalysis.filter.fs.toFixed(2)} Hz</span></span>
+                       <span>Pass <span className="text-white">0 – {Math.round(multirateAnalysis.filter.fp)} Hz</span> · stop from <span className="text-white">{Math.round(multirateAnalysis.filter.fstop)} Hz</span></span>
+                       <span>Taps <span className="text-white">{multirateAnalysis.filter.h.length}</span> ({multirateAnalysis.filter.nonzero} nonzero){multirateAnalysis.filter.capped && <span className="text-amber-400"> · length capped</span>}</span>
+                       <span>Mults / output: direct <span className="text-white">{multirateAnalysis.filter.cost.direct}</span> · polyphase <span className="text-amber-400">{+multirateAnalysis.filter.cost.polyphase.toFixed(2)}</span></span>
+                     </div>
+                     <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                       {[
+                         {
+                           key: 'response', title: 'Response at the filter rate (shaded: folds onto the passband)', data: multirateAnalysis.response,
+                           lines: [['mag', '|H| / L', '#0ea5e9']], bands: multirateAnalysis.aliasBands, fill: '#f43f5e',
+                         },
+                         {
+                           key: 'folded', title: 'Folded onto the low-rate band', data: multirateAnalysis.folded,
+                           lines: [['signal', 'signal', '#0ea5e9'], ['alias', rateM > 1 ? 'worst alias' : 'worst image', '#f43f5e']],
+                           bands: [[0, multirateAnalysis.filter.fp]], fill: '#22c55e',
+                         },
+                       ].map(chart => (
+                         <div key={chart.key}>
+                           <span className="block text-[10px] uppercase font-bold text-slate-500 mb-1">{chart.title}</span>
+                           <div className="h-[220px]">
+                             <ResponsiveContainer>
+                               <LineChart data={chart.data} margin={{top: 5, right: 10, left: -20, bottom: 0}}>
+                                 <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" />
+                                 <XAxis dataKey="f" type="number" domain={[0, 'dataMax']} stroke="#64748b" fontSize={10}
+                                   tickFormatter={(v) => v >= 1000 ? `${+(v / 1000).toFixed(1)}k` : Math.round(v)} />
+                                 <YAxis stroke="#64748b" fontSize={10} domain={[-(rateAtten + 40), 10]} allowDataOverflow />
+                                 <Tooltip contentStyle={{backgroundColor: '#0f172a', borderColor: '#334155'}} itemStyle={{ fontSize: '11px' }}
+                                   labelFormatter={(v) => `${Math.round(v)} Hz`} formatter={(v) => v.toFixed(1)} />
+                                 {chart.bands.map(([x1, x2]) => (
+                                   <ReferenceArea key={x1} x1={x1} x2={x2} fill={chart.fill} fillOpacity={0.12} stroke="none" />
+                                 ))}
+                                 <ReferenceLine y={-rateAtten} stroke="#eab308" strokeDasharray="3 3" />
+                                 {chart.lines.map(([dataKey, name, color]) => (
+                                   <Line key={dataKey} type="monotone" dataKey={dataKey} name={name} stroke={color} strokeWidth={1.5} dot={false} isAnimationActive={false} />
+                                 ))}
+                               </LineChart>
+                             </ResponsiveContainer>
+                           </div>
+                         </div>
+                       ))}
+                     </div>
+                   </>
+                 )}
+               </div>
+
+               {/* POLYPHASE DECOMPOSITION */}
+               {multirateAnalysis.branches && (
+                 <div className="bg-slate-900 rounded-lg border border-slate-800 p-4">
+                   <div className="flex items-center justify-between mb-4">
+                     <h3 className="text-xs font-bold uppercase text-slate-300 flex items-center gap-2">
+                        <Layers size={14} /> Polyphase Decomposition
+                     </h3>
+                     <span className="text-[10px] text-slate-500">e_k[n] = h[n·{multirateAnalysis.branches.length} + k] · each branch runs at the low rate</span>
+                   </div>
+                   <div className="max-h-[260px] overflow-auto">
+                     <table className="w-full text-[10px] text-right text-slate-300">
+                       <thead>
+                         <tr className="text-slate-500 uppercase">
+                           <th className="text-left font-normal py-1">Branch</th>
+                           <th className="font-normal">Taps</th>
+                           <th className="font-normal">Nonzero</th>
+                           <th className="text-left font-normal pl-4">Coefficients</th>
+                         </tr>
+                       </thead>
+                       <tbody>
+                         {multirateAnalysis.branches.map((e, k) => (
+                           <tr key={k} className="border-t border-slate-800">
+                             <td className="text-left py-1 text-slate-500">e{k}</td>
+                             <td>{e.length}</td>
+                             <td>{e.filter(v => v !== 0).length}</td>
+                             <td className="text-left pl-4 font-mono text-slate-400">
+                               {e.slice(0, 8).map(v => (v === 0 ? '0' : v.toPrecision(4))).join(', ')}{e.length > 8 ? ', …' : ''}
+                             </td>
+                           </tr>
+                         ))}
+                       </tbody>
+                     </table>
+                   </div>
+                 </div>
+               )}
+
+               {/* CIC FILTER */}
+               {multirateAnalysis.cic && (
+                 <div className="bg-slate-900 rounded-lg border border-slate-800 p-4">
+                   <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                     <h3 className="text-xs font-bold uppercase text-slate-300 flex items-center gap-2">
+                        <Cpu size={14} /> CIC {multirateAnalysis.mode === 'decimate' ? 'Decimator' : 'Interpolator'} + Compensator
+                     </h3>
+                     <span className="text-[10px] text-slate-500">
+                       R = {multirateAnalysis.K} · gain {multirateAnalysis.cic.gain} · +{multirateAnalysis.cic.bitGrowth} bits ({multirateAnalysis.cic.registerBits}-bit registers for 16-bit input) · no multipliers
+                     </span>
+                   </div>
+                   <div className="grid grid-cols-1 md:grid-cols-3 gap-6 text-[10px]">
+                     <div className="space-y-3">
+                       {[
+                         { label: 'STAGES (N)', value: cicStages, set: setCicStages, min: 1, max: 8, step: 1 },
+                         { label: 'DIFFERENTIAL DELAY (D)', value: cicDelay, set: setCicDelay, min: 1, max: 2, step: 1 },
+                         { label: 'COMPENSATOR TAPS', value: cicCompTaps, set: setCicCompTaps, min: 7, max: 63, step: 2 },
+                       ].map(sl => (
+                         <div key={sl.label}>
+                           <div className="flex justify-between text-slate-400 mb-1">
+                             <span>{sl.label}</span>
+                             <span className="text-amber-400">{sl.value}</span>
+                           </div>
+                           <input type="range" min={sl.min} max={sl.max} step={sl.step} value={sl.value}
+                             onChange={(e) => sl.set(Number(e.target.value))}
+                             className="w-full h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-amber-500" />
+                         </div>
+                       ))}
+                       <p className="text-slate-500">
+                         The compensator runs at the low rate with inverse-sinc gain over the passband. Worst alias in the passband:{' '}
+                         <span className="text-amber-400">
+                           {Math.max(...multirateAnalysis.cicData.filter(pt => pt.f <= multirateAnalysis.filter.fp).map(pt => pt.alias - pt.total)).toFixed(1)} dB
+                         </span>{' '}relative to the signal.
+                       </p>
+                     </div>
+                     <div className="md:col-span-2 h-[220px]">
+                       <ResponsiveContainer>
+                         <LineChart data={multirateAnalysis.cicData} margin={{top: 5, right: 10, left: -20, bottom: 0}}>
+                           <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" />
+                           <XAxis dataKey="f" type="number" domain={[0, 'dataMax']} stroke="#64748b" fontSize={10}
+                             tickFormatter={(v) => v >= 1000 ? `${+(v / 1000).toFixed(1)}k` : Math.round(v)} />
+                           <YAxis stroke="#64748b" fontSize={10} domain={[-120, 10]} allowDataOverflow />
+                           <Tooltip contentStyle={{backgroundColor: '#0f172a', borderColor: '#334155'}} itemStyle={{ fontSize: '11px' }}
+                             labelFormatter={(v) => `${Math.round(v)} Hz`} formatter={(v) => v.toFixed(2)} />
+                           <Legend wrapperStyle={{ fontSize: '10px' }} />
+                           <ReferenceArea x1={0} x2={multirateAnalysis.filter.fp} fill="#22c55e" fillOpacity={0.08} stroke="none" />
+                           <Line type="monotone" dataKey="cic" name="CIC" stroke="#64748b" strokeWidth={1} strokeDasharray="4 4" dot={false} isAnimationActive={false} />
+                           <Line type="monotone" dataKey="comp" name="compensator" stroke="#a855f7" strokeWidth={1} strokeDasharray="4 4" dot={false} isAnimationActive={false} />
+                           <Line type="monotone" dataKey="total" name="CIC + compensator" stroke="#0ea5e9" strokeWidth={2} dot={false} isAnimationActive={false} />
+                           <Line type="monotone" dataKey="alias" name="worst alias" stroke="#f43f5e" strokeWidth={1.5} dot={false} isAnimationActive={false} />
+                         </LineChart>
+                       </ResponsiveContainer>
+                     </div>
+                   </div>
+                 </div>
+               )}
+
+               {/* MULTISTAGE PLANNER */}
+               {multirateAnalysis.plans && (
+                 <div className="bg-slate-900 rounded-lg border border-slate-800 p-4">
+                   <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                     <h3 className="text-xs font-bold uppercase text-slate-300 flex items-center gap-2">
+                        <TrendingDown size={14} /> Multistage Planner
+                     </h3>
+                     <div className="flex items-center gap-2 text-[10px]">
+                       <span className="uppercase text-slate-500">Max Stages</span>
+                       {[2, 3, 4].map(n => (
+                         <button key={n} onClick={() => setMaxStages(n)}
+                           className={`font-bold px-2 py-0.5 rounded border ${maxStages === n ? 'bg-indigo-600 border-indigo-500 text-white' : 'border-slate-700 text-slate-500'}`}>
+                           {n}
+                         </button>
+                       ))}
+                     </div>
+                   </div>
+                   {multirateAnalysis.plans.length ? (
+                     <table className="w-full text-[10px] text-right text-slate-300">
+                       <thead>
+                         <tr className="text-slate-500 uppercase">
+                           <th className="text-left font-normal py-1">Factors</th>
+                           <th className="text-left font-normal pl-4">Stages (rate in → out: taps / nonzero)</th>
+                           <th className="font-normal">Mults / {multirateAnalysis.mode === 'decimate' ? 'input' : 'output'} sample</th>
+                           <th className="font-normal">vs. single stage</th>
+                         </tr>
+                       </thead>
+                       <tbody>
+                         {multirateAnalysis.plans.slice(0, 8).map((plan, i) => {
+                           const single = multirateAnalysis.plans.find(pl => pl.factors.length === 1);
+                           const stages = multirateAnalysis.mode === 'decimate' ? plan.stages : [...plan.stages].reverse();
+                           return (
+                             <tr key={plan.factors.join('x')} className={`border-t border-slate-800 ${i === 0 ? 'bg-indigo-500/10' : ''}`}>
+                               <td className={`text-left py-1 ${i === 0 ? 'text-indigo-300 font-bold' : ''}`}>{stages.map(st => st.factor).join(' × ')}</td>
+                               <td className="text-left pl-4 text-slate-400">
+                                 {stages.map(st => (multirateAnalysis.mode === 'decimate'
+                                   ? `${Math.round(st.rateIn)}→${Math.round(st.rateOut)}: ${st.taps}/${st.nonzero}`
+                                   : `${Math.round(st.rateOut)}→${Math.round(st.rateIn)}: ${st.taps}/${st.nonzero}`)).join(' · ')}
+                               </td>
+                               <td className="text-amber-400">{plan.mults.toFixed(2)}</td>
+                               <td>{single ? `${(single.mults / plan.mults).toFixed(1)}×` : '—'}</td>
+                             </tr>
+                           );
+                         })}
+                       </tbody>
+                     </table>
+                   ) : (
+                     <p className="text-[10px] text-amber-400">Passband too wide for the output rate.</p>
+                   )}
+                   <p className="mt-2 text-[10px] text-slate-500">
+                     Each stage is a Nyquist (Kaiser) filter with {rateAtten} dB stopbands from its output rate minus the final passband edge, so aliasing
+                     only reaches the final transition band; factor-2 stages come out as halfband filters. Counts are polyphase multiplies at the
+                     {multirateAnalysis.mode === 'decimate' ? ' input' : ' output'} rate; interpolation runs the stages in reverse order.
+                   </p>
+                 </div>
+               )}
+
+               {multirateAnalysis.filter && !multirateAnalysis.plans && (
+                 <div className="bg-slate-900 rounded-lg border border-slate-800 p-4 text-[10px] text-slate-400 flex items-center gap-2">
+                   <Info size={14} /> CIC filters and the multistage planner apply to integer factors: set L or M to 1.
+                 </div>
+               )}
+             </div>
+           ) : activeTab === 'signals' ? (
+             /* SIGNAL ANALYZER VIEW */
+             <div className="space-y-6">
+               {/* SIGNAL GENERATOR */}
+               <div className="bg-slate-900 rounded-lg border border-slate-800 p-4 shadow-xl">
+                 <div className="flex flex-wrap justify-between items-center gap-3 mb-4 border-b border-slate-800 pb-3">
+                   <h2 className="text-sm font-bold text-white flex items-center gap-2">
+                     <Waves size={16} className="text-indigo-400" /> {SIGNAL_TYPES[sigKind]} at {sampleRate} Hz through the {domain === 'analog' ? 'digitized analog design' : 'active design'}
+                   </h2>
+                   <div className="flex flex-wrap gap-2">
+                     {Object.entries(SIGNAL_TYPES).map(([key, label]) => (
+                       <button key={key} onClick={() => setSigKind(key)}
+                         className={`text-[10px] uppercase font-bold px-3 py-1 rounded border ${sigKind === key ? 'bg-indigo-600 border-indigo-500 text-white' : 'border-slate-700 text-slate-500'}`}>
+                         {label}
+                       </button>
+                     ))}
+                   </div>
+                 </div>
+                 <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4 text-[10px]">
+                   {[
+                     sigKind !== 'white' && sigKind !== 'pink' && sigKind !== 'chirp' && {
+                       label: sigKind === 'impulses' ? 'RATE' : sigKind === 'multitone' ? 'LOWEST TONE' : 'FREQUENCY',
+                       value: log10(sigFreq), set: (v) => setSigFreq(Math.round(Math.pow(10, v))),
+                       min: 0, max: log10(0.45 * sampleRate), step: 0.01, text: `${Math.round(Math.min(sigFreq, 0.45 * sampleRate))} Hz`,
+                     },
+                     { label: sigKind === 'white' || sigKind === 'pink' ? 'LEVEL (RMS)' : 'LEVEL (PEAK)', value: sigLevel, set: setSigLevel, min: -60, max: 0, step: 1, text: `${sigLevel} dBFS` },
+                     { label: 'ADDED NOISE (RMS)', value: sigNoise, set: setSigNoise, min: -140, max: -20, step: 1, text: sigNoise <= -140 ? 'off' : `${sigNoise} dBFS` },
+                   ].filter(Boolean).map(sl => (
+                     <div key={sl.label}>
+                       <div className="flex justify-between text-slate-400 mb-1">
+                         <span>{sl.label}</span>
+                         <span className="text-amber-400">{sl.text}</span>
+                       </div>
+                       <input type="range" min={sl.min} max={sl.max} step={sl.step} value={sl.value}
+                         onChange={(e) => sl.set(Number(e.target.value))}
+                         className="w-full h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-indigo-500" />
+                     </div>
+                   ))}
+                   <div className="flex flex-wrap items-end gap-2">
+                     <select value={sigLength} onChange={(e) => setSigLength(Number(e.target.value))}
+                       className="bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-300">
+                       {[4096, 16384, 65536].map(n => <option key={n} value={n}>{n} samples</option>)}
+                     </select>
+                     {sigKind === 'chirp' && ['log', 'linear'].map(sweep => (
+                       <button key={sweep} onClick={() => setSigSweep(sweep)}
+                         className={`uppercase font-bold px-3 py-1 rounded border ${sigSweep === sweep ? 'bg-indigo-600 border-indigo-500 text-white' : 'border-slate-700 text-slate-500'}`}>
+                         {sweep}
+                       </button>
+                     ))}
+                   </div>
+                 </div>
+                 <span className="block text-[10px] uppercase font-bold text-slate-500 mb-1">
+                   Input vs output · first {signalAnalysis.trace.length} samples{sigKind === 'chirp' ? '' : ' after the settling lead-in'}
+                 </span>
+                 <div className="h-[200px]">
+                   <ResponsiveContainer>
+                     <LineChart data={signalAnalysis.trace} margin={{top: 5, right: 10, left: -20, bottom: 0}}>
+                       <CartesianGrid stroke="#1e293b" strokeDasharray="3 3" />
+                       <XAxis dataKey="t" type="number" domain={[0, 'dataMax']} stroke="#64748b" fontSize={10} tickFormatter={(v) => `${+v.toFixed(1)}ms`} />
+                       <YAxis stroke="#64748b" fontSize={10} domain={['auto', 'auto']} />
+                       <Tooltip contentStyle={{backgroundColor: '#0f172a', borderColor: '#334155'}} itemStyle={{ fontSize: '11px' }}
+                         labelFormatter={(v) => `${v.toFixed(3)} ms`} formatter={(v) => v.toFixed(4)} />
+                       <Legend wrapperStyle={{ fontSize: '10px' }} />
+                       <Line type="linear" dataKey="input" stroke="#64748b" dot={false} strokeWidth={1} name="Input" isAnimationActive={false} />
+                       <Line type="linear" dataKey="output" stroke="#10b981" dot={false} strokeWidth={1.5} name="Output" isAnimationActive={false} />
+                     </LineChart>
+                   </ResponsiveContainer>
+                 </div>
+               </div>
+
+               {/* SPECTRUM & WELCH PSD */}
+               <div className="bg-slate-900 rounded-lg border border-slate-800 p-4">
+                 <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                   <h3 className="text-xs font-bold uppercase text-slate-300 flex items-center gap-2">
+                      <Activity size={14} /> Spectrum
+                   </h3>
+                   <div className="flex flex-wrap items-center gap-2 text-[10px]">
+                     <select value={specWindow} onChange={(e) => setSpecWindow(e.target.value)}
+                       className="bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-300">
+                       {Object.entries(WINDOW_LABELS).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+                     </select>
+                     <div className="flex rounded border border-slate-700 overflow-hidden">
+                       {[1, 2, 4, 8].map(pad => (
+                         <button key={pad} onClick={() => setSpecZeroPad(pad)}
+                           className={`uppercase font-bold px-2 py-1 ${specZeroPad === pad ? 'bg-indigo-600 text-white' : 'text-slate-500'}`}>
+                           {pad}× pad
+                         </button>
+                       ))}
+                     </div>
+                     <select value={welchSegment} onChange={(e) => setWelchSegment(Number(e.target.value))}
+                       className="bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-300">
+                       {[256, 512, 1024, 2048, 4096].map(n => <option key={n} value={n}>Welch {n}</option>)}
+                     </select>
+                     <button onClick={() => setSpecLogF(!specLogF)}
+                       className={`uppercase font-bold px-3 py-1 rounded border ${specLogF ? 'bg-indigo-600 border-indigo-500 text-white' : 'border-slate-700 text-slate-500'}`}>
+                       Log f
+                     </button>
+                   </div>
+                 </div>
+                 <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                   {[
+                     {
+                       key: 'fft', data: signalAnalysis.fft, unit: 'dBFS',
+                       title: `FFT · ${WINDOW_LABELS[specWindow]} · ${signalAnalysis.binWidth.toFixed(2)} Hz bins · ENBW ${signalAnalysis.enbw.toFixed(2)} bins`,
+                     },
+                     {
+                       key: 'welch', data: signalAnalysis.welch, unit: 'dB/Hz',
+                       title: `Welch PSD · ${welchSegment}-point segments, 50% overlap · ${signalAnalysis.welchSegments} averages`,
+                     },
+                   ].map(chart => (
+                     <div key={chart.key}>
+                       <span className="block text-[10px] uppercase font-bold text-slate-500 mb-1">{chart.title}</span>
+                       <div className="h-[220px]">
+                         <ResponsiveContainer>
+                           <LineChart data={chart.data} margin={{top: 5, right: 10, left: -20, bottom: 0}}>
+                             <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" />
+                             <XAxis dataKey="f" type="number" scale={specLogF ? 'log' : 'auto'} domain={specLogF ? ['dataMin', 'dataMax'] : [0, 'dataMax']}
+                               stroke="#64748b" fontSize={10} tickFormatter={(v) => v >= 1000 ? `${+(v / 1000).toFixed(1)}k` : Math.round(v)} />
+                             <YAxis stroke="#64748b" fontSize={10} domain={['auto', 'auto']} />
+                             <Tooltip contentStyle={{backgroundColor: '#0f172a', borderColor: '#334155'}} itemStyle={{ fontSize: '11px' }}
+                               labelFormatter={(v) => `${Math.round(v)} Hz`} formatter={(v) => `${v.toFixed(1)} ${chart.unit}`} />
+                             <Line type="monotone" dataKey="input" stroke="#64748b" dot={false} strokeWidth={1} name="Input" isAnimationActive={false} />
+                             <Line type="monotone" dataKey="output" stroke="#10b981" dot={false} strokeWidth={1.5} name="Output" isAnimationActive={false} />
+                           </LineChart>
+                         </ResponsiveContainer>
+                       </div>
+                     </div>
+                   ))}
+                 </div>
+               </div>
+
+               <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                 {/* SPECTROGRAM */}
+                 <div className="bg-slate-900 rounded-lg border border-slate-800 p-4">
+                   <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                     <h3 className="text-xs font-bold uppercase text-slate-300 flex items-center gap-2">
+                        <Grid size={14} /> Spectrogram
+                     </h3>
+                     <div className="flex flex-wrap items-center gap-2 text-[10px]">
+                       <div className="flex rounded border border-slate-700 overflow-hidden">
+                         {['input', 'output'].map(side => (
+                           <button key={side} onClick={() => setSgSide(side)}
+                             className={`uppercase font-bold px-3 py-1 ${sgSide === side ? 'bg-indigo-600 text-white' : 'text-slate-500'}`}>
+                             {side}
+                           </button>
+                         ))}
+                       </div>
+                       <select value={sgSegment} onChange={(e) => setSgSegment(Number(e.target.value))}
+                         className="bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-300">
+                         {[128, 256, 512, 1024].map(n => <option key={n} value={n}>{n}-point</option>)}
+                       </select>
+                     </div>
+                   </div>
+                   <canvas ref={spectrogramRef} className="w-full h-[220px] rounded border border-slate-800 bg-slate-950" />
+                   <div className="flex justify-between mt-1 text-[10px] text-slate-500">
+                     <span>0 – {(sigLength / sampleRate).toFixed(3)} s · 0 – {Math.round(sampleRate / 2)} Hz (up)</span>
+                     <span>{signalAnalysis.spectrogram.times.length} frames · {(signalAnalysis.spectrogram.top - 100).toFixed(0)} to {signalAnalysis.spectrogram.top.toFixed(0)} dB/Hz</span>
+                   </div>
+                 </div>
+
+                 {/* MEASUREMENTS */}
+                 <div className="bg-slate-900 rounded-lg border border-slate-800 p-4">
+                   <h3 className="text-xs font-bold uppercase text-slate-300 flex items-center gap-2 mb-4">
+                      <Crosshair size={14} /> Measurements
+                   </h3>
+                   <table className="w-full text-[10px] text-right text-slate-300">
+                     <thead>
+                       <tr className="text-slate-500 uppercase">
+                         <th className="text-left font-normal py-1"></th>
+                         <th className="font-normal">Input</th>
+                         <th className="font-normal">Output</th>
+                       </tr>
+                     </thead>
+                     <tbody>
+                       {[
+                         ['RMS', (m) => `${m.rms.toFixed(1)} dBFS`],
+                         ['Peak', (m) => `${m.peak.toFixed(1)} dBFS`],
+                         ['Fundamental', (m) => m.tone && `${m.tone.f0.toFixed(1)} Hz`],
+                         ['Tone level', (m) => m.tone && `${m.tone.level.toFixed(2)} dBFS`],
+                         ['THD', (m) => m.tone && `${m.tone.thd.toFixed(1)} dB · ${m.tone.thdPercent.toPrecision(3)}%`],
+                         ['SNR', (m) => m.tone && `${m.tone.snr.toFixed(1)} dB`],
+                         ['SINAD', (m) => m.tone && `${m.tone.sinad.toFixed(1)} dB`],
+                         ['ENOB', (m) => m.tone && `${m.tone.enob.toFixed(2)} bits`],
+                       ].map(([label, fmt]) => (
+                         <tr key={label} className="border-t border-slate-800">
+                           <td className="text-left py-1 text-slate-500">{label}</td>
+                           <td>{fmt(signalAnalysis.input) || '—'}</td>
+                           <td className="text-emerald-400">{fmt(signalAnalysis.output) || '—'}</td>
+                         </tr>
+                       ))}
+                     </tbody>
+                   </table>
+                   {signalAnalysis.output.tone ? (
+                     <p className="mt-3 text-[10px] text-slate-500">
+                       Output harmonics (dBc): {signalAnalysis.output.tone.harmonics
+                         .map(hm => `H${hm.order} ${hm.dbc < -200 ? '—' : hm.dbc.toFixed(1)}`).join(' · ')}.
+                       Kaiser (β = 20) periodogram; THD sums H2–H7, noise is everything else but DC.
+                     </p>
+                   ) : (
+                     <p className="mt-3 text-[10px] text-slate-500">THD, SNR and SINAD need a sine or square input.</p>
+                   )}
+                 </div>
+               </div>
+             </div>
+           ) : activeTab === 'library' ? (
+             /* DESIGN LIBRARY VIEW */
+             <div className="space-y-6">
+                {/* SAVED DESIGNS */}
+                <div className="bg-slate-900 rounded-lg border border-slate-800 p-4">
+                  <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+                    <h3 className="text-xs font-bold uppercase text-slate-300 flex items-center gap-2">
+                       <Library size={14} /> Saved Designs
+                    </h3>
+                    <div className="flex items-center gap-2">
+                      <input value={libraryName} onChange={(e) => setLibraryName(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && saveDesign()}
+                        placeholder={`Design ${library.length + 1}`}
+                        className="bg-slate-800 border border-slate-700 rounded px-2 py-1 text-[10px] text-slate-300 w-40 focus:border-indigo-500 outline-none" />
+                      <button onClick={saveDesign}
+                        className="flex items-center gap-1 text-[10px] uppercase font-bold px-3 py-1 rounded bg-emerald-600 text-white hover:bg-emerald-500">
+                        <Save size={12} /> Save Current
+                      </button>
+                    </div>
+                  </div>
+                  {library.length === 0 ? (
+                    <p className="text-[10px] text-slate-500">No saved designs yet. Name the current design and save it to start a library.</p>
+                  ) : (
+                    <table className="w-full text-[10px] text-slate-300">
+                      <thead>
+                        <tr className="text-slate-500 uppercase text-left">
+                          <th className="font-normal w-16">Compare</th>
+                          <th className="font-normal">Name</th>
+                          <th className="font-normal">Design</th>
+                          <th className="font-normal">Saved</th>
+                          <th className="font-normal text-right">Actions</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {library.map(d => (
+                          <tr key={d.id} className="border-t border-slate-800">
+                            <td className="py-1">
+                              <input type="checkbox" checked={compareIds.includes(d.id)} onChange={() => toggleCompare(d.id)} className="accent-indigo-500" />
+                            </td>
+                            <td>
+                              {renaming && renaming.id === d.id ? (
+                                <input autoFocus value={renaming.name} onChange={(e) => setRenaming({ id: d.id, name: e.target.value })}
+                                  onBlur={commitRename}
+                                  onKeyDown={(e) => { if (e.key === 'Enter') commitRename(); if (e.key === 'Escape') setRenaming(null); }}
+                                  className="bg-slate-800 border border-indigo-500 rounded px-1 text-[10px] text-white outline-none" />
+                              ) : (
+                                <span className="font-bold text-slate-200">{d.name}</span>
+                              )}
+                            </td>
+                            <td className="text-slate-400">{designSummary(d.params)}</td>
+                            <td className="text-slate-500">{new Date(d.savedAt).toLocaleString()}</td>
+                            <td>
+                              <div className="flex justify-end gap-1">
+                                <button onClick={() => loadDesign(d)} title="Load into the designer"
+                                  className="p-1 rounded border border-slate-700 text-slate-400 hover:text-white"><FolderOpen size={12} /></button>
+                                <button onClick={() => duplicateDesign(d)} title="Duplicate"
+                                  className="p-1 rounded border border-slate-700 text-slate-400 hover:text-white"><Copy size={12} /></button>
+                                <button onClick={() => setRenaming({ id: d.id, name: d.name })} title="Rename"
+                                  className="p-1 rounded border border-slate-700 text-slate-400 hover:text-white"><Edit2 size={12} /></button>
+                                <button onClick={() => deleteDesign(d.id)} title="Delete"
+                                  className="p-1 rounded border border-slate-700 text-slate-400 hover:text-rose-400"><Trash2 size={12} /></button>
+                              </div>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+
+                {/* DESIGN COMPARISON */}
+                <div className="bg-slate-900 rounded-lg border border-slate-800 p-4">
+                  <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                    <h3 className="text-xs font-bold uppercase text-slate-300 flex items-center gap-2">
+                       <Layers size={14} /> Compare
+                    </h3>
+                    <label className="flex items-center gap-2 text-[10px] text-slate-400">
+                      <input type="checkbox" checked={compareCurrent} onChange={(e) => setCompareCurrent(e.target.checked)} className="accent-indigo-500" />
+                      Include current design
+                    </label>
+                  </div>
+                  {comparison.length === 0 ? (
+                    <p className="text-[10px] text-slate-500">Tick saved designs (or include the current one) to overlay their responses.</p>
+                  ) : (
+                    <>
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        {[
+                          { key: 'mag', label: 'Magnitude (dB)', domain: [-100, 10] },
+                          { key: 'phase', label: 'Phase (°)', domain: [-180, 180] },
+                          { key: 'groupDelay', label: 'Group Delay (samples)', domain: ['auto', 'auto'] },
+                        ].map(chart => (
+                          <div key={chart.key}>
+                            <span className="block text-[10px] uppercase font-bold text-slate-500 mb-1">{chart.label}</span>
+                            <div className="h-[200px]">
+                              <ResponsiveContainer>
+                                <LineChart margin={{top: 5, right: 10, left: -20, bottom: 0}}>
+                                  <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" />
+                                  <XAxis dataKey="f" type="number" scale="log" domain={['dataMin', 'dataMax']} allowDuplicatedCategory={false}
+                                    stroke="#64748b" fontSize={10} tickFormatter={(v) => v >= 1000 ? `${+(v / 1000).toFixed(1)}k` : Math.round(v)} />
+                                  <YAxis stroke="#64748b" fontSize={10} domain={chart.domain} allowDataOverflow />
+                                  <Tooltip contentStyle={{backgroundColor: '#0f172a', borderColor: '#334155'}} itemStyle={{ fontSize: '11px' }}
+                                    labelFormatter={(v) => `${Math.round(v)} Hz`} formatter={(v) => v.toFixed(2)} />
+                                  {comparison.map(c => (
+                                    <Line key={c.id} data={c.analysis.freqData} dataKey={chart.key} name={c.name}
+                                      stroke={c.color} strokeWidth={1.5} dot={false} isAnimationActive={false} />
+                                  ))}
+                                </LineChart>
+                              </ResponsiveContainer>
+                            </div>
+                          </div>
+                        ))}
+                        <div>
+                          <span className="block text-[10px] uppercase font-bold text-slate-500 mb-1">Step Response</span>
+                          <div className="h-[200px]">
+                            <ResponsiveContainer>
+                              <LineChart margin={{top: 5, right: 10, left: -20, bottom: 0}}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" />
+                                <XAxis dataKey="n" type="number" domain={[0, 'dataMax']} allowDuplicatedCategory={false} stroke="#64748b" fontSize={10} />
+                                <YAxis stroke="#64748b" fontSize={10} domain={['auto', 'auto']} />
+                                <Tooltip contentStyle={{backgroundColor: '#0f172a', borderColor: '#334155'}} itemStyle={{ fontSize: '11px' }}
+                                  formatter={(v) => v.toFixed(4)} />
+                                {comparison.map(c => (
+                                  <Line key={c.id} data={c.analysis.stepData} dataKey="val" name={c.name}
+                                    stroke={c.color} strokeWidth={1.5} dot={false} isAnimationActive={false} />
+                                ))}
+                              </LineChart>
+                            </ResponsiveContainer>
+                          </div>
+                        </div>
+                      </div>
+
+                      <table className="w-full mt-4 text-[10px] text-right text-slate-300">
+                        <thead>
+                          <tr className="text-slate-500 uppercase">
+                            <th className="text-left font-normal">Design</th>
+                            <th className="font-normal">Order</th>
+                            <th className="font-normal">Pass ripple (dB)</th>
+                            <th className="font-normal">Stop atten (dB)</th>
+                            <th className="font-normal">Pass delay (smp)</th>
+                            <th className="font-normal">Delay (ms)</th>
+                            <th className="font-normal">Delay var. (smp)</th>
+                            <th className="font-normal">Mults / adds</th>
+                            <th className="font-normal">Mask</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {comparison.map((c, i) => {
+                            const ref = i === 0 ? {} : comparison[0].metrics;
+                            return (
+                              <tr key={c.id} className="border-t border-slate-800">
+                                <td className="text-left py-1">
+                                  <span className="inline-block w-2 h-2 rounded-full mr-2" style={{ backgroundColor: c.color }}></span>
+                                  {c.name}
+                                </td>
+                                <td>{compareDiff(c.metrics.order, ref.order, 0)}</td>
+                                <td>{compareDiff(c.metrics.ripple, ref.ripple)}</td>
+                                <td>{compareDiff(c.metrics.atten, ref.atten)}</td>
+                                <td>{compareDiff(c.metrics.delay, ref.delay)}</td>
+                                <td>{compareDiff(c.metrics.delayMs, ref.delayMs, 3)}</td>
+                                <td>{compareDiff(c.metrics.delayVariation, ref.delayVariation)}</td>
+                                <td>{c.metrics.mults === null ? 'n/a (analog)' : `${c.metrics.mults} / ${c.metrics.adds}`}</td>
+                                <td className={`font-bold ${!c.mask ? 'text-slate-500' : c.mask.pass ? 'text-green-400' : 'text-rose-400'}`}>
+                                  {!c.mask ? '—' : c.mask.pass ? 'PASS' : 'FAIL'}
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                      <p className="mt-2 text-[10px] text-slate-500">
+                        Differences in parentheses are relative to {comparison[0].name}. Attenuation is measured from one octave past the band edges
+                        (notch: at the center), relative to the passband peak; operation counts are per output sample (FIR direct form, IIR biquad cascade).
+                      </p>
+                    </>
+                  )}
+                </div>
+             </div>
            ) : (
              /* DESIGN & ANALYSIS VIEW */
              <div className="space-y-6">
                 {/* FREQUENCY RESPONSE */}
                 <div className="bg-slate-900 rounded-lg border border-slate-800 p-1 shadow-xl">
-                  <div className="p-3 flex justify-between items-center bg-slate-800/50 rounded-t-lg">
+                  <div className="p-3 flex flex-wrap gap-3 justify-between items-center bg-slate-800/50 rounded-t-lg">
                     <h3 className="text-xs font-bold uppercase text-indigo-300">Bode Plot (Magnitude & Phase)</h3>
                     <div className="flex items-center gap-4 text-[10px]">
                        <span className="flex items-center gap-1 text-sky-400"><div className="w-2 h-2 rounded-full bg-sky-500"></div> Magnitude (dB)</span>
                        <span className="flex items-center gap-1 text-rose-400"><div className="w-2 h-2 rounded-full bg-rose-500"></div> Phase (°)</span>
+                       {maskCheck && (
+                         <span className={`font-bold ${maskCheck.pass ? 'text-green-400' : 'text-rose-400'}`}>MASK {maskCheck.pass ? 'PASS' : 'FAIL'}</span>
+                       )}
+                    </div>
+                  </div>
+                  <div className="px-3 pt-2 flex flex-wrap items-center justify-between gap-2 text-[10px]">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <div className="flex rounded border border-slate-700 overflow-hidden">
+                        {[['log', 'Log'], ['linear', 'Linear']].map(([key, label]) => (
+                          <button key={key} onClick={() => { setRespSpacing(key); setRespZoom(null); }}
+                            className={`uppercase font-bold px-3 py-1 ${respSpacing === key ? 'bg-indigo-600 text-white' : 'text-slate-500'}`}>
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                      <select value={respPoints} onChange={(e) => setRespPoints(Number(e.target.value))}
+                        className="bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-300">
+                        {[1024, 4096, 16384, 65536].map(n => <option key={n} value={n}>{n} points</option>)}
+                      </select>
+                      {respError
+                        ? <span className="text-amber-400">{respError}</span>
+                        : <span className="text-slate-500">{respBusy ? 'Computing…' : 'Drag across a plot to zoom'}</span>}
+                    </div>
+                    <div className="flex items-center gap-1">
+                      <span className="text-slate-400 mr-2">
+                        {formatHz(viewRange[0])} – {formatHz(viewRange[1])}
+                      </span>
+                      {[
+                        { title: 'Pan left', icon: ChevronLeft, onClick: () => zoomBy(1, -0.5), disabled: !respZoom },
+                        { title: 'Zoom in', icon: ZoomIn, onClick: () => zoomBy(0.5) },
+                        { title: 'Zoom out', icon: ZoomOut, onClick: () => zoomBy(2), disabled: !respZoom },
+                        { title: 'Pan right', icon: ChevronRight, onClick: () => zoomBy(1, 0.5), disabled: !respZoom },
+                        { title: 'Full range', icon: Maximize2, onClick: () => setRespZoom(null), disabled: !respZoom },
+                      ].map(action => (
+                        <button key={action.title} onClick={action.onClick} title={action.title} disabled={action.disabled}
+                          className="p-1 rounded border border-slate-700 text-slate-400 hover:text-white hover:bg-slate-700 disabled:opacity-30 disabled:hover:bg-transparent">
+                          <action.icon size={12} />
+                        </button>
+                      ))}
                     </div>
                   </div>
-                  <div className="h-[350px] p-2 bg-slate-900/50">
+                  <div className="h-[350px] p-2 bg-slate-900/50 select-none">
                     <ResponsiveContainer width="100%" height="100%">
-                      <LineChart data={analysisData.freqData} margin={{top: 10, right: 10, left: -20, bottom: 0}}>
+                      <LineChart data={plotData} margin={{top: 10, right: 10, left: -20, bottom: 0}} {...zoomHandlers}>
                         <CartesianGrid strokeDasharray="3 3" stroke="#334155" opacity={0.5} />
                         <XAxis 
                           dataKey="f" 
+                          type="number"
+                          scale={respSpacing === 'log' ? 'log' : 'linear'}
+                          domain={viewRange}
+                          allowDataOverflow
                           stroke="#64748b" 
                           fontSize={10} 
-                          tickFormatter={(v) => v >= 1000 ? `${v/1000}k` : v}
+                          tickFormatter={formatHzTick}
                         />
                         <YAxis yAxisId="mag" stroke="#64748b" fontSize={10} domain={[-80, 20]} />
-                        <YAxis yAxisId="phase" orientation="right" stroke="#64748b" fontSize={10} domain={[-180, 180]} />
+                        <YAxis yAxisId="phase" orientation="right" stroke="#64748b" fontSize={10} domain={['auto', 'auto']} />
                         <Tooltip 
                           contentStyle={{ backgroundColor: '#0f172a', borderColor: '#334155' }}
                           labelStyle={{ color: '#94a3b8' }}
                           itemStyle={{ fontSize: '11px' }}
+                          labelFormatter={formatHz}
+                          formatter={(v) => (typeof v === 'number' ? v.toFixed(2) : v)}
                         />
-                        <ReferenceLine x={cutoff} stroke="#eab308" strokeDasharray="3 3" yAxisId="mag" />
-                        <Line yAxisId="mag" type="monotone" dataKey="mag" stroke="#0ea5e9" strokeWidth={2} dot={false} />
-                        <Line yAxisId="phase" type="monotone" dataKey="phase" stroke="#f43f5e" strokeWidth={1} strokeDasharray="4 4" dot={false} />
+                        {!isRemez && analysisData.edges.map(edge => (
+                          <ReferenceLine key={edge} x={edge} stroke="#eab308" strokeDasharray="3 3" yAxisId="mag" />
+                        ))}
+                        {maskAreas('mag', [-80, 20]).map(({ key, pass, ...area }) => (
+                          <ReferenceArea key={key} {...area} yAxisId="mag" fill={pass ? '#64748b' : '#f43f5e'} fillOpacity={0.15} stroke="none" />
+                        ))}
+                        <Line yAxisId="mag" type="linear" dataKey="mag" stroke="#0ea5e9" strokeWidth={2} dot={false} isAnimationActive={false} />
+                        {maskCheck && (
+                          <Line yAxisId="mag" type="linear" dataKey="magFail" name="mask violation" stroke="#ef4444" strokeWidth={3} dot={{ r: 1.5 }} connectNulls={false} isAnimationActive={false} />
+                        )}
+                        {quantMode && quantAnalysis && (
+                          <Line yAxisId="mag" data={quantAnalysis.freqData} type="monotone" dataKey="magQ" stroke="#f59e0b" strokeWidth={1.5} strokeDasharray="6 3" dot={false} name={`mag (${quantWord}-bit)`} isAnimationActive={false} />
+                        )}
+                        <Line yAxisId="phase" type="linear" dataKey="phase" stroke="#f43f5e" strokeWidth={1} strokeDasharray="4 4" dot={false} isAnimationActive={false} />
+                        {zoomDrag && (
+                          <ReferenceArea yAxisId="mag" x1={zoomDrag[0]} x2={zoomDrag[1]} fill="#6366f1" fillOpacity={0.15} stroke="#6366f1" />
+                        )}
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                </div>
+
+                {/* GROUP & PHASE DELAY */}
+                <div className="bg-slate-900 rounded-lg border border-slate-800 p-4">
+                  <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                    <h3 className="text-xs font-bold uppercase text-slate-300 flex items-center gap-2">
+                       <Activity size={14} /> Group & Phase Delay
+                    </h3>
+                    <div className="flex items-center gap-4 text-[10px]">
+                       <span className="flex items-center gap-1 text-violet-400"><div className="w-2 h-2 rounded-full bg-violet-500"></div> Group delay</span>
+                       <span className="flex items-center gap-1 text-teal-400"><div className="w-2 h-2 rounded-full bg-teal-500"></div> Phase delay</span>
+                       <span className="text-slate-500">
+                         Passband variation {designMetrics.delayVariation === null ? '—' : `${designMetrics.delayVariation.toFixed(2)} samples (${formatSeconds(designMetrics.delayVariationSec)})`}
+                       </span>
+                    </div>
+                  </div>
+                  <div className="h-[200px] select-none">
+                    <ResponsiveContainer>
+                      <LineChart data={plotData} margin={{top: 5, right: 10, left: -20, bottom: 0}} {...zoomHandlers}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" />
+                        <XAxis dataKey="f" type="number" scale={respSpacing === 'log' ? 'log' : 'linear'} domain={viewRange} allowDataOverflow
+                          stroke="#64748b" fontSize={10} tickFormatter={formatHzTick} />
+                        {/* Scaled to the group delay; phase delay diverges near DC when the DC phase is nonzero */}
+                        <YAxis stroke="#64748b" fontSize={10} domain={delayDomain} allowDataOverflow />
+                        <Tooltip contentStyle={{backgroundColor: '#0f172a', borderColor: '#334155'}} itemStyle={{ fontSize: '11px' }}
+                          labelFormatter={formatHz} formatter={(v) => `${v.toFixed(2)} smp`} />
+                        {!isRemez && analysisData.edges.map(edge => (
+                          <ReferenceLine key={edge} x={edge} stroke="#eab308" strokeDasharray="3 3" />
+                        ))}
+                        {maskAreas('delay', delayDomain).map(({ key, pass, ...area }) => (
+                          <ReferenceArea key={key} {...area} fill={pass ? '#64748b' : '#f43f5e'} fillOpacity={0.15} stroke="none" />
+                        ))}
+                        <Line type="linear" dataKey="groupDelay" name="group delay" stroke="#8b5cf6" strokeWidth={2} dot={false} isAnimationActive={false} />
+                        {maskCheck && (
+                          <Line type="linear" dataKey="delayFail" name="mask violation" stroke="#ef4444" strokeWidth={3} dot={{ r: 1.5 }} connectNulls={false} isAnimationActive={false} />
+                        )}
+                        <Line type="linear" dataKey="phaseDelay" name="phase delay" stroke="#14b8a6" strokeWidth={1} strokeDasharray="4 4" dot={false} isAnimationActive={false} />
+                        {zoomDrag && (
+                          <ReferenceArea x1={zoomDrag[0]} x2={zoomDrag[1]} fill="#6366f1" fillOpacity={0.15} stroke="#6366f1" />
+                        )}
                       </LineChart>
                     </ResponsiveContainer>
                   </div>
                 </div>
 
+                {/* SPECIFICATION MASK */}
+                <div className="bg-slate-900 rounded-lg border border-slate-800 p-4">
+                  <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                    <h3 className="text-xs font-bold uppercase text-slate-300 flex items-center gap-2">
+                       <CheckCircle size={14} /> Specification Mask
+                    </h3>
+                    <div className="flex items-center gap-2">
+                      <label className="flex items-center gap-2 text-[10px] uppercase font-bold text-slate-500 cursor-pointer mr-2">
+                        <input type="checkbox" checked={specMask.enabled} onChange={(e) => setSpecMask(mask => ({ ...mask, enabled: e.target.checked }))} className="accent-indigo-500" />
+                        Check
+                      </label>
+                      <button onClick={maskFromDesign}
+                        className="text-[10px] uppercase font-bold px-3 py-1 rounded border border-slate-700 text-slate-400 hover:text-white">
+                        From Design
+                      </button>
+                      <button onClick={() => addMaskRegion('mag')}
+                        className="text-[10px] uppercase font-bold px-3 py-1 rounded border border-slate-700 text-slate-400 hover:text-white">
+                        + Magnitude
+                      </button>
+                      <button onClick={() => addMaskRegion('delay')}
+                        className="text-[10px] uppercase font-bold px-3 py-1 rounded border border-slate-700 text-slate-400 hover:text-white">
+                        + Delay
+                      </button>
+                      {maskCheck && (
+                        <span className={`text-[10px] font-bold uppercase px-2 py-1 rounded ${maskCheck.pass ? 'bg-green-900/40 text-green-400' : 'bg-rose-900/40 text-rose-400'}`}>
+                          {maskCheck.pass ? 'Pass' : 'Fail'}
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                  {specMask.regions.length === 0 ? (
+                    <p className="text-[10px] text-slate-500">No mask regions. Start from the design's bands or add magnitude (dB) and group delay (samples) limits.</p>
+                  ) : (
+                    <table className="w-full text-[10px] text-right text-slate-300">
+                      <thead>
+                        <tr className="text-slate-500 uppercase">
+                          <th className="text-left font-normal">Limit</th>
+                          <th className="font-normal">From (Hz)</th>
+                          <th className="font-normal">To (Hz)</th>
+                          <th className="font-normal">Min</th>
+                          <th className="font-normal">Max</th>
+                          <th className="font-normal">Worst margin</th>
+                          <th className="font-normal">At</th>
+                          <th></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {specMask.regions.map((region, i) => {
+                          const result = maskCheck && maskCheck.regions[i];
+                          const unit = region.kind === 'mag' ? 'dB' : 'smp';
+                          return (
+                            <tr key={i} className="border-t border-slate-800">
+                              <td className="text-left py-1">
+                                <select value={region.kind} onChange={(e) => updateMaskRegion(i, { kind: e.target.value })}
+                                  className="bg-slate-800 border border-slate-700 rounded text-[10px] p-1 outline-none focus:border-indigo-500">
+                                  <option value="mag">Magnitude (dB)</option>
+                                  <option value="delay">Group delay (smp)</option>
+                                </select>
+                              </td>
+                              {['lo', 'hi'].map(key => (
+                                <td key={key} className="pl-1">
+                                  <input type="number" value={region[key]} step={10}
+                                    onChange={(e) => Number(e.target.value) > 0 && updateMaskRegion(i, { [key]: Number(e.target.value) })}
+                                    className="w-20 bg-slate-800 border border-slate-700 rounded text-[10px] p-1 text-right outline-none focus:border-indigo-500" />
+                                </td>
+                              ))}
+                              {/* Empty limit = unbounded */}
+                              {['min', 'max'].map(key => (
+                                <td key={key} className="pl-1">
+                                  <input type="number" value={region[key] ?? ''} step={region.kind === 'mag' ? 0.5 : 1} placeholder="—"
+                                    onChange={(e) => updateMaskRegion(i, { [key]: e.target.value === '' ? null : Number(e.target.value) })}
+                                    className="w-16 bg-slate-800 border border-slate-700 rounded text-[10px] p-1 text-right outline-none focus:border-indigo-500" />
+                                </td>
+                              ))}
+                              <td className={`font-mono ${!result ? 'text-slate-500' : result.pass ? 'text-green-400' : 'text-rose-400'}`}>
+                                {result && Number.isFinite(result.margin) ? `${result.pass ? '+' : ''}${(result.pass ? Math.max(0, result.margin) : result.margin).toFixed(2)} ${unit}` : '—'}
+                              </td>
+                              <td className="font-mono text-slate-500">{result && Number.isFinite(result.margin) ? `${Math.round(result.worstF)} Hz` : '—'}</td>
+                              <td>
+                                <button onClick={() => setSpecMask(mask => ({ ...mask, regions: mask.regions.filter((_, j) => j !== i) }))}
+                                  className="text-[10px] px-1 text-slate-500 hover:text-rose-400">
+                                  ×
+                                </button>
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+
                 {/* BOTTOM ROW: IMPULSE & POLE-ZERO */}
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                    
@@ -634,52 +4189,854 @@ export default function FilterLabPro() {
                         <h3 className="text-xs font-bold uppercase text-slate-300 flex items-center gap-2">
                            <Crosshair size={14} /> Pole-Zero Plot
                         </h3>
-                        <span className="text-[10px] text-slate-500">{domain === 'analog' ? 'S-Plane (Im vs Re)' : 'Z-Plane (Unit Circle)'}</span>
+                        <div className="flex items-center gap-2">
+                          <span className="text-[10px] text-slate-500">{domain === 'analog' ? 'S-Plane (Im vs Re, ω/ωc)' : 'Z-Plane (Unit Circle)'}</span>
+                          <button onClick={togglePzEdit} disabled={!pzEditMode && pzFirTooLong}
+                            title={pzFirTooLong ? `Zero editing needs ${FIR_ZEROS_MAX_TAPS} taps or fewer` : undefined}
+                            className={`text-[10px] uppercase font-bold px-2 py-0.5 rounded border disabled:opacity-30 ${pzEditMode ? 'bg-indigo-600 border-indigo-500 text-white' : 'border-slate-700 text-slate-500'}`}>
+                            Edit
+                          </button>
+                        </div>
                       </div>
+                      {pzFirTooLong && !pzEditMode && (
+                        <p className="text-[10px] text-slate-500 mb-2">Zero editing is available up to {FIR_ZEROS_MAX_TAPS} taps.</p>
+                      )}
                       
-                      <div className="h-[200px] flex justify-center items-center relative">
-                         {/* UNIT CIRCLE BACKGROUND for DIGITAL */}
-                         {domain !== 'analog' && (
-                            <div className="absolute w-[140px] h-[140px] rounded-full border border-slate-700/50"></div>
-                         )}
-                         {/* AXES */}
-                         <div className="absolute w-full h-[1px] bg-slate-700"></div>
-                         <div className="absolute h-full w-[1px] bg-slate-700"></div>
-
-                         <ResponsiveContainer width="100%" height="100%">
-                            <ScatterChart margin={{top: 20, right: 20, bottom: 20, left: 20}}>
-                               <XAxis type="number" dataKey="x" domain={[-1.5, 1.5]} hide />
-                               <YAxis type="number" dataKey="y" domain={[-1.5, 1.5]} hide />
-                               <ZAxis type="number" range={[50, 50]} />
-                               <Tooltip cursor={{strokeDasharray: '3 3'}} contentStyle={{backgroundColor: '#0f172a'}} />
-                               <Scatter name="Poles" data={poleZeroData.poles} fill="#f43f5e" shape="cross" />
-                               <Scatter name="Zeros" data={poleZeroData.zeros} fill="#0ea5e9" shape="circle" />
-                            </ScatterChart>
-                         </ResponsiveContainer>
-                      </div>
+                      {pzEditMode && customPZ && customPZ.domain === domain ? (
+                        <div className="space-y-2">
+                          <div className="flex flex-wrap items-center gap-1 text-[10px]">
+                            {[['move', 'Move'], ...(domain === 'digital_fir' ? [] : [['pole', '+ Pole']]), ['zero', '+ Zero'], ['delete', 'Delete']].map(([key, label]) => (
+                              <button key={key} onClick={() => setPzTool(key)}
+                                className={`uppercase font-bold px-2 py-0.5 rounded border ${pzTool === key ? 'bg-indigo-600 border-indigo-500 text-white' : 'border-slate-700 text-slate-500'}`}>
+                                {label}
+                              </button>
+                            ))}
+                            <select value={pzGainMode} onChange={(e) => setPzGainMode(e.target.value)}
+                              className="bg-slate-800 border border-slate-700 rounded px-1 py-0.5 text-slate-300">
+                              <option value="peak">Peak 0 dB</option>
+                              <option value="dc">DC 0 dB</option>
+                              <option value="none">k = 1</option>
+                            </select>
+                            <button onClick={seedPZ} className="uppercase font-bold px-2 py-0.5 rounded border border-slate-700 text-slate-500 hover:text-white">
+                              <RefreshCw size={10} className="inline" /> Reset
+                            </button>
+                          </div>
+                          <div className="h-[240px] flex justify-center">
+                            <svg ref={pzSvgRef}
+                              viewBox={`${-customPZ.extent} ${-customPZ.extent} ${2 * customPZ.extent} ${2 * customPZ.extent}`}
+                              className={`h-full aspect-square touch-none ${pzTool === 'move' ? 'cursor-default' : 'cursor-crosshair'}`}
+                              onPointerDown={onPlaneDown} onPointerMove={onPlaneMove} onPointerUp={onPlaneUp} onPointerCancel={onPlaneUp}>
+                              <rect x={-customPZ.extent} y={-customPZ.extent} width={2 * customPZ.extent} height={2 * customPZ.extent} fill="#0f172a" />
+                              {domain === 'analog' && (
+                                <rect x={0} y={-customPZ.extent} width={customPZ.extent} height={2 * customPZ.extent} fill="#f43f5e" opacity={0.06} />
+                              )}
+                              <line x1={-customPZ.extent} y1={0} x2={customPZ.extent} y2={0} stroke="#334155" vectorEffect="non-scaling-stroke" />
+                              <line x1={0} y1={-customPZ.extent} x2={0} y2={customPZ.extent} stroke={domain === 'analog' ? '#f59e0b' : '#334155'} vectorEffect="non-scaling-stroke" />
+                              {domain !== 'analog' && (
+                                <circle cx={0} cy={0} r={1} fill="none" stroke="#64748b" strokeDasharray="4 3" vectorEffect="non-scaling-stroke" />
+                              )}
+                              {['zeros', 'poles'].map(kind => customPZ[kind].map((r, i) => {
+                                const size = 0.045 * customPZ.extent;
+                                const selected = pzSelected && pzSelected.kind === kind && pzSelected.index === i;
+                                const color = kind === 'poles' ? '#f43f5e' : '#0ea5e9';
+                                const marks = r.pair ? [-r.im, r.im] : [0];
+                                return marks.map((y, j) => (
+                                  <g key={`${kind}-${i}-${j}`} transform={`translate(${r.re} ${y})`}
+                                    onPointerDown={(e) => onRootDown(e, kind, i)} className="cursor-move" opacity={j === 1 ? 0.55 : 1}>
+                                    <circle r={1.8 * size} fill={selected ? '#6366f1' : 'transparent'} opacity={0.25} />
+                                    {kind === 'poles' ? (
+                                      <path d={`M${-size} ${-size}L${size} ${size}M${-size} ${size}L${size} ${-size}`} stroke={color} strokeWidth={2} vectorEffect="non-scaling-stroke" />
+                                    ) : (
+                                      <circle r={size} fill="none" stroke={color} strokeWidth={2} vectorEffect="non-scaling-stroke" />
+                                    )}
+                                  </g>
+                                ));
+                              }))}
+                            </svg>
+                          </div>
+                          <div className="flex flex-wrap items-center justify-between gap-2 text-[10px] text-slate-400 pb-5">
+                            {selectedRoot ? (
+                              <span>
+                                {pzSelected.kind === 'poles' ? 'Pole' : 'Zero'} {selectedRoot.pair ? 'pair' : '(real)'}: {selectedRoot.re.toFixed(4)}{selectedRoot.pair ? ` ± j${selectedRoot.im.toFixed(4)}` : ''}
+                                {' '}· |r| {Math.hypot(selectedRoot.re, selectedRoot.im).toFixed(4)}
+                                <button onClick={() => removeRoot(pzSelected.kind, pzSelected.index)} className="ml-2 text-rose-400 hover:text-rose-300">remove</button>
+                              </span>
+                            ) : (
+                              <span>{customPZ.poles.length} pole / {customPZ.zeros.length} zero entries · drag to move{domain === 'analog' ? ' · units of ωc' : ''}</span>
+                            )}
+                            {analysisData.zpk && domain !== 'digital_fir' && <span>k = {analysisData.zpk.k.toPrecision(5)}</span>}
+                          </div>
+                          {pzIssues && pzIssues.unstable && (
+                            <div className="flex items-center gap-2 text-[10px] text-rose-400">
+                              <AlertTriangle size={12} /> {domain === 'analog' ? 'A pole is on or right of the jω axis' : 'A pole is on or outside the unit circle'}: the filter is unstable.
+                            </div>
+                          )}
+                          {pzIssues && pzIssues.improper && (
+                            <div className="flex items-center gap-2 text-[10px] text-amber-400">
+                              <AlertTriangle size={12} /> More zeros than poles: H(s) is improper and has no impulse response.
+                            </div>
+                          )}
+                        </div>
+                      ) : (
+                        <div className="h-[200px] flex justify-center items-center relative">
+                           {/* UNIT CIRCLE BACKGROUND for DIGITAL */}
+                           {domain !== 'analog' && (
+                              <div className="absolute w-[140px] h-[140px] rounded-full border border-slate-700/50"></div>
+                           )}
+                           {/* AXES */}
+                           <div className="absolute w-full h-[1px] bg-slate-700"></div>
+                           <div className="absolute h-full w-[1px] bg-slate-700"></div>
+
+                           <ResponsiveContainer width="100%" height="100%">
+                              <ScatterChart margin={{top: 20, right: 20, bottom: 20, left: 20}}>
+                                 <XAxis type="number" dataKey="x" domain={[-poleZeroData.extent, poleZeroData.extent]} hide />
+                                 <YAxis type="number" dataKey="y" domain={[-poleZeroData.extent, poleZeroData.extent]} hide />
+                                 <ZAxis type="number" range={[50, 50]} />
+                                 <Tooltip cursor={{strokeDasharray: '3 3'}} contentStyle={{backgroundColor: '#0f172a'}} />
+                                 <Scatter name="Poles" data={poleZeroData.poles} fill="#f43f5e" shape="cross" />
+                                 <Scatter name="Zeros" data={poleZeroData.zeros} fill="#0ea5e9" shape="circle" />
+                                 {quantMode && quantAnalysis && domain === 'digital_iir' && (
+                                   <Scatter name="Quantized Poles" data={quantAnalysis.poles.map(pp => ({ x: pp.quant.re, y: pp.quant.im }))} fill="#f59e0b" shape="triangle" />
+                                 )}
+                              </ScatterChart>
+                           </ResponsiveContainer>
+                        </div>
+                      )}
                       
                       {/* LEGEND */}
                       <div className="absolute bottom-2 right-2 flex gap-3 text-[10px]">
                          <span className="flex items-center gap-1 text-rose-400"><div className="w-2 h-2">×</div> Poles</span>
                          <span className="flex items-center gap-1 text-sky-400"><div className="w-1.5 h-1.5 rounded-full bg-sky-400"></div> Zeros</span>
+                         {quantMode && domain === 'digital_iir' && (
+                           <span className="flex items-center gap-1 text-amber-400"><div className="w-2 h-2">▲</div> Quantized</span>
+                         )}
                       </div>
                    </div>
 
                 </div>
+
+                {/* AUDIO TEST BENCH */}
+                {activeTab === 'design' && audioOutput && (
+                  <div className="bg-slate-900 rounded-lg border border-slate-800 p-4">
+                    <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                      <h3 className="text-xs font-bold uppercase text-slate-300 flex items-center gap-2">
+                         <Headphones size={14} /> Audio Test Bench
+                      </h3>
+                      <div className="flex flex-wrap items-center gap-2 text-[10px]">
+                        <select value={audioSource === 'file' && audioFile ? 'file' : testSignal}
+                          onChange={(e) => {
+                            if (e.target.value === 'file') { setAudioSource('file'); return; }
+                            setAudioSource('test');
+                            setTestSignal(e.target.value);
+                          }}
+                          className="bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-300">
+                          {Object.entries(TEST_SIGNALS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                          {audioFile && <option value="file">{audioFile.name}</option>}
+                        </select>
+                        <label className="flex items-center gap-1 uppercase font-bold px-3 py-1 rounded border border-slate-700 text-slate-400 hover:text-white cursor-pointer">
+                          <Upload size={12} /> WAV
+                          <input type="file" accept=".wav,audio/wav,audio/x-wav" className="hidden"
+                            onChange={(e) => { loadAudioFile(e.target.files[0]); e.target.value = ''; }} />
+                        </label>
+                        <div className="flex rounded border border-slate-700 overflow-hidden">
+                          {[['A', 'A · Original'], ['B', 'B · Filtered']].map(([side, label]) => (
+                            <button key={side} onClick={() => switchAB(side)}
+                              className={`uppercase font-bold px-3 py-1 ${abSide === side ? 'bg-indigo-600 text-white' : 'text-slate-500'}`}>
+                              {label}
+                            </button>
+                          ))}
+                        </div>
+                        <button onClick={() => (isPlaying ? stopAudio() : playAudio(abSide))}
+                          className="flex items-center gap-1 uppercase font-bold px-3 py-1 rounded bg-emerald-600 text-white hover:bg-emerald-500">
+                          {isPlaying ? <><Square size={12} /> Stop</> : <><Play size={12} /> Play</>}
+                        </button>
+                        <button onClick={downloadProcessed}
+                          className="flex items-center gap-1 uppercase font-bold px-3 py-1 rounded border border-slate-700 text-slate-400 hover:text-white">
+                          <Download size={12} /> WAV
+                        </button>
+                      </div>
+                    </div>
+
+                    {audioError && (
+                      <div className="flex items-center gap-2 text-[10px] text-rose-400 mb-3">
+                        <AlertTriangle size={12} /> {audioError}
+                      </div>
+                    )}
+                    {domain !== 'analog' && audioInput.sampleRate !== sampleRate && (
+                      <div className="flex items-center gap-2 text-[10px] text-amber-400 mb-3">
+                        <AlertTriangle size={12} /> File is {audioInput.sampleRate} Hz but the design is at {sampleRate} Hz, so every frequency scales by {(audioInput.sampleRate / sampleRate).toFixed(3)}.
+                        <button onClick={() => setSampleRate(audioInput.sampleRate)}
+                          disabled={audioInput.sampleRate < DESIGN_LIMITS.sampleRate.min || audioInput.sampleRate > DESIGN_LIMITS.sampleRate.max}
+                          className="uppercase font-bold px-2 py-0.5 rounded border border-amber-600 hover:text-white disabled:opacity-30">
+                          Redesign at {audioInput.sampleRate} Hz
+                        </button>
+                      </div>
+                    )}
+
+                    <div className="flex flex-wrap gap-4 text-[10px] text-slate-400 mb-3">
+                      <span>{audioInput.channels.length === 1 ? 'Mono' : `${audioInput.channels.length} ch`} · {audioInput.sampleRate} Hz · {(audioInput.channels[0].length / audioInput.sampleRate).toFixed(2)} s</span>
+                      <span>Realization: {domain === 'digital_iir' ? `SOS cascade (${analysisData.iir.sos.length} sections)` : domain === 'digital_fir' ? `FIR difference equation (${analysisData.coeffs.length} taps)` : 'Analog design digitized (bilinear, SOS)'}</span>
+                      <span>Peak in {(20 * log10(audioOutput.peakIn + 1e-12)).toFixed(1)} dBFS · out {(20 * log10(audioOutput.peakOut + 1e-12)).toFixed(1)} dBFS</span>
+                      {audioOutput.clipped > 0 && <span className="text-rose-400">{audioOutput.clipped} samples clip in the WAV export</span>}
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      {[
+                        ['Waveform (peak envelope)', audioOutput.waveData, 't', [-1, 1], (v) => `${v}s`],
+                        ['Spectrum (dB)', audioOutput.spectrumData, 'f', ['auto', 'auto'], (v) => (v >= 1000 ? `${(v / 1000).toFixed(1)}k` : v)],
+                      ].map(([title, data, xKey, yDomain, tickFmt]) => (
+                        <div key={title}>
+                          <span className="block uppercase font-bold text-[10px] text-slate-500 mb-1">{title}</span>
+                          <div className="h-[180px]">
+                            <ResponsiveContainer>
+                              <LineChart data={data} margin={{top: 5, right: 10, left: -20, bottom: 0}}>
+                                <CartesianGrid stroke="#1e293b" strokeDasharray="3 3" />
+                                <XAxis dataKey={xKey} stroke="#64748b" fontSize={10} tickFormatter={tickFmt} minTickGap={30} />
+                                <YAxis stroke="#64748b" fontSize={10} domain={yDomain} allowDataOverflow />
+                                <Tooltip contentStyle={{backgroundColor: '#0f172a', borderColor: '#334155'}} />
+                                <Line type="monotone" dataKey="input" stroke="#64748b" dot={false} strokeWidth={1} name="A · Original" isAnimationActive={false} />
+                                <Line type="monotone" dataKey="output" stroke="#10b981" dot={false} strokeWidth={1.5} name="B · Filtered" isAnimationActive={false} />
+                              </LineChart>
+                            </ResponsiveContainer>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {/* SPECIFICATION MARGINS */}
+                {isIirSpec && analysisData.iirSpec && !analysisData.iirSpec.error && (
+                  <div className="bg-slate-900 rounded-lg border border-slate-800 p-4">
+                    <div className="flex items-center justify-between mb-4">
+                      <h3 className="text-xs font-bold uppercase text-slate-300 flex items-center gap-2">
+                         <CheckCircle size={14} /> Specification Margins
+                      </h3>
+                      <span className="text-[10px] text-slate-500">
+                        Min order {analysisData.iirSpec.order} · natural freq {analysisData.iirSpec.wn.map(f => `${f.toFixed(1)} Hz`).join(' / ')}
+                      </span>
+                    </div>
+                    <table className="w-full text-[10px] text-right text-slate-300">
+                      <thead>
+                        <tr className="text-slate-500 uppercase">
+                          <th className="text-left font-normal">Region</th>
+                          <th className="font-normal">Range (Hz)</th>
+                          <th className="font-normal">Spec (dB)</th>
+                          <th className="font-normal">Achieved (dB)</th>
+                          <th className="font-normal">Margin (dB)</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {analysisData.iirSpec.margins.map((m, i) => (
+                          <tr key={i}>
+                            <td className="text-left">{m.kind === 'pass' ? 'Passband loss ≤' : 'Stopband atten ≥'}</td>
+                            <td>{Math.round(m.lo)} – {Math.round(m.hi)}</td>
+                            <td>{m.required.toFixed(2)}</td>
+                            <td>{m.achieved.toFixed(2)}</td>
+                            <td className={m.margin >= -0.005 ? 'text-green-400' : 'text-rose-400'}>
+                              {m.margin >= -0.005 ? `+${Math.abs(m.margin).toFixed(2)}` : m.margin.toFixed(2)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
+                {/* WINDOW SPECTRUM & SIDELOBE METRICS */}
+                {windowAnalysis && (
+                  <div className="bg-slate-900 rounded-lg border border-slate-800 p-4">
+                    <div className="flex items-center justify-between mb-4">
+                      <h3 className="text-xs font-bold uppercase text-slate-300 flex items-center gap-2">
+                         <Activity size={14} /> Window Spectrum · {WINDOW_LABELS[windowAnalysis.active]}
+                      </h3>
+                      <span className="text-[10px] text-slate-500">
+                        N = {windowAnalysis.N}{windowAnalysis.N < analysisData.coeffs.length ? ` (of ${analysisData.coeffs.length})` : ''}, frequency in DFT bins
+                      </span>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                      <div className="h-[200px]">
+                        <ResponsiveContainer>
+                          <LineChart data={windowAnalysis.spectrum} margin={{top: 5, right: 10, left: -20, bottom: 0}}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" />
+                            <XAxis dataKey="bin" stroke="#64748b" fontSize={10} />
+                            <YAxis stroke="#64748b" fontSize={10} domain={[-150, 0]} allowDataOverflow />
+                            <Tooltip contentStyle={{backgroundColor: '#0f172a', borderColor: '#334155'}} />
+                            <Line type="monotone" dataKey="db" stroke="#818cf8" strokeWidth={1.5} dot={false} isAnimationActive={false} />
+                          </LineChart>
+                        </ResponsiveContainer>
+                      </div>
+                      <table className="w-full text-[10px] text-right text-slate-300 self-start">
+                        <thead>
+                          <tr className="text-slate-500 uppercase">
+                            <th className="text-left font-normal">Window</th>
+                            <th className="font-normal">PSL (dB)</th>
+                            <th className="font-normal">-3 dB BW</th>
+                            <th className="font-normal">Null BW</th>
+                            <th className="font-normal">ENBW</th>
+                            <th className="font-normal">Scallop (dB)</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {windowAnalysis.metrics.map(m => (
+                            <tr
+                              key={m.type}
+                              onClick={() => !isFirSpec && setWindowType(m.type)}
+                              className={`${m.type === windowAnalysis.active ? 'text-indigo-300 bg-indigo-900/30' : ''} ${isFirSpec ? '' : 'cursor-pointer hover:bg-slate-800'}`}
+                            >
+                              <td className="text-left">{WINDOW_LABELS[m.type]}</td>
+                              <td>{m.peakSidelobe.toFixed(1)}</td>
+                              <td>{m.mainlobe3dB.toFixed(2)}</td>
+                              <td>{m.mainlobeNull.toFixed(2)}</td>
+                              <td>{m.enbw.toFixed(3)}</td>
+                              <td>{m.scallopLoss.toFixed(2)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                )}
+
+                {/* EQUIRIPPLE REPORT */}
+                {isRemez && (
+                  <div className="bg-slate-900 rounded-lg border border-slate-800 p-4">
+                    <div className="flex items-center justify-between mb-4">
+                      <h3 className="text-xs font-bold uppercase text-slate-300 flex items-center gap-2">
+                         <TrendingDown size={14} /> Equiripple Report
+                      </h3>
+                      {analysisData.remez && (
+                        <span className={`text-[10px] ${analysisData.remez.converged ? 'text-slate-500' : 'text-amber-400'}`}>
+                          Type {['I', 'II', 'III', 'IV'][analysisData.remez.type - 1]} · {analysisData.remez.iterations} iterations
+                          {analysisData.remez.converged ? '' : ' (not converged)'}
+                        </span>
+                      )}
+                    </div>
+                    {analysisData.remez ? (
+                      <table className="w-full text-[10px] text-right text-slate-300">
+                        <thead>
+                          <tr className="text-slate-500 uppercase">
+                            <th className="text-left font-normal">Band (Hz)</th>
+                            <th className="font-normal">Gain</th>
+                            <th className="font-normal">Weight</th>
+                            <th className="font-normal">Max Deviation</th>
+                            <th className="font-normal">Ripple / Atten.</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {analysisData.remez.report.map((b, i) => (
+                            <tr key={i}>
+                              <td className="text-left">{Math.round(b.start)} – {Math.round(b.end)}</td>
+                              <td>{b.gain}</td>
+                              <td>{b.weight}</td>
+                              <td>{b.deviation.toExponential(3)}</td>
+                              <td className={b.gain > 0 ? 'text-amber-400' : 'text-sky-400'}>
+                                {b.gain > 0 ? `${b.rippleDB.toFixed(3)} dB ripple` : `${b.attenDB.toFixed(1)} dB atten.`}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    ) : (
+                      <p className="text-[10px] text-amber-400">Band specification too narrow for {taps} taps.</p>
+                    )}
+                  </div>
+                )}
+
+                {/* DIGITAL IIR COEFFICIENTS */}
+                {domain === 'digital_iir' && analysisData.iir && (
+                  <div className="bg-slate-900 rounded-lg border border-slate-800 p-4">
+                    <div className="flex items-center justify-between mb-4">
+                      <h3 className="text-xs font-bold uppercase text-slate-300 flex items-center gap-2">
+                         <Grid size={14} /> Coefficients
+                      </h3>
+                      <span className="text-[10px] text-slate-500">
+                        Bilinear transform, prewarped at {analysisData.edges.map(f => `${Math.round(f)} Hz`).join(' / ')}
+                      </span>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6 text-[10px]">
+                      <div className="space-y-3">
+                        {[['b', 'Numerator', analysisData.iir.b], ['a', 'Denominator', analysisData.iir.a]].map(([key, label, coeffs]) => (
+                          <div key={key}>
+                            <span className="block uppercase font-bold text-slate-500 mb-1">{label} ({key})</span>
+                            <div className="bg-slate-800/50 rounded p-2 max-h-[120px] overflow-y-auto text-slate-300 break-all">
+                              {coeffs.map(c => c.toPrecision(8)).join(', ')}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                      <div>
+                        <span className="block uppercase font-bold text-slate-500 mb-1">Second-Order Sections</span>
+                        <div className="bg-slate-800/50 rounded p-2 max-h-[260px] overflow-auto">
+                          <table className="w-full text-right text-slate-300">
+                            <thead>
+                              <tr className="text-slate-500">
+                                <th className="text-left font-normal">#</th>
+                                {['b0', 'b1', 'b2', 'a1', 'a2'].map(c => <th key={c} className="font-normal">{c}</th>)}
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {analysisData.iir.sos.map((sec, i) => (
+                                <tr key={i}>
+                                  <td className="text-left text-slate-500">{i + 1}</td>
+                                  {[sec[0], sec[1], sec[2], sec[4], sec[5]].map((c, j) => <td key={j} className="pl-2">{c.toPrecision(6)}</td>)}
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      </div>
+                    </div>
+                  </div>
+                )}
                 
+                {/* ANALOG CIRCUIT SYNTHESIS */}
+                {circuitAnalysis && (
+                  <div className="bg-slate-900 rounded-lg border border-slate-800 p-4">
+                    <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                      <h3 className="text-xs font-bold uppercase text-slate-300 flex items-center gap-2">
+                         <Zap size={14} /> Circuit Synthesis
+                      </h3>
+                      <div className="flex gap-1">
+                        {Object.entries(CIRCUIT_TOPOLOGIES).map(([key, label]) => (
+                          <button key={key} onClick={() => setCircuitTopology(key)}
+                            className={`text-[10px] uppercase font-bold px-3 py-1 rounded border ${circuitTopology === key ? 'bg-indigo-600 border-indigo-500 text-white' : 'border-slate-700 text-slate-500'}`}>
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                    <div className="flex flex-wrap gap-4 mb-4 text-[10px]">
+                      {[
+                        ...(circuitTopology === 'ladder'
+                          ? [['Terminations', ladderR0, setLadderR0, [50, 75, 600, 1000].map(r => [r, formatEng(r, 'Ω')])]]
+                          : [
+                            ['Resistors', resistorSeries, setResistorSeries, [['E12', 'E12'], ['E24', 'E24'], ['E96', 'E96'], ['exact', 'Exact']]],
+                            ['Base C', baseCap, setBaseCap, [1e-9, 4.7e-9, 10e-9, 47e-9, 100e-9].map(c => [c, formatEng(c, 'F')])],
+                          ]),
+                        [circuitTopology === 'ladder' ? 'L / C' : 'Capacitors', capacitorSeries, setCapacitorSeries, [['E12', 'E12'], ['E24', 'E24'], ['exact', 'Exact']]],
+                      ].map(([label, value, set, options]) => (
+                        <div key={label} className="flex items-center gap-2">
+                          <span className="uppercase text-slate-500">{label}</span>
+                          {options.map(([key, text]) => (
+                            <button key={key} onClick={() => set(key)}
+                              className={`font-bold px-2 py-0.5 rounded border ${value === key ? 'bg-indigo-600 border-indigo-500 text-white' : 'border-slate-700 text-slate-500'}`}>
+                              {text}
+                            </button>
+                          ))}
+                        </div>
+                      ))}
+                    </div>
+                    {circuitAnalysis.error ? (
+                      <p className="text-[10px] text-amber-400">{circuitAnalysis.error}</p>
+                    ) : (
+                      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 text-[10px]">
+                        <div className="lg:col-span-2 overflow-x-auto">
+                          {circuitAnalysis.active ? (
+                            <table className="w-full text-right text-slate-300">
+                              <thead>
+                                <tr className="text-slate-500 uppercase">
+                                  <th className="text-left font-normal py-1">#</th>
+                                  <th className="text-left font-normal">Section</th>
+                                  <th className="font-normal">f0</th>
+                                  <th className="font-normal">Q</th>
+                                  <th className="text-left font-normal pl-3">Stage / Components (ideal → snapped)</th>
+                                  <th className="font-normal">Δf0</th>
+                                  <th className="font-normal">ΔQ</th>
+                                  <th className="font-normal">Max |S|</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {circuitAnalysis.active.stages.map((st, i) => {
+                                  const { kind, order: secOrder, w0, Q } = st.section;
+                                  const sens = st.circuit ? Math.max(...Object.values(st.sensitivity).flatMap(sv => [Math.abs(sv.w0), Math.abs(sv.Q)])) : null;
+                                  return (
+                                    <tr key={i} className="border-t border-slate-800 align-top">
+                                      <td className="text-left py-1 text-slate-500">{i + 1}</td>
+                                      <td className="text-left capitalize">{kind} ({secOrder})</td>
+                                      <td>{formatEng(w0 / (2 * PI), 'Hz')}</td>
+                                      <td>{secOrder === 2 ? Q.toFixed(3) : '—'}</td>
+                                      <td className="text-left pl-3">
+                                        {st.circuit ? (
+                                          <>
+                                            <span className="text-indigo-300">{CIRCUITS[st.circuit].label}</span>
+                                            <div className="flex flex-wrap gap-x-3">
+                                              {Object.keys(st.values).map(name => (
+                                                <span key={name}>
+                                                  {name} <span className="text-slate-500">{formatEng(st.values[name], name[0] === 'R' ? 'Ω' : 'F', 4)} →</span> {formatEng(st.snapped[name], name[0] === 'R' ? 'Ω' : 'F')}
+                                                </span>
+                                              ))}
+                                            </div>
+                                          </>
+                                        ) : (
+                                          <span className="text-amber-400">Ideal: {st.reason}</span>
+                                        )}
+                                      </td>
+                                      {st.circuit ? (
+                                        <>
+                                          <td>{(100 * (st.snappedParams.w0 / w0 - 1)).toFixed(2)}%</td>
+                                          <td>{secOrder === 2 ? `${(100 * (st.snappedParams.Q / Q - 1)).toFixed(2)}%` : '—'}</td>
+                                          <td className={sens > 5 ? 'text-rose-400' : 'text-amber-400'}>{sens.toFixed(2)}</td>
+                                        </>
+                                      ) : (
+                                        <td colSpan={3} className="text-slate-600">—</td>
+                                      )}
+                                    </tr>
+                                  );
+                                })}
+                              </tbody>
+                            </table>
+                          ) : (
+                            <table className="w-full text-right text-slate-300">
+                              <thead>
+                                <tr className="text-slate-500 uppercase">
+                                  <th className="text-left font-normal py-1">#</th>
+                                  <th className="text-left font-normal">Arm</th>
+                                  <th className="font-normal">g</th>
+                                  <th className="text-left font-normal pl-3">Components (ideal → snapped)</th>
+                                  <th className="font-normal">dB / +1%</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {circuitAnalysis.ladder.elements.map((el, i) => (
+                                  <tr key={i} className="border-t border-slate-800">
+                                    <td className="text-left py-1 text-slate-500">{i + 1}</td>
+                                    <td className="text-left capitalize">{el.arm}{el.connection === 'single' ? '' : ` (${el.connection} LC)`}</td>
+                                    <td>{circuitAnalysis.ladder.g[i].toFixed(4)}</td>
+                                    <td className="text-left pl-3">
+                                      {el.parts.map((pt, j) => (
+                                        <span key={j} className="mr-3">
+                                          {pt.kind} <span className="text-slate-500">{formatEng(pt.value, pt.kind === 'L' ? 'H' : 'F', 4)} →</span> {formatEng(pt.snapped, pt.kind === 'L' ? 'H' : 'F')}
+                                        </span>
+                                      ))}
+                                    </td>
+                                    <td className="text-amber-400">{Math.max(...circuitAnalysis.sensitivity[i]).toFixed(3)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          )}
+                          <p className="mt-2 text-slate-500">
+                            {circuitAnalysis.active
+                              ? <>Ideal op-amps; remaining gain ×{circuitAnalysis.active.gain.toPrecision(4)} goes to a final amplifier. |S| is the largest relative sensitivity of f0 or Q to one component.</>
+                              : <>Source {formatEng(circuitAnalysis.ladder.source, 'Ω')} · load {formatEng(circuitAnalysis.ladder.load, 'Ω')}, shunt arm first. The last column is the largest passband change for a +1% part.</>}
+                          </p>
+                        </div>
+                        <div>
+                          <div className="flex justify-between text-slate-500 mb-1">
+                            <span className="uppercase font-bold">Snapped Response</span>
+                            <span className={circuitAnalysis.maxError > 1 ? 'text-rose-400' : 'text-emerald-400'}>max error {circuitAnalysis.maxError.toFixed(2)} dB</span>
+                          </div>
+                          <div className="h-[200px]">
+                            <ResponsiveContainer>
+                              <LineChart data={circuitAnalysis.data} margin={{top: 5, right: 10, left: -20, bottom: 0}}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" />
+                                <XAxis dataKey="f" type="number" scale="log" domain={['dataMin', 'dataMax']}
+                                  stroke="#64748b" fontSize={10} tickFormatter={(v) => v >= 1000 ? `${+(v / 1000).toFixed(1)}k` : Math.round(v)} />
+                                <YAxis stroke="#64748b" fontSize={10} domain={[-60, 10]} allowDataOverflow />
+                                <Tooltip contentStyle={{backgroundColor: '#0f172a', borderColor: '#334155'}} itemStyle={{ fontSize: '11px' }}
+                                  labelFormatter={(v) => `${Math.round(v)} Hz`} formatter={(v) => v.toFixed(2)} />
+                                <Line type="monotone" dataKey="target" name="target" stroke="#0ea5e9" strokeWidth={2} dot={false} isAnimationActive={false} />
+                                <Line type="monotone" dataKey="real" name="snapped" stroke="#f59e0b" strokeWidth={1.5} strokeDasharray="6 3" dot={false} isAnimationActive={false} />
+                              </LineChart>
+                            </ResponsiveContainer>
+                          </div>
+                          <p className="mt-1 text-slate-500">Error measured where the target is within 20 dB of its peak, after removing the flat gain.</p>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {/* FIXED-POINT QUANTIZATION */}
+                {domain !== 'analog' && (
+                  <div className="bg-slate-900 rounded-lg border border-slate-800 p-4">
+                    <div className="flex items-center justify-between mb-4">
+                      <h3 className="text-xs font-bold uppercase text-slate-300 flex items-center gap-2">
+                         <Cpu size={14} /> Fixed-Point Quantization
+                      </h3>
+                      <button onClick={() => setQuantMode(!quantMode)}
+                        className={`text-[10px] uppercase font-bold px-3 py-1 rounded border ${quantMode ? 'bg-amber-600 border-amber-500 text-white' : 'border-slate-700 text-slate-500'}`}>
+                        {quantMode ? 'On' : 'Off'}
+                      </button>
+                    </div>
+                    {quantMode && quantAnalysis && (
+                      <div className="space-y-4 text-[10px]">
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                          <div className="space-y-3">
+                            {[
+                              { label: 'WORD LENGTH (W)', value: quantWord, set: setQuantWord, min: 4, max: 32 },
+                              { label: 'FRACTION BITS (F)', value: Math.min(quantFrac, quantWord - 1), set: setQuantFrac, min: 0, max: quantWord - 1 },
+                            ].map(sl => (
+                              <div key={sl.label}>
+                                <div className="flex justify-between text-slate-400 mb-1">
+                                  <span>{sl.label}</span>
+                                  <span className="text-amber-400">{sl.value}</span>
+                                </div>
+                                <input type="range" min={sl.min} max={sl.max} step={1} value={sl.value}
+                                  onChange={(e) => sl.set(Number(e.target.value))}
+                                  className="w-full h-1 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-amber-500" />
+                              </div>
+                            ))}
+                            <div className="flex items-center justify-between text-slate-500">
+                              <span>Coefficients Q{quantWord - 1 - Math.min(quantFrac, quantWord - 1)}.{Math.min(quantFrac, quantWord - 1)} · signals Q0.{quantWord - 1}</span>
+                              <button onClick={autoQuantFrac} className="uppercase font-bold px-2 py-0.5 rounded border border-slate-700 hover:text-white">Auto F</button>
+                            </div>
+                          </div>
+                          <div className="space-y-2">
+                            {[
+                              ['Rounding', quantRounding, setQuantRounding, [['round', 'Round'], ['truncate', 'Truncate']]],
+                              ...(domain === 'digital_iir' ? [['Structure', quantStructure, setQuantStructure, [['df', 'Direct Form I'], ['sos', 'SOS Cascade']]]] : []),
+                              ['Accumulator', quantWideAcc, setQuantWideAcc, [[true, 'Wide'], [false, 'Per Product']]],
+                            ].map(([label, value, set, options]) => (
+                              <div key={label} className="flex items-center justify-between">
+                                <span className="uppercase text-slate-500">{label}</span>
+                                <div className="flex gap-1">
+                                  {options.map(([key, text]) => (
+                                    <button key={text} onClick={() => set(key)}
+                                      className={`uppercase font-bold px-2 py-0.5 rounded border ${value === key ? 'bg-amber-600 border-amber-500 text-white' : 'border-slate-700 text-slate-500'}`}>
+                                      {text}
+                                    </button>
+                                  ))}
+                                </div>
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+
+                        <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                          {[
+                            ['Saturated Coeffs', quantAnalysis.saturated, quantAnalysis.saturated ? 'text-rose-400' : 'text-emerald-400'],
+                            ['Max Pole Shift', domain === 'digital_iir' ? quantAnalysis.maxShift.toExponential(2) : '— (FIR)', 'text-amber-400'],
+                            ['Max |p|', domain === 'digital_iir' ? `${quantAnalysis.maxRadius.toFixed(6)} ${quantAnalysis.stable ? '(stable)' : '(UNSTABLE)'}` : '0 (FIR)', quantAnalysis.stable ? 'text-emerald-400' : 'text-rose-400'],
+                            ['Output Noise', Number.isFinite(quantAnalysis.noise.db) ? `${quantAnalysis.noise.db.toFixed(1)} dBFS` : '∞', 'text-amber-400'],
+                            ['Noise Gain', Number.isFinite(quantAnalysis.noise.gainDb) ? `${quantAnalysis.noise.gainDb.toFixed(1)} dB` : '∞', 'text-amber-400'],
+                            ['SNR (FS sine)', Number.isFinite(quantAnalysis.noise.snr) ? `${quantAnalysis.noise.snr.toFixed(1)} dB` : '—', 'text-amber-400'],
+                          ].map(([label, value, color]) => (
+                            <div key={label} className="bg-slate-800/50 rounded p-2">
+                              <span className="block uppercase text-slate-500">{label}</span>
+                              <span className={`font-mono text-xs ${color}`}>{value}</span>
+                            </div>
+                          ))}
+                        </div>
+
+                        {!quantAnalysis.stable && (
+                          <div className="flex items-center gap-2 text-rose-400">
+                            <AlertTriangle size={12} /> Quantized poles leave the unit circle: the fixed-point filter is unstable.
+                          </div>
+                        )}
+
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                          <div>
+                            <span className="block uppercase font-bold text-slate-500 mb-1">Scaling Norms (|x| ≤ 1)</span>
+                            <table className="w-full text-right text-slate-300">
+                              <thead>
+                                <tr className="text-slate-500">
+                                  <th className="text-left font-normal">Node</th>
+                                  <th className="font-normal">L1</th>
+                                  <th className="font-normal">L2</th>
+                                  <th className="font-normal">L∞</th>
+                                  <th className="font-normal">Overflow</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {quantAnalysis.norms.map(nm => (
+                                  <tr key={nm.label}>
+                                    <td className="text-left text-slate-500">{nm.label}</td>
+                                    {[nm.l1, nm.l2, nm.linf].map((v, j) => <td key={j} className="pl-2">{Number.isFinite(v) ? v.toFixed(3) : '∞'}</td>)}
+                                    <td className={`pl-2 ${nm.linf > 1 ? 'text-rose-400' : nm.l1 > 1 ? 'text-amber-400' : 'text-emerald-400'}`}>
+                                      {nm.linf > 1 ? 'sine' : nm.l1 > 1 ? 'worst case' : 'none'}
+                                    </td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                          {domain === 'digital_iir' && (
+                            <div>
+                              <span className="block uppercase font-bold text-slate-500 mb-1">Pole Movement</span>
+                              <div className="max-h-[160px] overflow-y-auto">
+                                <table className="w-full text-right text-slate-300">
+                                  <thead>
+                                    <tr className="text-slate-500">
+                                      <th className="text-left font-normal">Ideal</th>
+                                      <th className="font-normal">Quantized</th>
+                                      <th className="font-normal">|Δp|</th>
+                                    </tr>
+                                  </thead>
+                                  <tbody>
+                                    {quantAnalysis.poles.map((pp, i) => (
+                                      <tr key={i}>
+                                        <td className="text-left">{cMag(pp.ideal).toFixed(5)}∠{toDeg(cArg(pp.ideal)).toFixed(2)}°</td>
+                                        <td className={`pl-2 ${cMag(pp.quant) >= 1 ? 'text-rose-400' : ''}`}>{cMag(pp.quant).toFixed(5)}∠{toDeg(cArg(pp.quant)).toFixed(2)}°</td>
+                                        <td className="pl-2">{pp.shift.toExponential(1)}</td>
+                                      </tr>
+                                    ))}
+                                  </tbody>
+                                </table>
+                              </div>
+                            </div>
+                          )}
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {/* EXPORT */}
+                <div className="bg-slate-900 rounded-lg border border-slate-800 p-4">
+                  <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+                    <h3 className="text-xs font-bold uppercase text-slate-300 flex items-center gap-2">
+                       <ArrowRight size={14} /> Export
+                    </h3>
+                    <div className="flex flex-wrap items-center gap-2">
+                      {Object.entries(EXPORT_FORMATS).map(([key, fmt]) => (
+                        <button key={key} onClick={() => setExportFormat(key)}
+                          className={`text-[10px] uppercase font-bold px-3 py-1 rounded border ${exportFormat === key ? 'bg-indigo-600 border-indigo-500 text-white' : 'border-slate-700 text-slate-500'}`}>
+                          {fmt.label}
+                        </button>
+                      ))}
+                      {exportFormat === 'csv' && (
+                        <select value={csvTable} onChange={(e) => setCsvTable(e.target.value)}
+                          className="bg-slate-800 border border-slate-700 rounded px-2 py-1 text-[10px] text-slate-300">
+                          {Object.entries(CSV_TABLES).map(([key, t]) => <option key={key} value={key}>{t.label}</option>)}
+                        </select>
+                      )}
+                      <button onClick={() => navigator.clipboard && navigator.clipboard.writeText(exportText)}
+                        className="text-[10px] uppercase font-bold px-3 py-1 rounded border border-slate-700 text-slate-400 hover:text-white">
+                        Copy
+                      </button>
+                      <button onClick={downloadExport}
+                        className="text-[10px] uppercase font-bold px-3 py-1 rounded bg-emerald-600 text-white hover:bg-emerald-500">
+                        Download
+                      </button>
+                    </div>
+                  </div>
+                  <pre className="bg-slate-800/50 rounded p-2 max-h-[240px] overflow-auto text-[10px] text-slate-300 whitespace-pre">
+                    {exportText}
+                  </pre>
+                </div>
+
+                {/* STABILITY ANALYSIS */}
+                {activeTab === 'analysis' && stability.test !== 'fir' && (
+                  <div className="bg-slate-900 rounded-lg border border-slate-800 p-4">
+                    <div className="flex items-center justify-between mb-4">
+                      <h3 className="text-xs font-bold uppercase text-slate-300 flex items-center gap-2">
+                         <CheckCircle size={14} /> Stability · {stability.test === 'routh' ? 'Routh-Hurwitz' : 'Jury'}
+                      </h3>
+                      <span className={`text-[10px] font-bold uppercase ${STABILITY_STYLES[stability.status].color}`}>
+                        {STABILITY_STYLES[stability.status].label}
+                      </span>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                      {stability.test === 'routh' ? (
+                        <div>
+                          <div className="max-h-[240px] overflow-auto">
+                            <table className="w-full text-[10px] text-right text-slate-300 font-mono">
+                              <tbody>
+                                {stability.routh.rows.map((row, r) => (
+                                  <tr key={r}>
+                                    <td className="text-left text-slate-500 pr-2">s^{stability.routh.rows.length - 1 - r}</td>
+                                    {row.map((c, i) => (
+                                      <td key={i} className={i === 0 ? (c > 0 ? 'text-green-400' : 'text-rose-400') : ''}>{c.toPrecision(4)}</td>
+                                    ))}
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                          <p className="mt-2 text-[10px] text-slate-500">
+                            Denominator in s / ωc. {stability.routh.signChanges} sign change{stability.routh.signChanges === 1 ? '' : 's'} in the first column
+                            {stability.routh.special === 'auxiliary' && ' · zero row replaced by the auxiliary polynomial derivative (jω-axis roots)'}
+                            {stability.routh.special === 'epsilon' && ' · zero pivot replaced by ε'}
+                          </p>
+                        </div>
+                      ) : (
+                        <div className="space-y-3">
+                          <table className="w-full text-[10px] text-right text-slate-300">
+                            <thead>
+                              <tr className="text-slate-500 uppercase">
+                                <th className="text-left font-normal">Biquad</th>
+                                {stability.sections[0].jury.conditions.map(c => <th key={c.label} className="font-normal">{c.label}</th>)}
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {stability.sections.map((sec, i) => (
+                                <tr key={i}>
+                                  <td className="text-left">{i + 1}</td>
+                                  {sec.jury.conditions.map(c => (
+                                    <td key={c.label} className={c.pass ? 'text-green-400' : 'text-rose-400'}>{c.value.toFixed(4)}</td>
+                                  ))}
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                          <div>
+                            <span className="block text-[10px] uppercase font-bold text-slate-500 mb-1">
+                              Expanded direct form · max |p| {stability.direct.margin.toFixed(6)}
+                            </span>
+                            <div className="max-h-[120px] overflow-auto">
+                              <table className="w-full text-[10px] text-right text-slate-300 font-mono">
+                                <tbody>
+                                  {stability.direct.jury.conditions.map(c => (
+                                    <tr key={c.label}>
+                                      <td className="text-left text-slate-500">{c.label}</td>
+                                      <td className={c.pass ? 'text-green-400' : 'text-rose-400'}>{c.value.toPrecision(4)}</td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            </div>
+                          </div>
+                        </div>
+                      )}
+                      <div className="max-h-[280px] overflow-auto">
+                        <table className="w-full text-[10px] text-right text-slate-300">
+                          <thead>
+                            <tr className="text-slate-500 uppercase">
+                              <th className="text-left font-normal">Pole</th>
+                              <th className="font-normal">f0 (Hz)</th>
+                              <th className="font-normal">ζ</th>
+                              <th className="font-normal">Q</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {stability.damping.map((d, i) => (
+                              <tr key={i}>
+                                <td className="text-left font-mono">
+                                  {d.pole.re.toPrecision(5)}{d.pair ? ` ± j${d.pole.im.toPrecision(5)}` : ''}
+                                </td>
+                                <td>{d.f0.toFixed(1)}</td>
+                                <td>{d.zeta.toFixed(4)}</td>
+                                <td>{d.Q === null ? '—' : d.Q.toFixed(3)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                        <p className="mt-2 text-[10px] text-slate-500">
+                          {domain === 'analog' ? 'ζ = -Re(p) / |p|, Q = 1 / 2ζ' : 'Digital poles mapped to s = fs ln z, then ζ = -Re(s) / |s|, Q = 1 / 2ζ'}
+                        </p>
+                      </div>
+                    </div>
+                  </div>
+                )}
+
                 {/* LOSS ANALYSIS PANEL */}
                 {activeTab === 'analysis' && (
                   <div className="grid grid-cols-3 gap-4 bg-slate-800/30 p-4 rounded-lg border border-slate-800">
                      <div className="space-y-1">
                         <h4 className="text-[10px] uppercase text-slate-500 font-bold">Group Delay Var.</h4>
                         <p className="text-xl font-mono text-indigo-400">
-                           {analysisData.freqData[analysisData.freqData.length-1].groupDelay.toFixed(2)} <span className="text-xs text-slate-600">samples</span>
+                           {designMetrics.delayVariation === null ? '—' : designMetrics.delayVariation.toFixed(2)} <span className="text-xs text-slate-600">samples</span>
+                        </p>
+                        <p className="text-[10px] font-mono text-slate-500">
+                           {designMetrics.delayVariation === null ? '' : `${formatSeconds(designMetrics.delayVariationSec)} max - min over the passband`}
                         </p>
                      </div>
                      <div className="space-y-1">
                         <h4 className="text-[10px] uppercase text-slate-500 font-bold">Est. Quantization Noise</h4>
                         <p className="text-xl font-mono text-emerald-400">
-                           -96.3 <span className="text-xs text-slate-600">dB (16-bit)</span>
+                           {quantAnalysis ? (Number.isFinite(quantAnalysis.noise.db) ? quantAnalysis.noise.db.toFixed(1) : '∞') : '—'} <span className="text-xs text-slate-600">{quantAnalysis ? `dBFS (${quantWord}-bit)` : domain === 'analog' ? 'analog' : 'quantization off'}</span>
                         </p>
                      </div>
                      <div className="space-y-1">
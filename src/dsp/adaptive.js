@@ -0,0 +1,334 @@
+// Adaptive filters and the system-identification / noise-cancellation simulations
+
+import { designFIR } from './fir.js';
+import { createLTI, designIIR } from './iir.js';
+import { PI, dot, gaussian, mulberry32, solveLinear } from './math.js';
+
+export const ADAPTIVE_ALGOS = {
+  lms: 'LMS',
+  nlms: 'NLMS',
+  sign_error: 'Sign-Error',
+  sign_data: 'Sign-Data',
+  sign_sign: 'Sign-Sign',
+  leaky: 'Leaky LMS',
+  rls: 'RLS',
+  apa: 'APA',
+  kalman: 'Kalman',
+};
+
+// Transversal adaptive filter of length L. step(x, d) takes the regressor
+// x = [x(n), x(n-1), ..., x(n-L+1)] and the desired sample d(n), returns the a priori
+// output and error { y, e } and adapts the weights w in place.
+// params: mu (step size), leakage (gamma), forgetting (lambda), rlsDelta (P(0) = I / delta),
+// apaOrder (projection order K), epsilon (NLMS/APA regularization). params is read on every
+// step, so changing it steers a running filter (rlsDelta only applies at creation).
+export const createAdaptiveFilter = (algo, L, params) => {
+  const w = new Array(L).fill(0);
+  const P = algo === 'rls'
+    ? Array.from({ length: L }, (_, i) => Array.from({ length: L }, (_, j) => (i === j ? 1 / params.rlsDelta : 0)))
+    : null;
+  const history = []; // APA: the K most recent { x, d }
+
+  const step = (x, d) => {
+    const { mu, leakage, forgetting, apaOrder, epsilon } = params;
+    const y = dot(w, x);
+    const e = d - y;
+    switch (algo) {
+      case 'nlms': {
+        const g = mu / (epsilon + dot(x, x));
+        for (let i = 0; i < L; i++) w[i] += g * e * x[i];
+        break;
+      }
+      case 'sign_error':
+        for (let i = 0; i < L; i++) w[i] += 2 * mu * Math.sign(e) * x[i];
+        break;
+      case 'sign_data':
+        for (let i = 0; i < L; i++) w[i] += 2 * mu * e * Math.sign(x[i]);
+        break;
+      case 'sign_sign':
+        for (let i = 0; i < L; i++) w[i] += 2 * mu * Math.sign(e) * Math.sign(x[i]);
+        break;
+      case 'leaky':
+        for (let i = 0; i < L; i++) w[i] = (1 - 2 * mu * leakage) * w[i] + 2 * mu * e * x[i];
+        break;
+      case 'rls': {
+        // Exponentially weighted RLS: k = P x / (lambda + x'P x), P = (P - k x'P) / lambda
+        const Px = P.map(row => dot(row, x));
+        const k = Px.map(v => v / (forgetting + dot(x, Px)));
+        for (let i = 0; i < L; i++) {
+          w[i] += k[i] * e;
+          for (let j = 0; j < L; j++) P[i][j] = (P[i][j] - k[i] * Px[j]) / forgetting;
+        }
+        break;
+      }
+      case 'apa': {
+        // w += mu X (X'X + eps I)^-1 e over the last K regressors
+        history.unshift({ x: x.slice(), d });
+        history.length = Math.min(history.length, apaOrder);
+        const errs = history.map(hk => hk.d - dot(w, hk.x));
+        const G = history.map((a, i) => history.map((b, j) => dot(a.x, b.x) + (i === j ? epsilon : 0)));
+        const g = solveLinear(G, errs);
+        for (let i = 0; i < L; i++) w[i] += mu * history.reduce((acc, hk, k) => acc + g[k] * hk.x[i], 0);
+        break;
+      }
+      default: // lms
+        for (let i = 0; i < L; i++) w[i] += 2 * mu * e * x[i];
+    }
+    return { y, e };
+  };
+
+  return { w, step };
+};
+
+// Multiplications per sample for a length-L filter (K = APA projection order)
+export const adaptiveComplexity = (algo, L, K) => {
+  switch (algo) {
+    case 'nlms': return { big: 'O(N)', mults: 3 * L + 1 };
+    case 'sign_error': return { big: 'O(N)', mults: 2 * L };
+    case 'sign_data': return { big: 'O(N)', mults: L + 1 };
+    case 'sign_sign': return { big: 'O(N)', mults: L };
+    case 'leaky': return { big: 'O(N)', mults: 3 * L + 1 };
+    case 'rls': return { big: 'O(N²)', mults: 3 * L * L + 4 * L };
+    case 'apa': return { big: 'O(K²N)', mults: K * K * L + 2 * K * L + Math.ceil((K * K * K) / 3) };
+    case 'kalman': return { big: 'O(1)', mults: 6 };
+    default: return { big: 'O(N)', mults: 2 * L + 1 };
+  }
+};
+
+// Scalar random-walk Kalman filter that tracks d(n) directly (the regressor is unused).
+// Q and R are read from params.kalmanQ / kalmanR on every step.
+export const createScalarKalman = (params) => {
+  let xHat = 0, P = 1;
+  const step = (x, d) => {
+    const Ppred = P + params.kalmanQ;
+    const K = Ppred / (Ppred + params.kalmanR);
+    const y = xHat;
+    const e = d - y;
+    xHat = y + K * e;
+    P = (1 - K) * Ppred;
+    return { y, e };
+  };
+  return { w: [], step };
+};
+
+// Filter for any ADAPTIVE_ALGOS key (Kalman reads params.kalmanQ / kalmanR)
+export const createAdaptive = (algo, L, params) => (algo === 'kalman'
+  ? createScalarKalman(params)
+  : createAdaptiveFilter(algo, L, params));
+
+// Run input x and desired d through a fresh filter (regressor starts at zero).
+// Returns the a priori outputs and errors and the final weights.
+export const adaptFilter = (algo, L, params, x, d) => {
+  const filter = createAdaptive(algo, L, params);
+  const buffer = new Array(L).fill(0);
+  const y = [], e = [];
+  x.forEach((xn, n) => {
+    buffer.pop(); buffer.unshift(xn);
+    const out = filter.step(buffer, d[n]);
+    y.push(out.y);
+    e.push(out.e);
+  });
+  return { y, e, w: filter.w.slice() };
+};
+
+// Unknown plants for system identification
+export const PLANTS = {
+  fir_lp: { label: 'FIR Lowpass (9 taps)', make: () => ({ b: designFIR(9, [0.15], 1, 'hamming', 'lowpass'), a: [1] }) },
+  fir_bp: { label: 'FIR Bandpass (15 taps)', make: () => ({ b: designFIR(15, [0.1, 0.3], 1, 'hamming', 'bandpass'), a: [1] }) },
+  iir_lp: { label: 'IIR Butterworth LP (2nd)', make: () => designIIR('butterworth', 2, 'lowpass', [0.1], 1) },
+  iir_res: { label: 'IIR Resonator (r = 0.9)', make: () => ({ b: [0.19], a: [1, -2 * 0.9 * Math.cos(0.2 * PI), 0.81] }) },
+};
+
+// Synthetic room echo path: exponentially decaying taps drawn from a seed
+const echoPath = (seed) => {
+  const rng = mulberry32(seed);
+  const h = Array.from({ length: 16 }, (_, k) => Math.exp(-k / 4) * gaussian(rng));
+  const norm = Math.sqrt(dot(h, h));
+  return h.map(v => v / norm);
+};
+
+// recovered: which filter signal carries the signal of interest (error e or output y);
+// change: what an injected change does to the scenario (see createScenario)
+export const ADAPTIVE_SCENARIOS = {
+  noise_cancel: { label: 'Noise Cancellation', recovered: 'e', change: 'Interference jump' },
+  system_id: { label: 'System Identification', recovered: 'y', change: 'Plant swap' },
+  echo: { label: 'Echo Cancellation', recovered: 'e', change: 'Echo path change' },
+  equalizer: { label: 'Channel Equalization', recovered: 'y', change: 'Channel change' },
+  line_enhancer: { label: 'Line Enhancement', recovered: 'y', change: 'Tone frequency jump' },
+};
+
+// Signal source for a scenario. next() returns the filter input x(n), desired d(n)
+// and the ideal recovered signal target(n). opts: { plant, L, noise (additive noise std),
+// changes (number of injected changes, default 0) }. noise and changes are read on every
+// sample, so a running source follows them: each change moves the interference frequency and
+// phase, steps to the next plant, draws a new echo path, toggles the channel spread (W = 3.1 /
+// 3.5) or moves the enhanced tone (0.05 / 0.08 cycles per sample).
+export const createScenario = (kind, rng, opts) => {
+  const { plant, L } = opts;
+  // Rebuild part of the source whenever the change count moves
+  const onChange = (rebuild) => {
+    let seen = null, current;
+    return () => {
+      const changes = opts.changes || 0;
+      if (changes !== seen) { seen = changes; current = rebuild(changes); }
+      return current;
+    };
+  };
+  switch (kind) {
+    case 'system_id': {
+      // White input through the unknown plant, measurement noise on d(n)
+      const keys = Object.keys(PLANTS);
+      const system = onChange(c => {
+        const { b, a } = PLANTS[keys[(keys.indexOf(plant) + c) % keys.length]].make();
+        return createLTI(b, a);
+      });
+      return () => {
+        const H = system();
+        const x = gaussian(rng);
+        const target = H(x);
+        return { x, d: target + opts.noise * gaussian(rng), target };
+      };
+    }
+    case 'echo': {
+      // Coloured (AR(1)) far-end signal through the room; near-end noise only
+      const room = onChange(c => createLTI(echoPath(2024 + c), [1]));
+      let far = 0;
+      return () => {
+        const H = room();
+        far = 0.8 * far + 0.6 * gaussian(rng);
+        const nearEnd = opts.noise * gaussian(rng);
+        return { x: far, d: H(far) + nearEnd, target: nearEnd };
+      };
+    }
+    case 'equalizer': {
+      // Binary symbols through a raised-cosine channel (spread W), decision delay D
+      const link = onChange(c => {
+        const W = c % 2 ? 3.5 : 3.1;
+        return createLTI([0, ...[1, 2, 3].map(k => 0.5 * (1 + Math.cos((2 * PI / W) * (k - 2))))], [1]);
+      });
+      const D = Math.round((L - 1) / 2) + 2;
+      const symbols = new Array(D + 1).fill(0);
+      return () => {
+        const H = link();
+        const s = rng() < 0.5 ? -1 : 1;
+        symbols.pop(); symbols.unshift(s);
+        return { x: H(s) + opts.noise * gaussian(rng), d: symbols[D], target: symbols[D] };
+      };
+    }
+    case 'line_enhancer': {
+      // Sinusoid in white noise; the reference is the same signal delayed by one sample
+      let phase = 2 * PI * rng(), prev = 0;
+      return () => {
+        const target = Math.sin(phase);
+        phase += 2 * PI * ((opts.changes || 0) % 2 ? 0.08 : 0.05);
+        const d = target + opts.noise * gaussian(rng);
+        const x = prev;
+        prev = d;
+        return { x, d, target };
+      };
+    }
+    default: {
+      // Noise cancellation: tone + interference on d(n), correlated interference reference
+      const phase = 2 * PI * rng();
+      let n = 0;
+      return () => {
+        const changes = opts.changes || 0;
+        const clean = Math.sin(2 * PI * n / 20);
+        const interference = 0.5 * Math.cos(2 * PI * n++ / (changes % 2 ? 7 : 5) + phase + changes);
+        return {
+          x: interference * 0.9 + 0.5 * opts.noise * gaussian(rng),
+          d: clean + interference + opts.noise * gaussian(rng),
+          target: clean,
+        };
+      };
+    }
+  }
+};
+
+// Sample-by-sample run of one scenario for live display. The returned params and opts are
+// the objects the filter and source read on every sample: assigning mu, noise, ... steers the
+// run without restarting it. step() returns { n, x, d, y, e, target, w }; inject() applies
+// the scenario's change (ADAPTIVE_SCENARIOS[kind].change).
+export const createAdaptiveStream = (kind, algo, L, params, opts, seed) => {
+  const live = { ...params }, source = { ...opts, changes: 0 };
+  const next = createScenario(kind, mulberry32(seed), source);
+  const filter = createAdaptive(algo, L, live);
+  const buffer = new Array(L).fill(0);
+  let n = 0;
+  return {
+    params: live,
+    opts: source,
+    step: () => {
+      const { x, d, target } = next();
+      buffer.pop(); buffer.unshift(x);
+      const { y, e } = filter.step(buffer, d);
+      return { n: n++, x, d, y, e, target, w: filter.w.slice() };
+    },
+    inject: () => { source.changes += 1; },
+  };
+};
+
+// Wiener reference for a scenario from one long realization: minimum MSE Jmin = sd^2 - p'w_o
+// and tr(R) for a length-L regressor
+const wienerReference = (kind, L, opts, seed, samples = 4000) => {
+  const next = createScenario(kind, mulberry32(seed), opts);
+  const R = Array.from({ length: L }, () => new Array(L).fill(0));
+  const p = new Array(L).fill(0);
+  const buffer = new Array(L).fill(0);
+  let sd2 = 0;
+  for (let n = 0; n < samples; n++) {
+    const { x, d } = next();
+    buffer.pop(); buffer.unshift(x);
+    for (let i = 0; i < L; i++) {
+      p[i] += buffer[i] * d / samples;
+      for (let j = 0; j < L; j++) R[i][j] += buffer[i] * buffer[j] / samples;
+    }
+    sd2 += d * d / samples;
+  }
+  const trR = R.reduce((acc, row, i) => acc + row[i], 0);
+  const loaded = R.map((row, i) => row.map((v, j) => v + (i === j ? 1e-9 * trR : 0)));
+  const wo = solveLinear(loaded, p);
+  return { Jmin: Math.max(sd2 - dot(p, wo), 1e-12), trR };
+};
+
+// Theoretical misadjustment M = J_excess / Jmin (small step-size approximations); null if none
+const theoreticalMisadjustment = (algo, L, params, trR) => {
+  const { mu, forgetting } = params;
+  switch (algo) {
+    case 'lms': return mu * trR < 1 ? (mu * trR) / (1 - mu * trR) : Infinity;
+    case 'nlms': return mu / (2 - mu);
+    case 'apa': return (mu * params.apaOrder) / (2 - mu);
+    case 'rls': return (L * (1 - forgetting)) / (1 + forgetting);
+    default: return null;
+  }
+};
+
+// Ensemble-averaged learning curve over `trials` independent realizations.
+// Returns mse[n] (linear), the first trial's trace and the Wiener/theory comparison.
+export const runLearningCurve = (kind, algo, L, params, opts, { trials, samples, seed }) => {
+  const mse = new Array(samples).fill(0);
+  const trace = [];
+  for (let t = 0; t < trials; t++) {
+    const rng = mulberry32(seed + 7919 * t);
+    const next = createScenario(kind, rng, opts);
+    const filter = createAdaptive(algo, L, params);
+    const buffer = new Array(L).fill(0);
+    for (let n = 0; n < samples; n++) {
+      const { x, d, target } = next();
+      buffer.pop(); buffer.unshift(x);
+      const { y, e } = filter.step(buffer, d);
+      mse[n] += (Number.isFinite(e) ? e * e : Infinity) / trials;
+      if (t === 0) trace.push({ n, x, d, y, e, target, weights: Math.sqrt(dot(filter.w, filter.w)) });
+    }
+  }
+  const { Jmin, trR } = wienerReference(kind, L, opts, seed + 104729);
+  const tail = mse.slice(Math.floor(samples * 0.8));
+  const Jss = tail.reduce((acc, v) => acc + v, 0) / tail.length;
+  const Mtheory = theoreticalMisadjustment(algo, L, params, trR);
+  return {
+    mse, trace, Jmin, Jss,
+    misadjustment: (Jss - Jmin) / Jmin,
+    Mtheory,
+    JssTheory: Mtheory === null ? null : Jmin * (1 + Mtheory),
+  };
+};
@@ -0,0 +1,238 @@
+// Analog filter synthesis in zero-pole-gain form
+
+import { PI, cAdd, cConj, cDiv, cExpj, cMag, cMul, cScale, cSqrt, cSub, complex, polyRoots } from './math.js';
+
+// Analog Prototype Synthesis (zeros, poles & gain of H(s))
+// Prototypes are normalized to a 1 rad/s lowpass edge and follow the SciPy
+// conventions (buttap, cheb1ap, cheb2ap, ellipap, besselap with norm='phase').
+
+// Complete elliptic integral of the first kind, K(m), via the AGM.
+// ellipKc takes the complementary parameter (1 - m) to keep precision near m = 1.
+const agm = (a, b) => {
+  for (let i = 0; i < 64 && Math.abs(a - b) > 1e-15 * a; i++) {
+    const t = (a + b) / 2;
+    b = Math.sqrt(a * b);
+    a = t;
+  }
+  return a;
+};
+export const ellipKc = (mc) => (mc <= 0 ? Infinity : PI / (2 * agm(1, Math.sqrt(mc))));
+export const ellipK = (m) => ellipKc(1 - m);
+
+// Jacobi elliptic functions sn, cn, dn by descending Landen transformation (A&S 16.4)
+const ellipj = (u, m) => {
+  if (m < 1e-9) {
+    const t = Math.sin(u), b = Math.cos(u), ai = 0.25 * m * (u - t * b);
+    return { sn: t - ai * b, cn: b + ai * t, dn: 1 - 0.5 * m * t * t };
+  }
+  if (m >= 1 - 1e-9) {
+    const th = Math.tanh(u), sech = 1 / Math.cosh(u);
+    return { sn: th, cn: sech, dn: sech };
+  }
+  const a = [1], c = [Math.sqrt(m)];
+  let b = Math.sqrt(1 - m), twon = 1, i = 0;
+  while (Math.abs(c[i] / a[i]) > 1e-16 && i < 12) {
+    const ai = a[i];
+    i++;
+    c[i] = (ai - b) / 2;
+    const t = Math.sqrt(ai * b);
+    a[i] = (ai + b) / 2;
+    b = t;
+    twon *= 2;
+  }
+  let phi = twon * a[i] * u, prev = phi;
+  for (; i > 0; i--) {
+    const t = c[i] * Math.sin(phi) / a[i];
+    prev = phi;
+    phi = (Math.asin(t) + phi) / 2;
+  }
+  return { sn: Math.sin(phi), cn: Math.cos(phi), dn: Math.cos(phi) / Math.cos(prev - phi) };
+};
+
+// Solve the elliptic degree equation for the selectivity modulus m of an order-n filter
+const ellipDeg = (n, m1) => {
+  const q1 = Math.exp(-PI * ellipKc(m1) / ellipK(m1));
+  const q = Math.pow(q1, 1 / n);
+  let num = 0, den = 0;
+  for (let i = 0; i <= 7; i++) {
+    num += Math.pow(q, i * (i + 1));
+    den += Math.pow(q, (i + 1) * (i + 1));
+  }
+  return 16 * q * Math.pow(num / (1 + 2 * den), 4);
+};
+
+// Imaginary part of the inverse Jacobi sn at a purely imaginary argument j*w
+const arcJacSc1 = (w, m) => {
+  const ks = [Math.sqrt(m)];
+  while (ks[ks.length - 1] !== 0 && ks.length < 16) {
+    const k = ks[ks.length - 1];
+    const kp = Math.sqrt((1 - k) * (1 + k));
+    ks.push((1 - kp) / (1 + kp));
+  }
+  let K = PI / 2, y = w;
+  for (let i = 1; i < ks.length; i++) {
+    K *= 1 + ks[i];
+    y = (2 * y) / ((1 + ks[i]) * (1 + Math.sqrt(1 + Math.pow(ks[i - 1] * y, 2))));
+  }
+  return K * (2 / PI) * Math.asinh(y);
+};
+
+const prodNeg = (roots) => roots.reduce((acc, r) => cMul(acc, cScale(r, -1)), complex(1, 0));
+
+const buttap = (n) => {
+  const p = [];
+  for (let m = -n + 1; m < n; m += 2) p.push(cScale(cExpj(PI * m / (2 * n)), -1));
+  return { z: [], p, k: 1 };
+};
+
+const cheb1ap = (n, rp) => {
+  const eps = Math.sqrt(Math.pow(10, rp / 10) - 1);
+  const mu = Math.asinh(1 / eps) / n;
+  const p = [];
+  for (let m = -n + 1; m < n; m += 2) {
+    const theta = PI * m / (2 * n);
+    p.push(complex(-Math.sinh(mu) * Math.cos(theta), -Math.cosh(mu) * Math.sin(theta)));
+  }
+  let k = prodNeg(p).re;
+  if (n % 2 === 0) k /= Math.sqrt(1 + eps * eps);
+  return { z: [], p, k };
+};
+
+const cheb2ap = (n, rs) => {
+  const mu = Math.asinh(Math.sqrt(Math.pow(10, rs / 10) - 1)) / n;
+  const z = [], p = [];
+  for (let m = -n + 1; m < n; m += 2) {
+    if (m !== 0) z.push(complex(0, 1 / Math.sin(m * PI / (2 * n))));
+    const p0 = cScale(cExpj(PI * m / (2 * n)), -1);
+    p.push(cDiv(complex(1, 0), complex(Math.sinh(mu) * p0.re, Math.cosh(mu) * p0.im)));
+  }
+  const k = cDiv(prodNeg(p), prodNeg(z)).re;
+  return { z, p, k };
+};
+
+const ellipap = (n, rp, rs) => {
+  const epsSq = Math.pow(10, rp / 10) - 1;
+  if (n === 1) {
+    const p0 = -Math.sqrt(1 / epsSq);
+    return { z: [], p: [complex(p0, 0)], k: -p0 };
+  }
+  const m1 = epsSq / (Math.pow(10, rs / 10) - 1);
+  const m = ellipDeg(n, m1);
+  const capK = ellipK(m);
+  const v0 = capK * arcJacSc1(1 / Math.sqrt(epsSq), m1) / (n * ellipK(m1));
+  const { sn: sv, cn: cv, dn: dv } = ellipj(v0, 1 - m);
+  const z = [], p = [];
+  for (let j = 1 - (n % 2); j < n; j += 2) {
+    const { sn: s, cn: c, dn: d } = ellipj(j * capK / n, m);
+    if (Math.abs(s) > 1e-12) {
+      const zi = 1 / (Math.sqrt(m) * s);
+      z.push(complex(0, zi), complex(0, -zi));
+    }
+    const den = 1 - Math.pow(d * sv, 2);
+    const pj = complex(-(c * d * sv * cv) / den, -(s * dv) / den);
+    p.push(pj);
+    if (Math.abs(pj.im) > 1e-12 * cMag(pj)) p.push(cConj(pj));
+  }
+  let k = cDiv(prodNeg(p), prodNeg(z)).re;
+  if (n % 2 === 0) k /= Math.sqrt(1 + epsSq);
+  return { z, p, k };
+};
+
+// Reverse Bessel polynomial theta_n(s), highest power first
+const besselPoly = (n) => {
+  const fact = (x) => (x <= 1 ? 1 : x * fact(x - 1));
+  const coeffs = [];
+  for (let k = n; k >= 0; k--) {
+    coeffs.push(fact(2 * n - k) / (Math.pow(2, n - k) * fact(k) * fact(n - k)));
+  }
+  return coeffs;
+};
+
+const besselap = (n) => {
+  const poly = besselPoly(n);
+  // Phase normalization: scale the delay-normalized poles so prod(-p) = 1
+  const scale = Math.pow(poly[n], -1 / n);
+  const p = polyRoots(poly).map(r => cScale(r, scale));
+  return { z: [], p, k: 1 };
+};
+
+export const analogPrototype = (topo, n, rp, rs) => {
+  switch (topo) {
+    case 'chebyshev1': return cheb1ap(n, rp);
+    case 'chebyshev2': return cheb2ap(n, rs);
+    case 'elliptic': return ellipap(n, rp, rs);
+    case 'bessel': return besselap(n);
+    default: return buttap(n);
+  }
+};
+
+// Frequency transforms of a 1 rad/s lowpass prototype (SciPy lp2xx_zpk).
+// wo is the edge (LP/HP) or geometric center (BP/BS) and bw the bandwidth, both in rad/s.
+export const lp2lp = ({ z, p, k }, wo) => ({
+  z: z.map(r => cScale(r, wo)),
+  p: p.map(r => cScale(r, wo)),
+  k: k * Math.pow(wo, p.length - z.length),
+});
+
+export const lp2hp = ({ z, p, k }, wo) => {
+  const degree = p.length - z.length;
+  return {
+    z: z.map(r => cDiv(complex(wo, 0), r)).concat(Array.from({ length: degree }, () => complex(0, 0))),
+    p: p.map(r => cDiv(complex(wo, 0), r)),
+    k: k * cDiv(prodNeg(z), prodNeg(p)).re,
+  };
+};
+
+const splitBand = (roots, wo) => roots.flatMap(r => {
+  const root = cSqrt(cSub(cMul(r, r), complex(wo * wo, 0)));
+  return [cAdd(r, root), cSub(r, root)];
+});
+
+export const lp2bp = ({ z, p, k }, wo, bw) => {
+  const degree = p.length - z.length;
+  return {
+    z: splitBand(z.map(r => cScale(r, bw / 2)), wo).concat(Array.from({ length: degree }, () => complex(0, 0))),
+    p: splitBand(p.map(r => cScale(r, bw / 2)), wo),
+    k: k * Math.pow(bw, degree),
+  };
+};
+
+export const lp2bs = ({ z, p, k }, wo, bw) => {
+  const degree = p.length - z.length;
+  const zs = splitBand(z.map(r => cDiv(complex(bw / 2, 0), r)), wo);
+  for (let i = 0; i < degree; i++) zs.push(complex(0, wo), complex(0, -wo));
+  return {
+    z: zs,
+    p: splitBand(p.map(r => cDiv(complex(bw / 2, 0), r)), wo),
+    k: k * cDiv(prodNeg(z), prodNeg(p)).re,
+  };
+};
+
+// Band edges in Hz: [fc] for LP/HP, [fl, fh] for BP/BS. The notch is given by its center
+// and bandwidth; its edges are spaced `bw` apart with their geometric mean on the center.
+export const bandEdges = (type, fc, fl, fh, bw) => {
+  if (type === 'lowpass' || type === 'highpass') return [fc];
+  if (type === 'notch') {
+    const lo = Math.sqrt(fc * fc + bw * bw / 4) - bw / 2;
+    return [lo, lo + bw];
+  }
+  return [Math.min(fl, fh), Math.max(fl, fh)];
+};
+
+// Analog design from edges in rad/s: [wc] for LP/HP, [wl, wh] for BP/BS/notch
+export const designAnalog = (topo, n, type, edges, rp, rs) => {
+  const proto = analogPrototype(topo, n, rp, rs);
+  if (type === 'lowpass') return lp2lp(proto, edges[0]);
+  if (type === 'highpass') return lp2hp(proto, edges[0]);
+  const wo = Math.sqrt(edges[0] * edges[1]);
+  const bw = edges[1] - edges[0];
+  return type === 'bandpass' ? lp2bp(proto, wo, bw) : lp2bs(proto, wo, bw);
+};
+
+// Evaluate H(jw) = k * prod(jw - z) / prod(jw - p)
+export const freqsZPK = ({ z, p, k }, w) => {
+  const s = complex(0, w);
+  const num = z.reduce((acc, r) => cMul(acc, cSub(s, r)), complex(k, 0));
+  const den = p.reduce((acc, r) => cMul(acc, cSub(s, r)), complex(1, 0));
+  return cDiv(num, den);
+};
@@ -0,0 +1,408 @@
+// Analog circuit synthesis: factoring into first- and second-order sections, Sallen-Key /
+// multiple-feedback op-amp stages, doubly terminated LC ladders and preferred-value snapping.
+// Resistances in ohms, capacitances in farads, inductances in henries, frequencies in rad/s.
+
+import { analogPrototype, freqsZPK } from './analog.js';
+import { pairRoots } from './iir.js';
+import { cAdd, cDiv, cMag, cMul, cSqrt, cSub, complex, polyFromRoots, polyRoots } from './math.js';
+
+// --- PREFERRED VALUES ---
+
+// IEC 60063 mantissas in [1, 10)
+export const E_SERIES = {
+  E12: [1.0, 1.2, 1.5, 1.8, 2.2, 2.7, 3.3, 3.9, 4.7, 5.6, 6.8, 8.2],
+  E24: [
+    1.0, 1.1, 1.2, 1.3, 1.5, 1.6, 1.8, 2.0, 2.2, 2.4, 2.7, 3.0,
+    3.3, 3.6, 3.9, 4.3, 4.7, 5.1, 5.6, 6.2, 6.8, 7.5, 8.2, 9.1,
+  ],
+  E96: [
+    1.00, 1.02, 1.05, 1.07, 1.10, 1.13, 1.15, 1.18, 1.21, 1.24, 1.27, 1.30, 1.33, 1.37, 1.40, 1.43,
+    1.47, 1.50, 1.54, 1.58, 1.62, 1.65, 1.69, 1.74, 1.78, 1.82, 1.87, 1.91, 1.96, 2.00, 2.05, 2.10,
+    2.15, 2.21, 2.26, 2.32, 2.37, 2.43, 2.49, 2.55, 2.61, 2.67, 2.74, 2.80, 2.87, 2.94, 3.01, 3.09,
+    3.16, 3.24, 3.32, 3.40, 3.48, 3.57, 3.65, 3.74, 3.83, 3.92, 4.02, 4.12, 4.22, 4.32, 4.42, 4.53,
+    4.64, 4.75, 4.87, 4.99, 5.11, 5.23, 5.36, 5.49, 5.62, 5.76, 5.90, 6.04, 6.19, 6.34, 6.49, 6.65,
+    6.81, 6.98, 7.15, 7.32, 7.50, 7.68, 7.87, 8.06, 8.25, 8.45, 8.66, 8.87, 9.09, 9.31, 9.53, 9.76,
+  ],
+};
+
+// Nearest preferred value on a log scale; direction 1 / -1 picks the nearest one above / below.
+// Any other series name ('exact') returns the value unchanged.
+export const snapToSeries = (value, series, direction = 0) => {
+  const mantissas = E_SERIES[series];
+  if (!mantissas || !(value > 0)) return value;
+  const decade = Math.pow(10, Math.floor(Math.log10(value)));
+  const candidates = [decade / 10, decade, decade * 10].flatMap(d => mantissas.map(m => m * d));
+  const allowed = candidates.filter(c => (direction > 0 ? c >= value * (1 - 1e-12) : direction < 0 ? c <= value * (1 + 1e-12) : true));
+  return allowed.reduce((best, c) => (Math.abs(Math.log(c / value)) < Math.abs(Math.log(best / value)) ? c : best), allowed[0]);
+};
+
+// --- SECTIONS ---
+
+const isOrigin = (r, scale) => cMag(r) <= 1e-9 * scale;
+const isImaginary = (r, scale) => Math.abs(r.re) <= 1e-9 * scale && r.im > 0;
+
+// Factor H(s) into sections: pole pairs in order of rising Q (real poles first), each with the
+// jw-axis zero pair closest to it and an even share of the zeros at the origin.
+// Section kinds: lowpass / highpass / bandpass / notch (order 2), lowpass / highpass (order 1);
+// anything else is 'general'. num / den are [s^2, s, 1] coefficients normalized so the gain is 1
+// in the passband (notch: at high frequency); gain carries what is left of k.
+export const analogSections = ({ z, p, k }) => {
+  const scale = Math.max(1e-30, ...p.map(cMag));
+  const poleGroups = pairRoots(p).map(group => {
+    const w0 = group.length === 2 ? Math.sqrt(cMag(cMul(group[0], group[1]))) : cMag(group[0]);
+    const Q = group.length === 2 ? w0 / -(group[0].re + group[1].re) : 0;
+    return { poles: group, w0, Q };
+  }).sort((a, b) => a.poles.length - b.poles.length || a.Q - b.Q);
+  const notches = pairRoots(z.filter(r => isImaginary(r, scale)).flatMap(r => [r, complex(r.re, -r.im)]));
+  const others = z.filter(r => !isOrigin(r, scale) && !isImaginary(r, scale) && !(Math.abs(r.re) <= 1e-9 * scale && r.im < 0));
+  let originZeros = z.filter(r => isOrigin(r, scale)).length;
+
+  const sections = poleGroups.map(g => ({ ...g, zeros: [], origin: 0 }));
+  // Notch zeros go to the nearest second-order section without one
+  notches.forEach(pair => {
+    const free = sections.filter(s => s.poles.length === 2 && !s.zeros.length);
+    const target = (free.length ? free : sections).reduce((best, s) => (
+      Math.abs(s.w0 - pair[0].im) < Math.abs(best.w0 - pair[0].im) ? s : best));
+    target.zeros.push(...pair);
+  });
+  pairRoots(others).forEach(group => sections.reduce((best, s) => (
+    cMag(cSub(s.poles[0], group[0])) < cMag(cSub(best.poles[0], group[0])) ? s : best)).zeros.push(...group));
+  // Origin zeros dealt out one per section per round while there is room
+  while (originZeros > 0) {
+    const room = sections.filter(s => s.zeros.length + s.origin < s.poles.length);
+    if (!room.length) break;
+    room.slice(0, originZeros).forEach(s => { s.origin++; originZeros--; });
+  }
+
+  const list = sections.map(({ poles, zeros, origin, w0, Q }) => {
+    const den = poles.length === 2 ? [1, w0 / Q, w0 * w0] : [0, 1, w0];
+    const notch = zeros.length === 2 && zeros.every(r => isImaginary(r, scale) || Math.abs(r.re) <= 1e-9 * scale) && !origin;
+    let kind = 'general';
+    let num = polyFromRoots([...zeros, ...new Array(origin).fill(complex(0, 0))]);
+    if (!zeros.length) {
+      kind = poles.length === 2 ? ['lowpass', 'bandpass', 'highpass'][origin] : ['lowpass', 'highpass'][origin];
+      num = poles.length === 2 ? [[0, 0, w0 * w0], [0, w0 / Q, 0], [1, 0, 0]][origin] : [[0, 0, w0], [0, 1, 0]][origin];
+    } else if (notch) {
+      kind = 'notch';
+    }
+    num = new Array(3 - num.length).fill(0).concat(num);
+    return { order: poles.length, kind, w0, Q, wz: notch ? zeros[0].im : null, poles, zeros, num, den };
+  });
+  // Left-over zeros (more zeros than poles) stay with the gain as an ideal polynomial
+  const extra = [...new Array(originZeros).fill(complex(0, 0))];
+  const sectionsAt = (w) => list.reduce((acc, s) => cMul(acc, evalSection(s.num, s.den, w)), evalPoly(polyFromRoots(extra), w));
+  const wRef = poleGroups.length ? Math.exp(poleGroups.reduce((acc, g) => acc + Math.log(g.w0), 0) / poleGroups.length) : 1;
+  const gain = cDiv(freqsZPK({ z, p, k }, wRef), sectionsAt(wRef)).re;
+  return { sections: list, gain, extraZeros: extra.length };
+};
+
+// Polynomial (highest power first) and section num / den ([s^2, s, 1]) at s = jw
+const evalPoly = (coeffs, w) => coeffs.reduce((acc, c) => cAdd(cMul(acc, complex(0, w)), complex(c, 0)), complex(0, 0));
+const evalSection = (num, den, w) => cDiv(evalPoly(num, w), evalPoly(den, w));
+
+// --- OP-AMP STAGES ---
+
+// Each circuit maps component values to its transfer function num / den ([s^2, s, 1]).
+// Op-amps are ideal; node names follow the usual textbook schematics:
+//   Sallen-Key (unity gain): LP R1 -> R2 -> +in, C1 to the output, C2 to ground;
+//                            HP C1 -> C2 -> +in, R1 to the output, R2 to ground
+//   MFB (inverting): LP R1 in, C1 to ground, R2 feedback, R3 to -in, C2 -in to output;
+//                    HP C1 in, R1 to ground, C2 feedback, C3 to -in, R2 -in to output;
+//                    BP R1 in, R2 to ground, C1 feedback, C2 to -in, R3 -in to output
+//   RC (buffered first order): LP R in, C to ground; HP C in, R to ground
+export const CIRCUITS = {
+  sk_lp: {
+    label: 'Sallen-Key low-pass',
+    tf: ({ R1, R2, C1, C2 }) => ({ num: [0, 0, 1], den: [R1 * R2 * C1 * C2, C2 * (R1 + R2), 1] }),
+  },
+  sk_hp: {
+    label: 'Sallen-Key high-pass',
+    tf: ({ R1, R2, C1, C2 }) => ({ num: [R1 * R2 * C1 * C2, 0, 0], den: [R1 * R2 * C1 * C2, R1 * (C1 + C2), 1] }),
+  },
+  mfb_lp: {
+    label: 'MFB low-pass',
+    tf: ({ R1, R2, R3, C1, C2 }) => ({ num: [0, 0, -R2 / R1], den: [R2 * R3 * C1 * C2, C2 * (R2 + R3 + R2 * R3 / R1), 1] }),
+  },
+  mfb_hp: {
+    label: 'MFB high-pass',
+    tf: ({ R1, R2, C1, C2, C3 }) => ({ num: [-R1 * R2 * C1 * C3, 0, 0], den: [R1 * R2 * C2 * C3, R1 * (C1 + C2 + C3), 1] }),
+  },
+  mfb_bp: {
+    label: 'MFB band-pass',
+    tf: ({ R1, R2, R3, C1, C2 }) => {
+      const G = 1 / R1 + 1 / R2;
+      return { num: [0, -R3 * C2 / (R1 * G), 0], den: [R3 * C1 * C2 / G, (C1 + C2) / G, 1] };
+    },
+  },
+  rc_lp: { label: 'RC low-pass (buffered)', tf: ({ R, C }) => ({ num: [0, 0, 1], den: [0, R * C, 1] }) },
+  rc_hp: { label: 'RC high-pass (buffered)', tf: ({ R, C }) => ({ num: [0, R * C, 0], den: [0, R * C, 1] }) },
+};
+
+export const CIRCUIT_TOPOLOGIES = { sallen_key: 'Sallen-Key', mfb: 'Multiple Feedback', ladder: 'LC Ladder' };
+
+// w0 and Q of a transfer function's denominator (first order: Q = 0)
+const naturalParams = ({ den }) => (den[0] === 0
+  ? { w0: den[2] / den[1], Q: 0 }
+  : { w0: Math.sqrt(den[2] / den[0]), Q: Math.sqrt(den[2] * den[0]) / den[1] });
+
+// Component values for one section. Capacitors are picked first (from `cap`, snapped to the
+// capacitor series, raised where Q needs a larger ratio) so that only resistors are computed
+// exactly; returns { circuit, values } or { circuit: null, reason } when no stage fits.
+const designStage = (section, topology, cap, cSeries) => {
+  const { order, kind, w0, Q } = section;
+  const C = snapToSeries(cap, cSeries);
+  if (order === 1) {
+    if (kind === 'general') return { circuit: null, reason: 'First-order section with a finite zero' };
+    return { circuit: kind === 'lowpass' ? 'rc_lp' : 'rc_hp', values: { R: 1 / (w0 * C), C } };
+  }
+  if (kind === 'notch' || kind === 'general') {
+    return { circuit: null, reason: kind === 'notch' ? 'Notch section: needs a notch stage (e.g. bridged-T or Boctor)' : 'Section with finite zeros off the jω axis' };
+  }
+  if (kind === 'bandpass' || topology === 'mfb') {
+    if (kind === 'lowpass') {
+      // C1 >= 4 Q^2 (1 + H0) C2 keeps R2, R3 real; H0 = R2 / R1 = 1
+      const C2 = C, C1 = snapToSeries(8 * Q * Q * C2, cSeries, 1);
+      const b = w0 * C1 / Q, disc = Math.max(0, b * b - 8 * w0 * w0 * C1 * C2);
+      const u = (b + Math.sqrt(disc)) / 4; // 1 / R2
+      const R2 = 1 / u, R3 = u / (w0 * w0 * C1 * C2);
+      return { circuit: 'mfb_lp', values: { R1: R2, R2, R3, C1, C2 } };
+    }
+    if (kind === 'highpass') {
+      const R2 = 3 * Q / (w0 * C), R1 = 1 / (w0 * w0 * R2 * C * C);
+      return { circuit: 'mfb_hp', values: { R1, R2, C1: C, C2: C, C3: C } };
+    }
+    // Band-pass: equal capacitors, center gain H0 = R3 / (2 R1) below 2 Q^2
+    const H0 = Math.min(1, Q * Q);
+    const R3 = 2 * Q / (w0 * C), R1 = R3 / (2 * H0);
+    const R2 = 1 / (w0 * w0 * R3 * C * C - 1 / R1);
+    return { circuit: 'mfb_bp', values: { R1, R2, R3, C1: C, C2: C } };
+  }
+  if (kind === 'lowpass') {
+    // C1 >= 4 Q^2 C2 keeps R1, R2 real: R1 + R2 = 1 / (w0 Q C2), R1 R2 = 1 / (w0^2 C1 C2)
+    const C2 = C, C1 = snapToSeries(4 * Q * Q * C2, cSeries, 1);
+    const sum = 1 / (w0 * Q * C2), prod = 1 / (w0 * w0 * C1 * C2);
+    const root = Math.sqrt(Math.max(0, sum * sum - 4 * prod));
+    return { circuit: 'sk_lp', values: { R1: (sum + root) / 2, R2: (sum - root) / 2, C1, C2 } };
+  }
+  // Sallen-Key high-pass with equal capacitors: R1 = 1 / (2 Q w0 C), R2 = 2 Q / (w0 C)
+  return { circuit: 'sk_hp', values: { R1: 1 / (2 * Q * w0 * C), R2: 2 * Q / (w0 * C), C1: C, C2: C } };
+};
+
+// Relative sensitivities S = d ln(y) / d ln(x) of w0 and Q to every component
+const stageSensitivity = (circuit, values) => Object.fromEntries(Object.keys(values).map(name => {
+  const h = 1e-6;
+  const at = (f) => naturalParams(CIRCUITS[circuit].tf({ ...values, [name]: values[name] * f }));
+  const up = at(1 + h), down = at(1 - h);
+  const rel = (a, b) => (a > 0 && b > 0 ? Math.log(a / b) / Math.log((1 + h) / (1 - h)) : 0);
+  return [name, { w0: rel(up.w0, down.w0), Q: rel(up.Q, down.Q) }];
+}));
+
+// Op-amp realization of analogSections(): every section gets a stage, its ideal and snapped
+// component values (resistors to rSeries, capacitors to cSeries), realized w0 / Q and
+// sensitivities. Sections without a stage stay ideal in the response.
+export const synthesizeActive = (zpk, { topology = 'sallen_key', cap = 10e-9, rSeries = 'E96', cSeries = 'E12' } = {}) => {
+  const { sections, gain, extraZeros } = analogSections(zpk);
+  const stages = sections.map(section => {
+    const stage = designStage(section, topology, cap, cSeries);
+    if (!stage.circuit) return { section, ...stage };
+    const snapped = Object.fromEntries(Object.entries(stage.values).map(([name, v]) => [name, snapToSeries(v, name[0] === 'R' ? rSeries : cSeries)]));
+    const ideal = CIRCUITS[stage.circuit].tf(stage.values);
+    const real = CIRCUITS[stage.circuit].tf(snapped);
+    return {
+      section, ...stage, snapped, ideal, real,
+      snappedParams: naturalParams(real),
+      sensitivity: stageSensitivity(stage.circuit, stage.values),
+    };
+  });
+  // Gain left after the stages' own gains (applied by a final gain stage)
+  const wRef = sections.length ? sections[0].w0 : 1;
+  const idealAt = (w) => stages.reduce((acc, st) => cMul(acc, st.circuit ? evalSection(st.ideal.num, st.ideal.den, w) : evalSection(st.section.num, st.section.den, w)), complex(1, 0));
+  const stageGain = cDiv(idealAt(wRef), sections.reduce((acc, s) => cMul(acc, evalSection(s.num, s.den, wRef)), complex(1, 0))).re;
+  return { kind: 'active', topology, stages, gain: gain / stageGain, extraZeros };
+};
+
+// H(jw) of an active realization with ideal or snapped components
+export const activeResponse = (realization, w, snapped = true) => realization.stages.reduce((acc, st) => {
+  const tf = st.circuit ? (snapped ? st.real : st.ideal) : { num: st.section.num, den: st.section.den };
+  return cMul(acc, evalSection(tf.num, tf.den, w));
+}, cMul(complex(realization.gain, 0), evalPoly([1, ...new Array(realization.extraZeros).fill(0)], w)));
+
+// --- LC LADDERS ---
+
+const polyMul = (a, b) => {
+  const out = new Array(a.length + b.length - 1).fill(0);
+  a.forEach((x, i) => b.forEach((y, j) => { out[i + j] += x * y; }));
+  return out;
+};
+const polyAdd = (a, b, sign = 1) => {
+  const n = Math.max(a.length, b.length);
+  const pa = new Array(n - a.length).fill(0).concat(a), pb = new Array(n - b.length).fill(0).concat(b);
+  return pa.map((x, i) => x + sign * pb[i]);
+};
+
+// Normalized element values g1..gn of the doubly terminated ladder (source 1 ohm, shunt
+// capacitor first) for an all-pole prototype k / D(s), by Darlington synthesis:
+// N(s) N(-s) = D(s) D(-s) - k^2 with N Hurwitz, Y_in = (D + N) / (D - N) expanded as a
+// continued fraction. Returns { g, load } (load resistance) or { error }.
+export const ladderPrototype = ({ z, p, k }) => {
+  if (z.length) return { error: 'Finite transmission zeros (Chebyshev II, elliptic) need ladders with resonant arms.' };
+  const n = p.length;
+  const D = polyFromRoots(p);
+  const Dneg = D.map((c, i) => ((n - i) % 2 ? -c : c));
+  const P = polyMul(D, Dneg);
+  P[P.length - 1] -= k * k;
+  // P(s) = Q(s^2): roots in x = s^2; coefficients at rounding level are zeros at the origin
+  const tol = 1e-11 * Math.max(...P.map(Math.abs));
+  const Q = P.filter((c, i) => i % 2 === 0).map(c => (Math.abs(c) <= tol ? 0 : c));
+  let originRoots = 0;
+  while (Q.length > 1 && Q[Q.length - 1] === 0) { Q.pop(); originRoots++; }
+  // jw-axis zeros of N(s) N(-s) are double, so Q has double roots: near-coincident pairs are
+  // merged and polished as simple roots of Q', the others by Newton steps on Q
+  const derivative = (c) => c.slice(0, -1).map((v, i) => v * (c.length - 1 - i));
+  const horner = (c, x) => c.reduce((acc, v) => cAdd(cMul(acc, x), complex(v, 0)), complex(0, 0));
+  const polish = (f, x) => {
+    const df = derivative(f);
+    for (let i = 0; i < 20; i++) {
+      const d = horner(df, x);
+      if (cMag(d) === 0) break;
+      const step = cDiv(horner(f, x), d);
+      x = cSub(x, step);
+      if (cMag(step) <= 1e-16 * Math.max(1, cMag(x))) break;
+    }
+    return x;
+  };
+  const groups = [];
+  polyRoots(Q).forEach(x => {
+    const twin = groups.find(g => g.mult === 1 && cMag(cSub(g.x, x)) < 1e-4 * Math.max(1, cMag(x)));
+    if (twin) Object.assign(twin, { x: complex((twin.x.re + x.re) / 2, (twin.x.im + x.im) / 2), mult: 2 });
+    else groups.push({ x, mult: 1 });
+  });
+  groups.forEach(g => { g.x = polish(g.mult === 2 ? derivative(Q) : Q, g.x); });
+  // Hurwitz half of the s = +/-sqrt(x) roots; a double jw-axis pair gives one copy of each
+  const axisTol = 1e-6 * Math.max(1, ...groups.map(g => Math.sqrt(cMag(g.x))));
+  const roots = groups.flatMap(({ x, mult }) => {
+    let s = cSqrt(x);
+    if (s.re > 0) s = complex(-s.re, -s.im);
+    if (mult === 1) return [s];
+    return Math.abs(s.re) <= axisTol ? [complex(0, s.im), complex(0, -s.im)] : [s, s];
+  });
+  const N = polyFromRoots([...roots, ...new Array(originRoots).fill(complex(0, 0))]);
+  if (N.length !== n + 1) return { error: 'Could not factor the reflection function.' };
+
+  // D and N share their leading coefficient, and each step of an LC expansion removes two
+  // powers of s; the terms that vanish in theory are dropped rather than divided by
+  let num = polyAdd(D, N), den = polyAdd(D, N, -1).slice(1);
+  const g = [];
+  for (let i = 0; i < n; i++) {
+    const gi = num[0] / den[0];
+    g.push(gi);
+    if (i === n - 1) break;
+    // num - gi s den is the next immittance inverted
+    const rest = polyAdd(num, polyMul([gi, 0], den), -1).slice(2);
+    num = den;
+    den = rest;
+  }
+  // What is left after n elements is a conductance (n even) or a resistance (n odd)
+  const last = den[0] / num[num.length - 1];
+  const load = n % 2 === 0 ? 1 / last : last;
+  // High orders lose the factorization to rounding: check |S21| against the prototype
+  const ladder = {
+    source: 1,
+    load,
+    elements: g.map((v, i) => ({ arm: i % 2 ? 'series' : 'shunt', connection: 'single', parts: [{ kind: i % 2 ? 'L' : 'C', value: v }] })),
+  };
+  const s21 = (w) => 2 * Math.sqrt(1 / load) * cMag(ladderResponse(ladder, w, false));
+  const worst = Math.max(...[0.25, 0.5, 0.9, 1, 1.5, 3].map(w => Math.abs(s21(w) - cMag(freqsZPK({ z, p, k }, w)))));
+  if (!g.every(v => v > 0) || !(load > 0) || !(worst < 1e-3)) return { error: `Order ${n} ladder is numerically out of reach; lower the order.` };
+  return { g, load };
+};
+
+// Denormalized ladder for a design: prototype elements scaled to R0 and transformed to
+// lowpass / highpass / bandpass / bandstop arms. Each element is { arm: 'series' | 'shunt',
+// connection: 'single' | 'series' | 'parallel', parts: [{ kind: 'L' | 'C', value, snapped }] }.
+export const synthesizeLadder = ({ topology, order, type, edges, rp, rs }, { R0 = 600, lSeries = 'E12', cSeries = 'E12' } = {}) => {
+  const proto = ladderPrototype(analogPrototype(topology, order, rp, rs));
+  if (proto.error) return { kind: 'ladder', error: proto.error };
+  const [w1, w2 = w1] = edges;
+  const wo = Math.sqrt(w1 * w2), B = w2 - w1;
+  const part = (kind, value) => ({ kind, value, snapped: snapToSeries(value, kind === 'L' ? lSeries : cSeries) });
+  const elements = proto.g.map((g, i) => {
+    const arm = i % 2 === 0 ? 'shunt' : 'series';
+    const shunt = arm === 'shunt';
+    switch (type) {
+      case 'highpass':
+        return { arm, connection: 'single', parts: [shunt ? part('L', R0 / (g * w1)) : part('C', 1 / (g * R0 * w1))] };
+      case 'bandpass':
+        return shunt
+          ? { arm, connection: 'parallel', parts: [part('L', R0 * B / (g * wo * wo)), part('C', g / (R0 * B))] }
+          : { arm, connection: 'series', parts: [part('L', g * R0 / B), part('C', B / (g * R0 * wo * wo))] };
+      case 'bandstop':
+        return shunt
+          ? { arm, connection: 'series', parts: [part('L', R0 / (g * B)), part('C', g * B / (R0 * wo * wo))] }
+          : { arm, connection: 'parallel', parts: [part('L', g * R0 * B / (wo * wo)), part('C', 1 / (g * R0 * B))] };
+      default:
+        return { arm, connection: 'single', parts: [shunt ? part('C', g / (R0 * w1)) : part('L', g * R0 / w1)] };
+    }
+  });
+  return { kind: 'ladder', g: proto.g, source: R0, load: proto.load * R0, elements };
+};
+
+// Impedance of one element's arm at s = jw
+const armImpedance = ({ connection, parts }, w, snapped) => {
+  const zs = parts.map(pt => {
+    const v = snapped ? pt.snapped : pt.value;
+    return pt.kind === 'L' ? complex(0, w * v) : complex(0, -1 / (w * v));
+  });
+  if (connection === 'parallel') return cDiv(complex(1, 0), zs.reduce((acc, zp) => cAdd(acc, cDiv(complex(1, 0), zp)), complex(0, 0)));
+  return zs.reduce((acc, zp) => cAdd(acc, zp), complex(0, 0));
+};
+
+// V_load / V_source of the terminated ladder at w (ABCD chain)
+export const ladderResponse = (ladder, w, snapped = true) => {
+  let [A, Bm, C, Dm] = [complex(1, 0), complex(0, 0), complex(0, 0), complex(1, 0)];
+  ladder.elements.forEach(el => {
+    const Z = armImpedance(el, w, snapped);
+    if (el.arm === 'series') {
+      // [[A, B], [C, D]] x [[1, Z], [0, 1]]
+      Bm = cAdd(Bm, cMul(A, Z));
+      Dm = cAdd(Dm, cMul(C, Z));
+    } else {
+      // [[A, B], [C, D]] x [[1, 0], [Y, 1]]
+      const Y = cDiv(complex(1, 0), Z);
+      A = cAdd(A, cMul(Bm, Y));
+      C = cAdd(C, cMul(Dm, Y));
+    }
+  });
+  const RL = complex(ladder.load, 0), Rs = complex(ladder.source, 0);
+  const den = cAdd(cAdd(cMul(A, RL), Bm), cMul(Rs, cAdd(cMul(C, RL), Dm)));
+  return cDiv(RL, den);
+};
+
+// Largest passband change of |H| (dB) for a +1% change of each ladder part
+export const ladderSensitivity = (ladder, passband) => ladder.elements.map((el, i) => el.parts.map((pt, j) => {
+  const bumped = {
+    ...ladder,
+    elements: ladder.elements.map((e, ei) => (ei !== i ? e : { ...e, parts: e.parts.map((q, qj) => (qj === j ? { ...q, value: q.value * 1.01 } : q)) })),
+  };
+  return Math.max(0, ...passband.map(w => Math.abs(20 * Math.log10(cMag(ladderResponse(bumped, w, false)) / cMag(ladderResponse(ladder, w, false))))));
+}));
+
+// Snapped response against the target on a grid of w (rad/s): the realization's flat gain is
+// removed with the ideal components, then the error is measured where the target is within
+// `range` dB of its peak. Returns { trim, maxError (dB), points: [{ w, target, ideal, real }] } (dB).
+export const realizationError = (zpk, response, w, range = 20) => {
+  const wRef = w[Math.floor(w.length / 2)];
+  const peakIdx = w.reduce((best, wi, i) => (cMag(freqsZPK(zpk, wi)) > cMag(freqsZPK(zpk, w[best])) ? i : best), 0);
+  const ref = cMag(response(w[peakIdx], false)) > 0 ? w[peakIdx] : wRef;
+  const trim = cMag(freqsZPK(zpk, ref)) / cMag(response(ref, false));
+  const db = (h) => 20 * Math.log10(cMag(h) + 1e-12);
+  const points = w.map(wi => ({
+    w: wi,
+    target: db(freqsZPK(zpk, wi)),
+    ideal: db(response(wi, false)) + 20 * Math.log10(trim),
+    real: db(response(wi, true)) + 20 * Math.log10(trim),
+  }));
+  const peak = Math.max(...points.map(pt => pt.target));
+  const inBand = points.filter(pt => pt.target >= peak - range);
+  return { trim, maxError: Math.max(0, ...inBand.map(pt => Math.abs(pt.real - pt.target))), points };
+};
@@ -0,0 +1,72 @@
+// Filter objects and the response / filtering entry points of the public API
+
+import { designAnalog, freqsZPK } from './analog.js';
+import { designFIR, designRemez, firZeros } from './fir.js';
+import { createLTI, designIIR, evalPolyZ, freqzSOS, sosfilt, zpk2sos, zpk2tf } from './iir.js';
+import { PI, cDiv, complex } from './math.js';
+
+// Every design returns the same filter object:
+//   { kind: 'fir' | 'iir' | 'analog', zpk: { z, p, k }, ba: { b, a }, sos, fs }
+// sos is null for FIR filters (direct form) and analog filters (fs = null as well);
+// FIR zeros are only found up to 256 taps (zpk = null above).
+export const filterFromZPK = (zpk, fs = null) => {
+  const { z, p, k } = zpk;
+  return fs === null
+    ? { kind: 'analog', zpk: { z, p, k }, ba: zpk2tf(zpk), sos: null, fs: null }
+    : { kind: 'iir', zpk: { z, p, k }, ba: zpk2tf(zpk), sos: zpk2sos(zpk), fs };
+};
+
+export const filterFromTaps = (h, fs) => {
+  const z = firZeros(h);
+  const lead = h.find(c => c !== 0) || 0;
+  return {
+    kind: 'fir',
+    zpk: z && { z, p: z.map(() => complex(0, 0)), k: lead },
+    ba: { b: h.slice(), a: [1] },
+    sos: null,
+    fs,
+  };
+};
+
+// IIR design from band edges in Hz (analog designs when fs is omitted).
+// topology: butterworth | chebyshev1 | chebyshev2 | elliptic | bessel,
+// type: lowpass | highpass | bandpass | bandstop; rp / rs are the pass ripple / stop attenuation (dB)
+export const iirFilter = ({ topology = 'butterworth', order, type = 'lowpass', edges, fs = null, rp = 1, rs = 40 }) => {
+  if (fs === null) return filterFromZPK(designAnalog(topology, order, type, edges.map(f => 2 * PI * f), rp, rs));
+  const { z, p, k, b, a, sos } = designIIR(topology, order, type, edges, fs, rp, rs);
+  return { kind: 'iir', zpk: { z, p, k }, ba: { b, a }, sos, fs };
+};
+
+// Windowed-sinc FIR; window is any windowSamples() type, windowParam its shape parameter
+export const firFilter = ({ taps, type = 'lowpass', edges, fs, window = 'hamming', windowParam }) =>
+  filterFromTaps(designFIR(taps, edges, fs, window, type, windowParam), fs);
+
+// Parks-McClellan FIR from { start, end, gain, weight } bands in Hz; the exchange result
+// (type, delta, iterations, converged) is kept under `remez`. Returns null when the bands
+// leave too few grid points.
+export const remezFilter = ({ taps, bands, fs, antisymmetric = false }) => {
+  const design = designRemez(taps, bands, fs, antisymmetric);
+  if (!design) return null;
+  const { h, ...remez } = design;
+  return { ...filterFromTaps(h, fs), remez };
+};
+
+// Digital frequency response at w (rad/sample): an array of frequencies, or a point count
+// spread over [0, pi). Returns { w, h } with complex h.
+export const freqz = (filter, w = 512) => {
+  const grid = Array.isArray(w) ? w : Array.from({ length: w }, (_, i) => (PI * i) / w);
+  const { ba: { b, a }, sos } = filter;
+  return {
+    w: grid,
+    h: grid.map(wi => (sos ? freqzSOS(sos, wi) : cDiv(evalPolyZ(b, wi), evalPolyZ(a, wi)))),
+  };
+};
+
+// Analog frequency response at w (rad/s), from the zeros and poles
+export const freqs = (filter, w) => ({ w, h: w.map(wi => freqsZPK(filter.zpk, wi)) });
+
+// Filter a signal through b / a (transposed direct form II), as in scipy.signal.lfilter
+export const lfilter = (b, a, x) => x.map(createLTI(b, a));
+
+// Filter a signal with a digital filter object: cascade of sections when available
+export const applyFilter = (filter, x) => (filter.sos ? sosfilt(filter.sos, x) : lfilter(filter.ba.b, filter.ba.a, x));
@@ -0,0 +1,186 @@
+// FIR design: windowed sinc, Parks-McClellan, FIR zeros
+
+import { PI, log10, polyRoots } from './math.js';
+import { windowSamples } from './windows.js';
+
+// Digital FIR Design (Windowed Sinc)
+// edges (Hz): [fc] for LP/HP, [fl, fh] for BP/BS/notch. Each response is built from ideal
+// lowpass sincs, e.g. bandpass = LP(fh) - LP(fl) and bandstop = allpass - LP(fh) + LP(fl).
+export const designFIR = (taps, edges, sampleRate, windowType, type, windowParam) => {
+  const h = [];
+  const N = taps;
+  const center = (N - 1) / 2;
+  const win = windowSamples(windowType, N, windowParam);
+
+  // Ideal lowpass with normalized cutoff fc (cycles/sample); fc = 0.5 is the allpass
+  const lowpass = (n, fc) => (n === center
+    ? 2 * fc
+    : Math.sin(2 * PI * fc * (n - center)) / (PI * (n - center)));
+  const [f1, f2] = edges.map(f => Math.min(f / sampleRate, 0.5));
+
+  for (let n = 0; n < N; n++) {
+    let val = 0;
+    if (type === 'highpass') val = lowpass(n, 0.5) - lowpass(n, f1);
+    else if (type === 'bandpass') val = lowpass(n, f2) - lowpass(n, f1);
+    else if (type === 'bandstop' || type === 'notch') val = lowpass(n, 0.5) - lowpass(n, f2) + lowpass(n, f1);
+    else val = lowpass(n, f1);
+
+    // Windowing
+    val *= win[n];
+
+    h.push(val);
+  }
+  return h;
+};
+
+// Digital FIR Design (Parks-McClellan / Remez Exchange)
+// bands: [{ start, end, gain, weight }] in Hz. Symmetric taps give type I (odd N) / II (even N),
+// antisymmetric taps type III (odd N) / IV (even N). The amplitude is written as
+// A(w) = Q(w) P(w) with P a cosine series of r terms, which the exchange fits in the
+// weighted Chebyshev sense.
+const remezType = (numtaps, antisymmetric) =>
+  antisymmetric ? (numtaps % 2 ? 3 : 4) : (numtaps % 2 ? 1 : 2);
+
+export const designRemez = (numtaps, bands, sampleRate, antisymmetric = false, maxIter = 40) => {
+  const type = remezType(numtaps, antisymmetric);
+  const r = type === 1 ? (numtaps + 1) / 2 : type === 3 ? (numtaps - 1) / 2 : numtaps / 2;
+  const Q = (w) => (type === 1 ? 1 : type === 2 ? Math.cos(w / 2) : type === 3 ? Math.sin(w) : Math.sin(w / 2));
+
+  // Dense grid (cycles/sample), 16 points per coefficient, nudged away from the zeros of Q
+  const delf = 0.5 / (16 * r);
+  const grid = [];
+  bands.forEach(({ start, end, gain, weight }) => {
+    let lo = Math.max(0, Math.min(start, end) / sampleRate);
+    let hi = Math.min(0.5, Math.max(start, end) / sampleRate);
+    if (lo === 0 && type >= 3) lo = Math.min(delf, hi);
+    if (hi === 0.5 && (type === 2 || type === 3)) hi = Math.max(0.5 - delf, lo);
+    const count = Math.max(1, Math.round((hi - lo) / delf));
+    for (let i = 0; i <= count; i++) {
+      const f = lo + (hi - lo) * i / count;
+      const q = Q(2 * PI * f);
+      grid.push({ f, x: Math.cos(2 * PI * f), des: gain / q, wt: Math.max(weight, 1e-6) * q });
+    }
+  });
+  if (r < 1 || grid.length < r + 1) return null;
+
+  // Initial extremal set spread evenly over the grid
+  let ext = Array.from({ length: r + 1 }, (_, i) => Math.round(i * (grid.length - 1) / r));
+  let delta = 0, ad = [], y = [], iterations = 0, converged = false;
+
+  const interp = (x) => {
+    let num = 0, den = 0;
+    for (let k = 0; k < ext.length; k++) {
+      const dx = x - grid[ext[k]].x;
+      if (Math.abs(dx) < 1e-14) return y[k];
+      num += ad[k] * y[k] / dx;
+      den += ad[k] / dx;
+    }
+    return num / den;
+  };
+
+  for (; iterations < maxIter && !converged; iterations++) {
+    // Barycentric weights (scaled by 2 per factor to avoid underflow) and the levelled error
+    ad = ext.map((ik, k) => {
+      let prod = 1;
+      ext.forEach((ij, j) => { if (j !== k) prod *= 2 * (grid[ik].x - grid[ij].x); });
+      return 1 / prod;
+    });
+    let num = 0, den = 0;
+    ext.forEach((ik, k) => {
+      num += ad[k] * grid[ik].des;
+      den += (k % 2 ? -1 : 1) * ad[k] / grid[ik].wt;
+    });
+    delta = num / den;
+    y = ext.map((ik, k) => grid[ik].des - (k % 2 ? -1 : 1) * delta / grid[ik].wt);
+
+    const err = grid.map(g => g.wt * (g.des - interp(g.x)));
+
+    // Local extrema of the error (band edges included), then enforce sign alternation
+    let cand = [];
+    for (let i = 0; i < grid.length; i++) {
+      const left = i === 0 ? -Infinity : err[i - 1] * Math.sign(err[i]);
+      const right = i === grid.length - 1 ? -Infinity : err[i + 1] * Math.sign(err[i]);
+      if (Math.abs(err[i]) >= Math.max(left, right)) cand.push(i);
+    }
+    const alt = [];
+    cand.forEach(i => {
+      const last = alt[alt.length - 1];
+      if (last !== undefined && Math.sign(err[last]) === Math.sign(err[i])) {
+        if (Math.abs(err[i]) > Math.abs(err[last])) alt[alt.length - 1] = i;
+      } else {
+        alt.push(i);
+      }
+    });
+    while (alt.length > r + 1) {
+      if (Math.abs(err[alt[0]]) < Math.abs(err[alt[alt.length - 1]])) alt.shift();
+      else alt.pop();
+    }
+    if (alt.length < r + 1) break;
+    ext = alt;
+
+    const mags = ext.map(i => Math.abs(err[i]));
+    const maxE = Math.max(...mags), minE = Math.min(...mags);
+    converged = maxE === 0 || (maxE - minE) / maxE < 1e-4;
+  }
+
+  // Cosine coefficients of P via its values at r Chebyshev points (exact DCT for degree < r)
+  const pVals = Array.from({ length: r }, (_, m) => interp(Math.cos(PI * (m + 0.5) / r)));
+  const a = Array.from({ length: r }, (_, k) =>
+    pVals.reduce((acc, v, m) => acc + v * Math.cos(k * PI * (m + 0.5) / r), 0) * (k === 0 ? 1 : 2) / r
+  );
+
+  // Expand Q(w) * P(w) into impulse response taps for each linear-phase type
+  const h = new Array(numtaps).fill(0);
+  if (type === 1) {
+    const M = r - 1;
+    h[M] = a[0];
+    for (let n = 1; n < r; n++) h[M - n] = h[M + n] = a[n] / 2;
+  } else {
+    const c = new Array(r + 2).fill(0);
+    if (type === 2 || type === 4) {
+      const sgn = type === 2 ? 1 : -1;
+      c[1] += a[0];
+      for (let k = 1; k < r; k++) { c[k + 1] += a[k] / 2; c[k] += sgn * a[k] / 2; }
+      for (let n = 1; n <= r; n++) {
+        h[r - n] = c[n] / 2;
+        h[r - 1 + n] = (type === 2 ? 1 : -1) * c[n] / 2;
+      }
+    } else {
+      c[1] += a[0];
+      for (let k = 1; k < r; k++) { c[k + 1] += a[k] / 2; if (k > 1) c[k - 1] -= a[k] / 2; }
+      for (let n = 1; n <= r; n++) { h[r - n] = c[n] / 2; h[r + n] = -c[n] / 2; }
+    }
+  }
+
+  return { h, type, delta: Math.abs(delta), iterations, converged };
+};
+
+// Achieved deviation per band: passbands report peak-to-peak ripple, stopbands attenuation
+export const remezReport = (h, bands, sampleRate) => bands.map(({ start, end, gain, weight }) => {
+  const lo = Math.min(start, end), hi = Math.min(Math.max(start, end), sampleRate / 2);
+  let maxDev = 0, maxMag = 0, minMag = Infinity;
+  for (let i = 0; i <= 64; i++) {
+    const w = 2 * PI * (lo + (hi - lo) * i / 64) / sampleRate;
+    let re = 0, im = 0;
+    h.forEach((hn, n) => { re += hn * Math.cos(n * w); im -= hn * Math.sin(n * w); });
+    const mag = Math.sqrt(re * re + im * im);
+    maxDev = Math.max(maxDev, Math.abs(mag - gain));
+    maxMag = Math.max(maxMag, mag);
+    minMag = Math.min(minMag, mag);
+  }
+  return gain > 0
+    ? { start: lo, end: hi, gain, weight, deviation: maxDev, rippleDB: 20 * log10(maxMag / Math.max(minMag, 1e-12)) }
+    : { start: lo, end: hi, gain, weight, deviation: maxDev, attenDB: -20 * log10(maxMag + 1e-12) };
+});
+
+// FIR Zeros
+// Roots of h[0] z^(N-1) + ... + h[N-1] after dropping leading zero taps; the N - 1 poles sit
+// at the origin. Returns null above maxTaps, where root finding gets too slow to run live.
+export const FIR_ZEROS_MAX_TAPS = 256;
+
+export const firZeros = (h, maxTaps = FIR_ZEROS_MAX_TAPS) => {
+  if (h.length > maxTaps) return null;
+  const peak = Math.max(...h.map(Math.abs));
+  const first = h.findIndex(c => Math.abs(c) > 1e-12 * peak);
+  return first < 0 ? [] : polyRoots(h.slice(first));
+};
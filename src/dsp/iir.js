@@ -0,0 +1,219 @@
+// Digital IIR design (bilinear transform), second-order sections and minimum-order estimation
+
+import { designAnalog, ellipK, ellipKc } from './analog.js';
+import { PI, cAdd, cConj, cDiv, cExpj, cMag, cMul, cScale, cSub, complex, log10, polyFromRoots } from './math.js';
+
+// Digital IIR Design (Bilinear Transform)
+
+// Map an analog edge (Hz) to the prewarped analog frequency (rad/s) that lands on it after the BLT
+export const prewarp = (f, fs) => 2 * fs * Math.tan(PI * Math.min(f, 0.499 * fs) / fs);
+
+// s = 2fs (z - 1) / (z + 1); zeros at infinity move to z = -1
+export const bilinearZPK = ({ z, p, k }, fs) => {
+  const fs2 = complex(2 * fs, 0);
+  const toZ = (r) => cDiv(cAdd(fs2, r), cSub(fs2, r));
+  const gainOf = (roots) => roots.reduce((acc, r) => cMul(acc, cSub(fs2, r)), complex(1, 0));
+  return {
+    z: z.map(toZ).concat(Array.from({ length: p.length - z.length }, () => complex(-1, 0))),
+    p: p.map(toZ),
+    k: k * cDiv(gainOf(z), gainOf(p)).re,
+  };
+};
+
+export const zpk2tf = ({ z, p, k }) => ({
+  b: polyFromRoots(z).map(c => c * k),
+  a: polyFromRoots(p),
+});
+
+// Group roots into conjugate pairs, then the real roots two by two (odd leftover stays single)
+export const pairRoots = (roots) => {
+  const isReal = (r) => Math.abs(r.im) <= 1e-9 * Math.max(1, cMag(r));
+  const groups = roots.filter(r => !isReal(r) && r.im > 0).map(r => [r, cConj(r)]);
+  const reals = roots.filter(isReal).map(r => complex(r.re, 0)).sort((a, b) => a.re - b.re);
+  for (let i = 0; i < reals.length; i += 2) groups.push(reals.slice(i, i + 2));
+  return groups;
+};
+
+// Cascade of second-order sections [b0, b1, b2, a0, a1, a2], gain in the first section.
+// pairing 'nearest': poles closest to the unit circle are paired first with their nearest
+// zeros; 'sequential': zeros are handed out in design order. order 'up' places the poles
+// closest to the unit circle last, 'down' first.
+export const zpk2sos = ({ z, p, k }, { pairing = 'nearest', order = 'up' } = {}) => {
+  const toQuad = (roots) => polyFromRoots(roots).concat([0, 0]).slice(0, 3);
+  const zeroGroups = pairRoots(z);
+  const sections = pairRoots(p)
+    .sort((a, b) => cMag(b[0]) - cMag(a[0]))
+    .map(pg => {
+      if (pairing === 'sequential') return { zg: zeroGroups.shift() || [], pg };
+      let best = -1, bestDist = Infinity;
+      zeroGroups.forEach((zg, i) => {
+        const dist = cMag(cSub(zg[0], pg[0])) + (zg.length === pg.length ? 0 : 1e6);
+        if (dist < bestDist) { bestDist = dist; best = i; }
+      });
+      return { zg: best >= 0 ? zeroGroups.splice(best, 1)[0] : [], pg };
+    });
+  zeroGroups.forEach(zg => sections.push({ zg, pg: [] }));
+  return (order === 'up' ? sections.reverse() : sections).map(({ zg, pg }, i) =>
+    toQuad(zg).map(c => (i === 0 ? c * k : c)).concat(toQuad(pg))
+  );
+};
+
+export const designIIR = (topo, n, type, edgesHz, fs, rp, rs) => {
+  const analog = designAnalog(topo, n, type, edgesHz.map(f => prewarp(f, fs)), rp, rs);
+  const zpk = bilinearZPK(analog, fs);
+  return { ...zpk, ...zpk2tf(zpk), sos: zpk2sos(zpk) };
+};
+
+// H(e^jw) of a cascade, w in rad/sample
+export const evalPolyZ = (c, w) => c.reduce((acc, ci, i) => cAdd(acc, cScale(cExpj(-w * i), ci)), complex(0, 0));
+export const freqzSOS = (sos, w) => sos.reduce(
+  (acc, s) => cMul(acc, cDiv(evalPolyZ(s.slice(0, 3), w), evalPolyZ(s.slice(3), w))),
+  complex(1, 0)
+);
+
+// Run a signal through the cascade (transposed Direct Form II per section)
+export const sosfilt = (sos, x) => sos.reduce((sig, [b0, b1, b2, a0, a1, a2]) => {
+  let z1 = 0, z2 = 0;
+  return sig.map(xn => {
+    const y = (b0 * xn + z1) / a0;
+    z1 = (b1 * xn - a1 * y) / a0 + z2;
+    z2 = (b2 * xn - a2 * y) / a0;
+    return y;
+  });
+}, x);
+
+// Streaming direct-form II transposed filter: returns x(n) -> y(n)
+export const createLTI = (b, a) => {
+  const nb = b.map(v => v / a[0]);
+  const na = a.map(v => v / a[0]);
+  const order = Math.max(nb.length, na.length) - 1;
+  const z = new Array(order + 1).fill(0);
+  return (x) => {
+    const y = (nb[0] || 0) * x + z[0];
+    for (let i = 0; i < order; i++) z[i] = (nb[i + 1] || 0) * x - (na[i + 1] || 0) * y + z[i + 1];
+    return y;
+  };
+};
+
+// Minimum-Order IIR Estimation (buttord / cheb1ord / cheb2ord / ellipord)
+// spec: { pass: [f1, f2], stop: [f1, f2], ap, as } in Hz and dB (only f1 used for LP/HP).
+// Follows the SciPy formulation: edges are prewarped for digital designs, the order comes
+// from the selectivity of the equivalent lowpass prototype, then the natural frequency is
+// mapped back. Returns { order, wn } (wn in Hz) or { error }.
+
+// Golden-section minimizer on [a, b]
+const fminbound = (f, a, b, tol = 1e-9) => {
+  const g = (Math.sqrt(5) - 1) / 2;
+  let c = b - g * (b - a), d = a + g * (b - a);
+  let fc = f(c), fd = f(d);
+  for (let i = 0; i < 200 && Math.abs(b - a) > tol * (Math.abs(a) + Math.abs(b)); i++) {
+    if (fc < fd) { b = d; d = c; fd = fc; c = b - g * (b - a); fc = f(c); }
+    else { a = c; c = d; fc = fd; d = a + g * (b - a); fd = f(d); }
+  }
+  return (a + b) / 2;
+};
+
+const validateSpec = (type, { pass, stop, ap, as }, analog, fs) => {
+  if (!(ap > 0) || !(as > ap)) return 'Require 0 < Ap < As.';
+  const edges = type === 'lowpass' || type === 'highpass' ? [pass[0], stop[0]] : [...pass, ...stop];
+  if (edges.some(f => !(f > 0))) return 'Band edges must be positive.';
+  if (!analog && edges.some(f => f >= fs / 2)) return `Band edges must be below Nyquist (${fs / 2} Hz).`;
+  if (type === 'lowpass' && !(pass[0] < stop[0])) return 'Lowpass needs passband edge < stopband edge.';
+  if (type === 'highpass' && !(stop[0] < pass[0])) return 'Highpass needs stopband edge < passband edge.';
+  if (type === 'bandpass' && !(stop[0] < pass[0] && pass[0] < pass[1] && pass[1] < stop[1])) {
+    return 'Bandpass needs stop low < pass low < pass high < stop high.';
+  }
+  if (type === 'bandstop' && !(pass[0] < stop[0] && stop[0] < stop[1] && stop[1] < pass[1])) {
+    return 'Bandstop needs pass low < stop low < stop high < pass high.';
+  }
+  return null;
+};
+
+export const iirOrder = (topo, type, spec, analog, fs) => {
+  const error = validateSpec(type, spec, analog, fs);
+  if (error) return { error };
+  const warp = (f) => (analog ? f : Math.tan(PI * f / fs));
+  const unwarp = (w) => (analog ? w : (fs / PI) * Math.atan(w));
+  const isBand = type === 'bandpass' || type === 'bandstop';
+  const passb = (isBand ? spec.pass : spec.pass.slice(0, 1)).map(warp);
+  const stopb = (isBand ? spec.stop : spec.stop.slice(0, 1)).map(warp);
+  const GS = Math.pow(10, spec.as / 10), GP = Math.pow(10, spec.ap / 10);
+  const kind = topo === 'butterworth' ? 'butter' : topo === 'elliptic' ? 'ellip' : 'cheby';
+
+  // Order needed for a prototype with stopband/passband ratio nat
+  const orderFor = (nat) => {
+    if (kind === 'butter') return log10((GS - 1) / (GP - 1)) / (2 * log10(nat));
+    if (kind === 'cheby') return Math.acosh(Math.sqrt((GS - 1) / (GP - 1))) / Math.acosh(nat);
+    const m0 = 1 / (nat * nat), m1 = (GP - 1) / (GS - 1);
+    return (ellipK(m0) * ellipKc(m1)) / (ellipKc(m0) * ellipK(m1));
+  };
+  const natOf = (pb) => {
+    if (type === 'lowpass') return stopb[0] / pb[0];
+    if (type === 'highpass') return pb[0] / stopb[0];
+    const ratios = stopb.map(s => (type === 'bandstop'
+      ? (s * (pb[0] - pb[1])) / (s * s - pb[0] * pb[1])
+      : (s * s - pb[0] * pb[1]) / (s * (pb[0] - pb[1]))));
+    return Math.min(...ratios.map(Math.abs));
+  };
+
+  // Bandstop: move the passband edges inward as far as helps to minimize the order
+  if (type === 'bandstop') {
+    passb[0] = fminbound(x => orderFor(natOf([x, passb[1]])), passb[0], stopb[0] - 1e-12);
+    passb[1] = fminbound(x => orderFor(natOf([passb[0], x])), stopb[1] + 1e-12, passb[1]);
+  }
+  const nat = natOf(passb);
+  const order = Math.max(1, Math.ceil(orderFor(nat) - 1e-9));
+
+  let WN = passb;
+  if (kind === 'butter') {
+    const W0 = Math.pow(GP - 1, -1 / (2 * order));
+    if (type === 'lowpass') WN = [W0 * passb[0]];
+    else if (type === 'highpass') WN = [passb[0] / W0];
+    else if (type === 'bandstop') {
+      const d = passb[1] - passb[0];
+      const discr = Math.sqrt(d * d + 4 * W0 * W0 * passb[0] * passb[1]);
+      WN = [Math.abs((d + discr) / (2 * W0)), Math.abs((d - discr) / (2 * W0))];
+    } else {
+      const d = passb[1] - passb[0];
+      WN = [-W0, W0].map(w0 => Math.abs((-w0 * d) / 2 + Math.sqrt((w0 * w0 / 4) * d * d + passb[0] * passb[1])));
+    }
+  } else if (topo === 'chebyshev2') {
+    // Frequency where the analog response is -Ap dB
+    const newFreq = 1 / Math.cosh(Math.acosh(Math.sqrt((GS - 1) / (GP - 1))) / order);
+    const d = passb[0] - passb[1];
+    if (type === 'lowpass') WN = [passb[0] / newFreq];
+    else if (type === 'highpass') WN = [passb[0] * newFreq];
+    else {
+      const w0 = type === 'bandstop'
+        ? (newFreq / 2) * d + Math.sqrt((newFreq * newFreq * d * d) / 4 + passb[0] * passb[1])
+        : d / (2 * newFreq) + Math.sqrt((d * d) / (4 * newFreq * newFreq) + passb[0] * passb[1]);
+      WN = [w0, (passb[0] * passb[1]) / w0];
+    }
+  }
+  return { order, wn: WN.map(unwarp).sort((a, b) => a - b) };
+};
+
+// Worst-case margin of a design against the spec: passband loss vs Ap, stopband attenuation vs As.
+// responseDB(f) gives the gain in dB; fMax bounds the upper regions.
+export const specMargins = (type, { pass, stop, ap, as }, responseDB, fMax) => {
+  const fMin = Math.min(...[...pass, ...stop].filter(f => f > 0)) / 100;
+  const regions = {
+    lowpass: [['pass', fMin, pass[0]], ['stop', stop[0], fMax]],
+    highpass: [['stop', fMin, stop[0]], ['pass', pass[0], fMax]],
+    bandpass: [['stop', fMin, stop[0]], ['pass', pass[0], pass[1]], ['stop', stop[1], fMax]],
+    bandstop: [['pass', fMin, pass[0]], ['stop', stop[0], stop[1]], ['pass', pass[1], fMax]],
+  }[type];
+  return regions.map(([kind, lo, hi]) => {
+    let worst = kind === 'pass' ? 0 : Infinity;
+    for (let i = 0; i <= 256; i++) {
+      const loss = -responseDB(lo * Math.pow(hi / lo, i / 256));
+      worst = kind === 'pass' ? Math.max(worst, loss) : Math.min(worst, loss);
+    }
+    return kind === 'pass'
+      ? { kind, lo, hi, required: ap, achieved: worst, margin: ap - worst }
+      : { kind, lo, hi, required: as, achieved: worst, margin: worst - as };
+  });
+};
+
+// Cap on estimated orders so an over-tight spec cannot stall the UI
+export const MAX_SPEC_ORDER = 30;
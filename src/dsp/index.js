@@ -0,0 +1,67 @@
+// FilterLab DSP engine: UI-free filter design, analysis and adaptive filtering.
+// Runs unchanged in the browser and in Node (plain ES modules, no dependencies).
+//
+// Design (all return the filter object { kind, zpk: { z, p, k }, ba: { b, a }, sos, fs }):
+//   iirFilter({ topology, order, type, edges, fs, rp, rs })   Butterworth / Chebyshev I & II /
+//                                                             elliptic / Bessel; analog without fs
+//   firFilter({ taps, type, edges, fs, window, windowParam })  windowed sinc
+//   remezFilter({ taps, bands, fs, antisymmetric })            Parks-McClellan
+//   filterFromZPK(zpk, fs), filterFromTaps(h, fs)              wrap existing roots or taps
+// Frequencies are in Hz; complex values are { re, im }.
+//
+// Analysis and filtering:
+//   freqz(filter, w) / freqs(filter, w)   -> { w, h }, w in rad/sample / rad/s
+//   lfilter(b, a, x), sosfilt(sos, x), applyFilter(filter, x)
+//   iirOrder(), kaiserord(), stabilityReport(), quantizationReport(), groupDelayZPK(), ...
+//   responseData(filter, { points, fMin, fMax, spacing, fs })   dense linear / log response (Hz)
+//   czt(x, M, w0, dw), minMaxDecimate(f, series, buckets)
+//
+// Realization structures (keyed as in STRUCTURES):
+//   realizeStructure({ b, a, z, p, k }, structure, sosOptions)   coefficients of one structure
+//   structureCost(r), simulateStructure(r, { wordBits, mode, wideAcc }), runStructure(r, x)
+//
+// Analog circuits (rad/s, ohms, farads, henries; topologies keyed as in CIRCUIT_TOPOLOGIES):
+//   synthesizeActive(zpk, { topology, cap, rSeries, cSeries })   Sallen-Key / MFB / RC stages
+//   synthesizeLadder({ topology, order, type, edges, rp, rs }, { R0 })   doubly terminated LC ladder
+//   activeResponse(), ladderResponse(), realizationError(), snapToSeries(value, 'E24'), ...
+//
+// Multirate (Hz; methods keyed as in RATE_FILTER_METHODS):
+//   rateChangeFilter({ L, M, fs, passFraction, atten, method })   anti-alias / anti-image FIR
+//   polyphase(h, P), resamplePoly(x, h, L, M), aliasFolding(), firMagnitude()
+//   cicFilter({ R, N, D }), cicResponse(cic, f), cicCompensator(cic, { taps })
+//   planMultistage({ K, fs, fp, atten, maxStages })   stage factors by multiplies per sample
+//
+// Signals and spectra (Hz; signal kinds keyed as in SIGNAL_TYPES):
+//   generateSignal(kind, { fs, length, amplitude, f0, f1, f2, sweep, noise, seed })
+//   fftSpectrum(x, fs, { window, zeroPad }), welchPSD(x, fs, { segment, overlap, window })
+//   spectrogram(x, fs, { segment, hop, window }), harmonicAnalysis(x, fs) -> THD / SNR / SINAD
+//
+// Adaptive filters (algorithms keyed as in ADAPTIVE_ALGOS):
+//   adaptFilter(algo, L, params, x, d)    -> { y, e, w } over whole signals
+//   createAdaptive(algo, L, params)       -> { w, step(x, d) } for sample-by-sample use
+//   createAdaptiveStream(kind, algo, L, params, opts, seed)   live scenario run: step(), inject(),
+//                                         params / opts read on every sample
+//   runLearningCurve(...)                 ensemble learning curves of the built-in scenarios
+//
+// Kalman filtering (plain-data models as in KALMAN_MODELS; variants 'kf' / 'ekf' / 'ukf'):
+//   simulateKalmanModel(model, { steps, seed })   -> { truth, z }
+//   runKalman(model, z, { variant, qScale, rScale })   -> estimates, covariances, innovations, NIS
+//   kalmanConsistency(run, truth)          NEES / NIS chi-square bounds and innovation whiteness
+//   kalmanModelError(model), chiSquareQuantile(p, dof)
+
+export * from './math.js';
+export * from './windows.js';
+export * from './fir.js';
+export * from './analog.js';
+export * from './iir.js';
+export * from './quantization.js';
+export * from './zpk.js';
+export * from './stability.js';
+export * from './structures.js';
+export * from './circuits.js';
+export * from './multirate.js';
+export * from './spectrum.js';
+export * from './adaptive.js';
+export * from './kalman.js';
+export * from './filter.js';
+export * from './response.js';
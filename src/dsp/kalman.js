@@ -0,0 +1,313 @@
+// State-space Kalman filtering: linear KF, extended (EKF) and unscented (UKF) measurement updates,
+// preset models, simulation and consistency checks (NEES / NIS, innovation whiteness).
+// Models are plain data: { F, H, Q, R, x0, P0, measurement, sensor, dt, states, measurements }
+// with x(k+1) = F x(k) + w, w ~ N(0, Q) and z(k) = h(x(k)) + v, v ~ N(0, R), h(x) = H x for
+// measurement 'linear'. x0 / P0 are the prior of x(0), before the first measurement.
+
+import { PI, gaussian, mulberry32 } from './math.js';
+
+// --- MATRICES ---
+
+const identity = (n) => Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+const transpose = (A) => A[0].map((_, j) => A.map(row => row[j]));
+const matMul = (A, B) => A.map(row => B[0].map((_, j) => row.reduce((acc, v, k) => acc + v * B[k][j], 0)));
+const matVec = (A, x) => A.map(row => row.reduce((acc, v, k) => acc + v * x[k], 0));
+const matAdd = (A, B, s = 1) => A.map((row, i) => row.map((v, j) => v + s * B[i][j]));
+const vecAdd = (a, b, s = 1) => a.map((v, i) => v + s * b[i]);
+const outer = (a, b) => a.map(ai => b.map(bj => ai * bj));
+const scaleMatrix = (A, s) => A.map(row => row.map(v => v * s));
+
+// Inverse by Gauss-Jordan elimination with partial pivoting (small symmetric positive definite
+// matrices here); null when singular
+const inverse = (A) => {
+  const n = A.length;
+  const M = A.map((row, i) => [...row, ...identity(n)[i]]);
+  for (let c = 0; c < n; c++) {
+    let p = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[p][c])) p = r;
+    if (!(Math.abs(M[p][c]) > 1e-300)) return null;
+    [M[c], M[p]] = [M[p], M[c]];
+    const pivot = M[c][c];
+    for (let j = 0; j < 2 * n; j++) M[c][j] /= pivot;
+    for (let r = 0; r < n; r++) {
+      if (r === c || M[r][c] === 0) continue;
+      const f = M[r][c];
+      for (let j = 0; j < 2 * n; j++) M[r][j] -= f * M[c][j];
+    }
+  }
+  return M.map(row => row.slice(n));
+};
+
+// Lower Cholesky factor L L' = A of a symmetric positive semidefinite matrix (zero pivots give zero
+// columns); null if A has a negative pivot
+const cholesky = (A) => {
+  const n = A.length, L = A.map(() => new Array(n).fill(0));
+  const scale = Math.max(1e-300, ...A.map((row, i) => Math.abs(row[i])));
+  for (let j = 0; j < n; j++) {
+    let d = A[j][j];
+    for (let k = 0; k < j; k++) d -= L[j][k] * L[j][k];
+    if (d < -1e-12 * scale) return null;
+    if (d <= 1e-15 * scale) continue;
+    L[j][j] = Math.sqrt(d);
+    for (let i = j + 1; i < n; i++) {
+      let s = A[i][j];
+      for (let k = 0; k < j; k++) s -= L[i][k] * L[j][k];
+      L[i][j] = s / L[j][j];
+    }
+  }
+  return L;
+};
+
+// Quadratic form v' A^-1 v
+const normSquared = (v, Ainv) => v.reduce((acc, vi, i) => acc + vi * Ainv[i].reduce((s, a, j) => s + a * v[j], 0), 0);
+
+// --- MODELS ---
+
+// Nearly constant velocity [position, velocity] with white acceleration of spectral density q
+const constantVelocity = (dt, q) => ({
+  F: [[1, dt], [0, 1]],
+  Q: [[(q * dt ** 3) / 3, (q * dt ** 2) / 2], [(q * dt ** 2) / 2, q * dt]],
+});
+
+// Measurement functions h(x) and their Jacobians; range_bearing observes the first state (a
+// position along a line) from a sensor `sensor` units off the line
+const MEASUREMENTS = {
+  linear: {
+    h: (x, model) => matVec(model.H, x),
+    jacobian: (x, model) => model.H,
+  },
+  range_bearing: {
+    h: (x, { sensor }) => [Math.hypot(x[0], sensor), Math.atan2(x[0], sensor)],
+    jacobian: (x, { sensor }) => {
+      const r2 = x[0] * x[0] + sensor * sensor;
+      return [x.map((_, j) => (j === 0 ? x[0] / Math.sqrt(r2) : 0)), x.map((_, j) => (j === 0 ? sensor / r2 : 0))];
+    },
+  },
+};
+
+export const KALMAN_MEASUREMENTS = {
+  linear: 'Linear (z = H x)',
+  range_bearing: 'Range / Bearing',
+};
+
+export const KALMAN_VARIANTS = {
+  kf: 'KF',
+  ekf: 'EKF',
+  ukf: 'UKF',
+};
+
+const OSCILLATOR_W = 2 * PI * 0.02; // 50 samples per cycle
+
+export const KALMAN_MODELS = {
+  constant_velocity: {
+    label: 'Constant-Velocity Tracking', dt: 0.1,
+    states: ['position', 'velocity'], measurements: ['position'],
+    ...constantVelocity(0.1, 1), H: [[1, 0]], R: [[1]],
+    x0: [0, 0], P0: [[10, 0], [0, 10]], measurement: 'linear',
+  },
+  oscillator: {
+    label: 'Sinusoid in Noise', dt: 1,
+    states: ['in-phase', 'quadrature'], measurements: ['signal'],
+    F: [[Math.cos(OSCILLATOR_W), -Math.sin(OSCILLATOR_W)], [Math.sin(OSCILLATOR_W), Math.cos(OSCILLATOR_W)]],
+    H: [[1, 0]], Q: [[1e-4, 0], [0, 1e-4]], R: [[0.25]],
+    x0: [0, 0], P0: [[1, 0], [0, 1]], measurement: 'linear',
+  },
+  bias: {
+    label: 'Bias Estimation', dt: 1,
+    states: ['level', 'bias'], measurements: ['biased sensor', 'reference'],
+    F: [[1, 0], [0, 1]], H: [[1, 1], [1, 0]], Q: [[0.01, 0], [0, 0]], R: [[0.01, 0], [0, 1]],
+    x0: [0, 0], P0: [[1, 0], [0, 1]], measurement: 'linear',
+  },
+  range_bearing: {
+    label: 'Range / Bearing (Nonlinear)', dt: 0.1,
+    states: ['position', 'velocity'], measurements: ['range', 'bearing'],
+    ...constantVelocity(0.1, 0.5), H: null, R: [[0.01, 0], [0, 0.0009]], sensor: 2,
+    x0: [-6, 1.5], P0: [[4, 0], [0, 0.25]], measurement: 'range_bearing',
+  },
+};
+
+const isMatrix = (A, rows, cols) => Array.isArray(A) && A.length === rows
+  && A.every(row => Array.isArray(row) && row.length === cols && row.every(Number.isFinite));
+const isSymmetric = (A) => A.every((row, i) => row.every((v, j) => Math.abs(v - A[j][i]) <= 1e-9 * (1 + Math.abs(v))));
+
+// First problem with a model's dimensions or covariances as a readable message, or null
+export const kalmanModelError = (model) => {
+  const { F, H, Q, R, x0, P0, measurement } = model;
+  if (!MEASUREMENTS[measurement]) return `unknown measurement model '${measurement}'`;
+  const n = Array.isArray(F) ? F.length : 0;
+  if (n === 0 || !isMatrix(F, n, n)) return 'F must be a square matrix';
+  if (!Array.isArray(x0) || x0.length !== n || !x0.every(Number.isFinite)) return `x0 must have ${n} entries`;
+  for (const [name, A] of [['P0', P0], ['Q', Q]]) {
+    if (!isMatrix(A, n, n)) return `${name} must be ${n}×${n}`;
+    if (!isSymmetric(A) || !cholesky(A)) return `${name} must be symmetric positive semidefinite`;
+  }
+  const m = Array.isArray(R) ? R.length : 0;
+  if (m === 0 || !isMatrix(R, m, m)) return 'R must be a square matrix';
+  if (!isSymmetric(R) || !inverse(R) || !cholesky(R)) return 'R must be symmetric positive definite';
+  if (measurement === 'linear' && !isMatrix(H, m, n)) return `H must be ${m}×${n} (one row per measurement)`;
+  if (measurement === 'range_bearing' && (m !== 2 || !Number.isFinite(model.sensor) || model.sensor <= 0)) {
+    return 'range / bearing needs a 2×2 R and a positive sensor offset';
+  }
+  return null;
+};
+
+// --- SIMULATION ---
+
+// Truth x(0..steps-1), starting from a draw of N(x0, P0), and measurements z(k)
+export const simulateKalmanModel = (model, { steps = 200, seed = 1 } = {}) => {
+  const rng = mulberry32(seed);
+  const { h } = MEASUREMENTS[model.measurement];
+  const draw = (L) => matVec(L, L.map(() => gaussian(rng)));
+  const LQ = cholesky(model.Q), LR = cholesky(model.R);
+  let x = vecAdd(model.x0, draw(cholesky(model.P0)));
+  const truth = [], z = [];
+  for (let k = 0; k < steps; k++) {
+    if (k > 0) x = vecAdd(matVec(model.F, x), draw(LQ));
+    truth.push(x);
+    z.push(vecAdd(h(x, model), draw(LR)));
+  }
+  return { truth, z };
+};
+
+// --- FILTERING ---
+
+// Kalman filter over the measurements z[k]. variant 'kf' / 'ekf' update with the (Jacobian of
+// the) measurement matrix in Joseph form; 'ukf' passes 2n + 1 sigma points (alpha, beta, kappa)
+// through h. The dynamics are linear, so the prediction is exact for every variant. qScale /
+// rScale scale the filter's Q and R against the model that produced z (mistuning).
+// Returns per step { x, P, sigma } a posteriori and the innovations { innovation, S, nis }.
+export const runKalman = (model, z, { variant = 'kf', qScale = 1, rScale = 1, alpha = 1, beta = 2, kappa = 0 } = {}) => {
+  const { h, jacobian } = MEASUREMENTS[model.measurement];
+  const n = model.x0.length;
+  const Q = scaleMatrix(model.Q, qScale), R = scaleMatrix(model.R, rScale);
+  const lambda = alpha * alpha * (n + kappa) - n;
+  const Wm = [lambda / (n + lambda), ...new Array(2 * n).fill(1 / (2 * (n + lambda)))];
+  const Wc = [Wm[0] + 1 - alpha * alpha + beta, ...Wm.slice(1)];
+  let x = model.x0.slice(), P = model.P0.map(row => row.slice());
+  const out = { x: [], P: [], sigma: [], innovation: [], S: [], nis: [] };
+  z.forEach((zk, k) => {
+    if (k > 0) {
+      x = matVec(model.F, x);
+      P = matAdd(matMul(matMul(model.F, P), transpose(model.F)), Q);
+    }
+    let zHat, S, K;
+    if (variant === 'ukf') {
+      const L = cholesky(scaleMatrix(P, n + lambda)) || scaleMatrix(P, 0);
+      const columns = transpose(L);
+      const X = [x, ...columns.map(c => vecAdd(x, c)), ...columns.map(c => vecAdd(x, c, -1))];
+      const Z = X.map(xi => h(xi, model));
+      zHat = Z[0].map((_, i) => Z.reduce((acc, zi, s) => acc + Wm[s] * zi[i], 0));
+      S = R;
+      let Pxz = x.map(() => zHat.map(() => 0));
+      Z.forEach((zi, s) => {
+        const dz = vecAdd(zi, zHat, -1), dx = vecAdd(X[s], x, -1);
+        S = matAdd(S, outer(dz, dz), Wc[s]);
+        Pxz = matAdd(Pxz, outer(dx, dz), Wc[s]);
+      });
+      K = matMul(Pxz, inverse(S));
+      P = matAdd(P, matMul(matMul(K, S), transpose(K)), -1);
+    } else {
+      const Hk = jacobian(x, model);
+      zHat = h(x, model);
+      S = matAdd(matMul(matMul(Hk, P), transpose(Hk)), R);
+      K = matMul(matMul(P, transpose(Hk)), inverse(S));
+      const IKH = matAdd(identity(n), matMul(K, Hk), -1);
+      P = matAdd(matMul(matMul(IKH, P), transpose(IKH)), matMul(matMul(K, R), transpose(K)));
+    }
+    const nu = vecAdd(zk, zHat, -1);
+    x = vecAdd(x, matVec(K, nu));
+    out.x.push(x);
+    out.P.push(P);
+    out.sigma.push(P.map((row, i) => Math.sqrt(Math.max(0, row[i]))));
+    out.innovation.push(nu);
+    out.S.push(S);
+    out.nis.push(normSquared(nu, inverse(S)));
+  });
+  return out;
+};
+
+// --- CONSISTENCY ---
+
+// ln Gamma(x), x > 0 (Lanczos, g = 7, 9 terms)
+const LANCZOS = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+const logGamma = (x) => {
+  if (x < 0.5) return Math.log(PI / Math.sin(PI * x)) - logGamma(1 - x);
+  const t = x - 1 + 7.5;
+  const series = LANCZOS.slice(1).reduce((acc, c, i) => acc + c / (x + i), LANCZOS[0]);
+  return 0.5 * Math.log(2 * PI) + (x - 0.5) * Math.log(t) - t + Math.log(series);
+};
+
+// Regularized lower incomplete gamma P(a, x): series below a + 1, Lentz continued fraction above
+const gammaP = (a, x) => {
+  if (x <= 0) return 0;
+  const front = Math.exp(a * Math.log(x) - x - logGamma(a));
+  if (x < a + 1) {
+    let term = 1 / a, sum = term;
+    for (let k = 1; k < 1000 && Math.abs(term) > 1e-16 * Math.abs(sum); k++) {
+      term *= x / (a + k);
+      sum += term;
+    }
+    return sum * front;
+  }
+  let b = x + 1 - a, c = 1e300, d = 1 / b, f = d;
+  for (let k = 1; k < 1000; k++) {
+    const an = -k * (k - a);
+    b += 2;
+    d = an * d + b; if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c; if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const delta = c * d;
+    f *= delta;
+    if (Math.abs(delta - 1) < 1e-16) break;
+  }
+  return 1 - front * f;
+};
+
+// Chi-square quantile: x with P(chi2(dof) <= x) = p, by bisection on the CDF
+export const chiSquareQuantile = (p, dof) => {
+  let lo = 0, hi = dof + 10 * Math.sqrt(2 * dof) + 10;
+  while (gammaP(dof / 2, hi / 2) < p) hi *= 2;
+  for (let i = 0; i < 200 && hi - lo > 1e-13 * hi; i++) {
+    const mid = (lo + hi) / 2;
+    if (gammaP(dof / 2, mid / 2) < p) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+};
+
+// Two-sided chi-square acceptance interval [lo, hi] of the mean of `count` draws of chi2(dof)
+const chiSquareBounds = (dof, count, confidence) => [
+  chiSquareQuantile((1 - confidence) / 2, dof * count) / count,
+  chiSquareQuantile((1 + confidence) / 2, dof * count) / count,
+];
+
+// Consistency of a runKalman() result against the truth it estimated. NEES (x - x^)' P^-1 (x - x^)
+// ~ chi2(n) and NIS ~ chi2(m) per step, with `confidence` bounds per step and for the time
+// averages; `inside` is the fraction of steps within the per-step bounds. whiteness holds the
+// autocorrelation of each normalized innovation component nu_i / sqrt(S_ii) for lags
+// 0..maxLag with the +/- z / sqrt(N) band of white noise.
+export const kalmanConsistency = (run, truth, { confidence = 0.95, maxLag = 20 } = {}) => {
+  const N = run.x.length, n = run.x[0].length, m = run.innovation[0].length;
+  const nees = run.x.map((x, k) => normSquared(vecAdd(truth[k], x, -1), inverse(run.P[k]) || identity(n)));
+  const summary = (values, dof) => {
+    const step = chiSquareBounds(dof, 1, confidence);
+    return {
+      values, dof, bounds: step,
+      mean: values.reduce((a, v) => a + v, 0) / N,
+      meanBounds: chiSquareBounds(dof, N, confidence),
+      inside: values.filter(v => v >= step[0] && v <= step[1]).length / N,
+    };
+  };
+  const lags = Math.min(maxLag, N - 1);
+  const acf = Array.from({ length: m }, (_, i) => {
+    const u = run.innovation.map((nu, k) => nu[i] / Math.sqrt(run.S[k][i][i]));
+    const mean = u.reduce((a, v) => a + v, 0) / N;
+    const c = (lag) => u.slice(lag).reduce((acc, v, k) => acc + (v - mean) * (u[k] - mean), 0) / N;
+    const c0 = c(0) || 1;
+    return Array.from({ length: lags + 1 }, (_, lag) => c(lag) / c0);
+  });
+  // Normal quantile of the two-sided confidence from the chi2(1) quantile
+  const band = Math.sqrt(chiSquareQuantile(confidence, 1) / N);
+  const white = acf.map(r => r.slice(1).filter(v => Math.abs(v) <= band).length / Math.max(1, lags));
+  return { nees: summary(nees, n), nis: summary(run.nis, m), whiteness: { acf, band, white } };
+};
@@ -0,0 +1,149 @@
+// Math & DSP utilities: complex arithmetic, FFT, polynomials, small linear systems, seeded noise
+
+export const PI = Math.PI;
+export const log10 = (x) => Math.log(x) / Math.LN10;
+export const toDeg = (rad) => (rad * 180) / Math.PI;
+
+// Complex Number Helper
+export const complex = (re, im) => ({ re, im });
+export const cAdd = (a, b) => complex(a.re + b.re, a.im + b.im);
+export const cMul = (a, b) => complex(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+export const cSub = (a, b) => complex(a.re - b.re, a.im - b.im);
+export const cScale = (z, s) => complex(z.re * s, z.im * s);
+export const cConj = (z) => complex(z.re, -z.im);
+export const cDiv = (a, b) => {
+  const d = b.re * b.re + b.im * b.im;
+  return complex((a.re * b.re + a.im * b.im) / d, (a.im * b.re - a.re * b.im) / d);
+};
+export const cMag = (z) => Math.sqrt(z.re * z.re + z.im * z.im);
+export const cArg = (z) => Math.atan2(z.im, z.re);
+export const cExpj = (theta) => complex(Math.cos(theta), Math.sin(theta));
+export const cSqrt = (z) => {
+  const r = cMag(z);
+  const re = Math.sqrt((r + z.re) / 2);
+  const im = Math.sqrt(Math.max(0, (r - z.re) / 2));
+  return complex(re, z.im < 0 ? -im : im);
+};
+
+// In-place iterative radix-2 FFT on separate real/imaginary arrays (length must be a power of 2)
+export const fft = (re, im) => {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = (-2 * PI) / len;
+    const wRe = Math.cos(ang), wIm = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cRe = 1, cIm = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k, b = a + len / 2;
+        const tRe = re[b] * cRe - im[b] * cIm;
+        const tIm = re[b] * cIm + im[b] * cRe;
+        re[b] = re[a] - tRe; im[b] = im[a] - tIm;
+        re[a] += tRe; im[a] += tIm;
+        const next = cRe * wRe - cIm * wIm;
+        cIm = cRe * wIm + cIm * wRe;
+        cRe = next;
+      }
+    }
+  }
+};
+
+export const nextPow2 = (n) => Math.pow(2, Math.ceil(Math.log2(Math.max(1, n))));
+
+// Roots of a real polynomial (coefficients highest power first), Aberth-Ehrlich iteration.
+// Works on p/p' and sums of 1/(zi - zj), so it stays finite for high degrees; outside the
+// unit circle p/p' comes from the reversed polynomial in 1/z to avoid overflow.
+export const polyRoots = (coeffs) => {
+  const a = coeffs.map(c => c / coeffs[0]);
+  const n = a.length - 1;
+  if (n < 1) return [];
+  const horner = (c, z) => {
+    let p = complex(c[0], 0), dp = complex(0, 0);
+    for (let i = 1; i < c.length; i++) {
+      dp = cAdd(cMul(dp, z), p);
+      p = cAdd(cMul(p, z), complex(c[i], 0));
+    }
+    return [p, dp];
+  };
+  const reversed = a.slice().reverse();
+  // Newton ratio p(z) / p'(z); null at an exact root
+  const newtonRatio = (z) => {
+    if (cMag(z) <= 1) {
+      const [p, dp] = horner(a, z);
+      return cMag(p) === 0 ? null : cDiv(p, dp);
+    }
+    const w = cDiv(complex(1, 0), z);
+    const [q, dq] = horner(reversed, w);
+    return cMag(q) === 0 ? null : cDiv(z, cSub(complex(n, 0), cMul(w, cDiv(dq, q))));
+  };
+  const R = Math.max(1, Math.pow(Math.abs(a[n]), 1 / n));
+  let roots = Array.from({ length: n }, (_, i) => cScale(cExpj(2 * PI * i / n + 0.4), R));
+  for (let iter = 0; iter < 500; iter++) {
+    let maxStep = 0;
+    roots = roots.map((zi, i) => {
+      const ratio = newtonRatio(zi);
+      if (!ratio) return zi;
+      const repel = roots.reduce((acc, zj, j) => (j === i ? acc : cAdd(acc, cDiv(complex(1, 0), cSub(zi, zj)))), complex(0, 0));
+      const step = cDiv(ratio, cSub(complex(1, 0), cMul(ratio, repel)));
+      maxStep = Math.max(maxStep, cMag(step) / Math.max(1, cMag(zi)));
+      return cSub(zi, step);
+    });
+    if (maxStep < 1e-14) break;
+  }
+  return roots;
+};
+
+// Expand roots into a real polynomial (highest power first)
+export const polyFromRoots = (roots) => {
+  let poly = [complex(1, 0)];
+  roots.forEach(r => {
+    const next = poly.concat([complex(0, 0)]);
+    for (let i = 1; i < next.length; i++) next[i] = cSub(next[i], cMul(r, poly[i - 1]));
+    poly = next;
+  });
+  return poly.map(c => c.re);
+};
+
+export const dot = (a, b) => a.reduce((acc, v, i) => acc + v * b[i], 0);
+
+// Solve A x = b by Gaussian elimination with partial pivoting (A is small and dense)
+export const solveLinear = (A, b) => {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let c = 0; c < n; c++) {
+    let piv = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[piv][c])) piv = r;
+    [M[c], M[piv]] = [M[piv], M[c]];
+    for (let r = c + 1; r < n; r++) {
+      const f = M[r][c] / M[c][c];
+      for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    x[r] = (M[r][n] - dot(M[r].slice(r + 1, n), x.slice(r + 1))) / M[r][r];
+  }
+  return x;
+};
+
+// Seeded PRNG (mulberry32): uniform in [0, 1)
+export const mulberry32 = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), a | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal sample from a uniform generator (Box-Muller)
+export const gaussian = (rng) => Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * PI * rng());
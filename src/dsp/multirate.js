@@ -0,0 +1,176 @@
+// Multirate: rate-change filters, polyphase decomposition and resampling, CIC filters with
+// compensators, alias folding and multistage planning. Rates and frequencies in Hz.
+
+import { designFIR, designRemez } from './fir.js';
+import { PI, fft, log10, nextPow2 } from './math.js';
+import { kaiserord, windowSamples } from './windows.js';
+
+export const RATE_FILTER_METHODS = { nyquist: 'Nyquist (Kaiser)', equiripple: 'Equiripple' };
+
+// --- RATE-CHANGE FILTERS ---
+
+// Anti-aliasing / anti-imaging lowpass for a rate change by L / M (upsample by L, filter at
+// fs L, downsample by M). The band [0, fp] of the lower of the two rates is protected:
+// fp = passFraction times its Nyquist, stopband from (lower rate - fp), so aliases and images
+// only land in the transition band. 'nyquist' is a Kaiser-windowed sinc cut off at the lower
+// Nyquist, which zeros every K-th tap (K = max(L, M); K = 2 is a halfband filter);
+// 'equiripple' is Parks-McClellan with a Bellanger length estimate (at most maxTaps).
+// Taps carry the gain L. Returns { h, fs, L, M, K, fp, fstop, method, nonzero, capped,
+// cost: { direct, polyphase } } (multiplies per output sample) or { error }.
+export const rateChangeFilter = ({
+  L = 1, M = 1, fs, passFraction = 0.8, atten = 80, method = 'nyquist', maxTaps = method === 'equiripple' ? 511 : 4095,
+}) => {
+  if (!(L >= 1 && M >= 1 && Number.isInteger(L) && Number.isInteger(M))) return { error: 'L and M must be positive integers.' };
+  const K = Math.max(L, M);
+  if (K === 1) return { error: 'L = M = 1: there is no rate change to filter for.' };
+  const F = fs * L, low = Math.min(fs, F / M);
+  const fp = passFraction * low / 2, fstop = low - fp;
+  let h, capped = false;
+  if (method === 'equiripple') {
+    const delta = Math.pow(10, -atten / 20);
+    let taps = Math.ceil((2 / 3) * log10(1 / (10 * delta * delta)) * F / (fstop - fp)) + 1;
+    if (taps > maxTaps) { taps = maxTaps; capped = true; }
+    const design = designRemez(taps, [{ start: 0, end: fp, gain: 1, weight: 1 }, { start: fstop, end: F / 2, gain: 0, weight: 1 }], F);
+    if (!design) return { error: 'Band specification too narrow for the estimated length.' };
+    h = design.h.map(v => v * L);
+  } else {
+    const est = kaiserord(atten, fstop - fp, F);
+    let taps = est.taps + (est.taps % 2 ? 0 : 1);
+    if (taps > maxTaps) { taps = maxTaps % 2 ? maxTaps : maxTaps - 1; capped = true; }
+    const center = (taps - 1) / 2;
+    // Taps at multiples of K from the center are sin(pi m) = 0 up to rounding: set them exactly
+    h = designFIR(taps, [low / 2], F, 'kaiser', 'lowpass', est.beta)
+      .map((v, n) => (n !== center && (n - center) % K === 0 ? 0 : v * L));
+  }
+  const nonzero = h.filter(v => v !== 0).length;
+  return {
+    h, fs: F, L, M, K, fp, fstop, method, nonzero, capped,
+    cost: { direct: h.length * M, polyphase: nonzero / L },
+  };
+};
+
+// Polyphase components e_k[n] = h[n P + k], k = 0..P-1
+export const polyphase = (h, P) => Array.from({ length: P }, (_, k) => h.filter((_, n) => n % P === k));
+
+// Upsample by L, filter with h (at the high rate), downsample by M, computing only the kept
+// outputs from the polyphase branches: y[m] = sum_j e_p[j] x[i - j] with mM = iL + p
+export const resamplePoly = (x, h, L = 1, M = 1) => {
+  const branches = polyphase(h, L);
+  const length = Math.ceil((x.length * L) / M);
+  return Array.from({ length }, (_, m) => {
+    const n = m * M, p = n % L, i = (n - p) / L;
+    const e = branches[p];
+    let acc = 0;
+    for (let j = 0; j < e.length && j <= i; j++) acc += e[j] * x[i - j];
+    return acc;
+  });
+};
+
+// |H| of taps h on a uniform grid over [0, fs / 2], read back by linear interpolation
+export const firMagnitude = (h, fs, minPoints = 4096) => {
+  const size = nextPow2(Math.max(2 * minPoints, 8 * h.length));
+  const re = new Array(size).fill(0), im = new Array(size).fill(0);
+  h.forEach((v, n) => { re[n] = v; });
+  fft(re, im);
+  const mag = Array.from({ length: size / 2 + 1 }, (_, k) => Math.hypot(re[k], im[k]));
+  return (f) => {
+    const x = Math.min(size / 2, Math.abs(f) / fs * size);
+    const k = Math.min(size / 2 - 1, Math.floor(x));
+    return mag[k] + (mag[k + 1] - mag[k]) * (x - k);
+  };
+};
+
+// Spectral folding at the low rate `low` of a filter running at F: for f in [0, low / 2],
+// `signal` is |H(f)| and `alias` the largest |H| over the frequencies k low +/- f (k >= 1, below
+// F / 2) that fold onto f after decimation (or leave as images after interpolation), in dB
+// relative to `ref`. Returns [{ f, signal, alias }].
+export const aliasFolding = (mag, F, low, { points = 200, ref = 1 } = {}) => Array.from({ length: points + 1 }, (_, i) => {
+  const f = (low / 2) * i / points;
+  let worst = 0;
+  for (let k = 1; k * low - f <= F / 2; k++) {
+    worst = Math.max(worst, mag(k * low - f));
+    if (k * low + f <= F / 2) worst = Math.max(worst, mag(k * low + f));
+  }
+  const db = (v) => Math.max(-200, 20 * log10(v / ref + 1e-12));
+  return { f, signal: db(mag(f)), alias: db(worst) };
+});
+
+// --- CIC FILTERS ---
+
+// Hogenauer CIC of rate change R, N integrator / comb pairs and differential delay D.
+// gain = (R D)^N; register width for `inputBits` input: decimators grow by N log2(R D),
+// interpolators by log2((R D)^N / R).
+export const cicFilter = ({ R, N, D = 1, inputBits = 16, mode = 'decimate' }) => {
+  const gain = Math.pow(R * D, N);
+  const growth = Math.ceil(Math.log2(mode === 'interpolate' ? gain / R : gain) - 1e-9);
+  return { R, N, D, mode, gain, bitGrowth: growth, registerBits: inputBits + growth };
+};
+
+// Normalized |H| at f cycles per sample of the high rate: |sin(pi R D f) / (R D sin(pi f))|^N
+export const cicResponse = ({ R, N, D = 1 }, f) => {
+  const s = Math.sin(PI * f);
+  if (Math.abs(s) < 1e-12) return 1;
+  return Math.pow(Math.abs(Math.sin(PI * R * D * f) / (R * D * s)), N);
+};
+
+// Inverse-sinc compensator at the low rate (odd `taps`): the desired response 1 / |H_cic| up to
+// passFraction of the low-rate Nyquist rolls off linearly to zero at stopFraction and is
+// sampled densely into a cosine series, then Kaiser-windowed with shape `beta`
+export const cicCompensator = (cic, { taps = 31, passFraction = 0.5, stopFraction = 0.8, beta = 6 } = {}) => {
+  const n = taps % 2 ? taps : taps + 1, center = (n - 1) / 2;
+  const fp = passFraction / 2, fst = Math.max(fp + 1e-6, stopFraction / 2);
+  const desired = (f) => {
+    const inv = 1 / cicResponse(cic, f / cic.R);
+    if (f <= fp) return inv;
+    if (f >= fst) return 0;
+    return inv * (fst - f) / (fst - fp);
+  };
+  const grid = 4096, df = 0.5 / grid;
+  const D = Array.from({ length: grid + 1 }, (_, i) => desired(i * df));
+  const win = windowSamples('kaiser', n, beta);
+  return Array.from({ length: n }, (_, k) => {
+    // h[k] = 2 int_0^0.5 D(f) cos(2 pi f (k - c)) df, trapezoidal rule
+    let acc = 0;
+    D.forEach((d, i) => { acc += (i === 0 || i === grid ? 0.5 : 1) * d * Math.cos(2 * PI * i * df * (k - center)); });
+    return 2 * acc * df * win[k];
+  });
+};
+
+// --- MULTISTAGE PLANNING ---
+
+// Ordered factorizations of K into at most maxStages factors >= 2
+const factorizations = (K, maxStages) => {
+  if (maxStages === 0) return [];
+  const out = K >= 2 ? [[K]] : [];
+  for (let f = 2; f < K; f++) {
+    if (K % f) continue;
+    factorizations(K / f, maxStages - 1).forEach(rest => out.push([f, ...rest]));
+  }
+  return out;
+};
+
+// Decimation by K from fs (or interpolation by K to fs K, which mirrors it stage for stage),
+// protecting [0, fp] of the low rate with `atten` dB per stage. Stage i (rate F_i to F_i / M_i)
+// needs its stopband from F_i / M_i - fp only, since what aliases below that lands in bands
+// the later stages remove; each stage is a Nyquist-M_i Kaiser filter (factor 2: halfband).
+// Plans are sorted by multiplies per high-rate sample: [{ factors, stages: [{ factor, rateIn,
+// rateOut, fp, fstop, taps, nonzero, mults }], mults }].
+export const planMultistage = ({ K, fs, fp, atten = 80, maxStages = 3 }) => {
+  const low = fs / K;
+  if (!(fp > 0 && fp < low / 2)) return [];
+  return factorizations(K, maxStages).map(factors => {
+    let rate = fs, decimated = 1;
+    const stages = factors.map(factor => {
+      const rateOut = rate / factor, fstop = rateOut - fp;
+      const { taps: est } = kaiserord(atten, fstop - fp, rate);
+      const taps = est + (est % 2 ? 0 : 1), center = (taps - 1) / 2;
+      // Taps at nonzero multiples of `factor` from the center vanish
+      const zeros = 2 * Math.floor(center / factor);
+      decimated *= factor;
+      const stage = { factor, rateIn: rate, rateOut, fp, fstop, taps, nonzero: taps - zeros, mults: (taps - zeros) / decimated };
+      rate = rateOut;
+      return stage;
+    });
+    return { factors, stages, mults: stages.reduce((acc, s) => acc + s.mults, 0) };
+  }).sort((a, b) => a.mults - b.mults);
+};
@@ -0,0 +1,128 @@
+// Fixed-point coefficient quantization and realization analysis
+
+import { createLTI, evalPolyZ, freqzSOS, sosfilt } from './iir.js';
+import { cDiv, cMag, cSub, fft, log10, nextPow2, polyRoots } from './math.js';
+
+// Coefficients use a W-bit two's-complement word with F fraction bits (Q(W-1-F).F);
+// signals are Q0.(W-1), i.e. full scale is [-1, 1) with LSB q = 2^-(W-1).
+
+// Quantize one value; saturated flags a coefficient that did not fit the integer range
+export const quantizeValue = (v, wordBits, fracBits, mode) => {
+  const scale = Math.pow(2, fracBits);
+  const hi = Math.pow(2, wordBits - 1) - 1;
+  const raw = mode === 'truncate' ? Math.floor(v * scale) : Math.round(v * scale);
+  const word = Math.max(-hi - 1, Math.min(hi, raw));
+  return { value: word / scale, saturated: word !== raw };
+};
+
+// Smallest left shift s >= 0 that brings every coefficient into [-1, 1) once divided by 2^s
+export const fixedShift = (coeffs) => {
+  const peak = Math.max(0, ...coeffs.map(Math.abs));
+  return peak < 1 ? 0 : Math.floor(Math.log2(peak)) + 1;
+};
+
+// Quantize b/a (direct form, a[0] = 1 is implicit) or every SOS row (a0 = 1 is implicit)
+export const quantizeFilter = ({ b, a, sos }, structure, wordBits, fracBits, mode) => {
+  let saturated = 0;
+  const qv = (v) => {
+    const r = quantizeValue(v, wordBits, fracBits, mode);
+    if (r.saturated) saturated++;
+    return r.value;
+  };
+  if (structure === 'sos') {
+    const qsos = sos.map(([b0, b1, b2, a0, a1, a2]) => [qv(b0 / a0), qv(b1 / a0), qv(b2 / a0), 1, qv(a1 / a0), qv(a2 / a0)]);
+    return { sos: qsos, saturated };
+  }
+  return { b: b.map(c => qv(c / a[0])), a: [1, ...a.slice(1).map(c => qv(c / a[0]))], saturated };
+};
+
+// Poles of a realization: roots of A(z) for direct form, of every section for a cascade
+const realizationPoles = (tf) => (tf.sos
+  ? tf.sos.flatMap(s => polyRoots(s.slice(3)))
+  : polyRoots(tf.a));
+
+// Impulse response of a realization (length samples)
+const realizationImpulse = (tf, length) => {
+  const delta = Array.from({ length }, (_, i) => (i === 0 ? 1 : 0));
+  return tf.sos ? sosfilt(tf.sos, delta) : delta.map(createLTI(tf.b, tf.a));
+};
+
+export const realizationResponse = (tf, w) => (tf.sos
+  ? freqzSOS(tf.sos, w)
+  : cDiv(evalPolyZ(tf.b, w), evalPolyZ(tf.a, w)));
+
+// L1 / L2 / L-infinity norms of an impulse response (L-inf read off a zero-padded FFT)
+const filterNorms = (h) => {
+  const L = nextPow2(Math.max(1024, h.length));
+  const re = Float64Array.from({ length: L }, (_, i) => h[i] || 0);
+  const im = new Float64Array(L);
+  fft(re, im);
+  let linf = 0;
+  for (let i = 0; i <= L / 2; i++) linf = Math.max(linf, Math.hypot(re[i], im[i]));
+  return {
+    l1: h.reduce((acc, v) => acc + Math.abs(v), 0),
+    l2: Math.sqrt(h.reduce((acc, v) => acc + v * v, 0)),
+    linf,
+  };
+};
+
+// Multiplications that actually round: coefficients other than 0 and +/-1
+const roundedProducts = (coeffs) => coeffs.filter(c => c !== 0 && Math.abs(c) !== 1).length;
+
+// Full analysis of a digital design { b, a, sos } under a fixed-point format.
+// wideAcc: products are summed in a wide accumulator and rounded once per node;
+// otherwise every product is rounded. Noise sources are q^2/12 (plus a -q/2 mean when
+// truncating) injected at each summation node of a direct form I realization.
+export const quantizationReport = (design, structure, wordBits, fracBits, mode, wideAcc, impulseLength = 2048) => {
+  const ideal = structure === 'sos' ? { sos: design.sos } : { b: design.b, a: design.a };
+  const quant = quantizeFilter(design, structure, wordBits, fracBits, mode);
+
+  // Pole movement: pair each ideal pole with the nearest unused quantized pole
+  const idealPoles = realizationPoles(ideal).filter(p => cMag(p) > 1e-12);
+  const quantPoles = realizationPoles(quant);
+  const unused = quantPoles.slice();
+  const poles = idealPoles.map(p => {
+    let best = 0;
+    unused.forEach((r, i) => { if (cMag(cSub(r, p)) < cMag(cSub(unused[best], p))) best = i; });
+    const q = unused.splice(best, 1)[0];
+    return { ideal: p, quant: q, shift: cMag(cSub(q, p)) };
+  });
+  const maxRadius = Math.max(0, ...quantPoles.map(cMag));
+  const stable = maxRadius < 1;
+
+  // Signal scaling at each node (cumulative cascade output for SOS)
+  const nodes = quant.sos
+    ? quant.sos.map((_, k) => ({ label: `Section ${k + 1}`, tf: { sos: quant.sos.slice(0, k + 1) } }))
+    : [{ label: 'Output', tf: quant }];
+  const norms = nodes.map(({ label, tf }) => ({
+    label, ...(stable ? filterNorms(realizationImpulse(tf, impulseLength)) : { l1: Infinity, l2: Infinity, linf: Infinity }),
+  }));
+
+  // Roundoff noise: each node's sources see 1/A_k(z) followed by the remaining sections
+  const q = Math.pow(2, -(wordBits - 1));
+  const sources = quant.sos
+    ? quant.sos.map((s, k) => ({
+      count: wideAcc ? 1 : roundedProducts([s[0], s[1], s[2], s[4], s[5]]),
+      tf: { sos: [[1, 0, 0, 1, s[4], s[5]], ...quant.sos.slice(k + 1)] },
+    }))
+    : [{ count: wideAcc ? 1 : roundedProducts([...quant.b, ...quant.a.slice(1)]), tf: { b: [1], a: quant.a } }];
+  let variance = 0, mean = 0;
+  sources.forEach(({ count, tf }) => {
+    const g = stable ? realizationImpulse(tf, impulseLength) : [Infinity];
+    variance += count * (q * q / 12) * g.reduce((acc, v) => acc + v * v, 0);
+    if (mode === 'truncate') mean += count * (-q / 2) * g.reduce((acc, v) => acc + v, 0);
+  });
+  const noisePower = variance + mean * mean;
+
+  return {
+    quant, poles, maxRadius, stable, norms,
+    saturated: quant.saturated,
+    maxShift: Math.max(0, ...poles.map(p => p.shift)),
+    noise: {
+      power: noisePower,
+      db: 10 * log10(noisePower),
+      gainDb: 10 * log10(noisePower / (q * q / 12)),
+      snr: 10 * log10(0.5 / noisePower), // full-scale sinusoid
+    },
+  };
+};
@@ -0,0 +1,160 @@
+// Dense frequency responses: chirp-z transform, response on linear or log grids of up to tens of
+// thousands of points, and min / max decimation for plotting. Frequencies in Hz.
+
+import { freqsZPK } from './analog.js';
+import { freqzSOS } from './iir.js';
+import { PI, cArg, cMag, fft } from './math.js';
+import { groupDelayZPK, unwrapPhase, zpkPhase } from './zpk.js';
+
+// --- GRIDS & TRANSFORMS ---
+
+// `points` frequencies from fMin to fMax, evenly spaced ('linear') or geometric ('log', fMin > 0)
+export const frequencyGrid = ({ points, fMin, fMax, spacing = 'linear' }) => Float64Array.from({ length: points }, (_, i) => {
+  const t = points > 1 ? i / (points - 1) : 0;
+  return spacing === 'log' ? fMin * Math.pow(fMax / fMin, t) : fMin + (fMax - fMin) * t;
+});
+
+// Chirp-z transform X_k = sum_n x[n] e^(-j n (w0 + k dw)), k = 0..M-1 (Bluestein: three FFTs
+// of the next power of two >= N + M - 1). Returns { re, im }.
+export const czt = (x, M, w0, dw) => {
+  const N = x.length, L = Math.pow(2, Math.ceil(Math.log2(N + M - 1)));
+  const chirp = (n) => ((n * n * dw) / 2) % (2 * PI);
+  const yr = new Float64Array(L), yi = new Float64Array(L);
+  for (let n = 0; n < N; n++) {
+    const ph = -(w0 * n) % (2 * PI) - chirp(n);
+    yr[n] = x[n] * Math.cos(ph); yi[n] = x[n] * Math.sin(ph);
+  }
+  const vr = new Float64Array(L), vi = new Float64Array(L);
+  for (let m = 0; m < Math.max(M, N); m++) {
+    const c = Math.cos(chirp(m)), s = Math.sin(chirp(m));
+    if (m < M) { vr[m] = c; vi[m] = s; }
+    if (m > 0 && m < N) { vr[L - m] = c; vi[L - m] = s; }
+  }
+  fft(yr, yi); fft(vr, vi);
+  // Inverse FFT of the product as the conjugate of the forward FFT of its conjugate
+  for (let k = 0; k < L; k++) {
+    const r = yr[k] * vr[k] - yi[k] * vi[k], i = yr[k] * vi[k] + yi[k] * vr[k];
+    yr[k] = r; yi[k] = -i;
+  }
+  fft(yr, yi);
+  const re = new Float64Array(M), im = new Float64Array(M);
+  for (let k = 0; k < M; k++) {
+    const gr = yr[k] / L, gi = -yi[k] / L, ph = -chirp(k);
+    const c = Math.cos(ph), s = Math.sin(ph);
+    re[k] = gr * c - gi * s; im[k] = gr * s + gi * c;
+  }
+  return { re, im };
+};
+
+// Taps longer than this use the chirp-z transform on linear grids
+const CZT_MIN_TAPS = 32;
+
+// FIR response sum h[n] e^-jwn and group delay Re{ sum n h[n] e^-jwn / H } on the grid w
+// (rad/sample): chirp-z transforms on uniform grids, Horner in e^-jw otherwise. On a zero of H
+// the delay repeats the previous point.
+const firOnGrid = (h, w, uniform) => {
+  const M = w.length;
+  let H, D;
+  if (uniform && h.length > CZT_MIN_TAPS && M > 1) {
+    const dw = w[1] - w[0];
+    H = czt(h, M, w[0], dw);
+    D = czt(h.map((v, n) => n * v), M, w[0], dw);
+  } else {
+    H = { re: new Float64Array(M), im: new Float64Array(M) };
+    D = { re: new Float64Array(M), im: new Float64Array(M) };
+    const N = h.length;
+    for (let k = 0; k < M; k++) {
+      // H(z) = sum h[n] z^n and z H'(z) = sum n h[n] z^n at z = e^-jw
+      const zr = Math.cos(w[k]), zi = -Math.sin(w[k]);
+      let ar = h[N - 1] || 0, ai = 0, dr = 0, di = 0;
+      for (let n = N - 2; n >= 0; n--) {
+        const tr = dr * zr - di * zi + ar, ti = dr * zi + di * zr + ai;
+        dr = tr; di = ti;
+        const nr = ar * zr - ai * zi + h[n], ni = ar * zi + ai * zr;
+        ar = nr; ai = ni;
+      }
+      H.re[k] = ar; H.im[k] = ai;
+      D.re[k] = dr * zr - di * zi; D.im[k] = dr * zi + di * zr;
+    }
+  }
+  const energy = h.reduce((acc, v) => acc + v * v, 0);
+  const gd = new Float64Array(M);
+  for (let k = 0; k < M; k++) {
+    const den = H.re[k] * H.re[k] + H.im[k] * H.im[k];
+    gd[k] = den > 1e-20 * energy ? (D.re[k] * H.re[k] + D.im[k] * H.im[k]) / den : (k ? gd[k - 1] : 0);
+  }
+  return { re: H.re, im: H.im, gd };
+};
+
+// --- RESPONSES ---
+
+// Response of a filter object ({ kind, zpk, ba, sos, fs }) on `points` frequencies from fMin to
+// fMax, linear or log spaced. FIR taps use the chirp-z transform on linear grids; IIR responses
+// come from the second-order sections and analog ones from the roots. Group and phase delay are
+// in samples at fs (required for analog filters). Phase is unwrapped (degrees), anchored at fMin
+// by the root angles when the roots are known. Returns Float64Arrays { f, mag (dB), phase,
+// groupDelay, phaseDelay }.
+export const responseData = (filter, { points = 4096, fMin, fMax, spacing = 'log', fs = filter.fs }) => {
+  const f = frequencyGrid({ points, fMin, fMax, spacing });
+  const analog = filter.kind === 'analog';
+  const w = f.map(fi => (2 * PI * fi) / (analog ? 1 : filter.fs));
+  const mag = new Float64Array(points), raw = new Array(points);
+  let groupDelay = new Float64Array(points);
+  if (filter.kind === 'fir') {
+    const r = firOnGrid(filter.ba.b, w, spacing === 'linear');
+    for (let k = 0; k < points; k++) {
+      mag[k] = 20 * Math.log10(Math.hypot(r.re[k], r.im[k]) + 1e-15);
+      raw[k] = Math.atan2(r.im[k], r.re[k]);
+    }
+    groupDelay = r.gd;
+  } else {
+    for (let k = 0; k < points; k++) {
+      const H = analog ? freqsZPK(filter.zpk, w[k]) : freqzSOS(filter.sos, w[k]);
+      mag[k] = 20 * Math.log10(cMag(H) + 1e-15);
+      raw[k] = cArg(H);
+      groupDelay[k] = analog ? groupDelayZPK(filter.zpk, w[k], true) * fs : groupDelayZPK(filter.zpk, w[k], false);
+    }
+  }
+  // Phase increments predicted by the group delay between neighbouring points
+  if (filter.zpk) raw[0] += 2 * PI * Math.round((zpkPhase(filter.zpk, w[0], analog) - raw[0]) / (2 * PI));
+  const increments = Array.from(f, (fi, k) => (k === 0 ? 0 : -PI * (groupDelay[k - 1] + groupDelay[k]) * (fi - f[k - 1]) / fs));
+  const unwrapped = unwrapPhase(raw, increments);
+  return {
+    f,
+    mag,
+    phase: Float64Array.from(unwrapped, ph => (ph * 180) / PI),
+    groupDelay,
+    // At DC the phase delay takes its limit, the group delay
+    phaseDelay: Float64Array.from(unwrapped, (ph, k) => (f[k] > 0 ? -ph / ((2 * PI * f[k]) / fs) : groupDelay[k])),
+  };
+};
+
+// --- PLOTTING ---
+
+// Chart rows { f, [key]: value } keeping the extremes of `buckets` equal runs of points (one per
+// pixel column; on a log grid the runs are equal in log f). Each run gives two rows at its first
+// and last frequency; every series puts the extreme it reaches first in the first row, so
+// monotone stretches keep their direction. Grids of up to 2 buckets points are passed through.
+export const minMaxDecimate = (f, series, buckets = 800) => {
+  const keys = Object.keys(series);
+  if (f.length <= 2 * buckets) {
+    return Array.from(f, (fi, i) => keys.reduce((row, key) => ({ ...row, [key]: series[key][i] }), { f: fi }));
+  }
+  const rows = [];
+  for (let b = 0; b < buckets; b++) {
+    const start = Math.floor((b * f.length) / buckets), end = Math.floor(((b + 1) * f.length) / buckets) - 1;
+    const first = { f: f[start] }, last = { f: f[end] };
+    keys.forEach(key => {
+      const y = series[key];
+      let lo = start, hi = start;
+      for (let i = start + 1; i <= end; i++) {
+        if (y[i] < y[lo]) lo = i;
+        if (y[i] > y[hi]) hi = i;
+      }
+      first[key] = y[Math.min(lo, hi)];
+      last[key] = y[Math.max(lo, hi)];
+    });
+    rows.push(first, last);
+  }
+  return rows;
+};
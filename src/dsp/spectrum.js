@@ -0,0 +1,206 @@
+// Test signals and spectral analysis: FFT spectrum, Welch PSD, spectrogram and harmonic
+// distortion / noise figures (THD, SNR, SINAD). Frequencies in Hz, levels relative to full scale 1.
+
+import { PI, fft, gaussian, log10, mulberry32, nextPow2 } from './math.js';
+import { windowSamples } from './windows.js';
+
+export const SIGNAL_TYPES = {
+  sine: 'Sine',
+  multitone: 'Multi-Tone',
+  chirp: 'Chirp',
+  white: 'White Noise',
+  pink: 'Pink Noise',
+  square: 'Square',
+  impulses: 'Impulse Train',
+};
+
+// --- SIGNALS ---
+
+// `length` samples at rate fs. amplitude is the peak level (noise: the standard deviation of the
+// white noise, for pink noise of the noise driving the pinking filter). f0 is the tone /
+// square / impulse-train frequency; multitone sums octave-spaced tones from f0 (or `tones`)
+// with seeded random phases; chirp sweeps f1 -> f2, 'log' or 'linear'. noise adds white
+// Gaussian noise of that standard deviation to any signal.
+export const generateSignal = (kind, {
+  fs, length, amplitude = 0.5, f0 = 1000, tones = null, f1 = 20, f2 = 0.45 * fs, sweep = 'log', noise = 0, seed = 1,
+}) => {
+  const x = new Array(length).fill(0);
+  const rng = mulberry32(seed);
+  switch (kind) {
+    case 'sine':
+      for (let n = 0; n < length; n++) x[n] = amplitude * Math.sin(2 * PI * f0 * n / fs);
+      break;
+    case 'multitone': {
+      const freqs = [];
+      if (tones) tones.forEach(f => freqs.push([f, 2 * PI * rng()]));
+      else for (let f = f0; f < 0.45 * fs; f *= 2) freqs.push([f, 2 * PI * rng()]);
+      for (let n = 0; n < length; n++) x[n] = freqs.reduce((acc, [f, ph]) => acc + Math.sin(2 * PI * f * n / fs + ph), 0) * (amplitude / freqs.length);
+      break;
+    }
+    case 'chirp': {
+      const T = length / fs;
+      if (sweep === 'linear') {
+        for (let n = 0; n < length; n++) { const t = n / fs; x[n] = amplitude * Math.sin(2 * PI * (f1 * t + (f2 - f1) * t * t / (2 * T))); }
+      } else {
+        const K = T / Math.log(f2 / f1);
+        for (let n = 0; n < length; n++) x[n] = amplitude * Math.sin(2 * PI * f1 * K * (Math.exp(n / fs / K) - 1));
+      }
+      break;
+    }
+    case 'pink': {
+      // Paul Kellet's refined pink noise filter on white Gaussian noise
+      let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+      for (let n = 0; n < length; n++) {
+        const w = gaussian(rng) * amplitude;
+        b0 = 0.99886 * b0 + w * 0.0555179; b1 = 0.99332 * b1 + w * 0.0750759;
+        b2 = 0.96900 * b2 + w * 0.1538520; b3 = 0.86650 * b3 + w * 0.3104856;
+        b4 = 0.55000 * b4 + w * 0.5329522; b5 = -0.7616 * b5 - w * 0.0168980;
+        x[n] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + w * 0.5362;
+        b6 = w * 0.115926;
+      }
+      break;
+    }
+    case 'square':
+      // Sign of the sine: odd harmonics at 1/k, aliased above Nyquist like a real sampled square
+      for (let n = 0; n < length; n++) x[n] = amplitude * (Math.sin(2 * PI * f0 * n / fs) >= 0 ? 1 : -1);
+      break;
+    case 'impulses':
+      for (let n = 0; n < length; n += Math.max(1, Math.round(fs / f0))) x[n] = amplitude;
+      break;
+    default:
+      for (let n = 0; n < length; n++) x[n] = amplitude * gaussian(rng);
+  }
+  if (noise > 0) {
+    const nrng = mulberry32(seed + 1);
+    for (let n = 0; n < length; n++) x[n] += noise * gaussian(nrng);
+  }
+  return x;
+};
+
+// --- SPECTRA ---
+
+// Periodic window for spectral analysis (the symmetric window of N + 1 points without its last)
+export const spectralWindow = (type, N, param) => windowSamples(type, N + 1, param).slice(0, N);
+
+// Windowed FFT of the whole signal, zero-padded to zeroPad times the next power of two.
+// Amplitude spectrum scaled by the window's coherent gain, so a sine of amplitude A reads
+// 20 log10(A) dBFS at its bin. Returns { f, db, enbw } (enbw in bins of the unpadded length).
+export const fftSpectrum = (x, fs, { window = 'hanning', param, zeroPad = 1 } = {}) => {
+  const N = x.length, size = nextPow2(N) * zeroPad;
+  const w = spectralWindow(window, N, param);
+  const sum = w.reduce((a, v) => a + v, 0), sumSq = w.reduce((a, v) => a + v * v, 0);
+  const re = new Array(size).fill(0), im = new Array(size).fill(0);
+  for (let n = 0; n < N; n++) re[n] = x[n] * w[n];
+  fft(re, im);
+  const half = size / 2;
+  return {
+    f: Array.from({ length: half + 1 }, (_, k) => (k * fs) / size),
+    db: Array.from({ length: half + 1 }, (_, k) => 20 * log10((k === 0 || k === half ? 1 : 2) * Math.hypot(re[k], im[k]) / sum + 1e-15)),
+    enbw: N * sumSq / (sum * sum),
+  };
+};
+
+// One-sided power spectra |X_k|^2 of windowed, mean-removed segments
+const segmentSpectra = (x, { segment, hop, window, param }) => {
+  const w = spectralWindow(window, segment, param);
+  const out = [];
+  for (let start = 0; start + segment <= x.length; start += hop) {
+    const seg = x.slice(start, start + segment);
+    const mean = seg.reduce((a, v) => a + v, 0) / segment;
+    const re = seg.map((v, n) => (v - mean) * w[n]), im = new Array(segment).fill(0);
+    fft(re, im);
+    out.push({ start, power: Array.from({ length: segment / 2 + 1 }, (_, k) => re[k] * re[k] + im[k] * im[k]) });
+  }
+  return { w, frames: out };
+};
+
+// Welch power spectral density (V^2/Hz, one-sided) as scipy.signal.welch with a periodic
+// window, constant detrend and density scaling; segment must be a power of two.
+// Returns { f, psd, segments }.
+export const welchPSD = (x, fs, { segment = 1024, overlap = 0.5, window = 'hanning', param } = {}) => {
+  const hop = Math.max(1, Math.round(segment * (1 - overlap)));
+  const { w, frames } = segmentSpectra(x, { segment, hop, window, param });
+  const scale = 1 / (fs * w.reduce((a, v) => a + v * v, 0));
+  const half = segment / 2;
+  const psd = Array.from({ length: half + 1 }, (_, k) => (k === 0 || k === half ? 1 : 2) * scale
+    * frames.reduce((acc, fr) => acc + fr.power[k], 0) / Math.max(1, frames.length));
+  return { f: Array.from({ length: half + 1 }, (_, k) => (k * fs) / segment), psd, segments: frames.length };
+};
+
+// Short-time PSD in dB: { times (segment centers, s), f, db: [frame][bin] }
+export const spectrogram = (x, fs, { segment = 256, hop = segment / 2, window = 'hanning', param } = {}) => {
+  const { w, frames } = segmentSpectra(x, { segment, hop, window, param });
+  const scale = 1 / (fs * w.reduce((a, v) => a + v * v, 0));
+  const half = segment / 2;
+  return {
+    times: frames.map(fr => (fr.start + segment / 2) / fs),
+    f: Array.from({ length: half + 1 }, (_, k) => (k * fs) / segment),
+    db: frames.map(fr => fr.power.map((p, k) => 10 * log10((k === 0 || k === half ? 1 : 2) * p * scale + 1e-20))),
+  };
+};
+
+// --- DISTORTION & NOISE ---
+
+// THD, SNR and SINAD of a signal around its largest tone, from a Kaiser (beta = 20, sidelobes
+// below -190 dB) periodogram: the fundamental and each of the first `harmonics` harmonics (folded into the
+// band) take the bins of one main lobe; DC is ignored and the rest is noise, with the
+// excluded harmonic bins filled at the mean noise level. Levels in dB; thd and sinad count
+// harmonics up to `harmonics`. Returns null for signals without a tone.
+export const harmonicAnalysis = (x, fs, { harmonics = 6 } = {}) => {
+  const N = x.length, size = nextPow2(N);
+  const w = spectralWindow('kaiser', N, 20);
+  const re = new Array(size).fill(0), im = new Array(size).fill(0);
+  for (let n = 0; n < N; n++) re[n] = x[n] * w[n];
+  fft(re, im);
+  const half = size / 2;
+  const P = Array.from({ length: half + 1 }, (_, k) => re[k] * re[k] + im[k] * im[k]);
+  const span = Math.ceil(7 * size / N) + 1; // main lobe: +/- sqrt(1 + (beta / pi)^2) = 6.4 bins of N
+  const used = new Array(half + 1).fill(false);
+  const take = (k0) => {
+    let sum = 0;
+    for (let k = Math.max(0, k0 - span); k <= Math.min(half, k0 + span); k++) {
+      if (!used[k]) { sum += P[k]; used[k] = true; }
+    }
+    return sum;
+  };
+  take(0);
+  let k1 = span + 1;
+  for (let k = span + 1; k <= half; k++) if (P[k] > P[k1]) k1 = k;
+  const total = P.reduce((a, v) => a + v, 0);
+  if (!(P[k1] > 1e-12 * total) || total === 0) return null;
+  // Power-weighted centroid of the main lobe refines the tone frequency
+  let num = 0, den = 0;
+  for (let k = Math.max(0, k1 - span); k <= Math.min(half, k1 + span); k++) { num += k * P[k]; den += P[k]; }
+  const f0 = (num / den) * fs / size;
+  const fundamental = take(k1);
+  const list = [];
+  for (let h = 2; h <= harmonics + 1; h++) {
+    // Harmonic frequency folded into [0, fs / 2], then its local peak within one main lobe
+    let fh = (h * f0) % fs;
+    if (fh > fs / 2) fh = fs - fh;
+    const kh = Math.round(fh * size / fs);
+    let peak = kh;
+    for (let k = Math.max(0, kh - span); k <= Math.min(half, kh + span); k++) if (P[k] > P[peak]) peak = k;
+    const freeBins = used.slice(Math.max(0, peak - span), Math.min(half, peak + span) + 1).filter(u => !u).length;
+    list.push({ order: h, f: fh, power: take(peak), bins: freeBins });
+  }
+  const rest = P.reduce((acc, p, k) => (used[k] ? acc : acc + p), 0);
+  const restBins = used.filter(u => !u).length;
+  const density = restBins ? rest / restBins : 0;
+  // Harmonic bins hold noise too: count it as noise rather than distortion
+  const distortion = list.reduce((acc, hm) => acc + Math.max(0, hm.power - density * hm.bins), 0);
+  const noisePower = rest + density * list.reduce((acc, hm) => acc + hm.bins, 0);
+  const db = (ratio) => 10 * log10(ratio + 1e-30);
+  const energy = w.reduce((a, v) => a + v * v, 0);
+  return {
+    f0,
+    // Peak amplitude from the lobe power (Parseval), free of scalloping loss
+    level: 20 * log10(Math.sqrt(4 * fundamental / (size * energy)) + 1e-15),
+    harmonics: list.map(hm => ({ order: hm.order, f: hm.f, dbc: db(Math.max(0, hm.power - density * hm.bins) / fundamental) })),
+    thd: db(distortion / fundamental),
+    thdPercent: 100 * Math.sqrt(distortion / fundamental),
+    snr: db(fundamental / noisePower),
+    sinad: db(fundamental / (noisePower + distortion)),
+    enob: (db(fundamental / (noisePower + distortion)) - 1.76) / 6.02,
+  };
+};
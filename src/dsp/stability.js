@@ -0,0 +1,130 @@
+// Stability tests (Jury, Routh-Hurwitz) and pole damping
+
+import { firZeros } from './fir.js';
+import { zpk2tf } from './iir.js';
+import { PI, cArg, cMag, cScale, complex, polyRoots } from './math.js';
+
+// Jury array for a z-domain denominator a[0] z^n + ... + a[n]. Each reduced row is rescaled
+// to unit peak, which leaves the |first| > |last| conditions unchanged and avoids overflow.
+export const juryTest = (den) => {
+  const a = (den[0] < 0 ? den.map(c => -c) : den).slice().reverse(); // a[k] multiplies z^k
+  const n = a.length - 1;
+  const P = (z) => a.reduce((acc, c, k) => acc + c * Math.pow(z, k), 0);
+  const conditions = [
+    { label: 'P(1) > 0', value: P(1), pass: P(1) > 0 },
+    { label: `(-1)^${n} P(-1) > 0`, value: Math.pow(-1, n) * P(-1), pass: Math.pow(-1, n) * P(-1) > 0 },
+  ];
+  if (n > 0) conditions.push({ label: `|a0| < a${n}`, value: a[n] - Math.abs(a[0]), pass: Math.abs(a[0]) < a[n] });
+  const rows = [a];
+  for (let row = a; row.length > 3;) {
+    const m = row.length - 1;
+    const next = Array.from({ length: m }, (_, k) => row[0] * row[k] - row[m] * row[m - k]);
+    const peak = Math.max(...next.map(Math.abs)) || 1;
+    row = next.map(c => c / peak);
+    rows.push(row);
+    const name = String.fromCharCode(97 + rows.length - 1);
+    conditions.push({
+      label: `|${name}0| > |${name}${m - 1}|`, value: Math.abs(row[0]) - Math.abs(row[m - 1]), pass: Math.abs(row[0]) > Math.abs(row[m - 1]),
+    });
+  }
+  return { rows, conditions, stable: conditions.every(c => c.pass) };
+};
+
+// Routh-Hurwitz array for an s-domain denominator (highest power first). A zero leading entry
+// becomes a small epsilon and an all-zero row the derivative of the auxiliary polynomial
+// above it; sign changes in the first column count the right-half-plane roots.
+export const routhTable = (den) => {
+  const a = den[0] < 0 ? den.map(c => -c) : den;
+  const n = a.length - 1;
+  const width = Math.floor(n / 2) + 1;
+  const rows = [0, 1].map(start => Array.from({ length: width }, (_, i) => a[start + 2 * i] || 0));
+  let special = null; // 'epsilon' | 'auxiliary'
+  for (let r = 1; r <= n; r++) {
+    if (r >= 2) {
+      const [upper, prev] = [rows[r - 2], rows[r - 1]];
+      rows.push(Array.from({ length: width }, (_, i) => (
+        (prev[0] * (upper[i + 1] || 0) - upper[0] * (prev[i + 1] || 0)) / prev[0]
+      )));
+    }
+    const row = rows[r], above = rows[r - 1];
+    const tol = 1e-10 * Math.max(...above.map(Math.abs), ...row.map(Math.abs));
+    if (row.every(c => Math.abs(c) <= tol)) {
+      // Auxiliary polynomial of order n - r + 1 from the row above: roots symmetric about the origin
+      const order = n - r + 1;
+      rows[r] = above.map((c, i) => c * (order - 2 * i)).map(c => (Math.abs(c) <= tol ? 0 : c));
+      special = special || 'auxiliary';
+    }
+    if (Math.abs(rows[r][0]) <= tol) {
+      rows[r][0] = 1e-9 * Math.max(...above.map(Math.abs));
+      special = special || 'epsilon';
+    }
+  }
+  const firstColumn = rows.map(row => row[0]);
+  const signChanges = firstColumn.slice(1).filter((c, i) => Math.sign(c) !== Math.sign(firstColumn[i])).length;
+  return { rows, firstColumn, signChanges, special, stable: signChanges === 0 && !special };
+};
+
+// Natural frequency, damping ratio and Q of each pole, conjugate pairs listed once (as MATLAB
+// damp: digital poles map to s = fs ln z). Poles at z = 0 are pure delays and are skipped.
+export const poleDamping = (poles, analog, fs) => poles
+  .filter(p => p.im >= -1e-9 * Math.max(1, cMag(p)) && (analog || cMag(p) > 1e-12))
+  .map(p => {
+    const pair = Math.abs(p.im) > 1e-9 * Math.max(1, cMag(p));
+    const s = analog ? p : complex(fs * Math.log(cMag(p)), fs * cArg(p));
+    const wn = cMag(s);
+    const zeta = wn > 0 ? -s.re / wn : 1;
+    return { pole: pair ? p : complex(p.re, 0), pair, f0: wn / (2 * PI), zeta, Q: pair ? 1 / (2 * zeta) : null };
+  })
+  .sort((x, y) => x.f0 - y.f0);
+
+// Roots of a polynomial with leading (near-)zero coefficients dropped
+const trimmedRoots = (coeffs) => {
+  const peak = Math.max(...coeffs.map(Math.abs));
+  const first = coeffs.findIndex(c => Math.abs(c) > 1e-14 * peak);
+  return first < 0 ? [] : polyRoots(coeffs.slice(first));
+};
+
+// Stability of the realized design. Digital IIR: the Jury test and root finding run on each
+// biquad denominator (the cascade that is actually implemented), and on the expanded direct-form
+// denominator for comparison. Analog: Routh on the denominator normalized to s / wc.
+// Margin is the largest pole radius (z) or real part (s); minPhase allows zeros on the boundary.
+// status is 'stable', 'marginal' (on the boundary) or 'unstable'.
+export const stabilityReport = ({ zpk, iir, coeffs, wc }, { domain, sampleRate }) => {
+  if (domain === 'digital_fir') {
+    const zeros = firZeros(coeffs);
+    return {
+      test: 'fir', stable: true, status: 'stable', margin: 0, damping: [],
+      minPhase: zeros ? zeros.every(z => cMag(z) <= 1 + 1e-6) : null,
+    };
+  }
+  if (domain === 'analog') {
+    // Coefficients of s^k scaled by wc^k keep the roots near the unit circle
+    const { b, a } = zpk2tf(zpk);
+    const normalize = (c) => c.map((v, i) => v * Math.pow(wc, c.length - 1 - i));
+    const norm = normalize(a).map((v, _, arr) => v / arr[0]);
+    const poles = trimmedRoots(norm).map(r => cScale(r, wc));
+    const zeros = trimmedRoots(normalize(b)).map(r => cScale(r, wc));
+    const routh = routhTable(norm);
+    const margin = Math.max(...poles.map(p => p.re));
+    const stable = routh.stable && margin < 0;
+    return {
+      test: 'routh', routh, margin, stable,
+      status: stable ? 'stable' : margin > 1e-6 * wc ? 'unstable' : 'marginal',
+      damping: poleDamping(poles, true, sampleRate),
+      minPhase: zeros.every(z => z.re <= 1e-6 * Math.max(1, cMag(z))),
+    };
+  }
+  const sections = iir.sos.map(sec => ({ jury: juryTest(sec.slice(3)), poles: trimmedRoots(sec.slice(3)) }));
+  const poles = sections.flatMap(sec => sec.poles);
+  const zeros = iir.sos.flatMap(sec => trimmedRoots(sec.slice(0, 3)));
+  const margin = Math.max(0, ...poles.map(cMag));
+  const directPoles = trimmedRoots(iir.a);
+  const stable = sections.every(sec => sec.jury.stable) && margin < 1;
+  return {
+    test: 'jury', sections, margin, stable,
+    status: stable ? 'stable' : margin > 1 + 1e-9 ? 'unstable' : 'marginal',
+    direct: { jury: juryTest(iir.a), margin: Math.max(0, ...directPoles.map(cMag)) },
+    damping: poleDamping(poles, false, sampleRate),
+    minPhase: zeros.every(z => cMag(z) <= 1 + 1e-6),
+  };
+};
@@ -0,0 +1,326 @@
+// Realization structures: conversion of a digital design, per-sample cost and
+// finite-precision simulation
+
+import { pairRoots, zpk2sos } from './iir.js';
+import { cAdd, cConj, cDiv, cMag, cMul, cSub, complex, mulberry32, polyRoots } from './math.js';
+import { fixedShift, quantizeValue } from './quantization.js';
+
+export const STRUCTURES = {
+  df1: 'Direct Form I',
+  df2: 'Direct Form II',
+  tdf2: 'Transposed DF-II',
+  sos: 'Cascade SOS',
+  parallel: 'Parallel',
+  lattice: 'Lattice-Ladder',
+};
+
+// Partial fractions H(z) = c + sum r_i / (1 - p_i z^-1) from the roots, with conjugate
+// (and leftover real) poles merged into [b0, b1, 0, 1, a1, a2] rows. Needs distinct, nonzero poles.
+const partialFractions = ({ z, p, k }) => {
+  if (p.some(pi => cMag(pi) < 1e-12)) return { error: 'Poles at the origin have no first-order term.' };
+  const close = p.some((pi, i) => p.some((pj, j) => j > i && cMag(cSub(pi, pj)) < 1e-6 * Math.max(1, cMag(pi))));
+  if (close) return { error: 'Repeated poles have no simple partial-fraction form.' };
+  if (z.length > p.length) return { error: 'More zeros than poles.' };
+  // r_i = k prod(p_i - z_l) / (p_i prod_{j != i}(p_i - p_j))
+  const residue = (pi) => cDiv(
+    z.reduce((acc, zl) => cMul(acc, cSub(pi, zl)), complex(k, 0)),
+    p.reduce((acc, pj) => (pj === pi ? acc : cMul(acc, cSub(pi, pj))), pi),
+  );
+  const rows = pairRoots(p).map(group => {
+    // pairRoots hands back fresh conjugates, so look residues up by value
+    const [p1, p2] = group;
+    const r1 = residue(p.reduce((best, pj) => (cMag(cSub(pj, p1)) < cMag(cSub(best, p1)) ? pj : best)));
+    if (!p2) return [r1.re, 0, 0, 1, -p1.re, 0];
+    const r2 = p2.im !== 0 ? cConj(r1) : residue(p.reduce((best, pj) => (cMag(cSub(pj, p2)) < cMag(cSub(best, p2)) ? pj : best)));
+    // r1 / (1 - p1 w) + r2 / (1 - p2 w) over the common quadratic
+    const num1 = cAdd(cMul(r1, p2), cMul(r2, p1));
+    return [r1.re + r2.re, -num1.re, 0, 1, -(p1.re + p2.re), cMul(p1, p2).re];
+  });
+  // H(z -> inf) = k when the degrees match, 0 otherwise
+  const direct = (z.length === p.length ? k : 0) - rows.reduce((acc, row) => acc + row[0], 0);
+  return { direct: [direct], sections: rows };
+};
+
+// Reflection coefficients by the step-down recursion on a monic polynomial; null when |k_m| = 1
+const stepDown = (poly) => {
+  const M = poly.length - 1;
+  const K = new Array(M + 1).fill(0);
+  const stages = [poly.slice()]; // A_M ... A_0, highest order first
+  let A = poly.slice();
+  for (let m = M; m >= 1; m--) {
+    K[m] = A[m];
+    const den = 1 - K[m] * K[m];
+    if (Math.abs(den) < 1e-12) return null;
+    A = Array.from({ length: m }, (_, i) => (A[i] - K[m] * A[m - i]) / den);
+    stages.push(A);
+  }
+  return { K, stages };
+};
+
+// Lattice-ladder (Gray-Markel) coefficients of b / a: reflection K_1..K_M and ladder v_0..v_M.
+// FIR designs (a = [1]) use the all-zero lattice instead: { K, gain } with b = gain * A_M.
+const latticeCoefficients = (b, a) => {
+  if (a.length === 1) {
+    const gain = b[0];
+    if (Math.abs(gain) < 1e-12) return { error: 'The first tap is zero.' };
+    const lattice = stepDown(b.map(c => c / gain));
+    return lattice ? { K: lattice.K, gain } : { error: 'A reflection coefficient has magnitude 1 (linear-phase FIR).' };
+  }
+  const M = Math.max(a.length, b.length) - 1;
+  const pad = (c) => c.concat(new Array(M + 1 - c.length).fill(0));
+  const lattice = stepDown(pad(a));
+  if (!lattice) return { error: 'A reflection coefficient has magnitude 1.' };
+  // C_{m-1} = C_m - v_m B_m with B_m the reversed A_m
+  const c = pad(b);
+  const v = new Array(M + 1).fill(0);
+  lattice.stages.forEach((A, idx) => {
+    const m = M - idx;
+    v[m] = c[m];
+    for (let i = 0; i <= m; i++) c[i] -= v[m] * A[m - i];
+  });
+  return { K: lattice.K, v };
+};
+
+// Overall gain shared evenly between the section numerators (first one carries the sign),
+// so no section output is left tiny and amplified by the rest of the cascade
+const spreadGain = (sos, k) => {
+  const share = Math.pow(Math.abs(k), 1 / sos.length);
+  return sos.map((s, i) => s.map((c, j) => (j < 3 ? c * share * (i === 0 ? Math.sign(k) : 1) : c)));
+};
+
+// Realization of a digital design { b, a, z, p, k } (FIR: a = [1]) in one structure:
+//   df1 / df2 / tdf2: { b, a }; sos: { sos }; parallel: { direct, sections } (sections as SOS rows);
+//   lattice: { K, v } or { K, gain } for FIR. { error } when the structure does not exist.
+// sosOptions go to zpk2sos (pairing, order).
+export const realizeStructure = (design, structure, sosOptions) => {
+  const b = design.b.map(c => c / design.a[0]);
+  const a = design.a.map(c => c / design.a[0]);
+  const fir = a.length === 1;
+  switch (structure) {
+    case 'sos':
+      if (!design.z) return { structure, error: 'Zeros are not available for this length.' };
+      return { structure, sos: spreadGain(zpk2sos({ ...design, k: 1 }, sosOptions), design.k) };
+    case 'parallel':
+      if (fir) return { structure, direct: b, sections: [] };
+      return { structure, ...partialFractions(design) };
+    case 'lattice':
+      return { structure, ...latticeCoefficients(b, a) };
+    default:
+      return { structure, b, a };
+  }
+};
+
+// Every coefficient of a realization, for scaling and quantization
+const coefficientsOf = (r) => {
+  switch (r.structure) {
+    case 'sos': return r.sos.flatMap(s => [s[0], s[1], s[2], s[4], s[5]]);
+    case 'parallel': return [...r.direct, ...r.sections.flatMap(s => [s[0], s[1], s[4], s[5]])];
+    case 'lattice': return [...r.K.slice(1), ...(r.v || [r.gain])];
+    default: return [...r.b, ...r.a.slice(1)];
+  }
+};
+
+// Same realization with every coefficient passed through q
+const mapCoefficients = (r, q) => {
+  switch (r.structure) {
+    case 'sos': return { ...r, sos: r.sos.map(([b0, b1, b2, a0, a1, a2]) => [q(b0 / a0), q(b1 / a0), q(b2 / a0), 1, q(a1 / a0), q(a2 / a0)]) };
+    case 'parallel': return { ...r, direct: r.direct.map(q), sections: r.sections.map(([b0, b1, b2, , a1, a2]) => [q(b0), q(b1), b2, 1, q(a1), q(a2)]) };
+    case 'lattice': return { ...r, K: [0, ...r.K.slice(1).map(q)], ...(r.v ? { v: r.v.map(q) } : { gain: q(r.gain) }) };
+    default: return { ...r, b: r.b.map(q), a: [1, ...r.a.slice(1).map(q)] };
+  }
+};
+
+// Streaming filter for a realization. Every stored signal (state, adder output) goes through
+// node(terms), which sums [coefficient, signal] products; the arithmetic decides how.
+// Returns { step: x -> y, delays }.
+const createStructure = (r, node) => {
+  // Second-order section in transposed direct form II
+  const biquad = ([b0, b1, b2, , a1, a2]) => {
+    let s1 = 0, s2 = 0;
+    return (x) => {
+      const y = node([[b0, x], [1, s1]]);
+      s1 = node([[b1, x], [-a1, y], [1, s2]]);
+      s2 = node([[b2, x], [-a2, y]]);
+      return y;
+    };
+  };
+  switch (r.structure) {
+    case 'df1': {
+      const xs = new Array(r.b.length - 1).fill(0), ys = new Array(r.a.length - 1).fill(0);
+      return {
+        delays: xs.length + ys.length,
+        step: (x) => {
+          const y = node([[r.b[0], x], ...xs.map((v, i) => [r.b[i + 1], v]), ...ys.map((v, i) => [-r.a[i + 1], v])]);
+          xs.unshift(x); xs.pop();
+          ys.unshift(y); ys.pop();
+          return y;
+        },
+      };
+    }
+    case 'df2': {
+      const N = Math.max(r.b.length, r.a.length) - 1;
+      const ws = new Array(N).fill(0);
+      return {
+        delays: N,
+        step: (x) => {
+          const w = node([[1, x], ...ws.map((v, i) => [-(r.a[i + 1] || 0), v])]);
+          const y = node([[r.b[0], w], ...ws.map((v, i) => [r.b[i + 1] || 0, v])]);
+          ws.unshift(w); ws.pop();
+          return y;
+        },
+      };
+    }
+    case 'tdf2': {
+      const N = Math.max(r.b.length, r.a.length) - 1;
+      const s = new Array(N + 1).fill(0);
+      return {
+        delays: N,
+        step: (x) => {
+          const y = node([[r.b[0], x], [1, s[0]]]);
+          for (let i = 0; i < N; i++) s[i] = node([[r.b[i + 1] || 0, x], [-(r.a[i + 1] || 0), y], [1, s[i + 1]]]);
+          return y;
+        },
+      };
+    }
+    case 'sos': {
+      const sections = r.sos.map(biquad);
+      return { delays: 2 * sections.length, step: (x) => sections.reduce((v, section) => section(v), x) };
+    }
+    case 'parallel': {
+      const sections = r.sections.map(biquad);
+      const xs = new Array(r.direct.length - 1).fill(0);
+      return {
+        delays: 2 * sections.length + xs.length,
+        step: (x) => {
+          const y = node([...sections.map(section => [1, section(x)]), [r.direct[0], x], ...xs.map((v, i) => [r.direct[i + 1], v])]);
+          xs.unshift(x); xs.pop();
+          return y;
+        },
+      };
+    }
+    default: { // lattice
+      const M = r.K.length - 1;
+      const g = new Array(M + 1).fill(0); // g_m(n - 1)
+      if (!r.v) {
+        // All-zero lattice: f_m = f_{m-1} + K_m g_{m-1}(n-1), g_m = K_m f_{m-1} + g_{m-1}(n-1)
+        return {
+          delays: M,
+          step: (x) => {
+            let f = x, gPrev = x;
+            for (let m = 1; m <= M; m++) {
+              const fm = node([[1, f], [r.K[m], g[m - 1]]]);
+              const gm = node([[r.K[m], f], [1, g[m - 1]]]);
+              g[m - 1] = gPrev;
+              f = fm;
+              gPrev = gm;
+            }
+            return node([[r.gain, f]]);
+          },
+        };
+      }
+      // Lattice-ladder: f_{m-1} = f_m - K_m g_{m-1}(n-1), g_m = K_m f_{m-1} + g_{m-1}(n-1), y = sum v_m g_m
+      return {
+        delays: M,
+        step: (x) => {
+          const gNow = new Array(M + 1).fill(0);
+          let f = x;
+          for (let m = M; m >= 1; m--) {
+            f = node([[1, f], [-r.K[m], g[m - 1]]]);
+            gNow[m] = node([[r.K[m], f], [1, g[m - 1]]]);
+          }
+          gNow[0] = f;
+          for (let m = 0; m < M; m++) g[m] = gNow[m];
+          return node(gNow.map((v, m) => [r.v[m], v]));
+        },
+      };
+    }
+  }
+};
+
+// Arithmetic: exact sums, or W-bit signals in Q(s).(W-1-s) saturating at +/-2^s with products
+// rounded one by one or once per node (wide accumulator); overflows counts saturations
+const exactNode = (terms) => terms.reduce((acc, [c, v]) => acc + c * v, 0);
+const fixedArithmetic = (wordBits, mode, wideAcc, shift) => {
+  const q = Math.pow(2, shift - (wordBits - 1));
+  const full = Math.pow(2, shift);
+  const round = (v) => (mode === 'truncate' ? Math.floor(v / q) : Math.round(v / q)) * q;
+  const state = { overflows: 0 };
+  state.node = (terms) => {
+    const sum = wideAcc
+      ? round(exactNode(terms))
+      : terms.reduce((acc, [c, v]) => acc + (c === 0 ? 0 : round(c * v)), 0);
+    if (sum > full - q || sum < -full) {
+      state.overflows++;
+      return Math.max(-full, Math.min(full - q, sum));
+    }
+    return sum;
+  };
+  return state;
+};
+
+// Multiplies (coefficients other than 0 and +/-1), adds and delays per output sample
+export const structureCost = (r) => {
+  let mults = 0, adds = 0;
+  const counter = createStructure(r, (terms) => {
+    const live = terms.filter(([c]) => c !== 0);
+    mults += live.filter(([c]) => Math.abs(c) !== 1).length;
+    adds += Math.max(0, live.length - 1);
+    return exactNode(terms);
+  });
+  counter.step(0);
+  return { mults, adds, delays: counter.delays };
+};
+
+// Poles of a (quantized) realization; lattice stability is read off |K_m| < 1 instead
+const structureStable = (r) => {
+  if (r.structure === 'lattice') return r.K.every(k => Math.abs(k) < 1);
+  const dens = r.structure === 'sos' ? r.sos.map(s => s.slice(3))
+    : r.structure === 'parallel' ? r.sections.map(s => s.slice(3))
+      : [r.a];
+  return dens.every(den => polyRoots(den).every(p => cMag(p) < 1));
+};
+
+// Fixed-point run of one structure against its exact output on seeded white noise scaled
+// for a peak output near half scale. Coefficients and signals each get the most fraction
+// bits their largest value allows (coefficients from the realization, signals from the
+// peak node of the exact run), so the comparison is between structures and not formats.
+export const simulateStructure = (r, { wordBits, mode, wideAcc, samples = 2048, seed = 1 }) => {
+  const coeffs = coefficientsOf(r);
+  const fracBits = Math.max(0, wordBits - 1 - fixedShift(coeffs));
+  let saturated = 0;
+  const quant = mapCoefficients(r, (v) => {
+    const res = quantizeValue(v, wordBits, fracBits, mode);
+    if (res.saturated) saturated++;
+    return res.value;
+  });
+  const rng = mulberry32(seed);
+  const noise = Array.from({ length: samples }, () => 2 * rng() - 1);
+  let ideal = noise.map(createStructure(r, exactNode).step);
+  const gain = 0.5 / Math.max(1e-12, ...ideal.map(Math.abs));
+  // Scaled rerun: the exact output scales with the input but internal nodes are needed too
+  let peakNode = 0;
+  const x = noise.map(v => v * gain);
+  ideal = x.map(createStructure(r, (terms) => {
+    const sum = exactNode(terms);
+    peakNode = Math.max(peakNode, Math.abs(sum));
+    return sum;
+  }).step);
+  const signalShift = Math.min(wordBits - 2, fixedShift([peakNode]));
+
+  const arithmetic = fixedArithmetic(wordBits, mode, wideAcc, signalShift);
+  const y = x.map(createStructure(quant, arithmetic.node).step);
+  const signal = ideal.reduce((acc, v) => acc + v * v, 0);
+  const error = y.reduce((acc, v, n) => acc + (v - ideal[n]) * (v - ideal[n]), 0);
+  return {
+    fracBits,
+    signalBits: wordBits - 1 - signalShift,
+    saturated,
+    overflows: arithmetic.overflows,
+    stable: structureStable(quant),
+    snr: error > 0 ? 10 * Math.log10(signal / error) : Infinity,
+    maxCoeffError: Math.max(0, ...coefficientsOf(quant).map((c, i) => Math.abs(c - coeffs[i]))),
+  };
+};
+
+// Exact output of a realization for input x (all structures agree up to rounding)
+export const runStructure = (r, x) => x.map(createStructure(r, exactNode).step);
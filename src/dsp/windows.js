@@ -0,0 +1,131 @@
+// FIR window functions, Kaiser order estimation and window spectral figures
+
+import { PI, fft, log10, nextPow2 } from './math.js';
+
+// Zeroth-order modified Bessel function of the first kind (power series)
+const besselI0 = (x) => {
+  let sum = 1, term = 1;
+  for (let k = 1; k < 100 && term > 1e-16 * sum; k++) {
+    term *= Math.pow(x / (2 * k), 2);
+    sum += term;
+  }
+  return sum;
+};
+
+// Generalized cosine window sum_k (-1)^k a_k cos(2 pi k n / (N - 1))
+const cosineSum = (coeffs) => (n, N) =>
+  coeffs.reduce((acc, a, k) => acc + (k % 2 ? -a : a) * Math.cos((2 * PI * k * n) / (N - 1)), 0);
+
+// Per-sample windows w(n, N, param); param is the tuning value from WINDOW_PARAMS
+export const windows = {
+  rectangular: (n, N) => 1,
+  hamming: (n, N) => 0.54 - 0.46 * Math.cos((2 * PI * n) / (N - 1)),
+  hanning: (n, N) => 0.5 * (1 - Math.cos((2 * PI * n) / (N - 1))),
+  blackman: (n, N) => 0.42 - 0.5 * Math.cos((2 * PI * n) / (N - 1)) + 0.08 * Math.cos((4 * PI * n) / (N - 1)),
+  blackmanharris: cosineSum([0.35875, 0.48829, 0.14128, 0.01168]),
+  flattop: cosineSum([0.21557895, 0.41663158, 0.277263158, 0.083578947, 0.006947368]),
+  kaiser: (n, N, beta) => besselI0(beta * Math.sqrt(Math.max(0, 1 - Math.pow((2 * n) / (N - 1) - 1, 2)))) / besselI0(beta),
+  gaussian: (n, N, alpha) => Math.exp(-0.5 * Math.pow(alpha * ((2 * n) / (N - 1) - 1), 2)),
+  tukey: (n, N, alpha) => {
+    const x = n / (N - 1);
+    if (alpha <= 0) return 1;
+    if (x < alpha / 2) return 0.5 * (1 + Math.cos(PI * ((2 * x) / alpha - 1)));
+    if (x > 1 - alpha / 2) return 0.5 * (1 + Math.cos(PI * ((2 * x) / alpha - 2 / alpha + 1)));
+    return 1;
+  },
+};
+
+// Dolph-Chebyshev window: equiripple sidelobes `at` dB down, built from the
+// frequency-domain Chebyshev polynomial (same construction as SciPy's chebwin)
+export const chebwin = (N, at) => {
+  const order = N - 1;
+  const beta = Math.cosh(Math.acosh(Math.pow(10, Math.abs(at) / 20)) / order);
+  const p = Array.from({ length: N }, (_, k) => {
+    const x = beta * Math.cos((PI * k) / N);
+    if (x > 1) return Math.cosh(order * Math.acosh(x));
+    if (x < -1) return (2 * (N % 2) - 1) * Math.cosh(order * Math.acosh(-x));
+    return Math.cos(order * Math.acos(x));
+  });
+  // Real part of the DFT (with a half-sample shift for even lengths)
+  const dft = (m) => p.reduce((acc, pk, k) =>
+    acc + pk * Math.cos((2 * PI * k * m) / N - (N % 2 ? 0 : (PI * k) / N)), 0);
+  const half = N % 2
+    ? Array.from({ length: (N + 1) / 2 }, (_, m) => dft(m))
+    : Array.from({ length: N / 2 }, (_, m) => dft(m + 1));
+  const w = (N % 2 ? half.slice(1) : half.slice()).reverse().concat(half);
+  const peak = Math.max(...w);
+  return w.map(v => v / peak);
+};
+
+export const WINDOW_LABELS = {
+  hamming: 'Hamming',
+  hanning: 'Hanning',
+  blackman: 'Blackman',
+  rectangular: 'Rectangular',
+  blackmanharris: 'Blackman-Harris',
+  flattop: 'Flat-Top',
+  kaiser: 'Kaiser',
+  chebwin: 'Dolph-Chebyshev',
+  gaussian: 'Gaussian',
+  tukey: 'Tukey',
+};
+
+export const WINDOW_PARAMS = {
+  kaiser: { label: 'β', min: 0, max: 14, step: 0.1, init: 5 },
+  chebwin: { label: 'SIDELOBE (dB)', min: 20, max: 120, step: 1, init: 60 },
+  gaussian: { label: 'α', min: 1, max: 6, step: 0.1, init: 2.5 },
+  tukey: { label: 'TAPER α', min: 0, max: 1, step: 0.05, init: 0.5 },
+};
+
+export const windowSamples = (type, N, param) => {
+  if (type === 'chebwin') return chebwin(N, param);
+  const winFunc = windows[type] || windows.hamming;
+  return Array.from({ length: N }, (_, n) => winFunc(n, N, param));
+};
+
+// Kaiser's empirical formulas: taps and beta for stopband attenuation A (dB) and a
+// transition width (Hz), as in kaiserord
+export const kaiserord = (atten, transition, sampleRate) => {
+  const dw = (2 * PI * transition) / sampleRate;
+  const taps = Math.max(3, Math.ceil((atten - 7.95) / (2.285 * dw)) + 1);
+  let beta = 0;
+  if (atten > 50) beta = 0.1102 * (atten - 8.7);
+  else if (atten >= 21) beta = 0.5842 * Math.pow(atten - 21, 0.4) + 0.07886 * (atten - 21);
+  return { taps, beta };
+};
+
+// Spectrum and sidelobe metrics of a window (normalized frequency in bins, dB re. DC)
+export const analyzeWindow = (w) => {
+  const N = w.length;
+  const L = nextPow2(32 * N); // Zero-padded FFT: 1/32-bin resolution
+  const K = L / 2; // Evaluation points over 0..fs/2
+  const sum = w.reduce((a, v) => a + v, 0);
+  const sumSq = w.reduce((a, v) => a + v * v, 0);
+  const re = new Float64Array(L), im = new Float64Array(L);
+  re.set(w);
+  fft(re, im);
+  const spectrum = Array.from({ length: K + 1 }, (_, i) => ({
+    bin: (i * N) / L,
+    db: Math.max(-200, 20 * log10(Math.hypot(re[i], im[i]) / Math.abs(sum) + 1e-12)),
+  }));
+  const magAt = (f) => {
+    let sr = 0, si = 0;
+    w.forEach((v, n) => { sr += v * Math.cos(2 * PI * f * n); si -= v * Math.sin(2 * PI * f * n); });
+    return Math.sqrt(sr * sr + si * si) / Math.abs(sum);
+  };
+  // Main lobe ends at the first local minimum past the -3 dB point (flat-top has a rippled top)
+  let halfIdx = 0;
+  while (halfIdx < K && spectrum[halfIdx + 1].db > -3.0103) halfIdx++;
+  let nullIdx = halfIdx;
+  while (nullIdx < K && spectrum[nullIdx + 1].db < spectrum[nullIdx].db) nullIdx++;
+  const sidelobes = spectrum.slice(nullIdx + 1);
+  return {
+    spectrum,
+    peakSidelobe: sidelobes.length ? Math.max(...sidelobes.map(pt => pt.db)) : -Infinity,
+    mainlobeNull: 2 * spectrum[nullIdx].bin,
+    mainlobe3dB: 2 * spectrum[halfIdx].bin,
+    enbw: (N * sumSq) / (sum * sum),
+    coherentGain: sum / N,
+    scallopLoss: -20 * log10(magAt(0.5 / N)),
+  };
+};
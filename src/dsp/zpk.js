@@ -0,0 +1,97 @@
+// Zero-pole-gain helpers: editable root lists, responses, group delay, phase, analog impulse response
+
+import { freqsZPK } from './analog.js';
+import { PI, cAdd, cArg, cDiv, cExpj, cMag, cMul, cScale, cSub, complex } from './math.js';
+
+// Pole-Zero Editing
+// The editor keeps the upper half-plane only: { re, im, pair }, where pair = true stands for
+// the root and its conjugate, so a conjugate pair can never be pulled apart.
+export const expandRoots = (list) => list.flatMap(r => (r.pair ? [complex(r.re, r.im), complex(r.re, -r.im)] : [complex(r.re, 0)]));
+
+export const compressRoots = (roots) => roots.flatMap(r => {
+  if (Math.abs(r.im) <= 1e-7 * Math.max(1, cMag(r))) return [{ re: r.re, im: 0, pair: false }];
+  return r.im > 0 ? [{ re: r.re, im: r.im, pair: true }] : [];
+});
+
+// H(e^jw) of a z-plane zpk: k prod(e^jw - z) / prod(e^jw - p)
+export const freqzZPK = ({ z, p, k }, w) => {
+  const e = cExpj(w);
+  const num = z.reduce((acc, r) => cMul(acc, cSub(e, r)), complex(k, 0));
+  const den = p.reduce((acc, r) => cMul(acc, cSub(e, r)), complex(1, 0));
+  return cDiv(num, den);
+};
+
+// Gain that puts the peak (or DC) magnitude at 0 dB; wc scales the analog search grid (rad/s)
+export const normalizedGain = (zpk, analog, mode, wc = 1) => {
+  if (mode === 'none') return 1;
+  const unit = { ...zpk, k: 1 };
+  const H = (w) => cMag(analog ? freqsZPK(unit, w) : freqzZPK(unit, w));
+  let ref = H(0);
+  if (mode === 'peak') {
+    for (let i = 0; i < 1024; i++) {
+      ref = Math.max(ref, H(analog ? wc * Math.pow(10, -3 + (6 * i) / 1023) : (PI * i) / 1023));
+    }
+  }
+  return ref > 0 && Number.isFinite(ref) ? 1 / ref : 1;
+};
+
+// Group delay from the roots: samples for a z-plane zpk, seconds for an s-plane zpk (w in rad/s).
+// A root exactly at the evaluation point contributes its limit along the axis (-1/2 or 0).
+export const groupDelayZPK = ({ z, p }, w, analog) => {
+  if (analog) {
+    const s = complex(0, w);
+    const term = (r) => { const d = cSub(s, r); return cMag(d) < 1e-12 * Math.max(1, w) ? 0 : cDiv(complex(1, 0), d).re; };
+    return p.reduce((acc, r) => acc + term(r), 0) - z.reduce((acc, r) => acc + term(r), 0);
+  }
+  const e = cExpj(-w);
+  const term = (r) => { const re = cMul(r, e); const d = cSub(complex(1, 0), re); return cMag(d) < 1e-12 ? -0.5 : cDiv(re, d).re; };
+  return p.length - z.length + p.reduce((acc, r) => acc + term(r), 0) - z.reduce((acc, r) => acc + term(r), 0);
+};
+
+// FIR group delay (samples): Re{ sum n h[n] e^-jwn / sum h[n] e^-jwn }. On a zero of H the
+// smooth part is taken just below w.
+export const firGroupDelay = (h, w) => {
+  let re = 0, im = 0, nre = 0, nim = 0, energy = 0;
+  for (let n = 0; n < h.length; n++) {
+    const c = Math.cos(n * w), s = Math.sin(n * w);
+    re += h[n] * c; im -= h[n] * s;
+    nre += n * h[n] * c; nim -= n * h[n] * s;
+    energy += h[n] * h[n];
+  }
+  const den = re * re + im * im;
+  if (den <= 1e-20 * energy) return energy > 0 && w > 1e-5 ? firGroupDelay(h, w - 1e-6) : 0;
+  return (nre * re + nim * im) / den;
+};
+
+// Phase of a zpk as the sum of root angles; each term is continuous from DC, so this anchors
+// unwrapping at the lowest plotted frequency
+export const zpkPhase = ({ z, p, k }, w, analog) => {
+  const s = analog ? complex(0, w) : cExpj(w);
+  const angles = (roots) => roots.reduce((acc, r) => acc + cArg(cSub(s, r)), 0);
+  return (k < 0 ? PI : 0) + angles(z) - angles(p);
+};
+
+// Unwrap a phase track (rad): each point takes the 2 pi shift that lands closest to the
+// predicted value (previous point plus the increment expected from the group delay)
+export const unwrapPhase = (phase, increments) => phase.reduce((out, ph, i) => {
+  const target = i === 0 ? ph : out[i - 1] + increments[i];
+  out.push(ph + 2 * PI * Math.round((target - ph) / (2 * PI)));
+  return out;
+}, []);
+
+// Sampled impulse response T h(nT) of an analog zpk by partial fractions (direct term at n = 0).
+// Coincident poles are nudged apart; returns null for an improper H(s).
+export const analogImpulse = ({ z, p, k }, dt, length) => {
+  if (z.length > p.length) return null;
+  const poles = p.map((r, i) => (p.slice(0, i).some(q => cMag(cSub(q, r)) < 1e-9 * Math.max(1, cMag(r)))
+    ? cAdd(r, complex(1e-6 * Math.max(1, cMag(r)), 0)) : r));
+  const residues = poles.map((pi, i) => cDiv(
+    z.reduce((acc, r) => cMul(acc, cSub(pi, r)), complex(k, 0)),
+    poles.reduce((acc, r, j) => (j === i ? acc : cMul(acc, cSub(pi, r))), complex(1, 0))
+  ));
+  return Array.from({ length }, (_, n) => {
+    const t = n * dt;
+    const sum = poles.reduce((acc, pi, i) => acc + cMul(residues[i], cScale(cExpj(pi.im * t), Math.exp(pi.re * t))).re, 0);
+    return dt * sum + (n === 0 && z.length === p.length ? k : 0);
+  });
+};
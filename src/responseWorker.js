@@ -0,0 +1,13 @@
+// Web Worker for the Bode and delay plots: dense responses off the main thread.
+// { id, filter, options } -> { id, response } (arrays transferred) or { id, error }
+
+import { responseData } from './dsp/index.js';
+
+self.onmessage = ({ data: { id, filter, options } }) => {
+  try {
+    const response = responseData(filter, options);
+    self.postMessage({ id, response }, Object.values(response).map(a => a.buffer));
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
@@ -0,0 +1,319 @@
+// DSP engine against SciPy / NumPy reference vectors (see golden/generate.py)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+  activeResponse, adaptFilter, analogPrototype, applyFilter, chiSquareQuantile, cicFilter, cicResponse, cMag, cSub,
+  complex, createAdaptiveStream, czt, fft, fftSpectrum, firFilter, freqs, freqsZPK, freqz, generateSignal,
+  groupDelayZPK, harmonicAnalysis, iirFilter, iirOrder, juryTest, kaiserord, KALMAN_MODELS, kalmanConsistency,
+  kalmanModelError, ladderPrototype, ladderResponse, lfilter, minMaxDecimate, planMultistage, polyphase, polyRoots,
+  rateChangeFilter, realizeStructure, remezFilter, resamplePoly, responseData, runKalman, runLearningCurve,
+  runStructure, simulateKalmanModel, snapToSeries, sosfilt, spectrogram, STRUCTURES, structureCost, synthesizeActive,
+  synthesizeLadder, welchPSD, windowSamples,
+} from '../src/dsp/index.js';
+
+const golden = (name) => JSON.parse(readFileSync(new URL(`./golden/${name}.json`, import.meta.url), 'utf8'));
+
+// Elementwise |a - b| <= tol * max(1, |b|)
+const assertClose = (actual, expected, tol, label) => {
+  assert.equal(actual.length, expected.length, `${label}: length`);
+  actual.forEach((v, i) => {
+    const err = Math.abs(v - expected[i]);
+    assert.ok(err <= tol * Math.max(1, Math.abs(expected[i])), `${label}[${i}]: ${v} vs ${expected[i]}`);
+  });
+};
+const flatComplex = (list) => list.flatMap(c => [c.re, c.im]);
+
+// Same roots in any order: each reference [re, im] is matched to its nearest unused root,
+// within tol relative to `scale`
+const assertRootsClose = (actual, expected, tol, label, scale = 1) => {
+  assert.equal(actual.length, expected.length, `${label}: count`);
+  const left = actual.slice();
+  expected.forEach(([re, im]) => {
+    const dist = left.map(r => Math.hypot(r.re - re, r.im - im));
+    const i = dist.indexOf(Math.min(...dist));
+    assert.ok(dist[i] <= tol * Math.max(scale, Math.hypot(re, im)), `${label}: ${re} + ${im}j missing`);
+    left.splice(i, 1);
+  });
+};
+
+test('windows match scipy.signal.get_window', () => {
+  for (const { type, param, n, w } of golden('windows')) {
+    assertClose(windowSamples(type, n, param), w, 1e-9, `${type}(${n})`);
+  }
+});
+
+test('windowed-sinc FIR matches scipy.signal.firwin', () => {
+  const { fs, windowed } = golden('fir');
+  for (const { type, edges, taps, window, param, h } of windowed) {
+    const filter = firFilter({ taps, type, edges, fs, window, windowParam: param });
+    assertClose(filter.ba.b, h, 1e-9, `${type}/${window}`);
+    assert.deepEqual(filter.ba.a, [1]);
+  }
+});
+
+test('Parks-McClellan FIR matches scipy.signal.remez', () => {
+  const { fs, remez } = golden('fir');
+  for (const { taps, bands, h } of remez) {
+    const filter = remezFilter({ taps, bands, fs });
+    assert.ok(filter.remez.converged, `${taps} taps: converged`);
+    assertClose(filter.ba.b, h, 1e-4, `remez(${taps})`);
+  }
+});
+
+test('kaiserord matches scipy.signal.kaiserord', () => {
+  const { fs, kaiserord: cases } = golden('fir');
+  for (const { atten, transition, taps, beta } of cases) {
+    const est = kaiserord(atten, transition, fs);
+    assert.equal(est.taps, taps, `A = ${atten}: taps`);
+    assertClose([est.beta], [beta], 1e-12, `A = ${atten}: beta`);
+  }
+});
+
+test('IIR designs match scipy.signal.iirfilter', () => {
+  for (const d of golden('iir').designs) {
+    const label = `${d.topology} ${d.type} ${d.fs ? 'digital' : 'analog'}`;
+    const filter = iirFilter({ topology: d.topology, order: d.order, type: d.type, edges: d.edges, fs: d.fs, rp: 1, rs: 40 });
+    // Analog roots scale with the edge frequency, so compare relative to it
+    const scale = d.fs ? 1 : 2 * Math.PI * d.edges[d.edges.length - 1];
+    assertRootsClose(filter.zpk.p, d.p, 1e-7, `${label} poles`, scale);
+    assertRootsClose(filter.zpk.z, d.z, 1e-7, `${label} zeros`, scale);
+    assertClose([filter.zpk.k / d.k], [1], 1e-7, `${label} gain`);
+    if (d.fs) {
+      assertClose(filter.ba.a, d.a, 1e-8, `${label} a`);
+      assertClose(filter.ba.b, d.b, 1e-8, `${label} b`);
+      assert.equal(filter.sos.length, Math.ceil(filter.zpk.p.length / 2), `${label} sections`);
+    }
+  }
+});
+
+test('minimum orders match buttord / cheb1ord / cheb2ord / ellipord', () => {
+  for (const c of golden('iir').order) {
+    const label = `${c.topology} ${c.type} ${c.fs ? 'digital' : 'analog'}`;
+    const est = iirOrder(c.topology, c.type, c.spec, c.fs === null, c.fs);
+    assert.equal(est.order, c.order, `${label}: order`);
+    // Band-stop edges come out of a bounded minimization that SciPy stops at xtol = 1e-5
+    assertClose(est.wn, c.wn, c.type === 'bandstop' ? 5e-4 : 1e-6, `${label}: wn`);
+  }
+});
+
+test('freqz, freqs and group delay match SciPy', () => {
+  const r = golden('response');
+  const digital = iirFilter(r.design);
+  assertClose(flatComplex(freqz(digital, r.w).h), r.h.flat(), 1e-8, 'freqz');
+  assertClose(flatComplex(freqz({ ...digital, sos: null }, r.w).h), r.h.flat(), 1e-8, 'freqz (b/a)');
+  assertClose(r.w.map(w => groupDelayZPK(digital.zpk, w, false)), r.groupDelay, 1e-6, 'group delay');
+  const analog = iirFilter({ ...r.design, fs: null });
+  assertClose(flatComplex(freqs(analog, r.analogW).h), r.analogH.flat(), 1e-8, 'freqs');
+});
+
+test('dense responses: chirp-z transform, linear / log grids and min / max decimation', () => {
+  const r = golden('response');
+  const digital = iirFilter(r.design);
+  const fs = r.design.fs;
+  // Linear grid over [0, fs / 2) on the golden frequencies
+  const dense = responseData(digital, { points: r.w.length, fMin: 0, fMax: (r.w[r.w.length - 1] * fs) / (2 * Math.PI), spacing: 'linear' });
+  assertClose(Array.from(dense.mag), r.h.map(([re, im]) => 20 * Math.log10(Math.hypot(re, im) + 1e-15)), 1e-8, 'IIR magnitude');
+  assertClose(Array.from(dense.groupDelay), r.groupDelay, 1e-6, 'IIR group delay');
+  // Long FIR through the chirp-z transform (linear) and Horner (log) against a direct DFT
+  const fir = firFilter({ taps: 201, edges: [3000], fs, window: 'kaiser', windowParam: 8 });
+  for (const spacing of ['linear', 'log']) {
+    const d = responseData(fir, { points: 300, fMin: 20, fMax: 6000, spacing });
+    const direct = freqz(fir, Array.from(d.f, f => (2 * Math.PI * f) / fs)).h;
+    assertClose(Array.from(d.mag), direct.map(h => 20 * Math.log10(cMag(h) + 1e-15)), 1e-7, `FIR ${spacing}`);
+    assertClose(Array.from(d.groupDelay).slice(0, 100), new Array(100).fill(100), 1e-6, `FIR ${spacing} delay`);
+  }
+  const x = Array.from({ length: 50 }, (_, n) => Math.cos(0.3 * n) + n / 50);
+  const X = czt(x, 20, 0.1, 0.05);
+  X.re.forEach((re, k) => {
+    const H = freqz({ ba: { b: x, a: [1] }, sos: null }, [0.1 + 0.05 * k]).h[0];
+    assertClose([re, X.im[k]], [H.re, H.im], 1e-10, `czt ${k}`);
+  });
+  // Two rows per bucket, extremes kept in order of appearance
+  const f = Array.from({ length: 1000 }, (_, i) => i), y = f.map(i => (i === 437 ? 5 : -Math.sin(i / 100)));
+  const rows = minMaxDecimate(f, { y }, 100);
+  assert.equal(rows.length, 200);
+  assert.equal(Math.max(...rows.map(row => row.y)), 5);
+  assert.deepEqual(rows.slice(0, 2).map(row => row.f), [0, 9]);
+});
+
+test('lfilter and sosfilt match SciPy', () => {
+  const r = golden('response');
+  const filter = iirFilter(r.design);
+  assertClose(lfilter(filter.ba.b, filter.ba.a, r.x), r.lfilter, 1e-8, 'lfilter');
+  assertClose(sosfilt(filter.sos, r.x), r.sosfilt, 1e-8, 'sosfilt');
+  assertClose(applyFilter(filter, r.x), r.sosfilt, 1e-8, 'applyFilter');
+});
+
+test('every realization structure reproduces lfilter', () => {
+  const r = golden('response');
+  const filter = iirFilter(r.design);
+  const design = { ...filter.ba, ...filter.zpk };
+  const N = filter.zpk.p.length;
+  for (const structure of Object.keys(STRUCTURES)) {
+    const real = realizeStructure(design, structure, { pairing: 'sequential', order: 'down' });
+    assert.ok(!real.error, `${structure}: ${real.error}`);
+    assertClose(runStructure(real, r.x), r.lfilter, 1e-8, structure);
+    assert.equal(structureCost(real).delays, structure === 'df1' ? 2 * N : N, `${structure} delays`);
+  }
+  assert.deepEqual(structureCost(realizeStructure(design, 'df2')), { mults: 2 * N + 1, adds: 2 * N, delays: N });
+  // All-zero lattice of 1 + 13/24 z^-1 + 5/8 z^-2 + 1/3 z^-3 (Proakis & Manolakis, Example 9.3.1)
+  const lattice = realizeStructure({ b: [1, 13 / 24, 5 / 8, 1 / 3], a: [1] }, 'lattice');
+  assertClose(lattice.K, [0, 1 / 4, 1 / 2, 1 / 3], 1e-12, 'reflection coefficients');
+});
+
+test('circuit synthesis reproduces the analog design', () => {
+  assert.equal(snapToSeries(4.9e3, 'E12'), 4.7e3);
+  assert.equal(snapToSeries(4.9e3, 'E12', 1), 5.6e3);
+  assert.equal(snapToSeries(9.9e-9, 'E24'), 10e-9);
+  assert.equal(snapToSeries(1234, 'exact'), 1234);
+  // Butterworth g_k = 2 sin((2k - 1) pi / 2n); Chebyshev 0.5 dB, n = 4 (Matthaei, Young & Jones, Table 4.05-2(a))
+  const butter = ladderPrototype(analogPrototype('butterworth', 6));
+  assertClose(butter.g, [1, 2, 3, 4, 5, 6].map(k => 2 * Math.sin((2 * k - 1) * Math.PI / 12)), 1e-9, 'Butterworth g');
+  const cheby = ladderPrototype(analogPrototype('chebyshev1', 4, 0.5));
+  assertClose([...cheby.g, 1 / cheby.load], [1.6703, 1.1926, 2.3661, 0.8419, 1.9841], 1e-4, 'Chebyshev g');
+  assert.ok(ladderPrototype(analogPrototype('elliptic', 4, 1, 40)).error);
+
+  const w = [0.1, 0.5, 0.9, 1, 1.1, 2, 10].map(x => 2 * Math.PI * 1000 * x);
+  const rel = (h, ref) => cMag(cSub(h, ref)) / cMag(ref);
+  const cases = [['butterworth', 'lowpass', [1000]], ['chebyshev1', 'highpass', [1000]], ['bessel', 'bandpass', [700, 1400]]];
+  for (const [topology, type, edges] of cases) {
+    const { zpk } = iirFilter({ topology, order: 5, type, edges, rp: 1 });
+    for (const circuit of ['sallen_key', 'mfb']) {
+      const active = synthesizeActive(zpk, { topology: circuit });
+      assert.ok(active.stages.every(st => st.circuit), `${topology} ${circuit}: every section has a stage`);
+      w.forEach(wi => assert.ok(rel(activeResponse(active, wi, false), freqsZPK(zpk, wi)) < 1e-9, `${topology} ${circuit} at ${wi}`));
+    }
+    // A lossless ladder has V_load / V_source = H(s) sqrt(RL / Rs) / 2
+    const ladder = synthesizeLadder({ topology, order: 5, type, edges: edges.map(f => 2 * Math.PI * f), rp: 1 });
+    const scale = 2 * Math.sqrt(ladder.source / ladder.load);
+    w.forEach(wi => {
+      const ratio = scale * cMag(ladderResponse(ladder, wi, false)) / cMag(freqsZPK(zpk, wi));
+      assert.ok(Math.abs(ratio - 1) < 1e-6, `${topology} ladder at ${wi}`);
+    });
+  }
+});
+
+test('multirate filters, polyphase resampling, CIC and stage planning', () => {
+  const x = Array.from({ length: 300 }, (_, n) => Math.sin(0.3 * n) + 0.5 * Math.cos(1.7 * n + 0.2));
+  for (const [L, M] of [[1, 4], [3, 2], [4, 1]]) {
+    const { h, K, cost } = rateChangeFilter({ L, M, fs: 48000 });
+    // Nyquist-K: every K-th tap away from the center is zero
+    const center = (h.length - 1) / 2;
+    assert.ok(h.every((v, n) => n === center || (n - center) % K !== 0 || v === 0), `${L}/${M}: Nyquist zeros`);
+    assert.equal(polyphase(h, K).reduce((acc, e) => acc + e.length, 0), h.length);
+    assert.ok(cost.polyphase < cost.direct);
+    // Polyphase output equals upsample -> filter -> downsample
+    const up = x.flatMap(v => [v, ...new Array(L - 1).fill(0)]);
+    const direct = lfilter(h, [1], up).filter((_, n) => n % M === 0);
+    assertClose(resamplePoly(x, h, L, M), direct, 1e-12, `resample ${L}/${M}`);
+  }
+  const cic = cicFilter({ R: 16, N: 4 });
+  assert.equal(cic.bitGrowth, 16);
+  assertClose([cicResponse(cic, 0), cicResponse(cic, 1 / 16)], [1, 0], 1e-12, 'CIC gain and first null');
+  const plans = planMultistage({ K: 48, fs: 48000, fp: 400, atten: 80 });
+  assert.ok(plans[0].factors.length > 1, 'two or more stages beat one for a large factor');
+  plans.forEach(p => assert.equal(p.factors.reduce((a, b) => a * b, 1), 48));
+  assert.equal(plans.find(p => p.factors.length === 1).stages[0].fstop, 600);
+});
+
+test('Welch PSD and spectrogram match SciPy; THD, SNR and SINAD of known signals', () => {
+  const { fs, x, welch, spectrogram: sg } = golden('spectrum');
+  for (const { window, segment, overlap, psd } of welch) {
+    assertClose(welchPSD(x, fs, { segment, overlap, window }).psd, psd, 1e-9, `welch ${window}`);
+  }
+  const s = spectrogram(x, fs, { segment: sg.segment, hop: sg.hop });
+  assertClose(s.times, sg.times, 1e-12, 'spectrogram times');
+  s.db.forEach((frame, i) => assertClose(frame, sg.psd[i].map(p => 10 * Math.log10(p + 1e-20)), 1e-9, `spectrogram ${i}`));
+  // A full-scale-relative sine reads its amplitude at the peak bin
+  const sine = generateSignal('sine', { fs: 48000, length: 4096, f0: 750, amplitude: 0.5 });
+  assert.ok(Math.abs(Math.max(...fftSpectrum(sine, 48000, { zeroPad: 4 }).db) - 20 * Math.log10(0.5)) < 1e-9);
+  // 1 % second harmonic, 0.1 % third, noise 1e-4 rms: THD -40 dB, SNR 10 log10(0.125 / 1e-8)
+  const noise = generateSignal('white', { fs: 48000, length: 16384, amplitude: 1e-4, seed: 7 });
+  const tone = noise.map((v, n) => v + 0.5 * Math.sin(2 * Math.PI * 997 * n / 48000)
+    + 0.005 * Math.sin(2 * Math.PI * 1994 * n / 48000) + 0.0005 * Math.sin(2 * Math.PI * 2991 * n / 48000));
+  const r = harmonicAnalysis(tone, 48000);
+  assert.ok(Math.abs(r.f0 - 997) < 0.01 && Math.abs(r.level - 20 * Math.log10(0.5)) < 0.01);
+  assert.ok(Math.abs(r.thdPercent - 100 * Math.sqrt(1e-4 + 1e-6)) < 0.01, `THD ${r.thdPercent} %`);
+  assert.ok(Math.abs(r.snr - 10 * Math.log10(0.125 / 1e-8)) < 0.5, `SNR ${r.snr} dB`);
+  assert.ok(r.sinad <= Math.min(r.snr, -r.thd));
+  // Square wave: odd harmonics at 1 / k
+  const sq = harmonicAnalysis(generateSignal('square', { fs: 48000, length: 16384, f0: 1000 }), 48000);
+  assert.ok(Math.abs(sq.harmonics[1].dbc - 20 * Math.log10(1 / 3)) < 0.05 && sq.harmonics[0].dbc < -200);
+  assert.equal(harmonicAnalysis(new Array(1024).fill(0), 48000), null);
+});
+
+test('fft and polynomial roots match NumPy', () => {
+  const r = golden('response');
+  const re = r.fftIn.slice(), im = new Array(re.length).fill(0);
+  fft(re, im);
+  assertClose(re.flatMap((v, i) => [v, im[i]]), r.fft.flat(), 1e-10, 'fft');
+  assertRootsClose(polyRoots(r.poly), r.polyRoots, 1e-8, 'roots');
+  assert.ok(juryTest(r.poly).stable, 'Jury: designed filter is stable');
+  assert.ok(!juryTest([1, -2.5, 1]).stable, 'Jury: pole at z = 2');
+});
+
+test('adaptive filters match the reference updates', () => {
+  const { L, params, stepSizes, x, d, runs } = golden('adaptive');
+  for (const [algo, ref] of Object.entries(runs)) {
+    const run = adaptFilter(algo, L, { ...params, mu: stepSizes[algo] ?? params.mu }, x, d);
+    assertClose(run.e, ref.e, 1e-8, `${algo} error`);
+    assertClose(run.w, ref.w, 1e-8, `${algo} weights`);
+    assertClose(run.y.map((y, n) => y + run.e[n]), d, 1e-12, `${algo} output`);
+  }
+});
+
+test('live adaptive stream follows the batch run, live parameters and injected changes', () => {
+  const params = { mu: 0.5, epsilon: 1e-3 }, opts = { plant: 'fir_lp', L: 8, noise: 0.05 };
+  const batch = runLearningCurve('system_id', 'nlms', 8, params, opts, { trials: 1, samples: 200, seed: 3 });
+  const stream = createAdaptiveStream('system_id', 'nlms', 8, params, opts, 3);
+  assertClose(Array.from({ length: 200 }, () => stream.step().e), batch.trace.map(pt => pt.e), 0, 'stream error');
+  // A plant swap raises the error; the filter re-converges
+  const power = (count) => Array.from({ length: count }, () => stream.step().e ** 2).reduce((a, v) => a + v, 0) / count;
+  const settled = power(200);
+  stream.inject();
+  const jump = power(20);
+  assert.ok(jump > 10 * settled, `error after the change ${jump} vs ${settled}`);
+  power(2000);
+  assert.ok(power(200) < 0.5 * jump, 're-converged');
+  // mu = 0 freezes the weights mid-run
+  stream.params.mu = 0;
+  const w = stream.step().w;
+  power(50);
+  assert.deepEqual(stream.step().w, w);
+});
+
+test('Kalman KF / EKF / UKF match the reference updates; consistency bounds', () => {
+  const { runs, chi2 } = golden('kalman');
+  for (const { model, truth, z, runs: refs } of runs) {
+    for (const [variant, ref] of Object.entries(refs)) {
+      const run = runKalman(KALMAN_MODELS[model], z, { variant });
+      assertClose(run.x.flat(), ref.x.flat(), 1e-9, `${model} ${variant} x`);
+      assertClose(run.P.flat(2), ref.P.flat(2), 1e-9, `${model} ${variant} P`);
+      assertClose(run.nis, ref.nis, 1e-8, `${model} ${variant} NIS`);
+    }
+    const c = kalmanConsistency(runKalman(KALMAN_MODELS[model], z), truth);
+    assert.equal(c.nees.values.length, truth.length);
+    assert.equal(c.whiteness.acf[0][0], 1);
+  }
+  chi2.forEach(({ p, dof, x }) => assert.ok(Math.abs(chiSquareQuantile(p, dof) - x) < 1e-9 * Math.max(1, x), `chi2 ${p} ${dof}`));
+  // A matched linear model is consistent: mean NEES / NIS of a long run near n and m
+  const model = KALMAN_MODELS.constant_velocity;
+  const { truth, z } = simulateKalmanModel(model, { steps: 2000, seed: 5 });
+  const c = kalmanConsistency(runKalman(model, z), truth);
+  assert.ok(Math.abs(c.nees.mean - 2) < 0.2 && Math.abs(c.nis.mean - 1) < 0.1, `NEES ${c.nees.mean}, NIS ${c.nis.mean}`);
+  assert.equal(kalmanModelError(model), null);
+  assert.match(kalmanModelError({ ...model, R: [[-1]] }), /R must be/);
+});
+
+test('filter objects share one shape', () => {
+  const fir = firFilter({ taps: 15, edges: [4000], fs: 48000 });
+  const iir = iirFilter({ order: 2, edges: [4000], fs: 48000 });
+  const analog = iirFilter({ order: 2, edges: [4000] });
+  for (const f of [fir, iir, analog]) assert.deepEqual(Object.keys(f).sort(), ['ba', 'fs', 'kind', 'sos', 'zpk']);
+  assert.equal(fir.zpk.z.length, 14);
+  assert.equal(analog.fs, null);
+  assert.deepEqual(iir.zpk.p.map(p => Math.sign(p.im)).sort(), [-1, 1]);
+  assert.deepEqual(complex(1, 2), { re: 1, im: 2 });
+});
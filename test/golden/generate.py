@@ -0,0 +1,306 @@
+"""Regenerate the golden vectors in this directory from SciPy / NumPy.
+
+    python3 test/golden/generate.py
+
+The adaptive references are straight NumPy transcriptions of the textbook updates.
+"""
+import json
+import os
+
+import numpy as np
+from scipy import signal, stats
+
+FS = 48000.0
+OUT = os.path.dirname(os.path.abspath(__file__))
+
+
+def real(a):
+    return [float(v) for v in np.asarray(a, dtype=float).ravel()]
+
+
+def roots(a):
+    a = np.asarray(a, dtype=complex).ravel()
+    a = a[np.lexsort((a.imag, a.real))]
+    return [[float(r.real), float(r.imag)] for r in a]
+
+
+def save(name, data):
+    with open(os.path.join(OUT, name + '.json'), 'w') as f:
+        json.dump(data, f, separators=(',', ':'))
+        f.write('\n')
+
+
+# Windows (symmetric, as used for FIR design)
+windows = []
+for name, param, spec in [
+    ('rectangular', None, 'boxcar'),
+    ('hamming', None, 'hamming'),
+    ('hanning', None, 'hann'),
+    ('blackman', None, 'blackman'),
+    ('blackmanharris', None, 'blackmanharris'),
+    ('flattop', None, 'flattop'),
+    ('kaiser', 5.0, ('kaiser', 5.0)),
+    ('chebwin', 60.0, ('chebwin', 60.0)),
+    ('tukey', 0.5, ('tukey', 0.5)),
+]:
+    for n in (31, 32):
+        windows.append({'type': name, 'param': param, 'n': n, 'w': real(signal.get_window(spec, n, fftbins=False))})
+for n in (31, 32):
+    alpha = 2.5
+    windows.append({'type': 'gaussian', 'param': alpha, 'n': n, 'w': real(signal.windows.gaussian(n, (n - 1) / (2 * alpha)))})
+
+# Windowed-sinc FIR (scipy.signal.firwin without gain normalization)
+fir = []
+for type_, edges, pass_zero in [
+    ('lowpass', [3000.0], True),
+    ('highpass', [3000.0], False),
+    ('bandpass', [2000.0, 6000.0], False),
+    ('bandstop', [2000.0, 6000.0], True),
+]:
+    for window, param, spec in [('hamming', None, 'hamming'), ('kaiser', 6.0, ('kaiser', 6.0))]:
+        h = signal.firwin(33, edges, window=spec, pass_zero=pass_zero, scale=False, fs=FS)
+        fir.append({'type': type_, 'edges': edges, 'taps': 33, 'window': window, 'param': param, 'h': real(h)})
+
+# Parks-McClellan
+remez = []
+for taps, bands, gains, weights in [
+    (31, [0, 4000, 6000, 24000], [1, 0], [1, 10]),
+    (40, [0, 4000, 6000, 24000], [1, 0], [1, 1]),
+    (45, [0, 2000, 3000, 8000, 9000, 24000], [0, 1, 0], [10, 1, 10]),
+]:
+    h = signal.remez(taps, bands, gains, weight=weights, fs=FS)
+    remez.append({
+        'taps': taps,
+        'bands': [{'start': bands[2 * i], 'end': bands[2 * i + 1], 'gain': gains[i], 'weight': weights[i]} for i in range(len(gains))],
+        'h': real(h),
+    })
+
+# Kaiser order estimates
+kaiser = []
+for atten, transition in [(40, 1000), (60, 500), (80, 2000), (30, 3000)]:
+    numtaps, beta = signal.kaiserord(atten, transition / (0.5 * FS))
+    kaiser.append({'atten': atten, 'transition': transition, 'taps': int(numtaps), 'beta': float(beta)})
+
+# IIR designs, digital (bilinear) and analog
+TOPOLOGIES = {
+    'butterworth': dict(ftype='butter'),
+    'chebyshev1': dict(ftype='cheby1', rp=1),
+    'chebyshev2': dict(ftype='cheby2', rs=40),
+    'elliptic': dict(ftype='ellip', rp=1, rs=40),
+    'bessel': dict(ftype='bessel'),
+}
+BANDS = {'lowpass': [1000.0], 'highpass': [1000.0], 'bandpass': [500.0, 2000.0], 'bandstop': [500.0, 2000.0]}
+iir = []
+for topology, kw in TOPOLOGIES.items():
+    for type_, edges in BANDS.items():
+        order = 4 if type_ in ('lowpass', 'highpass') else 3
+        wn = edges if len(edges) > 1 else edges[0]
+        z, p, k = signal.iirfilter(order, wn, btype=type_, fs=FS, output='zpk', **kw)
+        b, a = signal.zpk2tf(z, p, k)
+        iir.append({'topology': topology, 'type': type_, 'order': order, 'edges': edges, 'fs': FS,
+                    'z': roots(z), 'p': roots(p), 'k': float(k), 'b': real(b), 'a': real(a)})
+        wa = np.array(edges) * 2 * np.pi
+        z, p, k = signal.iirfilter(order, wa if len(edges) > 1 else wa[0], btype=type_, analog=True, output='zpk', **kw)
+        iir.append({'topology': topology, 'type': type_, 'order': order, 'edges': edges, 'fs': None,
+                    'z': roots(z), 'p': roots(p), 'k': float(k)})
+
+# Minimum-order estimates (buttord / cheb1ord / cheb2ord / ellipord)
+ORD = {'butterworth': signal.buttord, 'chebyshev1': signal.cheb1ord, 'chebyshev2': signal.cheb2ord, 'elliptic': signal.ellipord}
+SPECS = {
+    'lowpass': {'pass': [1000, 0], 'stop': [2000, 0], 'ap': 1, 'as': 40},
+    'highpass': {'pass': [2000, 0], 'stop': [1000, 0], 'ap': 1, 'as': 40},
+    'bandpass': {'pass': [1000, 3000], 'stop': [500, 5000], 'ap': 1, 'as': 40},
+    'bandstop': {'pass': [500, 5000], 'stop': [1000, 3000], 'ap': 1, 'as': 40},
+}
+order = []
+for topology, fn in ORD.items():
+    for type_, spec in SPECS.items():
+        band = type_ in ('bandpass', 'bandstop')
+        wp = spec['pass'] if band else spec['pass'][0]
+        ws = spec['stop'] if band else spec['stop'][0]
+        n, wn = fn(wp, ws, spec['ap'], spec['as'], fs=FS)
+        order.append({'topology': topology, 'type': type_, 'spec': spec, 'fs': FS, 'order': int(n), 'wn': real(wn)})
+        n, wn = fn(2 * np.pi * np.array(wp), 2 * np.pi * np.array(ws), spec['ap'], spec['as'], analog=True)
+        order.append({'topology': topology, 'type': type_, 'spec': spec, 'fs': None, 'order': int(n), 'wn': real(np.array(wn) / (2 * np.pi))})
+
+# Responses and filtering of one design
+b, a = signal.ellip(4, 1, 40, 3000, fs=FS)
+sos = signal.ellip(4, 1, 40, 3000, fs=FS, output='sos')
+w = np.linspace(0, np.pi, 64, endpoint=False)
+_, h = signal.freqz(b, a, worN=w)
+_, gd = signal.group_delay((b, a), w=w)
+rng = np.random.default_rng(1)
+x = rng.standard_normal(200)
+za, pa, ka = signal.ellip(4, 1, 40, 2 * np.pi * 3000, analog=True, output='zpk')
+wa = 2 * np.pi * np.geomspace(100, 20000, 32)
+_, ha = signal.freqs_zpk(za, pa, ka, worN=wa)
+response = {
+    'design': {'topology': 'elliptic', 'type': 'lowpass', 'order': 4, 'edges': [3000.0], 'fs': FS, 'rp': 1, 'rs': 40},
+    'w': real(w), 'h': [[float(v.real), float(v.imag)] for v in h], 'groupDelay': real(gd),
+    'x': real(x), 'lfilter': real(signal.lfilter(b, a, x)), 'sosfilt': real(signal.sosfilt(sos, x)),
+    'analogW': real(wa), 'analogH': [[float(v.real), float(v.imag)] for v in ha],
+    'fftIn': real(x[:64]), 'fft': [[float(v.real), float(v.imag)] for v in np.fft.fft(x[:64])],
+    'poly': real(a), 'polyRoots': roots(np.roots(a)),
+}
+
+# Adaptive filters: system identification of a short FIR plant
+L, N = 4, 200
+u = rng.standard_normal(N)
+plant = np.array([0.6, -0.3, 0.2, 0.1])
+d = signal.lfilter(plant, [1], u) + 0.01 * rng.standard_normal(N)
+params = {'mu': 0.02, 'leakage': 0.01, 'forgetting': 0.99, 'rlsDelta': 0.01, 'apaOrder': 3, 'epsilon': 1e-3,
+          'kalmanQ': 0.01, 'kalmanR': 0.5}
+
+
+def adapt(algo):
+    w = np.zeros(L)
+    P = np.eye(L) / params['rlsDelta']
+    hist = []
+    xq, kx, kp = np.zeros(L), 0.0, 1.0
+    es = []
+    mu = params['mu']
+    for n in range(N):
+        xq = np.concatenate(([u[n]], xq[:-1]))
+        if algo == 'kalman':
+            pp = kp + params['kalmanQ']
+            g = pp / (pp + params['kalmanR'])
+            y = kx
+            e = d[n] - y
+            kx = y + g * e
+            kp = (1 - g) * pp
+            es.append(e)
+            continue
+        y = w @ xq
+        e = d[n] - y
+        if algo == 'lms':
+            w = w + 2 * mu * e * xq
+        elif algo == 'nlms':
+            w = w + 0.5 / (params['epsilon'] + xq @ xq) * e * xq
+        elif algo == 'sign_error':
+            w = w + 2 * mu * np.sign(e) * xq
+        elif algo == 'sign_data':
+            w = w + 2 * mu * e * np.sign(xq)
+        elif algo == 'sign_sign':
+            w = w + 2 * mu * np.sign(e) * np.sign(xq)
+        elif algo == 'leaky':
+            w = (1 - 2 * mu * params['leakage']) * w + 2 * mu * e * xq
+        elif algo == 'rls':
+            Px = P @ xq
+            k = Px / (params['forgetting'] + xq @ Px)
+            w = w + k * e
+            P = (P - np.outer(k, Px)) / params['forgetting']
+        elif algo == 'apa':
+            hist = [(xq.copy(), d[n])] + hist[:params['apaOrder'] - 1]
+            X = np.array([hx for hx, _ in hist]).T
+            errs = np.array([hd for _, hd in hist]) - X.T @ w
+            g = np.linalg.solve(X.T @ X + params['epsilon'] * np.eye(len(hist)), errs)
+            w = w + 0.5 * X @ g
+        es.append(e)
+    return {'e': real(es), 'w': real(w) if algo != 'kalman' else []}
+
+
+adaptive = {'L': L, 'params': params, 'stepSizes': {'nlms': 0.5, 'apa': 0.5}, 'x': real(u), 'd': real(d),
+            'runs': {algo: adapt(algo) for algo in ['lms', 'nlms', 'sign_error', 'sign_data', 'sign_sign', 'leaky', 'rls', 'apa', 'kalman']}}
+
+# Welch PSD and spectrogram (periodic windows, constant detrend, density scaling)
+rng = np.random.default_rng(2)
+n = np.arange(2048)
+x = 0.5 * np.sin(2 * np.pi * 1000.0 * n / FS) + 0.05 * rng.standard_normal(len(n))
+welch = []
+for window, segment, overlap in [('hanning', 512, 0.5), ('blackmanharris', 256, 0.75)]:
+    spec = 'hann' if window == 'hanning' else window
+    f, p = signal.welch(x, FS, window=spec, nperseg=segment, noverlap=int(segment * overlap))
+    welch.append({'window': window, 'segment': segment, 'overlap': overlap, 'psd': real(p)})
+f, t, S = signal.spectrogram(x, FS, window='hann', nperseg=256, noverlap=128)
+spectrum = {'fs': FS, 'x': real(x), 'welch': welch,
+            'spectrogram': {'segment': 256, 'hop': 128, 'times': real(t), 'psd': [real(col) for col in S.T]}}
+
+# Kalman filters: linear KF (constant velocity) and EKF / UKF (range / bearing), Joseph-form
+# covariance update, UKF sigma points on the update only
+ALPHA, BETA, KAPPA = 1.0, 2.0, 0.0
+
+
+def cv(dt, q):
+    return np.array([[1, dt], [0, 1]]), q * np.array([[dt ** 3 / 3, dt ** 2 / 2], [dt ** 2 / 2, dt]])
+
+
+def range_bearing(x, sensor):
+    return np.array([np.hypot(x[0], sensor), np.arctan2(x[0], sensor)])
+
+
+def range_bearing_jacobian(x, sensor):
+    r2 = x[0] ** 2 + sensor ** 2
+    return np.array([[x[0] / np.sqrt(r2), 0], [sensor / r2, 0]])
+
+
+def kalman(model, z, variant):
+    F, Q, R = model['F'], model['Q'], model['R']
+    h = (lambda x: model['H'] @ x) if model['H'] is not None else (lambda x: range_bearing(x, model['sensor']))
+    jac = (lambda x: model['H']) if model['H'] is not None else (lambda x: range_bearing_jacobian(x, model['sensor']))
+    n = len(model['x0'])
+    lam = ALPHA ** 2 * (n + KAPPA) - n
+    wm = np.array([lam / (n + lam)] + [1 / (2 * (n + lam))] * (2 * n))
+    wc = wm.copy()
+    wc[0] += 1 - ALPHA ** 2 + BETA
+    x, P = np.array(model['x0'], dtype=float), np.array(model['P0'], dtype=float)
+    xs, ps, nis = [], [], []
+    for k, zk in enumerate(z):
+        if k > 0:
+            x = F @ x
+            P = F @ P @ F.T + Q
+        if variant == 'ukf':
+            L = np.linalg.cholesky((n + lam) * P)
+            X = np.vstack([x, x + L.T, x - L.T])
+            Z = np.array([h(xi) for xi in X])
+            zh = wm @ Z
+            S = R + sum(wc[s] * np.outer(Z[s] - zh, Z[s] - zh) for s in range(2 * n + 1))
+            Pxz = sum(wc[s] * np.outer(X[s] - x, Z[s] - zh) for s in range(2 * n + 1))
+            K = Pxz @ np.linalg.inv(S)
+            P = P - K @ S @ K.T
+        else:
+            H = jac(x)
+            zh = h(x)
+            S = H @ P @ H.T + R
+            K = P @ H.T @ np.linalg.inv(S)
+            IKH = np.eye(n) - K @ H
+            P = IKH @ P @ IKH.T + K @ R @ K.T
+        nu = zk - zh
+        x = x + K @ nu
+        xs.append(real(x))
+        ps.append([real(row) for row in P])
+        nis.append(float(nu @ np.linalg.solve(S, nu)))
+    return {'x': xs, 'P': ps, 'nis': nis}
+
+
+def simulate(model, steps, rng):
+    h = (lambda x: model['H'] @ x) if model['H'] is not None else (lambda x: range_bearing(x, model['sensor']))
+    x = rng.multivariate_normal(model['x0'], model['P0'])
+    truth, z = [], []
+    for k in range(steps):
+        if k > 0:
+            x = model['F'] @ x + rng.multivariate_normal(np.zeros(len(x)), model['Q'])
+        truth.append(x)
+        z.append(h(x) + rng.multivariate_normal(np.zeros(len(model['R'])), model['R']))
+    return truth, z
+
+
+rng = np.random.default_rng(3)
+F, Q = cv(0.1, 1)
+kalman_cv = {'F': F, 'Q': Q, 'H': np.array([[1.0, 0]]), 'R': np.array([[1.0]]), 'x0': [0, 0], 'P0': np.eye(2) * 10}
+F, Q = cv(0.1, 0.5)
+kalman_rb = {'F': F, 'Q': Q, 'H': None, 'R': np.diag([0.01, 0.0009]), 'sensor': 2, 'x0': [-6, 1.5], 'P0': np.diag([4, 0.25])}
+kalman_runs = []
+for key, model, variants in [('constant_velocity', kalman_cv, ['kf', 'ukf']), ('range_bearing', kalman_rb, ['ekf', 'ukf'])]:
+    truth, z = simulate(model, 60, rng)
+    kalman_runs.append({'model': key, 'truth': [real(t) for t in truth], 'z': [real(v) for v in z],
+                        'runs': {v: kalman(model, z, v) for v in variants}})
+kalman_out = {'runs': kalman_runs,
+              'chi2': [{'p': p, 'dof': k, 'x': float(stats.chi2.ppf(p, k))} for p in (0.025, 0.975) for k in (1, 2, 120)]}
+
+save('windows', windows)
+save('fir', {'fs': FS, 'windowed': fir, 'remez': remez, 'kaiserord': kaiser})
+save('iir', {'designs': iir, 'order': order})
+save('response', response)
+save('adaptive', adaptive)
+save('spectrum', spectrum)
+save('kalman', kalman_out)